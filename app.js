@@ -22,6 +22,16 @@ require("./models/Venmo");
 require("./models/Waitlist");
 require("./models/Zelle");
 require("./models/Notification");
+require("./models/ExchangeRateSnapshot");
+require("./models/FxQuote");
+require("./models/IdempotencyKey");
+require("./models/LedgerEntry");
+require("./models/ScheduledTransfer");
+require("./models/CategoryRule");
+require("./models/Budget");
+require("./models/KycSubmission");
+require("./models/ChallengeToken");
+require("./models/InvestmentPlanVersion");
 
 const express = require("express");
 const morgan = require("morgan");
@@ -51,6 +61,11 @@ const beneficiaryRoutes = require("./routes/beneficiaryRoutes");
 const walletBeneficiaryRoutes = require("./routes/walletBeneficiaryRoutes");
 const billRoutes = require("./routes/billRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
+const ledgerRoutes = require("./routes/ledgerRoutes");
+const scheduledTransferRoutes = require("./routes/scheduledTransferRoutes");
+const statementRoutes = require("./routes/statementRoutes");
+const insightsRoutes = require("./routes/insightsRoutes");
+const budgetRoutes = require("./routes/budgetRoutes");
 
 // Initialize express application
 const app = express();
@@ -183,12 +198,13 @@ app.use(compression());
 // Initialize passport
 app.use(passport.initialize());
 require("./config/passport");
+require("./utils/fieldEncryption").validateConfig();
 
 // API routes
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/accounts", accountRoutes);
-// app.use("/api/v1/cards", cardRoutes);
+app.use("/api/v1/cards", cardRoutes);
 app.use("/api/v1/notifications", notificationRoutes);
 app.use("/api/v1/wallets", walletRoutes);
 app.use("/api/v1/preloaded-wallets", preloadedWalletRoutes);
@@ -197,6 +213,11 @@ app.use("/api/v1/investments", investmentRoutes);
 app.use("/api/v1/beneficiaries", beneficiaryRoutes);
 app.use("/api/v1/wallet-beneficiaries", walletBeneficiaryRoutes);
 app.use("/api/v1/bills", billRoutes);
+app.use("/api/v1/ledger", ledgerRoutes);
+app.use("/api/v1/scheduled-transfers", scheduledTransferRoutes);
+app.use("/api/v1/statements", statementRoutes);
+app.use("/api/v1/insights", insightsRoutes);
+app.use("/api/v1/budgets", budgetRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
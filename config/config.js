@@ -1,3 +1,5 @@
+const path = require("path");
+
 // Application-wide configuration values
 module.exports = {
   appName: process.env.APP_NAME || "Regions Prime",
@@ -9,6 +11,9 @@ module.exports = {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN || "24h",
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+    // How long a just-rotated refresh token still works, for concurrent refreshes
+    refreshRotationGraceMs:
+      parseInt(process.env.JWT_REFRESH_ROTATION_GRACE_MS) || 30 * 1000,
   },
 
   // Database configuration
@@ -67,6 +72,7 @@ module.exports = {
       min: 2,
       max: 50,
     },
+    // Charged on cross-currency quotes; min and max are in USD
     exchange: {
       percentage: 1.5,
       min: 3,
@@ -77,6 +83,13 @@ module.exports = {
   // Currency exchange default values
   exchange: {
     defaultConversionRate: 1,
+    // Exchange rate provider ("file" works offline from ratesFile)
+    provider: process.env.FX_PROVIDER || "file",
+    ratesFile:
+      process.env.FX_RATES_FILE || path.join(__dirname, "exchangeRates.json"),
+    cacheTtlMs: parseInt(process.env.FX_CACHE_TTL_MS) || 5 * 60 * 1000, // 5 minutes
+    retryAfterMs: parseInt(process.env.FX_RETRY_AFTER_MS) || 60 * 1000, // wait after a failed refresh
+    quoteTtlSeconds: parseInt(process.env.FX_QUOTE_TTL_SECONDS) || 30, // lifetime of a locked quote
     supportedCurrencies: [
       "USD",
       "EUR",
@@ -91,6 +104,22 @@ module.exports = {
     ],
   },
 
+  // Money precision (decimal places) per currency
+  money: {
+    defaultPrecision: 2, // fiat
+    precision: {
+      JPY: 0,
+      BTC: 8,
+      ETH: 8,
+      USDT: 6,
+      XRP: 6,
+      DOGE: 8,
+      ADA: 6,
+      SOL: 8,
+      DOT: 8,
+    },
+  },
+
   // Security settings
   security: {
     bcryptSaltRounds: 12,
@@ -101,6 +130,123 @@ module.exports = {
     passwordMaxAttempts: 3,
   },
 
+  // Application-level encryption of sensitive fields (AES-256-GCM)
+  fieldEncryption: {
+    // Comma-separated "keyId:base64Key" pairs, each key 32 bytes. Old keys stay
+    // listed until `npm run rotate:encryption` has moved every document off them
+    keys: process.env.FIELD_ENCRYPTION_KEYS,
+    activeKeyId: process.env.FIELD_ENCRYPTION_KEY_ID,
+    // HMAC key for blind indexes; changing it breaks lookups until hashes are rebuilt
+    blindIndexKey: process.env.FIELD_BLIND_INDEX_KEY,
+    rotationBatchSize: 500, // documents re-encrypted per batch
+  },
+
+  // Multi-factor authentication (RFC 6238 TOTP)
+  mfa: {
+    issuer: process.env.MFA_ISSUER || "Regions Prime",
+    digits: 6,
+    period: 30, // seconds per time step
+    window: 1, // accepted time steps either side of now (clock drift)
+    recoveryCodeCount: 10,
+    loginTokenExpiresIn: "5m", // lifetime of the second-step login token
+    maxAttempts: 5, // invalid codes before the second step locks
+    lockoutTime: 15 * 60 * 1000, // 15 minutes
+  },
+
+  // Idempotency-Key handling for money-moving requests
+  idempotency: {
+    ttlMs: 24 * 60 * 60 * 1000, // 24 hours
+    maxKeyLength: 255,
+  },
+  // Single-use tokens for passcode challenges
+  challengeTokens: {
+    // "mongo" works across server instances; "memory" keeps tokens in-process, for tests
+    store:
+      process.env.CHALLENGE_TOKEN_STORE ||
+      (process.env.NODE_ENV === "test" ? "memory" : "mongo"),
+    ttlMs: 5 * 60 * 1000, // 5 minutes
+  },
+  scheduledTransfers: {
+    cron: process.env.SCHEDULED_TRANSFERS_CRON || "* * * * *", // every minute
+    batchSize: 50, // schedules executed per run
+    lockMs: 5 * 60 * 1000, // how long a claimed schedule is held by one worker
+    maxConsecutiveFailures: 3, // failures in a row before a recurring schedule stops
+    historyLimit: 50, // runs kept on each schedule
+  },
+  investments: {
+    maturityCron: process.env.INVESTMENT_MATURITY_CRON || "0 3 * * *", // daily at 03:00 UTC
+    maturityBatchSize: 100, // matured investments settled per query
+    growth: {
+      // Return model for plans that don't name one: "fixed" (simple APR),
+      // "compound" (per the investment's compoundFrequency) or "index"
+      defaultModel: "compound",
+      volatility: 0.6, // daily noise around fixed and compound paths (0 = smooth)
+      // Daily index prices for the "index" model, re-read on every use
+      indexFile:
+        process.env.INVESTMENT_INDEX_FILE ||
+        path.join(__dirname, "investmentIndices.json"),
+    },
+    managementFees: {
+      // "daily" deducts each day's fee as it accrues; "monthly" deducts the month's
+      // accrued fees on the first run of the next month
+      chargeFrequency: process.env.INVESTMENT_FEE_FREQUENCY || "monthly",
+    },
+  },
+  statements: {
+    maxPeriodDays: 366, // longest date range one statement can cover
+  },
+  insights: {
+    // Spending categories; bill categories are reused so bill payments line up
+    categories: [
+      "income",
+      "transfer",
+      "groceries",
+      "dining",
+      "shopping",
+      "transportation",
+      "travel",
+      "utility",
+      "housing",
+      "insurance",
+      "subscription",
+      "entertainment",
+      "health",
+      "education",
+      "loan",
+      "credit_card",
+      "investment",
+      "cash",
+      "fees",
+      "other",
+    ],
+    defaultMonths: 6,
+    maxMonths: 24,
+    topCounterparties: 5,
+    categorizeBatchSize: 500, // transactions categorized per query
+  },
+  budgets: {
+    thresholds: [50, 80, 100], // percent of a month's limit that triggers an alert
+    cron: process.env.BUDGET_ALERTS_CRON || "*/15 * * * *", // every 15 minutes
+    maxRolloverMonths: 12, // missed months caught up when a budget is next read
+  },
+  kyc: {
+    minimumAge: 18,
+    // Verification levels, lowest first: basic is an approved ID document, full
+    // also matches a selfie against it
+    tiers: ["unverified", "basic", "full"],
+    documentTypes: ["passport", "drivers_license", "national_id"],
+    rejectionReasons: [
+      "document_unreadable",
+      "document_expired",
+      "document_mismatch",
+      "selfie_mismatch",
+      "details_mismatch",
+      "address_unverifiable",
+      "suspected_fraud",
+      "other",
+    ],
+  },
+
   // Rate limiting configuration
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -117,15 +263,42 @@ module.exports = {
     },
   },
 
-  // Default limits for various operations
+  // Most a user can move per KYC tier (config.kyc.tiers) and channel, in USD.
+  // Daily and monthly are rolling windows of 24 hours and 30 days. Limits users
+  // set on their own accounts, cards and wallets can only be lower.
   limits: {
-    transfer: {
-      daily: 10000,
-      transaction: 5000,
-    },
-    withdrawal: {
-      daily: 5000,
-      transaction: 2000,
+    currency: "USD",
+    tiers: {
+      unverified: {
+        account: { perTransaction: 250, daily: 500, monthly: 1000 },
+        card: { perTransaction: 250, daily: 500, monthly: 1000 },
+        wallet_transfer: { perTransaction: 250, daily: 500, monthly: 1000 },
+        wallet_withdrawal: { perTransaction: 0, daily: 0, monthly: 0 },
+      },
+      basic: {
+        account: { perTransaction: 5000, daily: 10000, monthly: 25000 },
+        card: { perTransaction: 2500, daily: 5000, monthly: 20000 },
+        wallet_transfer: { perTransaction: 2000, daily: 5000, monthly: 20000 },
+        wallet_withdrawal: {
+          perTransaction: 1000,
+          daily: 2000,
+          monthly: 10000,
+        },
+      },
+      full: {
+        account: { perTransaction: 25000, daily: 50000, monthly: 200000 },
+        card: { perTransaction: 10000, daily: 20000, monthly: 100000 },
+        wallet_transfer: {
+          perTransaction: 10000,
+          daily: 25000,
+          monthly: 100000,
+        },
+        wallet_withdrawal: {
+          perTransaction: 10000,
+          daily: 20000,
+          monthly: 100000,
+        },
+      },
     },
   },
 
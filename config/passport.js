@@ -2,6 +2,7 @@ const passport = require("passport");
 const { Strategy: JwtStrategy, ExtractJwt } = require("passport-jwt");
 const { Strategy: LocalStrategy } = require("passport-local");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
 const { logger } = require("./logger");
 
 // Options for local strategy
@@ -92,6 +93,16 @@ passport.use(
         return done(null, false, { message: "Token expired" });
       }
 
+      // Purpose-scoped tokens (e.g. the MFA login step) are not access tokens
+      if (payload.purpose) {
+        logger.warn("JWT authentication failed: Not an access token", {
+          userId: payload.id,
+          purpose: payload.purpose,
+        });
+
+        return done(null, false, { message: "Invalid token" });
+      }
+
       // Find user by ID
       const user = await User.findById(payload.id);
 
@@ -103,6 +114,30 @@ passport.use(
         return done(null, false, { message: "User not found" });
       }
 
+      // Reject access tokens issued before the user's sessions were revoked
+      if (
+        user.sessionsRevokedAt &&
+        payload.iat * 1000 < user.sessionsRevokedAt.getTime()
+      ) {
+        logger.warn("JWT authentication failed: Session revoked", {
+          userId: user._id,
+          issuedAt: new Date(payload.iat * 1000).toISOString(),
+          sessionsRevokedAt: user.sessionsRevokedAt,
+        });
+
+        return done(null, false, { message: "Session revoked" });
+      }
+
+      // Reject access tokens whose session was logged out from another device
+      if (payload.sid && (await RefreshToken.isSessionRevoked(payload.sid))) {
+        logger.warn("JWT authentication failed: Session logged out", {
+          userId: user._id,
+          sessionId: payload.sid,
+        });
+
+        return done(null, false, { message: "Session revoked" });
+      }
+
       // Add populated fields needed for most operations
       // This reduces the need for separate DB calls in controllers
       const populatedUser = await User.findById(user._id)
@@ -116,7 +151,7 @@ passport.use(
         username: user.username,
       });
 
-      return done(null, populatedUser);
+      return done(null, populatedUser, { sessionId: payload.sid });
     } catch (error) {
       logger.error("JWT authentication error", {
         error: error.message,
@@ -16,6 +16,7 @@ const {
   sendEmailChangeRejection,
 } = require("../services/emailService");
 const notificationService = require("../services/notificationService");
+const money = require("../utils/money");
 
 const profileUtils = {
   /**
@@ -348,7 +349,7 @@ exports.getAllTransactions = async (req, res) => {
       amount: transaction.amount,
       date: new Date(transaction.createdAt).toISOString().split("T")[0],
       description: transaction.description || `${transaction.type} transaction`,
-      type: transaction.amount > 0 ? "income" : "expense",
+      type: money.isPositive(transaction.amount) ? "income" : "expense",
       // Include other fields needed by your app
       status: transaction.status,
       sourceType: transaction.sourceType,
@@ -471,7 +472,7 @@ exports.getTransactionById = async (req, res) => {
       amount: transaction.amount,
       date: new Date(transaction.createdAt).toISOString().split("T")[0],
       description: transaction.description || `${transaction.type} transaction`,
-      type: transaction.amount > 0 ? "income" : "expense",
+      type: money.isPositive(transaction.amount) ? "income" : "expense",
       status: transaction.status,
       // Include detailed information for the transaction detail view
       reference: transaction.reference,
@@ -12,10 +12,14 @@ const { logger } = require("../config/logger");
 const config = require("../config/config");
 const apiResponse = require("../utils/apiResponse");
 const {
-  generateChallengeToken,
   validateChallengeToken,
+  challengePayload,
 } = require("../utils/encryption");
 const notificationService = require("../services/notificationService");
+const authService = require("../services/authService");
+const sessionService = require("../services/sessionService");
+const challengeTokenService = require("../services/challengeTokenService");
+const { parseUserAgent } = require("../utils/userAgent");
 
 // Default banking information
 const DEFAULT_BANK_INFO = {
@@ -59,10 +63,11 @@ const generateWalletName = (count) => {
  * Generate JWT token
  * @param {string} id - User ID
  * @param {string} role - User role
+ * @param {string} sessionId - Session (refresh token family) the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, config.jwt.secret, {
+const generateToken = (id, role, sessionId) => {
+  return jwt.sign({ id, role, sid: sessionId }, config.jwt.secret, {
     expiresIn: config.jwt.expiresIn,
   });
 };
@@ -72,9 +77,17 @@ const generateToken = (id, role) => {
  * @param {string} userId - User ID
  * @param {string} ipAddress - IP address
  * @param {string} userAgent - User agent
+ * @param {Object} options - Token options
+ * @param {string} options.family - Rotation family to join (a login starts a new one)
+ * @param {mongoose.ClientSession} options.session - Mongoose session for transaction
  * @returns {Promise<object>} Refresh token object
  */
-const generateRefreshToken = async (userId, ipAddress, userAgent) => {
+const generateRefreshToken = async (
+  userId,
+  ipAddress,
+  userAgent,
+  { family = crypto.randomUUID(), session } = {}
+) => {
   try {
     // Generate a random token
     const refreshToken = crypto.randomBytes(40).toString("hex");
@@ -83,16 +96,25 @@ const generateRefreshToken = async (userId, ipAddress, userAgent) => {
     const expiresAt = new Date(Date.now() + ms(config.jwt.refreshExpiresIn));
 
     // Create refresh token in database
-    const tokenDoc = await RefreshToken.create({
-      user: userId,
-      token: refreshToken,
-      expiresAt,
-      ipAddress,
-      userAgent,
-    });
+    const [tokenDoc] = await RefreshToken.create(
+      [
+        {
+          user: userId,
+          token: refreshToken,
+          family,
+          expiresAt,
+          ipAddress,
+          userAgent,
+          device: parseUserAgent(userAgent).name,
+        },
+      ],
+      { session }
+    );
 
     return {
+      id: tokenDoc._id,
       token: refreshToken,
+      family,
       expiresAt,
     };
   } catch (error) {
@@ -298,9 +320,6 @@ exports.register = async (req, res) => {
     user.wallets = [wallet._id];
     await user.save({ session });
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
-
     // Generate refresh token
     const refreshToken = await generateRefreshToken(
       user._id,
@@ -308,6 +327,9 @@ exports.register = async (req, res) => {
       req.get("user-agent") || "unknown"
     );
 
+    // Generate JWT token
+    const token = generateToken(user._id, user.role, refreshToken.family);
+
     // Create notification in the same transaction
     await notificationService.createNotification(
       user._id,
@@ -386,6 +408,185 @@ exports.register = async (req, res) => {
   }
 };
 
+/**
+ * Complete a login: record it, issue tokens and return the populated user
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} extra - Additional fields to include in the response data
+ */
+const sendLoginResponse = async (user, req, res, extra = {}) => {
+  // Update last login time
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Generate refresh token
+  const refreshToken = await generateRefreshToken(
+    user._id,
+    req.ip,
+    req.get("user-agent") || "unknown"
+  );
+
+  // Generate JWT token
+  const token = generateToken(user._id, user.role, refreshToken.family);
+
+  // Remember the device; a failure here shouldn't block the login
+  try {
+    await sessionService.recordLogin(user, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip,
+      requestId: req.id,
+    });
+  } catch (error) {
+    logger.error("Failed to record login device", {
+      userId: user._id,
+      requestId: req.id,
+      error: error.message,
+    });
+  }
+
+  // Fetch fully populated user data for response
+  const populatedUser = await User.findById(user._id)
+    .populate({
+      path: "accounts",
+      select: "-createdIp -lastAccessedIp",
+      populate: {
+        path: "transactions",
+        options: { sort: { processedAt: -1 }, limit: 20 }, // Limit transactions
+        populate: [
+          { path: "sourceUser", select: "fullName username" }, // Limit fields
+          { path: "beneficiary", select: "name nickname" }, // Limit fields
+        ],
+      },
+    })
+    .populate({
+      path: "wallets",
+      select: "-securitySettings.twoFactorSecret",
+      populate: {
+        path: "transactions",
+        options: { sort: { completedAt: -1 }, limit: 20 }, // Limit transactions
+        populate: [
+          { path: "source", select: "fullName username" }, // Limit fields
+          { path: "beneficiary", select: "name nickname" }, // Limit fields
+        ],
+      },
+    })
+    .populate({
+      path: "cards",
+      select: "-cvv -cardNumber",
+      populate: {
+        path: "account",
+        select: "accountNumber maskedAccountNumber type name bank",
+      },
+    })
+    .populate("beneficiaries")
+    .populate("walletBeneficiaries")
+    .populate({
+      path: "investments",
+      populate: [
+        { path: "plan" },
+        {
+          path: "transactions",
+          options: { sort: { createdAt: -1 }, limit: 10 }, // Limit transactions
+        },
+      ],
+    })
+    .populate({
+      path: "bills",
+      options: { sort: { processedAt: -1 } },
+      select: "title amount dueDate status provider paid account",
+    })
+    .populate({
+      path: "pendingWallets",
+      options: { sort: { processedAt: -1 } },
+      select:
+        "user currency status requestDate priority preloadedAccount processingNotes processedBy processedAt notificationSent notificationDate",
+    });
+
+  if (populatedUser.investments && populatedUser.investments.length > 0) {
+    for (let investment of populatedUser.investments) {
+      // Include the growth schedule metadata directly
+      if (
+        investment.metadata?.growthSchedule &&
+        investment.metadata?.nextGrowthIndex !== undefined
+      ) {
+        const { growthSchedule, nextGrowthIndex } = investment.metadata;
+
+        // Add today's expected growth amount
+        if (nextGrowthIndex < growthSchedule.length) {
+          investment.nextGrowthAmount = growthSchedule[nextGrowthIndex];
+          investment.nextGrowthPercentage =
+            (growthSchedule[nextGrowthIndex] / investment.currentValue) * 100;
+        }
+
+        // Include last processed growth (yesterday's growth)
+        if (nextGrowthIndex > 0) {
+          investment.lastGrowthAmount = growthSchedule[nextGrowthIndex - 1];
+
+          // Calculate percentage based on value before yesterday's growth
+          const valueBeforeLastGrowth =
+            investment.currentValue - investment.lastGrowthAmount;
+          investment.lastGrowthPercentage =
+            (investment.lastGrowthAmount / valueBeforeLastGrowth) * 100;
+        }
+      }
+    }
+  }
+
+  logger.info("User logged in", {
+    userId: user._id,
+    username: user.username,
+    ip: req.ip,
+    requestId: req.id,
+  });
+
+  // Return user data and tokens using apiResponse utility
+  return apiResponse.success(
+    res,
+    200,
+    "Login Successful",
+    "Authentication successful",
+    {
+      user: {
+        _id: populatedUser._id,
+        firstName: populatedUser.firstName,
+        lastName: populatedUser.lastName,
+        fullName: populatedUser.fullName,
+        username: populatedUser.username,
+        email: populatedUser.email,
+        phone: populatedUser.phone,
+        role: populatedUser.role,
+        status: populatedUser.status,
+        picture: populatedUser.picture,
+
+        // Include populated references
+        accounts: populatedUser.accounts,
+        wallets: populatedUser.wallets,
+        cards: populatedUser.cards,
+        beneficiaries: populatedUser.beneficiaries,
+        investments: populatedUser.investments,
+        walletBeneficiaries: populatedUser.walletBeneficiaries,
+        bills: populatedUser.bills,
+        pendingWallets: populatedUser.pendingWallets,
+
+        // Include additional fields that are not sensitive
+        lastLogin: populatedUser.lastLogin,
+        createdAt: populatedUser.createdAt,
+        updatedAt: populatedUser.updatedAt,
+        address: populatedUser.address,
+        dateOfBirth: populatedUser.dateOfBirth,
+        kycStatus: populatedUser.kycStatus,
+        mfaEnabled: populatedUser.mfaEnabled,
+        preferences: populatedUser.preferences,
+        notificationSettings: populatedUser.notificationSettings,
+      },
+      token,
+      refreshToken: refreshToken.token,
+      ...extra,
+    }
+  );
+};
+
 /**
  * Login user
  * @param {Object} req - Express request object
@@ -446,160 +647,175 @@ exports.login = async (req, res) => {
       );
     }
 
-    // Update last login time
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    // Require a second step when MFA is enabled
+    if (user.mfaEnabled) {
+      if (authService.isMfaLocked(user)) {
+        return rejectLockedMfa(user, req, res);
+      }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
+      logger.info("Login requires MFA verification", {
+        userId: user._id,
+        ip: req.ip,
+        requestId: req.id,
+      });
 
-    // Generate refresh token
-    const refreshToken = await generateRefreshToken(
-      user._id,
-      req.ip,
-      req.get("user-agent") || "unknown"
+      return apiResponse.success(
+        res,
+        200,
+        "MFA Required",
+        "Enter the code from your authenticator app to continue",
+        {
+          mfaRequired: true,
+          mfaToken: authService.generateMfaLoginToken(user._id),
+        }
+      );
+    }
+
+    return await sendLoginResponse(user, req, res);
+  } catch (error) {
+    logger.error("Login error", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Login Failed",
+      "Error during login",
+      "LOGIN_ERROR"
     );
+  }
+};
 
-    // Fetch fully populated user data for response
-    const populatedUser = await User.findById(user._id)
-      .populate({
-        path: "accounts",
-        select: "-createdIp -lastAccessedIp",
-        populate: {
-          path: "transactions",
-          options: { sort: { processedAt: -1 }, limit: 20 }, // Limit transactions
-          populate: [
-            { path: "sourceUser", select: "fullName username" }, // Limit fields
-            { path: "beneficiary", select: "name nickname" }, // Limit fields
-          ],
-        },
-      })
-      .populate({
-        path: "wallets",
-        select: "-securitySettings.twoFactorSecret",
-        populate: {
-          path: "transactions",
-          options: { sort: { completedAt: -1 }, limit: 20 }, // Limit transactions
-          populate: [
-            { path: "source", select: "fullName username" }, // Limit fields
-            { path: "beneficiary", select: "name nickname" }, // Limit fields
-          ],
-        },
-      })
-      .populate({
-        path: "cards",
-        select: "-cvv -cardNumber",
-        populate: {
-          path: "account",
-          select: "accountNumber maskedAccountNumber type name bank",
-        },
-      })
-      .populate("beneficiaries")
-      .populate("walletBeneficiaries")
-      .populate({
-        path: "investments",
-        populate: [
-          { path: "plan" },
-          {
-            path: "transactions",
-            options: { sort: { createdAt: -1 }, limit: 10 }, // Limit transactions
-          },
-        ],
-      })
-      .populate({
-        path: "bills",
-        options: { sort: { processedAt: -1 } },
-        select: "title amount dueDate status provider paid account",
-      })
-      .populate({
-        path: "pendingWallets",
-        options: { sort: { processedAt: -1 } },
-        select:
-          "user currency status requestDate priority preloadedAccount processingNotes processedBy processedAt notificationSent notificationDate",
+/**
+ * Refuse the second login step while it is locked after too many invalid codes
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectLockedMfa = (user, req, res) => {
+  logger.warn("MFA login attempt while locked", {
+    userId: user._id,
+    lockedUntil: user.mfaLockedUntil,
+    ip: req.ip,
+    requestId: req.id,
+  });
+
+  return apiResponse.forbidden(
+    res,
+    "Too Many Attempts",
+    "Too many invalid verification codes. Please try again later.",
+    "MFA_LOCKED"
+  );
+};
+
+/**
+ * Complete a login with the second factor (TOTP or recovery code)
+ * Invalid codes count against the account; too many lock the second step and
+ * revoke the MFA token, so the user has to sign in again.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.verifyLoginMfa = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const token = authService.verifyMfaLoginToken(mfaToken);
+    const user = token && (await User.findById(token.userId));
+
+    if (
+      !token ||
+      (user &&
+        user.mfaTokensRevokedAt &&
+        token.issuedAt <= user.mfaTokensRevokedAt)
+    ) {
+      return apiResponse.unauthorized(
+        res,
+        "Authentication Failed",
+        "Your login session has expired. Please sign in again.",
+        "INVALID_MFA_TOKEN"
+      );
+    }
+
+    if (
+      !user ||
+      (user.status !== "active" && user.status !== "pendingVerification")
+    ) {
+      logger.warn("MFA login attempt for unavailable account", {
+        userId: token.userId,
+        status: user?.status,
+        ip: req.ip,
+        requestId: req.id,
       });
 
-    if (populatedUser.investments && populatedUser.investments.length > 0) {
-      for (let investment of populatedUser.investments) {
-        // Include the growth schedule metadata directly
-        if (
-          investment.metadata?.growthSchedule &&
-          investment.metadata?.nextGrowthIndex !== undefined
-        ) {
-          const { growthSchedule, nextGrowthIndex } = investment.metadata;
-
-          // Add today's expected growth amount
-          if (nextGrowthIndex < growthSchedule.length) {
-            investment.nextGrowthAmount = growthSchedule[nextGrowthIndex];
-            investment.nextGrowthPercentage =
-              (growthSchedule[nextGrowthIndex] / investment.currentValue) * 100;
-          }
-
-          // Include last processed growth (yesterday's growth)
-          if (nextGrowthIndex > 0) {
-            investment.lastGrowthAmount = growthSchedule[nextGrowthIndex - 1];
-
-            // Calculate percentage based on value before yesterday's growth
-            const valueBeforeLastGrowth =
-              investment.currentValue - investment.lastGrowthAmount;
-            investment.lastGrowthPercentage =
-              (investment.lastGrowthAmount / valueBeforeLastGrowth) * 100;
-          }
-        }
+      return apiResponse.forbidden(
+        res,
+        "Account Restricted",
+        "This account cannot sign in right now.",
+        "ACCOUNT_RESTRICTED"
+      );
+    }
+
+    if (authService.isMfaLocked(user)) {
+      return rejectLockedMfa(user, req, res);
+    }
+
+    const result = await authService.verifySecondFactor(user._id, {
+      code,
+      recoveryCode,
+    });
+
+    if (!result.valid) {
+      const { attemptsLeft, lockedUntil } = await authService.recordMfaFailure(
+        user._id
+      );
+
+      logger.warn("MFA login failed: Invalid second factor", {
+        userId: user._id,
+        method: code ? "totp" : "recovery_code",
+        attemptsLeft,
+        ip: req.ip,
+        requestId: req.id,
+      });
+
+      if (lockedUntil) {
+        return apiResponse.forbidden(
+          res,
+          "Too Many Attempts",
+          "Too many invalid verification codes. Please sign in again later.",
+          "MFA_LOCKED"
+        );
       }
+
+      return apiResponse.unauthorized(
+        res,
+        "Authentication Failed",
+        `Invalid verification code. ${attemptsLeft} attempts left.`,
+        "INVALID_MFA_CODE"
+      );
     }
 
-    logger.info("User logged in", {
+    await authService.resetMfaAttempts(user);
+
+    logger.info("MFA login verified", {
       userId: user._id,
-      username: user.username,
+      method: result.method,
       ip: req.ip,
       requestId: req.id,
     });
 
-    // Return user data and tokens using apiResponse utility
-    return apiResponse.success(
+    return await sendLoginResponse(
+      user,
+      req,
       res,
-      200,
-      "Login Successful",
-      "Authentication successful",
-      {
-        user: {
-          _id: populatedUser._id,
-          firstName: populatedUser.firstName,
-          lastName: populatedUser.lastName,
-          fullName: populatedUser.fullName,
-          username: populatedUser.username,
-          email: populatedUser.email,
-          phone: populatedUser.phone,
-          role: populatedUser.role,
-          status: populatedUser.status,
-          picture: populatedUser.picture,
-
-          // Include populated references
-          accounts: populatedUser.accounts,
-          wallets: populatedUser.wallets,
-          cards: populatedUser.cards,
-          beneficiaries: populatedUser.beneficiaries,
-          investments: populatedUser.investments,
-          walletBeneficiaries: populatedUser.walletBeneficiaries,
-          bills: populatedUser.bills,
-          pendingWallets: populatedUser.pendingWallets,
-
-          // Include additional fields that are not sensitive
-          lastLogin: populatedUser.lastLogin,
-          createdAt: populatedUser.createdAt,
-          updatedAt: populatedUser.updatedAt,
-          address: populatedUser.address,
-          dateOfBirth: populatedUser.dateOfBirth,
-          kycStatus: populatedUser.kycStatus,
-          preferences: populatedUser.preferences,
-          notificationSettings: populatedUser.notificationSettings,
-        },
-        token,
-        refreshToken: refreshToken.token,
-      }
+      result.method === "recovery_code"
+        ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+        : {}
     );
   } catch (error) {
-    logger.error("Login error", {
+    logger.error("MFA login error", {
       error: error.message,
       stack: error.stack,
       requestId: req.id,
@@ -615,6 +831,47 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Reject a refresh token that was already rotated and lock its family out
+ * @param {Object} tokenDoc - The rotated refresh token that was presented
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectReusedRefreshToken = async (tokenDoc, req, res) => {
+  await authService.handleRefreshTokenReuse(tokenDoc, {
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+    requestId: req.id,
+  });
+
+  return apiResponse.unauthorized(
+    res,
+    "Unauthorized",
+    "This refresh token has already been used. Please sign in again.",
+    "REFRESH_TOKEN_REUSED"
+  );
+};
+
+/**
+ * Whether a rotated refresh token may be exchanged once more
+ * A client sending two refreshes at once (two tabs, a retry) presents the same
+ * token twice. For a short while after it was rotated the second one is let
+ * through, as long as the session hasn't been ended since.
+ * @param {Object|null} tokenDoc - Refresh token
+ * @returns {Promise<boolean>}
+ */
+const isInRotationGrace = async (tokenDoc) =>
+  Boolean(tokenDoc) &&
+  tokenDoc.revokedReason === "rotated" &&
+  !tokenDoc.isExpired &&
+  Date.now() - tokenDoc.revokedAt < config.jwt.refreshRotationGraceMs &&
+  Boolean(
+    await RefreshToken.exists({
+      family: tokenDoc.family || tokenDoc.id,
+      isRevoked: false,
+    })
+  );
+
 /**
  * Refresh access token
  * @param {Object} req - Express request object
@@ -634,11 +891,19 @@ exports.refreshToken = async (req, res) => {
     }
 
     // Find the refresh token in database
-    const tokenDoc = await RefreshToken.findValid(refreshToken);
+    const tokenDoc = await RefreshToken.findOne({ token: refreshToken });
+
+    const inGrace = await isInRotationGrace(tokenDoc);
 
-    if (!tokenDoc) {
+    // A rotated token coming back later means it was copied before it was rotated
+    if (tokenDoc && tokenDoc.revokedReason === "rotated" && !inGrace) {
+      return rejectReusedRefreshToken(tokenDoc, req, res);
+    }
+
+    if (!tokenDoc || !(tokenDoc.isValid || inGrace)) {
       logger.warn("Invalid refresh token used", {
         token: refreshToken.substring(0, 10) + "...",
+        tokenId: tokenDoc?._id,
         ip: req.ip,
         requestId: req.id,
       });
@@ -698,18 +963,46 @@ exports.refreshToken = async (req, res) => {
         );
       }
 
-      // Generate new JWT token
-      const token = generateToken(user._id, user.role);
+      // Revoke the old refresh token. It was live a moment ago, so losing the
+      // claim means it expired, was logged out or was rotated by a concurrent
+      // refresh; only the last may go on.
+      const rotatedToken = inGrace
+        ? null
+        : await RefreshToken.claimForRotation(tokenDoc._id, session);
+
+      if (
+        !inGrace &&
+        !rotatedToken &&
+        !(await isInRotationGrace(await RefreshToken.findById(tokenDoc._id)))
+      ) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return apiResponse.unauthorized(
+          res,
+          "Unauthorized",
+          "Invalid or expired refresh token",
+          "INVALID_REFRESH_TOKEN"
+        );
+      }
 
-      // Generate new refresh token
+      // Generate the replacement refresh token in the same family
+      const family = tokenDoc.family || tokenDoc.id;
       const newRefreshToken = await generateRefreshToken(
         user._id,
         req.ip,
-        req.get("user-agent") || "unknown"
+        req.get("user-agent") || "unknown",
+        { family, session }
       );
 
-      // Revoke the old refresh token
-      await tokenDoc.revoke(session);
+      // Generate new JWT token
+      const token = generateToken(user._id, user.role, family);
+
+      // A token already rotated keeps pointing at its first replacement
+      if (rotatedToken) {
+        rotatedToken.replacedBy = newRefreshToken.id;
+        await rotatedToken.save({ session });
+      }
 
       // Commit the transaction
       await session.commitTransaction();
@@ -718,6 +1011,8 @@ exports.refreshToken = async (req, res) => {
       logger.info("Access token refreshed", {
         userId: user._id,
         username: user.username,
+        tokenId: newRefreshToken.id,
+        family,
         ip: req.ip,
         requestId: req.id,
       });
@@ -775,7 +1070,7 @@ exports.logout = async (req, res) => {
         session.startTransaction();
 
         try {
-          await tokenDoc.revoke(session);
+          await tokenDoc.revoke(session, "logout");
           await session.commitTransaction();
 
           logger.info("User logged out (token revoked)", {
@@ -1077,8 +1372,12 @@ exports.verifyPasscode = async (req, res, next) => {
       );
     }
 
-    // Validate challenge token
-    const validationResult = validateChallengeToken(challengeToken, userId);
+    // Validate challenge token; only tokens issued for this endpoint are accepted
+    const validationResult = await validateChallengeToken(
+      challengeToken,
+      userId,
+      { action: "verify_passcode", payload: challengePayload(req) }
+    );
     if (!validationResult.valid) {
       logger.warn(`Invalid challenge token: ${validationResult.reason}`, {
         userId,
@@ -1376,7 +1675,7 @@ exports.resetPassword = async (req, res) => {
       await user.save({ session });
 
       // Revoke all refresh tokens for this user
-      await RefreshToken.revokeAllForUser(user._id, session);
+      await RefreshToken.revokeAllForUser(user._id, session, "password_reset");
 
       await session.commitTransaction();
       session.endSession();
@@ -1479,7 +1778,7 @@ exports.updatePassword = async (req, res) => {
       await user.save({ session });
 
       // Revoke all refresh tokens for this user
-      await RefreshToken.revokeAllForUser(user._id, session);
+      await RefreshToken.revokeAllForUser(user._id, session, "password_change");
 
       // Create notification for password update
       await notificationService.createNotification(
@@ -1533,10 +1832,10 @@ exports.updatePassword = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.generateSecureRequestToken = (req, res) => {
+exports.generateSecureRequestToken = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { action } = req.body;
+    const { action, payload } = req.body;
 
     // Validate required action
     if (!action) {
@@ -1548,8 +1847,18 @@ exports.generateSecureRequestToken = (req, res) => {
       );
     }
 
-    // Generate challenge token for this user/action
-    const challengeToken = generateChallengeToken(userId, action);
+    if (!payload || typeof payload !== "object") {
+      return apiResponse.badRequest(
+        res,
+        "Bad Request",
+        "Payload is required",
+        "PAYLOAD_REQUIRED"
+      );
+    }
+
+    // Generate challenge token for this user/action/payload
+    const { token: challengeToken, expiresAt } =
+      await challengeTokenService.issue({ userId, action, payload });
 
     logger.info("Challenge token generated", {
       userId,
@@ -1564,6 +1873,7 @@ exports.generateSecureRequestToken = (req, res) => {
       "Challenge token generated",
       {
         challengeToken,
+        expiresAt,
       }
     );
   } catch (error) {
@@ -7,6 +7,10 @@ const { logger } = require("../config/logger");
 const apiResponse = require("../utils/apiResponse");
 const mongoose = require("mongoose");
 const notificationService = require("../services/notificationService");
+const ledgerService = require("../services/ledgerService");
+const limitsService = require("../services/limitsService");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
 
 /**
  * @desc    Create a new bill
@@ -57,7 +61,7 @@ exports.createBill = async (req, res, next) => {
     }
 
     // Convert amount to Decimal128 for accuracy
-    const billAmount = mongoose.Types.Decimal128.fromString(amount.toString());
+    const billAmount = money.toDecimal128(amount, "USD");
     const today = new Date();
     const billDueDate = new Date(dueDate.toString());
 
@@ -91,13 +95,11 @@ exports.createBill = async (req, res, next) => {
       // Deduct balance if due date is today or overdue
       if (billDueDate <= today) {
         let balanceField =
-          paymentMethodType === "Account" ? "availableBalance" : "balance";
+          paymentMethodType === "Wallet" ? "balance" : "availableBalance";
 
-        const currentBalance = parseFloat(
-          paymentSource[balanceField].toString()
-        );
+        const currentBalance = paymentSource[balanceField];
 
-        if (currentBalance < parseFloat(amount)) {
+        if (money.compare(currentBalance, billAmount) < 0) {
           logger.warn("Insufficient funds", {
             userId: req.user._id,
             requestId: req.id,
@@ -109,12 +111,25 @@ exports.createBill = async (req, res, next) => {
         }
 
         // Deduct amount
-        paymentSource[balanceField] = mongoose.Types.Decimal128.fromString(
-          (currentBalance - parseFloat(amount)).toFixed(2)
+        paymentSource[balanceField] = money.toDecimal128(
+          money.subtract(currentBalance, billAmount),
+          "USD"
         );
 
         await paymentSource.save({ session });
 
+        await ledgerService.postMovement({
+          reference: `BILL-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+          category: "bill_payment",
+          from: { type: paymentMethodType, entity: paymentSource },
+          to: "bill_payments",
+          amount: billAmount,
+          currency: "USD",
+          description: `Payment for ${title}`,
+          metadata: { provider },
+          session,
+        });
+
         logger.info("Payment deducted successfully", {
           userId: req.user._id,
           requestId: req.id,
@@ -730,12 +745,9 @@ exports.payBill = async (req, res, next) => {
     }
 
     // Check if payment source has sufficient balance
-    const sourceBalance =
-      paymentSourceType === "Account"
-        ? parseFloat(paymentSource.availableBalance.toString())
-        : parseFloat(paymentSource.balance.toString());
+    const sourceBalance = paymentSource.availableBalance;
 
-    if (sourceBalance < paymentAmount) {
+    if (money.compare(sourceBalance, paymentAmount) < 0) {
       logger.warn("Insufficient funds for bill payment", {
         userId: req.user._id,
         requestId: req.id,
@@ -750,10 +762,33 @@ exports.payBill = async (req, res, next) => {
       return apiResponse.badRequest(res, "Insufficient funds for payment");
     }
 
+    // Bill payments count towards the same limits as transfers from the source
+    try {
+      await limitsService.enforce({
+        user: req.user,
+        sourceType: paymentSourceType,
+        source: paymentSource,
+        destinationType: "Bill",
+        amount: paymentAmount,
+        currency: "USD",
+        session,
+      });
+    } catch (limitError) {
+      if (!(limitError instanceof AppError)) throw limitError;
+
+      await session.abortTransaction();
+      session.endSession();
+      return apiResponse.error(
+        res,
+        limitError.statusCode,
+        "Payment Failed",
+        limitError.message,
+        limitError.errorCode
+      );
+    }
+
     // Create a decimal amount for precise calculations
-    const decimalAmount = mongoose.Types.Decimal128.fromString(
-      paymentAmount.toString()
-    );
+    const decimalAmount = money.toDecimal128(paymentAmount, "USD");
 
     // Generate a reference number for the transaction
     const transactionReference = `BILL-${Date.now()}-${Math.floor(
@@ -763,10 +798,9 @@ exports.payBill = async (req, res, next) => {
     // Deduct from payment source
     if (paymentSourceType === "Account") {
       const oldBalance = paymentSource.availableBalance.toString();
-      paymentSource.availableBalance = mongoose.Types.Decimal128.fromString(
-        (
-          parseFloat(paymentSource.availableBalance.toString()) - paymentAmount
-        ).toFixed(8)
+      paymentSource.availableBalance = money.toDecimal128(
+        money.subtract(paymentSource.availableBalance, decimalAmount),
+        "USD"
       );
 
       logger.debug("Updating payment source balance", {
@@ -779,11 +813,10 @@ exports.payBill = async (req, res, next) => {
         timestamp: new Date().toISOString(),
       });
     } else if (paymentSourceType === "Card") {
-      const oldBalance = paymentSource.balance.toString();
-      paymentSource.balance = mongoose.Types.Decimal128.fromString(
-        (parseFloat(paymentSource.balance.toString()) - paymentAmount).toFixed(
-          8
-        )
+      const oldBalance = paymentSource.availableBalance.toString();
+      paymentSource.availableBalance = money.toDecimal128(
+        money.subtract(paymentSource.availableBalance, decimalAmount),
+        "USD"
       );
 
       logger.debug("Updating payment source balance", {
@@ -792,13 +825,25 @@ exports.payBill = async (req, res, next) => {
         paymentSourceId,
         oldBalance,
         amountDeducted: decimalAmount.toString(),
-        newBalance: paymentSource.balance.toString(),
+        newBalance: paymentSource.availableBalance.toString(),
         timestamp: new Date().toISOString(),
       });
     }
 
     await paymentSource.save({ session });
 
+    await ledgerService.postMovement({
+      reference: transactionReference,
+      category: "bill_payment",
+      from: { type: paymentSourceType, entity: paymentSource },
+      to: "bill_payments",
+      amount: decimalAmount,
+      currency: "USD",
+      description: description || `Payment for ${bill.title}`,
+      metadata: { billId: bill._id, provider: bill.provider },
+      session,
+    });
+
     // Create transaction record
     const transaction = new Transaction({
       user: req.user._id,
@@ -1539,12 +1584,9 @@ exports.processAutopayBills = async (req, res, next) => {
         }
 
         // Check if payment source has sufficient balance
-        const sourceBalance =
-          bill.paymentMethodType === "Account"
-            ? parseFloat(paymentSource.availableBalance.toString())
-            : parseFloat(paymentSource.balance.toString());
+        const sourceBalance = paymentSource.availableBalance;
 
-        if (sourceBalance < bill.amount) {
+        if (money.compare(sourceBalance, bill.amount) < 0) {
           logger.warn(`Insufficient funds for autopay bill ${bill._id}`, {
             billId: bill._id,
             userId: bill.user,
@@ -1563,9 +1605,7 @@ exports.processAutopayBills = async (req, res, next) => {
         }
 
         // Create a decimal amount for precise calculations
-        const decimalAmount = mongoose.Types.Decimal128.fromString(
-          bill.amount.toString()
-        );
+        const decimalAmount = money.toDecimal128(bill.amount, "USD");
 
         // Generate a reference number for the transaction
         const transactionReference = `AUTOPAY-${Date.now()}-${Math.floor(
@@ -1575,11 +1615,9 @@ exports.processAutopayBills = async (req, res, next) => {
         // Deduct from payment source
         if (bill.paymentMethodType === "Account") {
           const oldBalance = paymentSource.availableBalance.toString();
-          paymentSource.availableBalance = mongoose.Types.Decimal128.fromString(
-            (
-              parseFloat(paymentSource.availableBalance.toString()) -
-              bill.amount
-            ).toFixed(8)
+          paymentSource.availableBalance = money.toDecimal128(
+            money.subtract(paymentSource.availableBalance, decimalAmount),
+            "USD"
           );
 
           logger.debug(
@@ -1595,11 +1633,10 @@ exports.processAutopayBills = async (req, res, next) => {
             }
           );
         } else if (bill.paymentMethodType === "Card") {
-          const oldBalance = paymentSource.balance.toString();
-          paymentSource.balance = mongoose.Types.Decimal128.fromString(
-            (
-              parseFloat(paymentSource.balance.toString()) - bill.amount
-            ).toFixed(8)
+          const oldBalance = paymentSource.availableBalance.toString();
+          paymentSource.availableBalance = money.toDecimal128(
+            money.subtract(paymentSource.availableBalance, decimalAmount),
+            "USD"
           );
 
           logger.debug(`Updating card balance for autopay bill ${bill._id}`, {
@@ -1608,13 +1645,25 @@ exports.processAutopayBills = async (req, res, next) => {
             cardId: paymentSource._id,
             oldBalance,
             amountDeducted: decimalAmount.toString(),
-            newBalance: paymentSource.balance.toString(),
+            newBalance: paymentSource.availableBalance.toString(),
             timestamp: new Date().toISOString(),
           });
         }
 
         await paymentSource.save({ session });
 
+        await ledgerService.postMovement({
+          reference: transactionReference,
+          category: "bill_payment",
+          from: { type: bill.paymentMethodType, entity: paymentSource },
+          to: "bill_payments",
+          amount: decimalAmount,
+          currency: "USD",
+          description: `Autopay for ${bill.title}`,
+          metadata: { billId: bill._id, provider: bill.provider },
+          session,
+        });
+
         // Create transaction record
         const transaction = new Transaction({
           user: bill.user,
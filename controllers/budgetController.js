@@ -0,0 +1,189 @@
+const budgetService = require("../services/budgetService");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const AppError = require("../utils/error");
+
+/**
+ * Respond to a failed budget request
+ * Rejections raised by the service are the caller's to fix and are passed through;
+ * anything else is logged and reported as a server error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - What went wrong
+ * @param {Object} options - `{ title, log, message, errorCode }` for unexpected errors
+ */
+const handleError = (req, res, error, { title, log, message, errorCode }) => {
+  if (error instanceof AppError) {
+    return apiResponse.error(
+      res,
+      error.statusCode,
+      title,
+      error.message,
+      error.errorCode
+    );
+  }
+
+  logger.error(log, {
+    userId: req.user._id,
+    requestId: req.id,
+    budgetId: req.params.id,
+    error: error.message,
+    stack: error.stack,
+  });
+
+  return apiResponse.error(res, 500, title, message, errorCode);
+};
+
+/**
+ * @desc    Create a monthly budget for a category or for all spending
+ * @route   POST /api/v1/budgets
+ * @access  Private
+ */
+exports.createBudget = async (req, res) => {
+  try {
+    const budget = await budgetService.create(req.user._id, req.body);
+
+    logger.info("Budget created", {
+      userId: req.user._id,
+      requestId: req.id,
+      budgetId: budget.id,
+      category: budget.category,
+      amount: budget.amount,
+      currency: budget.currency,
+    });
+
+    return apiResponse.created(
+      res,
+      "Budget Created",
+      `${budget.progress.percent}% of this month's budget is spent so far`,
+      { budget }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Budget Creation Failed",
+      log: "Error creating budget",
+      message: "An error occurred while creating the budget",
+      errorCode: "BUDGET_CREATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    List the user's budgets with this month's progress
+ * @route   GET /api/v1/budgets
+ * @access  Private
+ */
+exports.getBudgets = async (req, res) => {
+  try {
+    const budgets = await budgetService.list(req.user._id);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Budgets Retrieved",
+      `Found ${budgets.length} budgets`,
+      { budgets }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Budgets Failed",
+      log: "Error retrieving budgets",
+      message: "An error occurred while retrieving your budgets",
+      errorCode: "BUDGET_LIST_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Get a budget with this month's progress and past months
+ * @route   GET /api/v1/budgets/:id
+ * @access  Private
+ */
+exports.getBudget = async (req, res) => {
+  try {
+    const budget = await budgetService.get(req.user._id, req.params.id);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Budget Retrieved",
+      "Budget retrieved successfully",
+      { budget }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Budget Failed",
+      log: "Error retrieving budget",
+      message: "An error occurred while retrieving the budget",
+      errorCode: "BUDGET_GET_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Change a budget's amount or rollover
+ * @route   PATCH /api/v1/budgets/:id
+ * @access  Private
+ */
+exports.updateBudget = async (req, res) => {
+  try {
+    const budget = await budgetService.update(
+      req.user._id,
+      req.params.id,
+      req.body
+    );
+
+    logger.info("Budget updated", {
+      userId: req.user._id,
+      requestId: req.id,
+      budgetId: budget.id,
+      fields: Object.keys(req.body),
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Budget Updated",
+      "Your budget has been updated",
+      { budget }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Budget Update Failed",
+      log: "Error updating budget",
+      message: "An error occurred while updating the budget",
+      errorCode: "BUDGET_UPDATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Delete a budget
+ * @route   DELETE /api/v1/budgets/:id
+ * @access  Private
+ */
+exports.deleteBudget = async (req, res) => {
+  try {
+    await budgetService.remove(req.user._id, req.params.id);
+
+    logger.info("Budget deleted", {
+      userId: req.user._id,
+      requestId: req.id,
+      budgetId: req.params.id,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Budget Deleted",
+      "Your budget has been deleted"
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Budget Deletion Failed",
+      log: "Error deleting budget",
+      message: "An error occurred while deleting the budget",
+      errorCode: "BUDGET_DELETE_ERROR",
+    });
+  }
+};
@@ -0,0 +1,598 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const Card = require("../models/Card");
+const User = require("../models/User");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const notificationService = require("../services/notificationService");
+const money = require("../utils/money");
+
+// Default issuing bank information for cards we issue ourselves
+const DEFAULT_CARD_ISSUER = {
+  bank: process.env.DEFAULT_BANK || "Prime Banking",
+  routingNumber: process.env.DEFAULT_ROUTING_NUMBER || "021000021",
+};
+
+// Issuer identification prefixes for the brands we can issue
+const BRAND_PREFIXES = {
+  visa: "4",
+  mastercard: "51",
+};
+
+// Virtual cards are valid for three years from issue
+const VIRTUAL_CARD_VALIDITY_YEARS = 3;
+
+// Fields that are safe to return to the card owner
+const PUBLIC_CARD_FIELDS =
+  "type name email phone bank last4 brand status availableBalance ledgerBalance limits applepay googlepay issueDate expiryDate activatedAt frozenAt closedAt lastUsedAt createdAt updatedAt";
+
+/**
+ * Compute the Luhn check digit for a partial card number
+ * @param {string} partial - Card number without the check digit
+ * @returns {string} - Check digit
+ */
+const luhnCheckDigit = (partial) => {
+  let sum = 0;
+  for (let i = 0; i < partial.length; i++) {
+    // Walk from the right; every second digit (starting next to the check digit) is doubled
+    let digit = parseInt(partial[partial.length - 1 - i], 10);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return ((10 - (sum % 10)) % 10).toString();
+};
+
+/**
+ * Generate a Luhn-valid 16-digit card number for a brand
+ * @param {string} brand - Card brand (visa, mastercard)
+ * @returns {string} - Card number
+ */
+const generateCardNumber = (brand) => {
+  const prefix = BRAND_PREFIXES[brand] || BRAND_PREFIXES.visa;
+  let partial = prefix;
+  while (partial.length < 15) {
+    partial += crypto.randomInt(0, 10).toString();
+  }
+  return partial + luhnCheckDigit(partial);
+};
+
+/**
+ * Generate a unique card number, retrying on collision
+ * @param {string} brand - Card brand
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<string>} - Unique card number
+ */
+const generateUniqueCardNumber = async (brand, session) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const number = generateCardNumber(brand);
+    const exists = await Card.exists({ number }).session(session);
+    if (!exists) {
+      return number;
+    }
+  }
+  throw new Error("Unable to generate a unique card number");
+};
+
+/**
+ * Build the response shape for a card
+ * @param {Object} card - Card document
+ * @returns {Object} - Card data with masked PAN
+ */
+const formatCard = (card) => ({
+  _id: card._id,
+  type: card.type,
+  name: card.name,
+  bank: card.bank,
+  brand: card.brand,
+  last4: card.last4,
+  maskedNumber: card.maskedNumber,
+  expiryFormatted: card.expiryFormatted,
+  expiryDate: card.expiryDate,
+  isExpired: card.isExpired,
+  status: card.status,
+  availableBalance: card.availableBalance,
+  ledgerBalance: card.ledgerBalance,
+  limits: card.limits,
+  applepay: { enabled: card.applepay?.enabled || false },
+  googlepay: { enabled: card.googlepay?.enabled || false },
+  issueDate: card.issueDate,
+  activatedAt: card.activatedAt,
+  frozenAt: card.frozenAt,
+  closedAt: card.closedAt,
+  lastUsedAt: card.lastUsedAt,
+  createdAt: card.createdAt,
+  updatedAt: card.updatedAt,
+});
+
+/**
+ * Move a card from one of the allowed statuses to a new status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Transition options
+ * @param {string} options.action - Action name used in logs and messages
+ * @param {string[]} options.from - Statuses the card may currently be in
+ * @param {string} options.to - Status to move the card to
+ * @param {Function} [options.apply] - Extra changes to apply to the card; may return an error message
+ * @param {string} options.title - Success title
+ * @param {string} options.message - Success message
+ * @param {string} options.notification - Notification message for the user
+ */
+const transitionCardStatus = async (req, res, options) => {
+  const { action, from, to, apply, title, message, notification } = options;
+  const userId = req.user._id;
+  const { cardId } = req.params;
+
+  logger.info(`Card ${action} request initiated`, {
+    userId,
+    cardId,
+    requestId: req.id,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (!mongoose.isValidObjectId(cardId)) {
+    return apiResponse.notFound(
+      res,
+      "Not Found",
+      "Card not found or does not belong to the user",
+      "CARD_NOT_FOUND"
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const card = await Card.findOne({ _id: cardId, user: userId })
+      .select("+month +year")
+      .session(session);
+
+    if (!card) {
+      logger.warn("Card not found", {
+        userId,
+        cardId,
+        requestId: req.id,
+      });
+
+      await session.abortTransaction();
+      session.endSession();
+
+      return apiResponse.notFound(
+        res,
+        "Not Found",
+        "Card not found or does not belong to the user",
+        "CARD_NOT_FOUND"
+      );
+    }
+
+    if (!from.includes(card.status)) {
+      logger.warn(`Card ${action} not allowed from current status`, {
+        userId,
+        cardId,
+        currentStatus: card.status,
+        allowedStatuses: from,
+        requestId: req.id,
+      });
+
+      await session.abortTransaction();
+      session.endSession();
+
+      return apiResponse.badRequest(
+        res,
+        "Invalid Card Status",
+        `Cannot ${action} a card that is ${card.status}`,
+        "INVALID_CARD_STATUS"
+      );
+    }
+
+    if (to === "active" && card.isExpired) {
+      await session.abortTransaction();
+      session.endSession();
+
+      return apiResponse.badRequest(
+        res,
+        "Card Expired",
+        "This card has expired and cannot be used",
+        "CARD_EXPIRED"
+      );
+    }
+
+    if (apply) {
+      const rejection = apply(card);
+      if (rejection) {
+        logger.warn(`Card ${action} rejected`, {
+          userId,
+          cardId,
+          reason: rejection,
+          requestId: req.id,
+        });
+
+        await session.abortTransaction();
+        session.endSession();
+
+        return apiResponse.badRequest(
+          res,
+          "Request Rejected",
+          rejection,
+          "CARD_ACTION_REJECTED"
+        );
+      }
+    }
+
+    const previousStatus = card.status;
+    card.status = to;
+    await card.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    logger.info(`Card ${action} completed`, {
+      userId,
+      cardId,
+      previousStatus,
+      newStatus: card.status,
+      requestId: req.id,
+    });
+
+    try {
+      await notificationService.createNotification(
+        userId,
+        title,
+        notification.replace("{last4}", card.last4),
+        "card",
+        { cardId: card._id, status: card.status }
+      );
+    } catch (notificationError) {
+      logger.error("Error sending card notification", {
+        userId,
+        cardId,
+        error: notificationError.message,
+        requestId: req.id,
+      });
+    }
+
+    return apiResponse.success(res, 200, title, message, {
+      card: formatCard(card),
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    logger.error(`Card ${action} failed`, {
+      userId,
+      cardId,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Card Update Failed",
+      `An error occurred while trying to ${action} the card`,
+      "CARD_STATUS_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Get all cards for the authenticated user
+ * @route   GET /api/v1/cards
+ * @access  Private
+ */
+exports.getUserCards = async (req, res) => {
+  const userId = req.user._id;
+
+  try {
+    const { status, type, brand } = req.query;
+
+    const query = { user: userId };
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (brand) query.brand = brand;
+
+    const cards = await Card.find(query)
+      .select(`${PUBLIC_CARD_FIELDS} +month +year`)
+      .sort({ createdAt: -1 });
+
+    logger.info("User cards retrieved", {
+      userId,
+      count: cards.length,
+      requestId: req.id,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Cards retrieved successfully",
+      "Your cards have been retrieved",
+      { cards: cards.map(formatCard) }
+    );
+  } catch (error) {
+    logger.error("Error retrieving user cards", {
+      userId,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Error",
+      "Error retrieving cards",
+      "CARD_LIST_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Get a single card with masked PAN
+ * @route   GET /api/v1/cards/:cardId
+ * @access  Private
+ */
+exports.getCardById = async (req, res) => {
+  const userId = req.user._id;
+  const { cardId } = req.params;
+
+  try {
+    const card = mongoose.isValidObjectId(cardId)
+      ? await Card.findOne({ _id: cardId, user: userId }).select(
+          `${PUBLIC_CARD_FIELDS} +month +year`
+        )
+      : null;
+
+    if (!card) {
+      logger.warn("Card not found", {
+        userId,
+        cardId,
+        requestId: req.id,
+      });
+
+      return apiResponse.notFound(
+        res,
+        "Not Found",
+        "Card not found or does not belong to the user",
+        "CARD_NOT_FOUND"
+      );
+    }
+
+    return apiResponse.success(
+      res,
+      200,
+      "Card retrieved successfully",
+      "Card details have been retrieved",
+      { card: formatCard(card) }
+    );
+  } catch (error) {
+    logger.error("Error retrieving card", {
+      userId,
+      cardId,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Error",
+      "Error retrieving card",
+      "CARD_FETCH_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Issue a new virtual card
+ * @route   POST /api/v1/cards/virtual
+ * @access  Private
+ */
+exports.issueVirtualCard = async (req, res) => {
+  const userId = req.user._id;
+
+  logger.info("Virtual card issue request initiated", {
+    userId,
+    requestId: req.id,
+    brand: req.body.brand,
+    timestamp: new Date().toISOString(),
+  });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { name, brand = "visa", email, phone } = req.body;
+
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      await session.abortTransaction();
+      session.endSession();
+      return apiResponse.notFound(res, "Not Found", "User not found");
+    }
+
+    const number = await generateUniqueCardNumber(brand, session);
+    const issueDate = new Date();
+    const expiryYear = issueDate.getFullYear() + VIRTUAL_CARD_VALIDITY_YEARS;
+    const expiryMonth = issueDate.getMonth() + 1;
+    // Cards are valid through the last day of the expiry month
+    const expiryDate = new Date(expiryYear, expiryMonth, 0, 23, 59, 59);
+
+    const card = new Card({
+      user: userId,
+      type: "virtual",
+      name: name || user.fullName || `${user.firstName} ${user.lastName}`,
+      email: email || user.email,
+      phone: phone || user.phone,
+      bank: DEFAULT_CARD_ISSUER.bank,
+      routingNumber: DEFAULT_CARD_ISSUER.routingNumber,
+      number,
+      month: String(expiryMonth).padStart(2, "0"),
+      year: String(expiryYear),
+      cvv: crypto.randomInt(0, 1000).toString().padStart(3, "0"),
+      last4: number.slice(-4),
+      brand,
+      status: "active",
+      issueDate,
+      expiryDate,
+      activatedAt: issueDate,
+    });
+
+    await card.save({ session });
+
+    user.cards.push(card._id);
+    await user.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    logger.info("Virtual card issued", {
+      userId,
+      cardId: card._id,
+      brand,
+      last4: card.last4,
+      requestId: req.id,
+    });
+
+    try {
+      await notificationService.createNotification(
+        userId,
+        "Virtual Card Issued",
+        `Your new virtual ${brand} card ending in ${card.last4} is ready to use.`,
+        "card",
+        { cardId: card._id, status: card.status }
+      );
+    } catch (notificationError) {
+      logger.error("Error sending card notification", {
+        userId,
+        cardId: card._id,
+        error: notificationError.message,
+        requestId: req.id,
+      });
+    }
+
+    return apiResponse.created(
+      res,
+      "Virtual Card Issued",
+      "Your virtual card has been issued successfully",
+      { card: formatCard(card) }
+    );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    logger.error("Error issuing virtual card", {
+      userId,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Card Issue Failed",
+      "An error occurred while issuing your virtual card",
+      "CARD_ISSUE_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Activate a pending card
+ * @route   POST /api/v1/cards/:cardId/activate
+ * @access  Private
+ */
+exports.activateCard = (req, res) =>
+  transitionCardStatus(req, res, {
+    action: "activate",
+    from: ["pending", "inactive"],
+    to: "active",
+    apply: (card) => {
+      card.activatedAt = new Date();
+    },
+    title: "Card Activated",
+    message: "Your card has been activated",
+    notification: "Your card ending in {last4} has been activated.",
+  });
+
+/**
+ * @desc    Temporarily freeze an active card
+ * @route   POST /api/v1/cards/:cardId/freeze
+ * @access  Private
+ */
+exports.freezeCard = (req, res) =>
+  transitionCardStatus(req, res, {
+    action: "freeze",
+    from: ["active"],
+    to: "frozen",
+    apply: (card) => {
+      card.frozenAt = new Date();
+    },
+    title: "Card Frozen",
+    message: "Your card has been frozen",
+    notification:
+      "Your card ending in {last4} has been frozen. No transactions will be allowed until you unfreeze it.",
+  });
+
+/**
+ * @desc    Unfreeze a frozen card
+ * @route   POST /api/v1/cards/:cardId/unfreeze
+ * @access  Private
+ */
+exports.unfreezeCard = (req, res) =>
+  transitionCardStatus(req, res, {
+    action: "unfreeze",
+    from: ["frozen"],
+    to: "active",
+    apply: (card) => {
+      card.frozenAt = undefined;
+    },
+    title: "Card Unfrozen",
+    message: "Your card is active again",
+    notification: "Your card ending in {last4} has been unfrozen.",
+  });
+
+/**
+ * @desc    Permanently close a card
+ * @route   POST /api/v1/cards/:cardId/close
+ * @access  Private
+ */
+exports.closeCard = (req, res) =>
+  transitionCardStatus(req, res, {
+    action: "close",
+    from: ["active", "inactive", "pending", "frozen", "blocked", "expired"],
+    to: "closed",
+    apply: (card) => {
+      // A credit card's ledger balance is what is owed on it; below zero it is
+      // a credit balance the user is still owed
+      const remaining =
+        card.type === "credit"
+          ? money.isNegative(card.ledgerBalance)
+          : money.isPositive(card.availableBalance);
+
+      if (card.type === "credit" && money.isPositive(card.ledgerBalance)) {
+        return "Please pay off the outstanding balance before closing this card";
+      }
+      if (remaining) {
+        return "Please move the remaining balance off this card before closing it";
+      }
+      card.closedAt = new Date();
+      card.applepay.enabled = false;
+      card.googlepay.enabled = false;
+      card.metadata = {
+        ...(card.metadata || {}),
+        closeReason: req.body.reason,
+      };
+    },
+    title: "Card Closed",
+    message: "Your card has been closed",
+    notification: "Your card ending in {last4} has been permanently closed.",
+  });
@@ -0,0 +1,203 @@
+const insightsService = require("../services/insightsService");
+const categorizationService = require("../services/categorizationService");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const AppError = require("../utils/error");
+
+/**
+ * Respond to a failed insights request
+ * Rejections raised by the services are the caller's to fix and are passed through;
+ * anything else is logged and reported as a server error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - What went wrong
+ * @param {Object} options - `{ title, log, message, errorCode }` for unexpected errors
+ */
+const handleError = (req, res, error, { title, log, message, errorCode }) => {
+  if (error instanceof AppError) {
+    return apiResponse.error(
+      res,
+      error.statusCode,
+      title,
+      error.message,
+      error.errorCode
+    );
+  }
+
+  logger.error(log, {
+    userId: req.user._id,
+    requestId: req.id,
+    error: error.message,
+    stack: error.stack,
+  });
+
+  return apiResponse.error(res, 500, title, message, errorCode);
+};
+
+/**
+ * @desc    Get spending insights: spend per category by month, changes from last
+ *          month, top counterparties and income vs. outflow
+ * @route   GET /api/v1/insights
+ * @access  Private
+ */
+exports.getInsights = async (req, res) => {
+  try {
+    const insights = await insightsService.getInsights(req.user._id, req.query);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Insights Retrieved",
+      `Spending insights for the last ${req.query.months} months`,
+      { insights }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Insights Failed",
+      log: "Error retrieving spending insights",
+      message: "An error occurred while retrieving your insights",
+      errorCode: "INSIGHTS_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Set a transaction's category, optionally for its counterparty too
+ * @route   PATCH /api/v1/insights/transactions/:id/category
+ * @access  Private
+ */
+exports.setTransactionCategory = async (req, res) => {
+  try {
+    const { transaction, rule, recategorized } =
+      await categorizationService.setCategory(
+        req.user._id,
+        req.params.id,
+        req.body
+      );
+
+    logger.info("Transaction category set", {
+      userId: req.user._id,
+      requestId: req.id,
+      transactionId: transaction._id,
+      category: transaction.category,
+      ruleId: rule && rule._id,
+      recategorized,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Category Updated",
+      rule
+        ? `Category set for this transaction and ${recategorized} others with the same counterparty`
+        : "Category set for this transaction",
+      {
+        transaction: {
+          id: transaction._id,
+          category: transaction.category,
+          categorySource: transaction.categorySource,
+        },
+        rule,
+        recategorized,
+      }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Category Update Failed",
+      log: "Error setting transaction category",
+      message: "An error occurred while updating the category",
+      errorCode: "CATEGORY_UPDATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    List the user's category rules
+ * @route   GET /api/v1/insights/rules
+ * @access  Private
+ */
+exports.getCategoryRules = async (req, res) => {
+  try {
+    const rules = await categorizationService.listRules(req.user._id);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Category Rules Retrieved",
+      `Found ${rules.length} category rules`,
+      { rules }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Category Rules Failed",
+      log: "Error retrieving category rules",
+      message: "An error occurred while retrieving your category rules",
+      errorCode: "CATEGORY_RULES_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Categorize every transaction whose description contains a keyword
+ * @route   POST /api/v1/insights/rules
+ * @access  Private
+ */
+exports.createCategoryRule = async (req, res) => {
+  try {
+    const { rule, recategorized } =
+      await categorizationService.createKeywordRule(req.user._id, req.body);
+
+    logger.info("Category rule created", {
+      userId: req.user._id,
+      requestId: req.id,
+      ruleId: rule._id,
+      category: rule.category,
+      recategorized,
+    });
+
+    return apiResponse.created(
+      res,
+      "Category Rule Created",
+      `Rule applied to ${recategorized} transactions`,
+      { rule, recategorized }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Category Rule Failed",
+      log: "Error creating category rule",
+      message: "An error occurred while creating the category rule",
+      errorCode: "CATEGORY_RULE_CREATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Delete a category rule
+ * @route   DELETE /api/v1/insights/rules/:id
+ * @access  Private
+ */
+exports.deleteCategoryRule = async (req, res) => {
+  try {
+    await categorizationService.deleteRule(req.user._id, req.params.id);
+
+    logger.info("Category rule deleted", {
+      userId: req.user._id,
+      requestId: req.id,
+      ruleId: req.params.id,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Category Rule Deleted",
+      "The rule no longer applies to your transactions"
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Category Rule Failed",
+      log: "Error deleting category rule",
+      message: "An error occurred while deleting the category rule",
+      errorCode: "CATEGORY_RULE_DELETE_ERROR",
+    });
+  }
+};
@@ -6,151 +6,15 @@ const Wallet = require("../models/Wallet");
 const WalletTransaction = require("../models/WalletTransaction");
 const { logger } = require("../config/logger");
 const apiResponse = require("../utils/apiResponse");
-const { toUSDrates, fromUSDrates } = require("../utils/constants");
 const notificationService = require("../services/notificationService");
-
-/**
- * @desc    Execute a currency conversion
- * @param {mongoose.Types.Decimal128} amount - Amount to convert
- * @param {string} fromCurrency - Source currency
- * @param {string} toCurrency - Destination currency
- * @returns {Promise<mongoose.Types.Decimal128>} - Converted amount
- */
-const convertCurrency = async (amount, fromCurrency, toCurrency) => {
-  try {
-    // If currencies are the same, no conversion needed
-    if (fromCurrency === toCurrency) {
-      return amount;
-    }
-
-    // In a real-world scenario, you would call an external API or use a service
-    // like CoinGecko, CoinMarketCap, or a forex API to get real-time exchange rates
-
-    logger.debug(`Converting currency from ${fromCurrency} to ${toCurrency}`, {
-      amount: amount.toString(),
-      fromCurrency,
-      toCurrency,
-      timestamp: new Date().toISOString()
-    });
-
-    // Convert amount to USD first (as an intermediate currency)
-    const toUSD = await convertToUSD(amount, fromCurrency);
-
-    // If destination is USD, return the USD amount
-    if (toCurrency === "USD") {
-      return toUSD;
-    }
-
-    // Otherwise convert from USD to destination currency
-    return await convertFromUSD(toUSD, toCurrency);
-  } catch (error) {
-    logger.error("Error in currency conversion:", {
-      error: error.message,
-      stack: error.stack,
-      fromCurrency,
-      toCurrency,
-      amount: amount?.toString() || "undefined",
-      timestamp: new Date().toISOString()
-    });
-    throw error;
-  }
-};
-
-/**
- * @desc    Convert given amount to USD
- * @param {mongoose.Types.Decimal128} amount - Amount to convert
- * @param {string} currency - Source currency
- * @returns {Promise<mongoose.Types.Decimal128>} - Converted amount in USD
- */
-const convertToUSD = async (amount, currency) => {
-  try {
-    if (currency === "USD") {
-      return amount;
-    }
-
-    // Check if we have a rate for this currency
-    if (!toUSDrates[currency]) {
-      logger.error(`Unsupported currency for conversion to USD: ${currency}`, {
-        amount: amount.toString(),
-        currency,
-        availableRates: Object.keys(toUSDrates),
-        timestamp: new Date().toISOString()
-      });
-      throw new Error(`Unsupported currency for conversion: ${currency}`);
-    }
-
-    // Convert to USD
-    const amountFloat = parseFloat(amount.toString());
-    const usdValue = amountFloat * toUSDrates[currency];
-
-    logger.debug(`Converted ${currency} to USD`, {
-      originalAmount: amount.toString(),
-      currency,
-      rate: toUSDrates[currency],
-      usdValue: usdValue.toFixed(8),
-      timestamp: new Date().toISOString()
-    });
-
-    return mongoose.Types.Decimal128.fromString(usdValue.toFixed(8));
-  } catch (error) {
-    logger.error("Error converting to USD:", {
-      error: error.message,
-      stack: error.stack,
-      amount: amount?.toString() || "undefined",
-      currency,
-      timestamp: new Date().toISOString()
-    });
-    throw error;
-  }
-};
-
-/**
- * @desc    Convert USD amount to specified currency
- * @param {mongoose.Types.Decimal128} usdAmount - Amount in USD
- * @param {string} currency - Target currency
- * @returns {Promise<mongoose.Types.Decimal128>} - Converted amount
- */
-const convertFromUSD = async (usdAmount, currency) => {
-  try {
-    if (currency === "USD") {
-      return usdAmount;
-    }
-
-    // Check if we have a rate for this currency
-    if (!fromUSDrates[currency]) {
-      logger.error(`Unsupported currency for conversion from USD: ${currency}`, {
-        usdAmount: usdAmount.toString(),
-        currency,
-        availableRates: Object.keys(fromUSDrates),
-        timestamp: new Date().toISOString()
-      });
-      throw new Error(`Unsupported currency for conversion: ${currency}`);
-    }
-
-    // Convert from USD to target currency
-    const usdFloat = parseFloat(usdAmount.toString());
-    const convertedValue = usdFloat * fromUSDrates[currency];
-
-    logger.debug(`Converted USD to ${currency}`, {
-      usdAmount: usdAmount.toString(),
-      currency,
-      rate: fromUSDrates[currency],
-      convertedValue: convertedValue.toFixed(8),
-      timestamp: new Date().toISOString()
-    });
-
-    return mongoose.Types.Decimal128.fromString(convertedValue.toFixed(8));
-  } catch (error) {
-    logger.error("Error converting from USD:", {
-      error: error.message,
-      stack: error.stack,
-      usdAmount: usdAmount?.toString() || "undefined",
-      currency,
-      timestamp: new Date().toISOString()
-    });
-    throw error;
-  }
-};
+const ledgerService = require("../services/ledgerService");
+const exchangeRateService = require("../services/exchangeRateService");
+const growthModelService = require("../services/growthModelService");
+const investmentPlanService = require("../services/investmentPlanService");
+const investmentMaturityService = require("../services/investmentMaturityService");
+const portfolioService = require("../services/portfolioService");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
 
 /**
  * @desc    Get all available investment plans
@@ -319,9 +183,7 @@ exports.createInvestment = async (req, res) => {
     }
 
     // Convert amount to Decimal128 for precise calculations
-    const decimalAmount = mongoose.Types.Decimal128.fromString(
-      amount.toString()
-    );
+    const decimalAmount = money.toDecimal128(amount);
 
     // Validate investment plan
     const plan = await InvestmentPlan.findById(planId).session(session);
@@ -369,20 +231,14 @@ exports.createInvestment = async (req, res) => {
     }
 
     // Check if source wallet has sufficient balance
-    if (
-      parseFloat(sourceWallet.balance.toString()) <
-      parseFloat(decimalAmount.toString())
-    ) {
+    if (money.compare(sourceWallet.balance, decimalAmount) < 0) {
       logger.warn("Insufficient funds in source wallet", {
         userId: req.user._id,
         requestId: req.id,
         sourceWalletId: sourceWallet._id,
         sourceBalance: sourceWallet.balance.toString(),
         investmentAmount: decimalAmount.toString(),
-        difference: (
-          parseFloat(decimalAmount.toString()) -
-          parseFloat(sourceWallet.balance.toString())
-        ).toFixed(8),
+        difference: money.subtract(decimalAmount, sourceWallet.balance),
         timestamp: new Date().toISOString(),
       });
       await session.abortTransaction();
@@ -401,11 +257,12 @@ exports.createInvestment = async (req, res) => {
     try {
       if (sourceWallet.currency !== plan.currency) {
         // Convert to plan currency (typically USD) for comparison with minimum
-        investmentAmountInPlanCurrency = await convertCurrency(
+        const conversion = await exchangeRateService.convert(
           decimalAmount,
           sourceWallet.currency,
           plan.currency
         );
+        investmentAmountInPlanCurrency = conversion.amount;
 
         logger.debug("Currency conversion for minimum investment check", {
           userId: req.user._id,
@@ -442,9 +299,7 @@ exports.createInvestment = async (req, res) => {
     }
 
     // Check minimum investment amount AFTER converting to plan currency (usually USD)
-    if (
-      parseFloat(investmentAmountInPlanCurrency.toString()) < plan.minInvestment
-    ) {
+    if (money.compare(investmentAmountInPlanCurrency, plan.minInvestment) < 0) {
       logger.warn("Investment amount below minimum", {
         userId: req.user._id,
         requestId: req.id,
@@ -503,10 +358,16 @@ exports.createInvestment = async (req, res) => {
       );
     }
 
+    // New investments are held to the plan's current terms from here on
+    const planVersion = await investmentPlanService.currentVersion(plan, {
+      session,
+    });
+
     // Create the investment
     const userInvestment = new UserInvestment({
       user: req.user._id,
       plan: plan._id,
+      planVersion: planVersion._id,
       source: sourceWallet._id,
       label: label || `Investment in ${plan.name}`,
       currency: plan.currency,
@@ -519,10 +380,17 @@ exports.createInvestment = async (req, res) => {
       compoundFrequency,
       withdrawalAllowed: plan.earlyWithdrawalAllowed || false,
       earlyWithdrawalFee: plan.earlyWithdrawalFee || 0,
+      fees: {
+        managementFee: plan.managementFee || 0,
+        accruedThrough: investedAt,
+      },
       lastInterestCalculatedAt: investedAt,
       interestPaidOut: 0,
     });
 
+    // Record the seeded inputs its daily growth is computed from
+    await growthModelService.initialize(userInvestment, plan);
+
     // Save the investment
     await userInvestment.save({ session });
 
@@ -538,11 +406,9 @@ exports.createInvestment = async (req, res) => {
 
     // Deduct from wallet
     const oldWalletBalance = sourceWallet.balance.toString();
-    sourceWallet.balance = mongoose.Types.Decimal128.fromString(
-      (
-        parseFloat(sourceWallet.balance.toString()) -
-        parseFloat(decimalAmount.toString())
-      ).toFixed(8)
+    sourceWallet.balance = money.toDecimal128(
+      money.subtract(sourceWallet.balance, decimalAmount),
+      sourceWallet.currency
     );
 
     logger.debug("Deducting from wallet", {
@@ -578,6 +444,20 @@ exports.createInvestment = async (req, res) => {
 
     await transaction.save({ session });
 
+    await ledgerService.postMovement({
+      reference,
+      category: "investment",
+      from: { type: "Wallet", entity: sourceWallet },
+      to: { type: "UserInvestment", entity: userInvestment },
+      amount: decimalAmount,
+      currency: sourceWallet.currency,
+      convertedAmount: investmentAmount,
+      destinationCurrency: plan.currency,
+      description: `Investment in ${plan.name}`,
+      metadata: { investmentTransaction: transaction._id },
+      session,
+    });
+
     // Add transaction to investment
     userInvestment.transactions.push(transaction._id);
     await userInvestment.save({ session });
@@ -608,7 +488,7 @@ exports.createInvestment = async (req, res) => {
     await notificationService.createNotification(
       user._id,
       "Investment Created Successfully",
-      `Your investment of ${parseFloat(investmentAmount.toString()).toFixed(2)} ${plan.currency} in ${plan.name} has been created successfully.`,
+      `Your investment of ${money.round(investmentAmount, plan.currency)} ${plan.currency} in ${plan.name} has been created successfully.`,
       "investment",
       { 
         investmentId: userInvestment._id,
@@ -667,6 +547,16 @@ exports.createInvestment = async (req, res) => {
     await session.abortTransaction();
     session.endSession();
 
+    if (error instanceof AppError) {
+      return apiResponse.error(
+        res,
+        error.statusCode,
+        "Investment Creation Failed",
+        error.message,
+        error.errorCode
+      );
+    }
+
     logger.error("Investment creation failed:", {
       error: error.message,
       errorCode: error.code || error.statusCode,
@@ -709,7 +599,9 @@ exports.getUserInvestments = async (req, res) => {
     // Add status filter if provided
     if (
       status &&
-      ["active", "matured", "withdrawn", "cancelled"].includes(status)
+      ["active", "matured", "withdrawn", "rolled_over", "cancelled"].includes(
+        status
+      )
     ) {
       query.status = status;
     }
@@ -811,41 +703,60 @@ exports.getInvestmentPerformance = async (req, res) => {
       .exec();
 
     // Calculate total metrics
-    const totalInvested = allInvestments.reduce(
-      (sum, inv) => sum + parseFloat(inv.amount.toString()),
-      0
+    const totalInvested = money.toNumber(
+      money.add(...allInvestments.map((inv) => inv.amount))
     );
 
-    const totalCurrentValue = updatedInvestments.reduce(
-      (sum, inv) => sum + parseFloat(inv.currentValue.toString()),
-      0
+    const totalCurrentValue = money.toNumber(
+      money.add(...updatedInvestments.map((inv) => inv.currentValue))
     );
 
-    const totalInitialValue = updatedInvestments.reduce(
-      (sum, inv) => sum + parseFloat(inv.amount.toString()),
-      0
+    const totalInitialValue = money.add(
+      ...updatedInvestments.map((inv) => inv.amount)
     );
 
     // Calculate growth percentage
-    const overallGrowth =
-      totalInitialValue > 0
-        ? (
-            ((totalCurrentValue - totalInitialValue) / totalInitialValue) *
-            100
-          ).toFixed(2)
+    const overallGrowth = money.isPositive(totalInitialValue)
+      ? money.multiply(
+          money.divide(
+            money.subtract(totalCurrentValue, totalInitialValue),
+            totalInitialValue
+          ),
+          100,
+          { places: 2 }
+        )
+      : 0;
+
+    // Returns before and after management fees on active investments
+    const activeFees = money.add(
+      ...updatedInvestments.map((inv) => inv.fees?.charged || 0)
+    );
+    const netReturn = money.subtract(totalCurrentValue, totalInitialValue);
+    const grossReturn = money.add(netReturn, activeFees);
+    const returnPercentage = (value) =>
+      money.isPositive(totalInitialValue)
+        ? money.toNumber(
+            money.divide(money.multiply(value, 100), totalInitialValue, {
+              places: 2,
+            })
+          )
         : 0;
 
+    const totalFeesCharged = money.toNumber(
+      money.add(...allInvestments.map((inv) => inv.fees?.charged || 0))
+    );
+
     // Get total returns from completed investments
     const completedInvestments = allInvestments.filter(
-      (inv) => inv.status === "withdrawn" || inv.status === "matured"
+      (inv) => ["withdrawn", "matured", "rolled_over"].includes(inv.status)
     );
 
-    const totalCompletedReturns = completedInvestments.reduce((sum, inv) => {
-      const returns =
-        parseFloat(inv.currentValue.toString()) -
-        parseFloat(inv.amount.toString());
-      return sum + (returns > 0 ? returns : 0);
-    }, 0);
+    const totalCompletedReturns = money.toNumber(
+      completedInvestments.reduce((sum, inv) => {
+        const returns = money.subtract(inv.currentValue, inv.amount);
+        return money.isPositive(returns) ? money.add(sum, returns) : sum;
+      }, 0)
+    );
 
     // Get performance by plan
     const performanceByPlan = {};
@@ -855,15 +766,22 @@ exports.getInvestmentPerformance = async (req, res) => {
         performanceByPlan[planName] = {
           totalInvested: 0,
           currentValue: 0,
+          feesCharged: 0,
           count: 0,
         };
       }
 
-      performanceByPlan[planName].totalInvested += parseFloat(
-        inv.amount.toString()
+      performanceByPlan[planName].totalInvested = money.toNumber(
+        money.add(performanceByPlan[planName].totalInvested, inv.amount)
       );
-      performanceByPlan[planName].currentValue += parseFloat(
-        inv.currentValue.toString()
+      performanceByPlan[planName].currentValue = money.toNumber(
+        money.add(performanceByPlan[planName].currentValue, inv.currentValue)
+      );
+      performanceByPlan[planName].feesCharged = money.toNumber(
+        money.add(
+          performanceByPlan[planName].feesCharged,
+          inv.fees?.charged || 0
+        )
       );
       performanceByPlan[planName].count += 1;
     });
@@ -878,6 +796,14 @@ exports.getInvestmentPerformance = async (req, res) => {
               100
             ).toFixed(2)
           : 0;
+      plan.grossGrowthPercentage =
+        plan.totalInvested > 0
+          ? (
+              ((plan.currentValue + plan.feesCharged - plan.totalInvested) /
+                plan.totalInvested) *
+              100
+            ).toFixed(2)
+          : 0;
     });
 
     // Get top performing investments
@@ -914,14 +840,23 @@ exports.getInvestmentPerformance = async (req, res) => {
           totalInvestments: allInvestments.length,
           overallGrowth,
           totalCompletedReturns,
+          returns: {
+            gross: money.toNumber(grossReturn),
+            fees: money.toNumber(activeFees),
+            net: money.toNumber(netReturn),
+            grossPercentage: returnPercentage(grossReturn),
+            netPercentage: returnPercentage(netReturn),
+          },
+          totalFeesCharged,
         },
         performanceByPlan,
         topInvestments: topInvestments.map((inv) => ({
           _id: inv._id,
           planName: inv.plan.name,
-          investedAmount: parseFloat(inv.amount.toString()),
-          currentValue: parseFloat(inv.currentValue.toString()),
+          investedAmount: money.toNumber(inv.amount),
+          currentValue: money.toNumber(inv.currentValue),
           roi: inv.roi,
+          fees: inv.feeSummary,
           investedAt: inv.investedAt,
           maturityDate: inv.maturityDate,
         })),
@@ -946,6 +881,60 @@ exports.getInvestmentPerformance = async (req, res) => {
   }
 }
 
+/**
+ * @desc    Get all of the user's investments combined in one currency: totals,
+ *          realized and unrealized gains, allocation and returns by period
+ * @route   GET /api/investments/portfolio
+ * @access  Private
+ */
+exports.getPortfolio = async (req, res) => {
+  try {
+    const portfolio = await portfolioService.getPortfolio(req.user._id, {
+      currency: req.query.currency,
+    });
+
+    logger.info("Investment portfolio retrieved", {
+      userId: req.user._id,
+      requestId: req.id,
+      currency: portfolio.currency,
+      totalInvestments: portfolio.summary.totalInvestments,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Portfolio Retrieved",
+      `Your portfolio is worth ${portfolio.summary.currentValue} ${portfolio.currency}`,
+      { portfolio }
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      return apiResponse.error(
+        res,
+        error.statusCode,
+        "Portfolio Retrieval Failed",
+        error.message,
+        error.errorCode
+      );
+    }
+
+    logger.error("Error fetching investment portfolio", {
+      userId: req.user._id,
+      requestId: req.id,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Portfolio Retrieval Failed",
+      "Error fetching your investment portfolio",
+      "PORTFOLIO_ERROR"
+    );
+  }
+};
+
 /**
  * @desc    Process investment growth (simulated daily growth)
  * @route   POST /api/investments/process-growth
@@ -1145,9 +1134,7 @@ exports.addLiquidityToInvestment = async (req, res) => {
     }
 
     // Convert amount to Decimal128 for precise calculations
-    const decimalAmount = mongoose.Types.Decimal128.fromString(
-      amount.toString()
-    );
+    const decimalAmount = money.toDecimal128(amount);
 
     // Find the investment
     const investment = await UserInvestment.findOne({
@@ -1201,20 +1188,14 @@ exports.addLiquidityToInvestment = async (req, res) => {
     }
 
     // Check if source wallet has sufficient balance
-    if (
-      parseFloat(sourceWallet.balance.toString()) <
-      parseFloat(decimalAmount.toString())
-    ) {
+    if (money.compare(sourceWallet.balance, decimalAmount) < 0) {
       logger.warn("Insufficient funds in source wallet", {
         userId: req.user._id,
         requestId: req.id,
         sourceWalletId: sourceWallet._id,
         sourceBalance: sourceWallet.balance.toString(),
         investmentAmount: decimalAmount.toString(),
-        difference: (
-          parseFloat(decimalAmount.toString()) -
-          parseFloat(sourceWallet.balance.toString())
-        ).toFixed(8),
+        difference: money.subtract(decimalAmount, sourceWallet.balance),
         timestamp: new Date().toISOString(),
       });
       await session.abortTransaction();
@@ -1230,13 +1211,16 @@ exports.addLiquidityToInvestment = async (req, res) => {
 
     // Convert amount from source wallet currency to investment currency if needed
     let additionalAmountInInvestmentCurrency;
+    let rateSnapshotId = null;
     try {
       if (sourceWallet.currency !== investment.currency) {
-        additionalAmountInInvestmentCurrency = await convertCurrency(
+        const conversion = await exchangeRateService.convert(
           decimalAmount,
           sourceWallet.currency,
           investment.currency
         );
+        additionalAmountInInvestmentCurrency = conversion.amount;
+        rateSnapshotId = conversion.snapshotId;
 
         logger.debug("Currency conversion for add liquidity", {
           userId: req.user._id,
@@ -1306,25 +1290,22 @@ exports.addLiquidityToInvestment = async (req, res) => {
     }
 
     // Store old values for logging and record keeping
-    const oldAmount = parseFloat(investment.amount.toString());
-    const oldCurrentValue = parseFloat(investment.currentValue.toString());
-    const additionalAmount = parseFloat(
-      additionalAmountInInvestmentCurrency.toString()
-    );
+    const oldAmount = money.add(investment.amount);
+    const oldCurrentValue = money.add(investment.currentValue);
+    const additionalAmount = money.add(additionalAmountInInvestmentCurrency);
 
     // Update the investment with new values
-    investment.amount = mongoose.Types.Decimal128.fromString(
-      (oldAmount + additionalAmount).toFixed(8)
+    investment.amount = money.toDecimal128(
+      money.add(oldAmount, additionalAmount),
+      investment.currency
     );
-    investment.currentValue = mongoose.Types.Decimal128.fromString(
-      (oldCurrentValue + additionalAmount).toFixed(8)
+    investment.currentValue = money.toDecimal128(
+      money.add(oldCurrentValue, additionalAmount),
+      investment.currency
     );
 
     // Make sure to update previousValue to maintain correct growth tracking
-    if (
-      !investment.previousValue ||
-      parseFloat(investment.previousValue.toString()) === 0
-    ) {
+    if (!investment.previousValue || money.isZero(investment.previousValue)) {
       investment.previousValue = investment.currentValue;
     }
 
@@ -1335,11 +1316,9 @@ exports.addLiquidityToInvestment = async (req, res) => {
 
     // Deduct from wallet
     const oldWalletBalance = sourceWallet.balance.toString();
-    sourceWallet.balance = mongoose.Types.Decimal128.fromString(
-      (
-        parseFloat(sourceWallet.balance.toString()) -
-        parseFloat(decimalAmount.toString())
-      ).toFixed(8)
+    sourceWallet.balance = money.toDecimal128(
+      money.subtract(sourceWallet.balance, decimalAmount),
+      sourceWallet.currency
     );
 
     logger.debug("Deducting from wallet", {
@@ -1368,9 +1347,11 @@ exports.addLiquidityToInvestment = async (req, res) => {
       beneficiaryCurrency: investment.currency,
       conversionRate:
         sourceWallet.currency !== investment.currency
-          ? parseFloat(additionalAmountInInvestmentCurrency.toString()) /
-            parseFloat(decimalAmount.toString())
+          ? money.toNumber(
+              money.divide(additionalAmountInInvestmentCurrency, decimalAmount)
+            )
           : 1,
+      rateSnapshot: rateSnapshotId,
       description: `Additional liquidity for investment in ${investment.plan.name}`,
       status: "completed",
       reference: `${reference}-DEBIT`,
@@ -1401,6 +1382,23 @@ exports.addLiquidityToInvestment = async (req, res) => {
     await walletTransaction.save({ session });
     await investmentTransaction.save({ session });
 
+    await ledgerService.postMovement({
+      reference,
+      category: "investment",
+      from: { type: "Wallet", entity: sourceWallet },
+      to: { type: "UserInvestment", entity: investment },
+      amount: decimalAmount,
+      currency: sourceWallet.currency,
+      convertedAmount: additionalAmountInInvestmentCurrency,
+      destinationCurrency: investment.currency,
+      description: `Additional liquidity for investment in ${investment.plan.name}`,
+      metadata: {
+        walletTransaction: walletTransaction._id,
+        investmentTransaction: investmentTransaction._id,
+      },
+      session,
+    });
+
     // Add transaction to investment
     investment.transactions.push(investmentTransaction._id);
     await investment.save({ session });
@@ -1417,7 +1415,7 @@ exports.addLiquidityToInvestment = async (req, res) => {
     await notificationService.createNotification(
       req.user._id,
       "Liquidity Added to Investment",
-      `Additional liquidity of ${parseFloat(additionalAmountInInvestmentCurrency.toString()).toFixed(2)} ${investment.currency} has been added to your investment in ${investment.plan.name}.`,
+      `Additional liquidity of ${money.round(additionalAmountInInvestmentCurrency, investment.currency)} ${investment.currency} has been added to your investment in ${investment.plan.name}.`,
       "investment",
       {
         investmentId: investment._id,
@@ -1440,10 +1438,10 @@ exports.addLiquidityToInvestment = async (req, res) => {
       investmentId: investment._id,
       walletTransactionId: walletTransaction._id,
       investmentTransactionId: investmentTransaction._id,
-      originalAmount: oldAmount.toFixed(8),
-      additionalAmount: additionalAmount.toFixed(8),
+      originalAmount: oldAmount,
+      additionalAmount: additionalAmount,
       newTotalAmount: investment.amount.toString(),
-      originalValue: oldCurrentValue.toFixed(8),
+      originalValue: oldCurrentValue,
       newTotalValue: investment.currentValue.toString(),
       reference,
       timestamp: new Date().toISOString(),
@@ -1465,8 +1463,8 @@ exports.addLiquidityToInvestment = async (req, res) => {
         investment: populatedInvestment,
         walletTransaction,
         investmentTransaction,
-        originalAmount: oldAmount.toFixed(8),
-        additionalAmount: additionalAmount.toFixed(8),
+        originalAmount: oldAmount,
+        additionalAmount: additionalAmount,
         newTotalAmount: investment.amount.toString(),
         reference,
       }
@@ -1682,32 +1680,59 @@ exports.simulateInvestmentGrowth = async (req, res) => {
       ];
 
       // Calculate new value based on growth rates
-      let currentValue = parseFloat(investment.currentValue.toString());
+      let currentValue = money.add(investment.currentValue);
       const initialValue = currentValue;
 
       for (let i = 0; i < growthRates.length; i++) {
         const growthRate = growthRates[i];
-        currentValue = currentValue * (1 + growthRate);
+        currentValue = money.multiply(currentValue, money.add(1, growthRate), {
+          currency: investment.currency,
+        });
       }
+      const growth = money.subtract(currentValue, initialValue);
+      const growthPercent = money.isZero(initialValue)
+        ? "0.00"
+        : money.multiply(money.divide(growth, initialValue), 100, {
+            places: 2,
+          });
 
       // Store previous value before updating current value
       investment.previousValue = investment.currentValue;
 
       // Update the investment with new value and next growth index
       if (applyGrowth) {
-        investment.currentValue = mongoose.Types.Decimal128.fromString(
-          currentValue.toFixed(8)
-        );
+        investment.currentValue = money.toDecimal128(currentValue);
         // Set nextGrowthIndex to one past the end to indicate all growth has been applied
         investment.metadata.nextGrowthIndex =
           investment.metadata.growthSchedule.length;
       }
 
       await investment.save({ session });
+
+      if (applyGrowth && !money.isZero(growth)) {
+        const investmentAccount = {
+          type: "UserInvestment",
+          entity: investment,
+        };
+
+        await ledgerService.postMovement({
+          reference: `INV-SIM-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+          category: "investment_growth",
+          from: money.isPositive(growth)
+            ? "investment_growth"
+            : investmentAccount,
+          to: money.isPositive(growth)
+            ? investmentAccount
+            : "investment_growth",
+          amount: money.abs(growth),
+          currency: investment.currency,
+          description: `Simulated ${growthPattern} growth over ${days} days`,
+          session,
+        });
+      }
       
       // If there's significant growth, create a notification
-      if (applyGrowth && currentValue > initialValue * 1.05) { // More than 5% growth
-        const growthPercent = ((currentValue / initialValue - 1) * 100).toFixed(2);
+      if (applyGrowth && money.compare(growthPercent, 5) > 0) { // More than 5% growth
         await notificationService.createNotification(
           req.user._id,
           "Significant Investment Growth Simulated",
@@ -1715,8 +1740,8 @@ exports.simulateInvestmentGrowth = async (req, res) => {
           "investment",
           {
             investmentId: investment._id,
-            initialValue: initialValue.toFixed(8),
-            currentValue: currentValue.toFixed(8),
+            initialValue: initialValue,
+            currentValue: currentValue,
             growthPercent: growthPercent,
             growthPattern,
             simulationDays: days
@@ -1734,10 +1759,10 @@ exports.simulateInvestmentGrowth = async (req, res) => {
         investmentId: id,
         growthPattern,
         daysSimulated: days,
-        initialValue: initialValue.toFixed(8),
-        newValue: currentValue.toFixed(8),
+        initialValue: initialValue,
+        newValue: currentValue,
         percentageGrowth:
-          ((currentValue / initialValue - 1) * 100).toFixed(2) + "%",
+          growthPercent + "%",
         growthRates:
           growthRates.slice(0, 3).map((r) => (r * 100).toFixed(2) + "%") + "...",
         totalGrowthRates: growthRates.length,
@@ -1756,10 +1781,10 @@ exports.simulateInvestmentGrowth = async (req, res) => {
           simulationDetails: {
             growthPattern,
             daysSimulated: days,
-            initialValue: initialValue.toFixed(8),
-            newValue: currentValue.toFixed(8),
+            initialValue: initialValue,
+            newValue: currentValue,
             percentageChange:
-              ((currentValue / initialValue - 1) * 100).toFixed(2) + "%",
+              growthPercent + "%",
             growthRates: growthRates.map((rate) => (rate * 100).toFixed(4) + "%"),
             totalRates: investment.metadata.growthSchedule.length,
             nextGrowthIndex: investment.metadata.nextGrowthIndex,
@@ -1820,9 +1845,7 @@ exports.withdrawInvestment = async (req, res, next) => {
     const { amount, destinationWalletId } = req.body;
 
     // Convert amount to Decimal128 for precise calculations
-    const withdrawalAmount = mongoose.Types.Decimal128.fromString(
-      amount.toString()
-    );
+    const withdrawalAmount = money.toDecimal128(amount);
 
     // Find the investment
     const investment = await UserInvestment.findOne({
@@ -1925,10 +1948,7 @@ exports.withdrawInvestment = async (req, res, next) => {
     }
 
     // Validate withdrawal amount
-    if (
-      parseFloat(withdrawalAmount.toString()) >
-      parseFloat(investment.currentValue.toString())
-    ) {
+    if (money.compare(withdrawalAmount, investment.currentValue) > 0) {
       logger.warn("Withdrawal amount exceeds investment value", {
         userId: req.user._id,
         requestId: req.id,
@@ -1946,10 +1966,7 @@ exports.withdrawInvestment = async (req, res, next) => {
 
     // Determine if this is a full withdrawal (liquidation) or partial withdrawal
     const isFullWithdrawal =
-      Math.abs(
-        parseFloat(withdrawalAmount.toString()) -
-          parseFloat(investment.currentValue.toString())
-      ) < 0.00001; // Using small epsilon for floating point comparison
+      money.compare(withdrawalAmount, investment.currentValue) === 0;
 
     logger.debug("Withdrawal type determination", {
       userId: req.user._id,
@@ -1964,12 +1981,13 @@ exports.withdrawInvestment = async (req, res, next) => {
     // For partial withdrawals, check minimum investment requirement
     if (!isFullWithdrawal) {
       // Calculate remaining value after withdrawal
-      const remainingValue =
-        parseFloat(investment.currentValue.toString()) -
-        parseFloat(withdrawalAmount.toString());
+      const remainingValue = money.subtract(
+        investment.currentValue,
+        withdrawalAmount
+      );
 
       // Ensure remaining value isn't less than the plan's minimum investment
-      if (remainingValue < investment.plan.minInvestment) {
+      if (money.compare(remainingValue, investment.plan.minInvestment) < 0) {
         logger.warn(
           "Remaining investment would be below minimum investment amount",
           {
@@ -1977,7 +1995,7 @@ exports.withdrawInvestment = async (req, res, next) => {
             requestId: req.id,
             investmentId: id,
             requestedWithdrawal: withdrawalAmount.toString(),
-            remainingValue: remainingValue.toFixed(8),
+            remainingValue,
             minimumRequired: investment.plan.minInvestment,
             timestamp: new Date().toISOString(),
           }
@@ -1991,48 +2009,50 @@ exports.withdrawInvestment = async (req, res, next) => {
     }
 
     // Calculate fee for early withdrawal
-    let fee = 0;
+    let fee = "0";
     if (!maturityReached && investment.earlyWithdrawalFee > 0) {
-      fee =
-        parseFloat(withdrawalAmount.toString()) *
-        (investment.earlyWithdrawalFee / 100);
+      // Fees round in the house's favour
+      fee = money.percentage(withdrawalAmount, investment.earlyWithdrawalFee, {
+        currency: investment.currency,
+        rounding: money.ROUNDING.UP,
+      });
       logger.debug("Early withdrawal fee applied", {
         userId: req.user._id,
         requestId: req.id,
         investmentId: id,
         withdrawalAmount: withdrawalAmount.toString(),
         feePercentage: investment.earlyWithdrawalFee,
-        feeAmount: fee.toFixed(8),
+        feeAmount: fee,
         timestamp: new Date().toISOString(),
       });
     }
 
     // Actual amount after fee deduction
-    const actualWithdrawalAmount =
-      parseFloat(withdrawalAmount.toString()) - fee;
+    const actualWithdrawalAmount = money.subtract(withdrawalAmount, fee);
 
     // Convert withdrawal amount to destination wallet currency if needed
     let convertedAmount;
+    let rateSnapshotId = null;
     if (investment.currency !== destinationWallet.currency) {
-      convertedAmount = await convertCurrency(
-        mongoose.Types.Decimal128.fromString(actualWithdrawalAmount.toFixed(8)),
+      const conversion = await exchangeRateService.convert(
+        money.toDecimal128(actualWithdrawalAmount),
         investment.currency,
         destinationWallet.currency
       );
+      convertedAmount = conversion.amount;
+      rateSnapshotId = conversion.snapshotId;
 
       logger.debug("Currency conversion for withdrawal", {
         userId: req.user._id,
         requestId: req.id,
         fromCurrency: investment.currency,
         toCurrency: destinationWallet.currency,
-        beforeConversion: actualWithdrawalAmount.toFixed(8),
+        beforeConversion: actualWithdrawalAmount,
         afterConversion: convertedAmount.toString(),
         timestamp: new Date().toISOString(),
       });
     } else {
-      convertedAmount = mongoose.Types.Decimal128.fromString(
-        actualWithdrawalAmount.toFixed(8)
-      );
+      convertedAmount = money.toDecimal128(actualWithdrawalAmount);
     }
 
     // Generate reference for transaction
@@ -2046,11 +2066,15 @@ exports.withdrawInvestment = async (req, res, next) => {
     const oldWalletBalance = destinationWallet.balance.toString();
 
     // Calculate proportion of principal being withdrawn
-    const withdrawalProportion =
-      parseFloat(withdrawalAmount.toString()) /
-      parseFloat(investment.currentValue.toString());
-    const principalReduction =
-      parseFloat(investment.amount.toString()) * withdrawalProportion;
+    const withdrawalProportion = money.divide(
+      withdrawalAmount,
+      investment.currentValue
+    );
+    const principalReduction = money.multiply(
+      investment.amount,
+      withdrawalProportion,
+      { currency: investment.currency }
+    );
 
     // Store the current value as previous value before making any changes
     investment.previousValue = mongoose.Types.Decimal128.fromString(
@@ -2076,17 +2100,11 @@ exports.withdrawInvestment = async (req, res, next) => {
       });
     } else {
       // For partial withdrawal, calculate proportion and reduce accordingly
-      const remainingValue =
-        parseFloat(investment.currentValue.toString()) -
-        parseFloat(withdrawalAmount.toString());
-
-      investment.currentValue = mongoose.Types.Decimal128.fromString(
-        remainingValue.toFixed(8)
+      investment.currentValue = money.toDecimal128(
+        money.subtract(investment.currentValue, withdrawalAmount)
       );
-      investment.amount = mongoose.Types.Decimal128.fromString(
-        (parseFloat(investment.amount.toString()) - principalReduction).toFixed(
-          8
-        )
+      investment.amount = money.toDecimal128(
+        money.subtract(investment.amount, principalReduction)
       );
 
       logger.debug("Investment partially withdrawn", {
@@ -2098,7 +2116,9 @@ exports.withdrawInvestment = async (req, res, next) => {
         newValue: investment.currentValue.toString(),
         oldAmount: oldInvestmentAmount,
         newAmount: investment.amount.toString(),
-        withdrawalProportion: withdrawalProportion.toFixed(4),
+        withdrawalProportion: money.multiply(withdrawalProportion, 1, {
+          places: 4,
+        }),
         timestamp: new Date().toISOString(),
       });
     }
@@ -2109,10 +2129,10 @@ exports.withdrawInvestment = async (req, res, next) => {
     }
 
     investment.withdrawalHistory.push({
-      amount: parseFloat(withdrawalAmount.toString()),
+      amount: money.toNumber(withdrawalAmount),
       date: now,
       transactionReference: reference,
-      fee: fee,
+      fee: money.toNumber(fee),
     });
 
     await investment.save({ session });
@@ -2130,11 +2150,9 @@ exports.withdrawInvestment = async (req, res, next) => {
     });
 
     // Update wallet balance
-    destinationWallet.balance = mongoose.Types.Decimal128.fromString(
-      (
-        parseFloat(destinationWallet.balance.toString()) +
-        parseFloat(convertedAmount.toString())
-      ).toFixed(8)
+    destinationWallet.balance = money.toDecimal128(
+      money.add(destinationWallet.balance, convertedAmount),
+      destinationWallet.currency
     );
 
     logger.debug("Destination wallet balance updated", {
@@ -2152,18 +2170,16 @@ exports.withdrawInvestment = async (req, res, next) => {
     // Calculate conversion rate
     const conversionRate =
       investment.currency !== destinationWallet.currency
-        ? parseFloat(convertedAmount.toString()) / actualWithdrawalAmount
+        ? money.toNumber(money.divide(convertedAmount, actualWithdrawalAmount))
         : 1;
 
     // Create InvestmentTransaction (debit)
     const investmentTransaction = new InvestmentTransaction({
       user: req.user._id,
       type: "debit",
-      amount: mongoose.Types.Decimal128.fromString(withdrawalAmount.toString()),
+      amount: withdrawalAmount,
       currency: investment.currency,
-      sourceAmount: mongoose.Types.Decimal128.fromString(
-        withdrawalAmount.toString()
-      ),
+      sourceAmount: withdrawalAmount,
       source: investment._id,
       sourceType: "UserInvestment",
       sourceCurrency: investment.currency,
@@ -2173,7 +2189,7 @@ exports.withdrawInvestment = async (req, res, next) => {
       description: `${
         isFullWithdrawal ? "Full liquidation" : "Partial withdrawal"
       } from investment${!maturityReached ? " before maturity" : ""}${
-        fee > 0 ? ` (fee: ${fee.toFixed(8)} ${investment.currency})` : ""
+        money.isPositive(fee) ? ` (fee: ${fee} ${investment.currency})` : ""
       }`,
       status: "completed",
       reference: `${reference}-DEBIT`,
@@ -2194,10 +2210,11 @@ exports.withdrawInvestment = async (req, res, next) => {
       beneficiaryType: "Wallet",
       beneficiaryCurrency: destinationWallet.currency,
       conversionRate,
+      rateSnapshot: rateSnapshotId,
       description: `${
         isFullWithdrawal ? "Full liquidation" : "Partial withdrawal"
       } from investment${!maturityReached ? " before maturity" : ""}${
-        fee > 0 ? ` (fee: ${fee.toFixed(8)} ${investment.currency})` : ""
+        money.isPositive(fee) ? ` (fee: ${fee} ${investment.currency})` : ""
       }`,
       status: "completed",
       reference: `${reference}-CREDIT`,
@@ -2208,6 +2225,31 @@ exports.withdrawInvestment = async (req, res, next) => {
 
     await walletTransaction.save({ session });
 
+    // Whatever left the investment but wasn't paid out is booked as the fee,
+    // including the rounding left behind by a full liquidation
+    const valueWithdrawn = money.subtract(
+      oldInvestmentValue,
+      investment.currentValue
+    );
+
+    await ledgerService.postMovement({
+      reference,
+      category: "investment_withdrawal",
+      from: { type: "UserInvestment", entity: investment },
+      to: { type: "Wallet", entity: destinationWallet },
+      amount: valueWithdrawn,
+      currency: investment.currency,
+      convertedAmount,
+      destinationCurrency: destinationWallet.currency,
+      fee: money.subtract(valueWithdrawn, actualWithdrawalAmount),
+      description: investmentTransaction.description,
+      metadata: {
+        investmentTransaction: investmentTransaction._id,
+        walletTransaction: walletTransaction._id,
+      },
+      session,
+    });
+
     // Add transaction to investment
     if (!investment.transactions) {
       investment.transactions = [];
@@ -2238,8 +2280,8 @@ exports.withdrawInvestment = async (req, res, next) => {
         investmentTransactionId: investmentTransaction._id,
         walletTransactionId: walletTransaction._id,
         withdrawalAmount: withdrawalAmount.toString(),
-        fee: fee.toFixed(8),
-        actualWithdrawalAmount: actualWithdrawalAmount.toFixed(8),
+        fee,
+        actualWithdrawalAmount,
         convertedAmount: convertedAmount.toString(),
         previousValue: investment.previousValue.toString(),
         remainingValue: investment.currentValue.toString(),
@@ -2275,8 +2317,8 @@ exports.withdrawInvestment = async (req, res, next) => {
         },
         withdrawal: {
           requestedAmount: withdrawalAmount.toString(),
-          fee: fee.toFixed(8),
-          actualAmount: actualWithdrawalAmount.toFixed(8),
+          fee,
+          actualAmount: actualWithdrawalAmount,
           convertedAmount: convertedAmount.toString(),
           currency: destinationWallet.currency,
         },
@@ -2343,7 +2385,7 @@ exports.getInvestmentTransactions = async (req, res, next) => {
     const query = { user: req.user._id };
 
     // Add type filter if provided
-    if (type && ["investment", "return"].includes(type)) {
+    if (type && ["investment", "return", "fee"].includes(type)) {
       query.type = type;
     }
 
@@ -2441,6 +2483,7 @@ exports.getInvestmentDetails = async (req, res, next) => {
       user: req.user._id,
     })
       .populate("plan")
+      .populate("planVersion")
       .populate("source")
       .populate({
         path: "transactions",
@@ -2638,13 +2681,16 @@ exports.cancelInvestment = async (req, res) => {
 
     // Convert currency if needed for refund
     let refundAmount = investment.amount;
+    let rateSnapshotId = null;
     try {
       if (investment.currency !== destinationWallet.currency) {
-        refundAmount = await convertCurrency(
+        const conversion = await exchangeRateService.convert(
           investment.amount,
           investment.currency,
           destinationWallet.currency
         );
+        refundAmount = conversion.amount;
+        rateSnapshotId = conversion.snapshotId;
 
         logger.debug("Currency conversion for cancellation refund", {
           userId: req.user._id,
@@ -2681,11 +2727,9 @@ exports.cancelInvestment = async (req, res) => {
 
     // Credit the wallet with the original investment amount
     const oldWalletBalance = destinationWallet.balance.toString();
-    destinationWallet.balance = mongoose.Types.Decimal128.fromString(
-      (
-        parseFloat(destinationWallet.balance.toString()) +
-        parseFloat(refundAmount.toString())
-      ).toFixed(8)
+    destinationWallet.balance = money.toDecimal128(
+      money.add(destinationWallet.balance, refundAmount),
+      destinationWallet.currency
     );
 
     logger.debug("Crediting wallet for cancellation refund", {
@@ -2736,8 +2780,9 @@ exports.cancelInvestment = async (req, res) => {
       beneficiaryCurrency: destinationWallet.currency,
       conversionRate: 
         investment.currency !== destinationWallet.currency
-          ? parseFloat(refundAmount.toString()) / parseFloat(investment.amount.toString())
+          ? money.toNumber(money.divide(refundAmount, investment.amount))
           : 1,
+      rateSnapshot: rateSnapshotId,
       description: `Refund from cancelled investment in ${investment.plan.name}`,
       status: "completed",
       reference: `${reference}-WALLET`,
@@ -2748,6 +2793,45 @@ exports.cancelInvestment = async (req, res) => {
 
     await walletTransaction.save({ session });
 
+    // Growth is forfeited (and losses made good): only the principal is refunded
+    const forfeitedGrowth = money.subtract(
+      investment.currentValue,
+      investment.amount
+    );
+    const investmentAccount = { type: "UserInvestment", entity: investment };
+
+    await ledgerService.postMovement({
+      reference,
+      category: "investment_cancellation",
+      from: money.isPositive(forfeitedGrowth)
+        ? investmentAccount
+        : "investment_growth",
+      to: money.isPositive(forfeitedGrowth)
+        ? "investment_growth"
+        : investmentAccount,
+      amount: money.abs(forfeitedGrowth),
+      currency: investment.currency,
+      description: `Growth reversed on cancelled investment in ${investment.plan.name}`,
+      session,
+    });
+
+    await ledgerService.postMovement({
+      reference,
+      category: "investment_cancellation",
+      from: investmentAccount,
+      to: { type: "Wallet", entity: destinationWallet },
+      amount: investment.amount,
+      currency: investment.currency,
+      convertedAmount: refundAmount,
+      destinationCurrency: destinationWallet.currency,
+      description: walletTransaction.description,
+      metadata: {
+        investmentTransaction: investmentTransaction._id,
+        walletTransaction: walletTransaction._id,
+      },
+      session,
+    });
+
     // Add transaction to investment
     if (!investment.transactions) {
       investment.transactions = [];
@@ -2767,7 +2851,7 @@ exports.cancelInvestment = async (req, res) => {
     await notificationService.createNotification(
       req.user._id,
       "Investment Cancelled",
-      `Your investment in ${investment.plan.name} has been cancelled. ${parseFloat(refundAmount.toString()).toFixed(2)} ${destinationWallet.currency} has been refunded to your wallet.`,
+      `Your investment in ${investment.plan.name} has been cancelled. ${money.round(refundAmount, destinationWallet.currency)} ${destinationWallet.currency} has been refunded to your wallet.`,
       "investment",
       {
         investmentId: investment._id,
@@ -2857,4 +2941,179 @@ exports.cancelInvestment = async (req, res) => {
   }
 }
 
+/**
+ * @desc    Choose what happens to an investment at maturity
+ * @route   PUT /api/investments/:id/maturity-instruction
+ * @access  Private
+ */
+exports.setMaturityInstruction = async (req, res) => {
+  try {
+    const maturityInstruction = await investmentMaturityService.setInstruction(
+      req.user._id,
+      req.params.id,
+      req.body
+    );
+
+    return apiResponse.success(
+      res,
+      200,
+      "Maturity Instruction Saved",
+      "Your maturity instruction has been saved",
+      { maturityInstruction }
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      return apiResponse.error(
+        res,
+        error.statusCode,
+        "Maturity Instruction Failed",
+        error.message,
+        error.errorCode
+      );
+    }
+
+    logger.error("Error saving maturity instruction", {
+      userId: req.user._id,
+      investmentId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Maturity Instruction Failed",
+      "Error saving maturity instruction",
+      "MATURITY_INSTRUCTION_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Settle every investment past maturity now
+ * @route   POST /api/investments/process-maturities
+ * @access  Private/Admin
+ */
+exports.processMaturities = async (req, res) => {
+  try {
+    const results = await investmentMaturityService.processDue(new Date());
+
+    logger.info("Investment maturities processed", {
+      userId: req.user._id,
+      requestId: req.id,
+      ...results,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Maturities Processed",
+      `${results.settled} matured investment(s) settled`,
+      results
+    );
+  } catch (error) {
+    logger.error("Error processing investment maturities", {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Processing Failed",
+      "Error processing investment maturities",
+      "MATURITY_PROCESSING_ERROR"
+    );
+  }
+};
+
+/**
+ * Build a route handler that recomputes an investment's growth from its inputs
+ * @param {Object} options - Handler options
+ * @param {boolean} options.isAdmin - Whether the caller may audit any investment
+ * @returns {Function} - Express route handler
+ */
+const createGrowthAuditHandler =
+  ({ isAdmin }) =>
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const investment = mongoose.isValidObjectId(id)
+        ? await UserInvestment.findOne(
+            isAdmin ? { _id: id } : { _id: id, user: req.user._id }
+          )
+        : null;
+
+      if (!investment) {
+        return apiResponse.notFound(res, "Investment not found");
+      }
+
+      const audit = await growthModelService.audit(investment);
+
+      logger.info("Investment growth audited", {
+        userId: req.user._id,
+        requestId: req.id,
+        investmentId: investment._id,
+        model: audit.inputs.name,
+        consistent: audit.consistent,
+        mismatchedDays: audit.mismatchedDays.length,
+      });
+
+      return apiResponse.success(
+        res,
+        200,
+        "Growth Audit",
+        audit.consistent
+          ? "The investment's growth matches its inputs"
+          : "The investment's growth doesn't match its inputs",
+        { investmentId: investment._id, ...audit }
+      );
+    } catch (error) {
+      if (error instanceof AppError) {
+        return apiResponse.error(
+          res,
+          error.statusCode,
+          "Growth Audit Failed",
+          error.message,
+          error.errorCode
+        );
+      }
+
+      logger.error("Error auditing investment growth", {
+        userId: req.user._id,
+        investmentId: req.params.id,
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+
+      return apiResponse.error(
+        res,
+        500,
+        "Growth Audit Failed",
+        "Error auditing investment growth",
+        "GROWTH_AUDIT_ERROR"
+      );
+    }
+  };
+
+/**
+ * @desc    Recompute one of the user's investments' growth from its inputs
+ * @route   GET /api/investments/:id/growth-audit
+ * @access  Private
+ */
+exports.auditInvestmentGrowth = createGrowthAuditHandler({ isAdmin: false });
+
+/**
+ * @desc    Recompute any investment's growth from its inputs
+ * @route   GET /api/investments/admin/:id/growth-audit
+ * @access  Private/Admin
+ */
+exports.adminAuditInvestmentGrowth = createGrowthAuditHandler({
+  isAdmin: true,
+});
+
 module.exports = exports;
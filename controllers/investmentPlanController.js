@@ -0,0 +1,221 @@
+const investmentPlanService = require("../services/investmentPlanService");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const AppError = require("../utils/error");
+
+/**
+ * Respond to a failed plan administration request
+ * Rejections raised by the service are the caller's to fix and are passed through;
+ * anything else is logged and reported as a server error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - What went wrong
+ * @param {Object} options - `{ title, log, message, errorCode }` for unexpected errors
+ */
+const handleError = (req, res, error, { title, log, message, errorCode }) => {
+  if (error instanceof AppError) {
+    return apiResponse.error(
+      res,
+      error.statusCode,
+      title,
+      error.message,
+      error.errorCode
+    );
+  }
+
+  logger.error(log, {
+    userId: req.user._id,
+    requestId: req.id,
+    planId: req.params.id,
+    error: error.message,
+    stack: error.stack,
+  });
+
+  return apiResponse.error(res, 500, title, message, errorCode);
+};
+
+/**
+ * @desc    List investment plans, retired ones included
+ * @route   GET /api/v1/investments/admin/plans
+ * @access  Private/Admin
+ */
+exports.listPlans = async (req, res) => {
+  try {
+    const { plans, pagination } = await investmentPlanService.list(req.query);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Investment Plans Retrieved",
+      `${pagination.totalCount} investment plan(s) found`,
+      { plans, pagination }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plans Retrieval Failed",
+      log: "Error listing investment plans",
+      message: "An error occurred while fetching investment plans",
+      errorCode: "PLANS_FETCH_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Get an investment plan with every version of its terms
+ * @route   GET /api/v1/investments/admin/plans/:id
+ * @access  Private/Admin
+ */
+exports.getPlan = async (req, res) => {
+  try {
+    const { plan, versions } = await investmentPlanService.get(req.params.id);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Investment Plan Retrieved",
+      `${plan.name} is on version ${plan.version}`,
+      { plan, versions }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plan Retrieval Failed",
+      log: "Error fetching investment plan",
+      message: "An error occurred while fetching the investment plan",
+      errorCode: "PLAN_FETCH_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Create an investment plan
+ * @route   POST /api/v1/investments/admin/plans
+ * @access  Private/Admin
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const plan = await investmentPlanService.create(req.body, req.user);
+
+    return apiResponse.created(
+      res,
+      "Investment Plan Created",
+      `${plan.name} is open for investment`,
+      { plan }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plan Creation Failed",
+      log: "Error creating investment plan",
+      message: "An error occurred while creating the investment plan",
+      errorCode: "PLAN_CREATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Change an investment plan; existing investments keep their terms
+ * @route   PATCH /api/v1/investments/admin/plans/:id
+ * @access  Private/Admin
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    const { plan, versioned } = await investmentPlanService.update(
+      req.params.id,
+      req.body,
+      req.user
+    );
+
+    return apiResponse.success(
+      res,
+      200,
+      "Investment Plan Updated",
+      versioned
+        ? `New investments in ${plan.name} get the terms of version ${plan.version}`
+        : `${plan.name} has been updated`,
+      { plan, versioned }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plan Update Failed",
+      log: "Error updating investment plan",
+      message: "An error occurred while updating the investment plan",
+      errorCode: "PLAN_UPDATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Close an investment plan to new investments
+ * @route   POST /api/v1/investments/admin/plans/:id/retire
+ * @access  Private/Admin
+ */
+exports.retirePlan = async (req, res) => {
+  try {
+    const plan = await investmentPlanService.retire(req.params.id, req.user);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Investment Plan Retired",
+      `${plan.name} is closed to new investments; ${plan.liveInvestments} live investment(s) continue as bought`,
+      { plan }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plan Retirement Failed",
+      log: "Error retiring investment plan",
+      message: "An error occurred while retiring the investment plan",
+      errorCode: "PLAN_RETIRE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Open a retired investment plan to new investments again
+ * @route   POST /api/v1/investments/admin/plans/:id/reinstate
+ * @access  Private/Admin
+ */
+exports.reinstatePlan = async (req, res) => {
+  try {
+    const plan = await investmentPlanService.reinstate(req.params.id, req.user);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Investment Plan Reinstated",
+      `${plan.name} is open for investment again`,
+      { plan }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plan Reinstatement Failed",
+      log: "Error reinstating investment plan",
+      message: "An error occurred while reinstating the investment plan",
+      errorCode: "PLAN_REINSTATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Delete an investment plan nobody has invested in
+ * @route   DELETE /api/v1/investments/admin/plans/:id
+ * @access  Private/Admin
+ */
+exports.deletePlan = async (req, res) => {
+  try {
+    await investmentPlanService.remove(req.params.id, req.user);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Investment Plan Deleted",
+      "The investment plan has been deleted"
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Plan Deletion Failed",
+      log: "Error deleting investment plan",
+      message: "An error occurred while deleting the investment plan",
+      errorCode: "PLAN_DELETE_ERROR",
+    });
+  }
+};
@@ -0,0 +1,145 @@
+const ledgerService = require("../services/ledgerService");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+
+/**
+ * @desc    Recompute balances from the ledger and report drift
+ * @route   GET /api/v1/ledger/reconciliation
+ * @access  Private, Admin only
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const { type, tolerance } = req.query;
+
+    const report = await ledgerService.reconcile({
+      types: type ? [type] : undefined,
+      tolerance,
+    });
+
+    logger.info("Ledger reconciliation requested", {
+      userId: req.user._id,
+      requestId: req.id,
+      type,
+      checked: report.checked,
+      drifted: report.drifted,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Reconciliation Complete",
+      report.drifted === 0
+        ? `All ${report.checked} balances match the ledger`
+        : `${report.drifted} of ${report.checked} balances differ from the ledger`,
+      report
+    );
+  } catch (error) {
+    logger.error("Error reconciling ledger", {
+      userId: req.user._id,
+      requestId: req.id,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Reconciliation Failed",
+      "An error occurred while reconciling the ledger",
+      "LEDGER_RECONCILIATION_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Post opening balances for accounts that predate the ledger
+ * @route   POST /api/v1/ledger/opening-balances
+ * @access  Private, Admin only
+ */
+exports.recordOpeningBalances = async (req, res) => {
+  try {
+    const { types } = req.body;
+
+    const result = await ledgerService.recordOpeningBalances({ types });
+
+    logger.info("Ledger opening balances requested", {
+      userId: req.user._id,
+      requestId: req.id,
+      types,
+      ...result,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Opening Balances Recorded",
+      `Opened ${result.opened} accounts on the ledger`,
+      result
+    );
+  } catch (error) {
+    logger.error("Error recording opening balances", {
+      userId: req.user._id,
+      requestId: req.id,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Opening Balances Failed",
+      "An error occurred while recording opening balances",
+      "LEDGER_OPENING_BALANCE_ERROR"
+    );
+  }
+};
+
+/**
+ * @desc    Get the ledger entries of one account
+ * @route   GET /api/v1/ledger/entries
+ * @access  Private, Admin only
+ */
+exports.getAccountEntries = async (req, res) => {
+  try {
+    const { accountType, account, page, limit } = req.query;
+
+    const { entries, balances, total } = await ledgerService.getAccountEntries(
+      accountType,
+      account,
+      { page, limit }
+    );
+
+    return apiResponse.success(
+      res,
+      200,
+      "Ledger Entries Fetched",
+      `Found ${total} ledger entries`,
+      { accountType, account, balances, entries },
+      {
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      }
+    );
+  } catch (error) {
+    logger.error("Error fetching ledger entries", {
+      userId: req.user._id,
+      requestId: req.id,
+      accountType: req.query.accountType,
+      account: req.query.account,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Ledger Entries Failed",
+      "An error occurred while fetching ledger entries",
+      "LEDGER_ENTRIES_ERROR"
+    );
+  }
+};
@@ -0,0 +1,255 @@
+const scheduledTransferService = require("../services/scheduledTransferService");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const AppError = require("../utils/error");
+
+/**
+ * Respond to a failed scheduled transfer request
+ * Rejections raised by the service are the caller's to fix and are passed through;
+ * anything else is logged and reported as a server error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - What went wrong
+ * @param {Object} options - `{ title, log, message, errorCode }` for unexpected errors
+ */
+const handleError = (req, res, error, { title, log, message, errorCode }) => {
+  if (error instanceof AppError) {
+    return apiResponse.error(
+      res,
+      error.statusCode,
+      title,
+      error.message,
+      error.errorCode
+    );
+  }
+
+  logger.error(log, {
+    userId: req.user._id,
+    requestId: req.id,
+    scheduledTransferId: req.params.id,
+    error: error.message,
+    stack: error.stack,
+  });
+
+  return apiResponse.error(res, 500, title, message, errorCode);
+};
+
+/**
+ * @desc    Schedule a one-off or recurring transfer
+ * @route   POST /api/v1/scheduled-transfers
+ * @access  Private
+ */
+exports.createScheduledTransfer = async (req, res) => {
+  try {
+    const { sourceType, sourceId, destinationType, destinationId, ...fields } =
+      req.body;
+
+    const schedule = await scheduledTransferService.create(req.user._id, {
+      source: { type: sourceType, id: sourceId },
+      destination: { type: destinationType, id: destinationId },
+      ...fields,
+    });
+
+    logger.info("Scheduled transfer created", {
+      userId: req.user._id,
+      requestId: req.id,
+      scheduledTransferId: schedule._id,
+      frequency: schedule.frequency,
+      nextRunAt: schedule.nextRunAt,
+    });
+
+    return apiResponse.created(
+      res,
+      "Transfer Scheduled",
+      `Your transfer will run on ${schedule.nextRunAt.toISOString()}`,
+      { scheduledTransfer: schedule }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Scheduling Failed",
+      log: "Error scheduling transfer",
+      message: "An error occurred while scheduling the transfer",
+      errorCode: "SCHEDULED_TRANSFER_CREATE_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    List the user's scheduled transfers
+ * @route   GET /api/v1/scheduled-transfers
+ * @access  Private
+ */
+exports.getScheduledTransfers = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const { schedules, total } = await scheduledTransferService.list(
+      req.user._id,
+      { status, page, limit }
+    );
+
+    return apiResponse.success(
+      res,
+      200,
+      "Scheduled Transfers Fetched",
+      `Found ${total} scheduled transfers`,
+      { scheduledTransfers: schedules },
+      {
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Fetch Failed",
+      log: "Error fetching scheduled transfers",
+      message: "An error occurred while fetching scheduled transfers",
+      errorCode: "SCHEDULED_TRANSFER_FETCH_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Get a scheduled transfer with its recent runs
+ * @route   GET /api/v1/scheduled-transfers/:id
+ * @access  Private
+ */
+exports.getScheduledTransfer = async (req, res) => {
+  try {
+    const schedule = await scheduledTransferService.get(
+      req.user._id,
+      req.params.id
+    );
+
+    return apiResponse.success(
+      res,
+      200,
+      "Scheduled Transfer Fetched",
+      "Scheduled transfer retrieved successfully",
+      { scheduledTransfer: schedule }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Fetch Failed",
+      log: "Error fetching scheduled transfer",
+      message: "An error occurred while fetching the scheduled transfer",
+      errorCode: "SCHEDULED_TRANSFER_FETCH_ERROR",
+    });
+  }
+};
+
+/**
+ * @desc    Edit a scheduled transfer
+ * @route   PATCH /api/v1/scheduled-transfers/:id
+ * @access  Private
+ */
+exports.updateScheduledTransfer = async (req, res) => {
+  try {
+    const schedule = await scheduledTransferService.update(
+      req.user._id,
+      req.params.id,
+      req.body
+    );
+
+    logger.info("Scheduled transfer updated", {
+      userId: req.user._id,
+      requestId: req.id,
+      scheduledTransferId: schedule._id,
+      fields: Object.keys(req.body),
+      nextRunAt: schedule.nextRunAt,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Scheduled Transfer Updated",
+      "Scheduled transfer updated successfully",
+      { scheduledTransfer: schedule }
+    );
+  } catch (error) {
+    return handleError(req, res, error, {
+      title: "Update Failed",
+      log: "Error updating scheduled transfer",
+      message: "An error occurred while updating the scheduled transfer",
+      errorCode: "SCHEDULED_TRANSFER_UPDATE_ERROR",
+    });
+  }
+};
+
+/**
+ * Build a handler that moves a schedule to another status
+ * @param {Object} options - Handler options
+ * @param {string} options.action - Service method ("pause", "resume" or "cancel")
+ * @param {string} options.title - Success response title
+ * @param {string} options.message - Success response message
+ * @param {string} options.errorTitle - Failure response title
+ * @returns {Function} - Express route handler
+ */
+const createStatusHandler =
+  ({ action, title, message, errorTitle }) =>
+  async (req, res) => {
+    try {
+      const schedule = await scheduledTransferService[action](
+        req.user._id,
+        req.params.id
+      );
+
+      logger.info(`Scheduled transfer ${action} requested`, {
+        userId: req.user._id,
+        requestId: req.id,
+        scheduledTransferId: schedule._id,
+        status: schedule.status,
+      });
+
+      return apiResponse.success(res, 200, title, message, {
+        scheduledTransfer: schedule,
+      });
+    } catch (error) {
+      return handleError(req, res, error, {
+        title: errorTitle,
+        log: `Error trying to ${action} scheduled transfer`,
+        message: `An error occurred while trying to ${action} the scheduled transfer`,
+        errorCode: `SCHEDULED_TRANSFER_${action.toUpperCase()}_ERROR`,
+      });
+    }
+  };
+
+/**
+ * @desc    Pause a scheduled transfer
+ * @route   POST /api/v1/scheduled-transfers/:id/pause
+ * @access  Private
+ */
+exports.pauseScheduledTransfer = createStatusHandler({
+  action: "pause",
+  title: "Scheduled Transfer Paused",
+  message: "The scheduled transfer won't run until it is resumed",
+  errorTitle: "Pause Failed",
+});
+
+/**
+ * @desc    Resume a paused scheduled transfer
+ * @route   POST /api/v1/scheduled-transfers/:id/resume
+ * @access  Private
+ */
+exports.resumeScheduledTransfer = createStatusHandler({
+  action: "resume",
+  title: "Scheduled Transfer Resumed",
+  message: "The scheduled transfer will run again from its next date",
+  errorTitle: "Resume Failed",
+});
+
+/**
+ * @desc    Cancel a scheduled transfer
+ * @route   DELETE /api/v1/scheduled-transfers/:id
+ * @access  Private
+ */
+exports.cancelScheduledTransfer = createStatusHandler({
+  action: "cancel",
+  title: "Scheduled Transfer Cancelled",
+  message: "The scheduled transfer has been cancelled",
+  errorTitle: "Cancellation Failed",
+});
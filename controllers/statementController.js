@@ -0,0 +1,85 @@
+const statementService = require("../services/statementService");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const AppError = require("../utils/error");
+
+// Route segment to the model a statement is built from
+const SOURCE_TYPES = {
+  account: "Account",
+  card: "Card",
+  wallet: "Wallet",
+};
+
+/**
+ * @desc    Get a statement for an account, card or wallet
+ * @route   GET /api/v1/statements/:sourceType/:id
+ * @access  Private
+ */
+exports.getStatement = async (req, res) => {
+  const { sourceType, id } = req.params;
+  const { format, month, preset, from, to } = req.query;
+
+  try {
+    const statement = await statementService.generate(
+      req.user._id,
+      { type: SOURCE_TYPES[sourceType], id },
+      { month, preset, from, to }
+    );
+
+    logger.info("Statement generated", {
+      userId: req.user._id,
+      requestId: req.id,
+      sourceType,
+      sourceId: id,
+      period: statement.period.label,
+      transactions: statement.totals.transactions,
+      format,
+    });
+
+    if (format === "json") {
+      return apiResponse.success(
+        res,
+        200,
+        "Statement Generated",
+        `Statement for ${statement.period.label}`,
+        { statement }
+      );
+    }
+
+    const file = statementService.render(statement, format);
+
+    res.set({
+      "Content-Type": file.contentType,
+      "Content-Disposition": `attachment; filename="${file.filename}"`,
+      "Cache-Control": "no-store",
+    });
+    return res.status(200).send(file.body);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return apiResponse.error(
+        res,
+        error.statusCode,
+        "Statement Failed",
+        error.message,
+        error.errorCode
+      );
+    }
+
+    logger.error("Error generating statement", {
+      userId: req.user._id,
+      requestId: req.id,
+      sourceType,
+      sourceId: id,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Statement Failed",
+      "An error occurred while generating the statement",
+      "STATEMENT_ERROR"
+    );
+  }
+};
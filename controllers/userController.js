@@ -18,6 +18,18 @@ const {
   sendEmailChangeRejection,
 } = require("../services/emailService");
 const notificationService = require("../services/notificationService");
+const authService = require("../services/authService");
+const sessionService = require("../services/sessionService");
+const insightsService = require("../services/insightsService");
+const kycService = require("../services/kycService");
+const limitsService = require("../services/limitsService");
+const AppError = require("../utils/error");
+const totp = require("../utils/totp");
+const { encrypt, decrypt, isEncrypted } = require("../utils/fieldEncryption");
+const money = require("../utils/money");
+
+const CLAMPED_LIMITS_MESSAGE =
+  "Your limits have been updated. Some were lowered to the most your verification level allows";
 
 const profileUtils = {
   /**
@@ -1343,6 +1355,40 @@ exports.updatePassword = async (req, res) => {
   }
 };
 
+/**
+ * Get transfer limits for the user's verification tier and what's left of them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getLimits = async (req, res) => {
+  try {
+    const limits = await limitsService.getLimits(req.user);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Transfer Limits",
+      "Transfer limits retrieved successfully",
+      limits
+    );
+  } catch (error) {
+    logger.error("Error retrieving transfer limits", {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Transfer Limits Failed",
+      "An error occurred while retrieving your transfer limits",
+      "LIMITS_ERROR"
+    );
+  }
+};
+
 /**
  * Update account transfer limits
  * @param {Object} req - Express request object
@@ -1430,18 +1476,25 @@ exports.updateAccountTransferLimits = async (req, res) => {
       newLimitPerTransaction: limitPerTransaction,
     });
 
+    // Nothing above the user's verification tier allows
+    const { limits: allowed, clamped } = await limitsService.clamp(
+      req.user,
+      "account",
+      { daily: dailyLimit, perTransaction: limitPerTransaction }
+    );
+
     // Update only the provided limits - directly on the account object for atomicity
     let isModified = false;
     const updatedFields = [];
 
-    if (dailyLimit !== undefined) {
-      account.limits.dailyTransfer = dailyLimit;
+    if (allowed.daily !== undefined) {
+      account.limits.dailyTransfer = allowed.daily;
       updatedFields.push("dailyTransfer");
       isModified = true;
     }
 
-    if (limitPerTransaction !== undefined) {
-      account.limits.maxTransferPerTransaction = limitPerTransaction;
+    if (allowed.perTransaction !== undefined) {
+      account.limits.maxTransferPerTransaction = allowed.perTransaction;
       updatedFields.push("maxTransferPerTransaction");
       isModified = true;
     }
@@ -1488,17 +1541,16 @@ exports.updateAccountTransferLimits = async (req, res) => {
       res,
       200,
       "Account transfer limits updated successfully",
-      "Your account transfer limits have been updated",
+      clamped.length
+        ? CLAMPED_LIMITS_MESSAGE
+        : "Your account transfer limits have been updated",
       {
         accountId,
         updatedLimits: {
-          dailyTransfer:
-            dailyLimit !== undefined ? dailyLimit : originalDailyLimit,
-          maxTransferPerTransaction:
-            limitPerTransaction !== undefined
-              ? limitPerTransaction
-              : originalLimitPerTransaction,
+          dailyTransfer: account.limits.dailyTransfer,
+          maxTransferPerTransaction: account.limits.maxTransferPerTransaction,
         },
+        clamped,
       }
     );
   } catch (error) {
@@ -1607,30 +1659,45 @@ exports.updateCardLimits = async (req, res) => {
       },
     });
 
+    // Nothing above the user's verification tier allows for cards
+    const transfer = await limitsService.clamp(req.user, "card", {
+      daily: dailyTransferLimit,
+      perTransaction: maxTransferPerTransaction,
+    });
+    const withdrawal = await limitsService.clamp(req.user, "card", {
+      daily: dailyWithdrawalLimit,
+      perTransaction: maxWithdrawalPerTransaction,
+    });
+    const clamped = [
+      ...transfer.clamped.map((window) => `${window}Transfer`),
+      ...withdrawal.clamped.map((window) => `${window}Withdrawal`),
+    ];
+
     // Update only the provided limits - directly on the card object for atomicity
     let isModified = false;
     const updatedFields = [];
 
-    if (dailyTransferLimit !== undefined) {
-      card.limits.dailyTransfer = dailyTransferLimit;
+    if (transfer.limits.daily !== undefined) {
+      card.limits.dailyTransfer = transfer.limits.daily;
       updatedFields.push("dailyTransfer");
       isModified = true;
     }
 
-    if (maxTransferPerTransaction !== undefined) {
-      card.limits.maxTransferPerTransaction = maxTransferPerTransaction;
+    if (transfer.limits.perTransaction !== undefined) {
+      card.limits.maxTransferPerTransaction = transfer.limits.perTransaction;
       updatedFields.push("maxTransferPerTransaction");
       isModified = true;
     }
 
-    if (dailyWithdrawalLimit !== undefined) {
-      card.limits.dailyWithdrawal = dailyWithdrawalLimit;
+    if (withdrawal.limits.daily !== undefined) {
+      card.limits.dailyWithdrawal = withdrawal.limits.daily;
       updatedFields.push("dailyWithdrawal");
       isModified = true;
     }
 
-    if (maxWithdrawalPerTransaction !== undefined) {
-      card.limits.maxWithdrawalPerTransaction = maxWithdrawalPerTransaction;
+    if (withdrawal.limits.perTransaction !== undefined) {
+      card.limits.maxWithdrawalPerTransaction =
+        withdrawal.limits.perTransaction;
       updatedFields.push("maxWithdrawalPerTransaction");
       isModified = true;
     }
@@ -1673,10 +1740,13 @@ exports.updateCardLimits = async (req, res) => {
       res,
       200,
       "Card limits updated successfully",
-      "Your card limits have been updated",
+      clamped.length
+        ? CLAMPED_LIMITS_MESSAGE
+        : "Your card limits have been updated",
       {
         cardId,
         updatedLimits,
+        clamped,
       }
     );
   } catch (error) {
@@ -1778,18 +1848,29 @@ exports.updateWalletLimits = async (req, res) => {
       },
     });
 
+    // Nothing above the user's verification tier allows
+    const { limits: allowed, clamped } = await limitsService.clamp(
+      req.user,
+      "wallet_withdrawal",
+      {
+        daily: dailyWithdrawalLimit,
+        perTransaction: maxWithdrawalPerTransaction,
+      },
+      wallet.currency
+    );
+
     // Update only the provided limits - directly on the wallet object for atomicity
     let isModified = false;
     const updatedFields = [];
 
-    if (dailyWithdrawalLimit !== undefined) {
-      wallet.limits.dailyWithdrawal = dailyWithdrawalLimit;
+    if (allowed.daily !== undefined) {
+      wallet.limits.dailyWithdrawal = allowed.daily;
       updatedFields.push("dailyWithdrawal");
       isModified = true;
     }
 
-    if (maxWithdrawalPerTransaction !== undefined) {
-      wallet.limits.maxWithdrawalPerTransaction = maxWithdrawalPerTransaction;
+    if (allowed.perTransaction !== undefined) {
+      wallet.limits.maxWithdrawalPerTransaction = allowed.perTransaction;
       updatedFields.push("maxWithdrawalPerTransaction");
       isModified = true;
     }
@@ -1830,10 +1911,13 @@ exports.updateWalletLimits = async (req, res) => {
       res,
       200,
       "Wallet limits updated successfully",
-      "Your wallet limits have been updated",
+      clamped.length
+        ? CLAMPED_LIMITS_MESSAGE
+        : "Your wallet limits have been updated",
       {
         walletId,
         updatedLimits,
+        clamped,
       }
     );
   } catch (error) {
@@ -4498,15 +4582,13 @@ exports.getDashboard = async (req, res) => {
     }
 
     // Get total balance across all accounts
-    const totalAccountBalance = user.accounts.reduce(
-      (total, account) => total + account.availableBalance,
-      0
+    const totalAccountBalance = money.add(
+      ...user.accounts.map((account) => account.availableBalance)
     );
 
     // Get total balance across all cards
-    const totalCardBalance = user.cards.reduce(
-      (total, card) => total + card.availableBalance,
-      0
+    const totalCardBalance = money.add(
+      ...user.cards.map((card) => card.availableBalance)
     );
 
     // Get upcoming bills
@@ -4549,6 +4631,9 @@ exports.getDashboard = async (req, res) => {
       .populate("sourceId", "name bank type currency")
       .populate("destinationId", "name bank type currency");
 
+    // This month's spending at a glance
+    const spending = await insightsService.getSummary(req.user._id);
+
     logger.info("User dashboard retrieved", {
       userId: user._id,
       requestId: req.id,
@@ -4584,6 +4669,7 @@ exports.getDashboard = async (req, res) => {
           list: investments.investments || [],
         },
         recentTransactions,
+        spending,
       }
     );
   } catch (error) {
@@ -4599,78 +4685,221 @@ exports.getDashboard = async (req, res) => {
 };
 
 /**
- * Get user KYC status
+ * Respond to a failed KYC request
+ * Rejections raised by the KYC service are passed through; anything else is
+ * logged and reported as a server error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - What went wrong
+ * @param {Object} options - `{ title, log, message, errorCode }` for unexpected errors
+ */
+const handleKycError = (
+  req,
+  res,
+  error,
+  { title, log, message, errorCode }
+) => {
+  if (error instanceof AppError) {
+    return apiResponse.error(
+      res,
+      error.statusCode,
+      title,
+      error.message,
+      error.errorCode
+    );
+  }
+
+  logger.error(log, {
+    userId: req.user._id,
+    submissionId: req.params.submissionId,
+    error: error.message,
+    stack: error.stack,
+    requestId: req.id,
+  });
+
+  return apiResponse.error(res, 500, title, message, errorCode);
+};
+
+/**
+ * Get user KYC status with the latest submission
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.getKycStatus = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select("kycStatus");
+    const status = await kycService.getStatus(req.user._id);
 
-    if (!user) {
-      return apiResponse.notFound(res, "User not found");
-    }
-
-    return apiResponse.success(res, 200, "KYC status retrieved successfully", {
-      kycStatus: user.kycStatus,
-    });
+    return apiResponse.success(
+      res,
+      200,
+      "KYC Status",
+      "KYC status retrieved successfully",
+      status
+    );
   } catch (error) {
-    logger.error("Error retrieving KYC status", {
+    return handleKycError(req, res, error, {
+      title: "KYC Status Failed",
+      log: "Error retrieving KYC status",
+      message: "An error occurred while retrieving your KYC status",
+      errorCode: "KYC_STATUS_ERROR",
+    });
+  }
+};
+
+/**
+ * Submit KYC details and ID document photos for review
+ * A selfie (selfieImage) is optional and requests full verification.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateKyc = async (req, res) => {
+  try {
+    const submission = await kycService.submit(
+      req.user,
+      req.body,
+      req.cloudinaryFiles
+    );
+
+    logger.info("KYC submission received", {
       userId: req.user._id,
-      error: error.message,
-      stack: error.stack,
+      submissionId: submission.id,
+      documentType: submission.documentType,
+      requestedTier: submission.requestedTier,
       requestId: req.id,
     });
 
-    return apiResponse.error(res, 500, "Error retrieving KYC status");
+    return apiResponse.created(
+      res,
+      "KYC Submitted",
+      "Your details have been submitted and will be reviewed shortly",
+      { submission }
+    );
+  } catch (error) {
+    return handleKycError(req, res, error, {
+      title: "KYC Submission Failed",
+      log: "Error submitting KYC information",
+      message: "An error occurred while submitting your KYC information",
+      errorCode: "KYC_SUBMIT_ERROR",
+    });
   }
 };
 
 /**
- * Update user KYC information
+ * Get KYC submissions for review, oldest first
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.updateKyc = async (req, res) => {
+exports.getKycSubmissions = async (req, res) => {
   try {
-    const { dateOfBirth, ssn, address } = req.body;
+    const { submissions, pagination } = await kycService.listQueue(req.query);
 
-    const user = await User.findById(req.user._id);
+    logger.info("Admin retrieved KYC submissions", {
+      adminId: req.user._id,
+      count: submissions.length,
+      status: req.query.status,
+      requestId: req.id,
+    });
 
-    if (!user) {
-      return apiResponse.notFound(res, "User not found");
-    }
+    return apiResponse.success(
+      res,
+      200,
+      "KYC Submissions",
+      `Found ${pagination.totalCount} submissions`,
+      { submissions, pagination }
+    );
+  } catch (error) {
+    return handleKycError(req, res, error, {
+      title: "KYC Submissions Failed",
+      log: "Error retrieving KYC submissions",
+      message: "An error occurred while retrieving KYC submissions",
+      errorCode: "KYC_QUEUE_ERROR",
+    });
+  }
+};
 
-    // Store KYC information
-    if (dateOfBirth) user.dateOfBirth = dateOfBirth;
-    if (ssn) user.ssn = ssn;
-    if (address) user.address = address;
+/**
+ * Get a KYC submission with its history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getKycSubmissionById = async (req, res) => {
+  try {
+    const submission = await kycService.getSubmission(req.params.submissionId);
 
-    // Update KYC status if not already verified
-    if (user.kycStatus !== "verified") {
-      user.kycStatus = "pending";
-    }
+    return apiResponse.success(
+      res,
+      200,
+      "KYC Submission",
+      "KYC submission retrieved successfully",
+      { submission }
+    );
+  } catch (error) {
+    return handleKycError(req, res, error, {
+      title: "KYC Submission Failed",
+      log: "Error retrieving KYC submission",
+      message: "An error occurred while retrieving the KYC submission",
+      errorCode: "KYC_SUBMISSION_ERROR",
+    });
+  }
+};
 
-    await user.save();
+/**
+ * Approve a KYC submission
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.approveKycSubmission = async (req, res) => {
+  try {
+    const submission = await kycService.approve(
+      req.params.submissionId,
+      req.user,
+      req.body
+    );
 
-    logger.info("User KYC information updated", {
-      userId: user._id,
-      kycStatus: user.kycStatus,
-      requestId: req.id,
+    return apiResponse.success(
+      res,
+      200,
+      "KYC Approved",
+      `The user is now verified at the ${submission.approvedTier} tier`,
+      { submission }
+    );
+  } catch (error) {
+    return handleKycError(req, res, error, {
+      title: "KYC Approval Failed",
+      log: "Error approving KYC submission",
+      message: "An error occurred while approving the KYC submission",
+      errorCode: "KYC_APPROVE_ERROR",
     });
+  }
+};
 
-    return apiResponse.updated(res, "KYC information updated successfully", {
-      kycStatus: user.kycStatus,
-    });
+/**
+ * Reject a KYC submission with reasons
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.rejectKycSubmission = async (req, res) => {
+  try {
+    const submission = await kycService.reject(
+      req.params.submissionId,
+      req.user,
+      req.body
+    );
+
+    return apiResponse.success(
+      res,
+      200,
+      "KYC Rejected",
+      "The user has been told why their submission was rejected",
+      { submission }
+    );
   } catch (error) {
-    logger.error("Error updating KYC information", {
-      userId: req.user._id,
-      error: error.message,
-      stack: error.stack,
-      requestId: req.id,
+    return handleKycError(req, res, error, {
+      title: "KYC Rejection Failed",
+      log: "Error rejecting KYC submission",
+      message: "An error occurred while rejecting the KYC submission",
+      errorCode: "KYC_REJECT_ERROR",
     });
-
-    return apiResponse.error(res, 500, "Error updating KYC information");
   }
 };
 
@@ -4747,6 +4976,7 @@ exports.getActivityLog = async (req, res) => {
 
 /**
  * Enable MFA
+ * Generates a TOTP secret and provisioning URI; MFA is not active until verified
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -4763,14 +4993,18 @@ exports.enableMfa = async (req, res) => {
       return apiResponse.badRequest(res, "MFA is already enabled");
     }
 
-    // Generate MFA secret and QR code
-    // This is simplified - in a real implementation, you would use a library like speakeasy
-    const mfaSecret = Math.random().toString(36).substring(2, 15);
+    // Generate an RFC 6238 secret for the authenticator app
+    const mfaSecret = totp.generateSecret();
+    const otpauthUri = totp.buildOtpauthUri(mfaSecret, user.email);
 
-    // Store MFA secret temporarily in pendingUpdates
+    // Store MFA secret in pendingUpdates until the user proves they can generate codes
+    // (encrypted here, as the plugin only covers top-level fields)
     user.pendingUpdates = {
-      mfaSecret,
+      ...(user.pendingUpdates || {}),
+      mfaSecret: encrypt(mfaSecret),
+      mfaSecretCreatedAt: new Date(),
     };
+    user.markModified("pendingUpdates");
 
     await user.save();
 
@@ -4779,9 +5013,16 @@ exports.enableMfa = async (req, res) => {
       requestId: req.id,
     });
 
-    return apiResponse.success(res, 200, "MFA setup initiated", {
-      mfaSecret,
-    });
+    return apiResponse.success(
+      res,
+      200,
+      "MFA setup initiated",
+      "Scan the QR code with your authenticator app, then verify a code",
+      {
+        mfaSecret,
+        otpauthUri,
+      }
+    );
   } catch (error) {
     logger.error("Error enabling MFA", {
       userId: req.user._id,
@@ -4796,6 +5037,7 @@ exports.enableMfa = async (req, res) => {
 
 /**
  * Verify MFA setup
+ * Activates MFA and returns single-use recovery codes (shown only once)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -4814,11 +5056,13 @@ exports.verifyMfa = async (req, res) => {
       return apiResponse.badRequest(res, "MFA setup not initiated");
     }
 
-    // Verify MFA code
-    // In a real implementation, you would use a library like speakeasy to verify the code
-    const isValid = code === "123456"; // Simplified example
+    const pendingSecret = user.pendingUpdates.mfaSecret;
+    const mfaSecret = isEncrypted(pendingSecret)
+      ? decrypt(pendingSecret)
+      : pendingSecret;
+    const step = totp.verifyTotp(mfaSecret, code);
 
-    if (!isValid) {
+    if (step === null) {
       logger.warn("Invalid MFA verification code", {
         userId: user._id,
         requestId: req.id,
@@ -4827,10 +5071,20 @@ exports.verifyMfa = async (req, res) => {
       return apiResponse.badRequest(res, "Invalid verification code");
     }
 
+    const { codes, hashed } = authService.generateRecoveryCodes();
+
     // Enable MFA
     user.mfaEnabled = true;
-    // In a real implementation, you would store the MFA secret securely
-    user.pendingUpdates = {};
+    user.mfaEnabledAt = new Date();
+    user.mfaSecret = mfaSecret;
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = hashed;
+
+    const remainingUpdates = { ...user.pendingUpdates };
+    delete remainingUpdates.mfaSecret;
+    delete remainingUpdates.mfaSecretCreatedAt;
+    user.pendingUpdates = remainingUpdates;
+    user.markModified("pendingUpdates");
 
     await user.save();
 
@@ -4839,7 +5093,13 @@ exports.verifyMfa = async (req, res) => {
       requestId: req.id,
     });
 
-    return apiResponse.success(res, 200, "MFA enabled successfully");
+    return apiResponse.success(
+      res,
+      200,
+      "MFA enabled successfully",
+      "Store these recovery codes somewhere safe. Each can be used once.",
+      { recoveryCodes: codes }
+    );
   } catch (error) {
     logger.error("Error verifying MFA", {
       userId: req.user._id,
@@ -4852,13 +5112,73 @@ exports.verifyMfa = async (req, res) => {
   }
 };
 
+/**
+ * Regenerate MFA recovery codes, invalidating the previous set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.regenerateMfaRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.mfaEnabled) {
+      return apiResponse.badRequest(res, "MFA is not enabled");
+    }
+
+    const result = await authService.verifySecondFactor(req.user._id, {
+      code,
+    });
+
+    if (!result.valid) {
+      logger.warn("Invalid MFA code for recovery code regeneration", {
+        userId: req.user._id,
+        requestId: req.id,
+      });
+
+      return apiResponse.badRequest(res, "Invalid verification code");
+    }
+
+    const { codes, hashed } = authService.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { mfaRecoveryCodes: hashed } }
+    );
+
+    logger.info("MFA recovery codes regenerated", {
+      userId: req.user._id,
+      requestId: req.id,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Recovery codes regenerated",
+      "Your previous recovery codes no longer work",
+      { recoveryCodes: codes }
+    );
+  } catch (error) {
+    logger.error("Error regenerating MFA recovery codes", {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(res, 500, "Error regenerating recovery codes");
+  }
+};
+
 /**
  * Disable MFA
+ * Requires a current TOTP code or an unused recovery code
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.disableMfa = async (req, res) => {
   try {
+    const { code, recoveryCode } = req.body;
+
     const user = await User.findById(req.user._id);
 
     if (!user) {
@@ -4870,13 +5190,37 @@ exports.disableMfa = async (req, res) => {
       return apiResponse.badRequest(res, "MFA is already disabled");
     }
 
-    // Disable MFA
-    user.mfaEnabled = false;
+    const result = await authService.verifySecondFactor(user._id, {
+      code,
+      recoveryCode,
+    });
 
-    await user.save();
+    if (!result.valid) {
+      logger.warn("Invalid MFA code while disabling MFA", {
+        userId: user._id,
+        requestId: req.id,
+      });
+
+      return apiResponse.badRequest(res, "Invalid verification code");
+    }
+
+    // Disable MFA and discard the secret and recovery codes
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { mfaEnabled: false },
+        $unset: {
+          mfaSecret: "",
+          mfaEnabledAt: "",
+          mfaLastUsedStep: "",
+          mfaRecoveryCodes: "",
+        },
+      }
+    );
 
     logger.info("MFA disabled", {
       userId: user._id,
+      method: result.method,
       requestId: req.id,
     });
 
@@ -4892,3 +5236,132 @@ exports.disableMfa = async (req, res) => {
     return apiResponse.error(res, 500, "Error disabling MFA");
   }
 };
+
+/**
+ * List active sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user._id, req.sessionId);
+
+    return apiResponse.success(
+      res,
+      200,
+      "Sessions Retrieved",
+      `You are signed in on ${sessions.length} device(s)`,
+      { sessions }
+    );
+  } catch (error) {
+    logger.error("Error retrieving sessions", {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Error retrieving sessions",
+      "An error occurred while retrieving your sessions",
+      "SESSIONS_FETCH_ERROR"
+    );
+  }
+};
+
+/**
+ * Log out a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    await sessionService.revoke(req.user._id, req.params.id);
+
+    logger.info("Session revoked", {
+      userId: req.user._id,
+      sessionId: req.params.id,
+      current: req.params.id === req.sessionId,
+      requestId: req.id,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Session Logged Out",
+      "The device has been signed out"
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      return apiResponse.error(
+        res,
+        error.statusCode,
+        "Logout Failed",
+        error.message,
+        error.errorCode
+      );
+    }
+
+    logger.error("Error revoking session", {
+      userId: req.user._id,
+      sessionId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Logout Failed",
+      "An error occurred while signing out the device",
+      "SESSION_REVOKE_ERROR"
+    );
+  }
+};
+
+/**
+ * Log out every other session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await sessionService.revokeOthers(
+      req.user._id,
+      req.sessionId
+    );
+
+    logger.info("Other sessions revoked", {
+      userId: req.user._id,
+      sessionId: req.sessionId,
+      count,
+      requestId: req.id,
+    });
+
+    return apiResponse.success(
+      res,
+      200,
+      "Other Devices Logged Out",
+      `Signed out of ${count} other device(s)`,
+      { count }
+    );
+  } catch (error) {
+    logger.error("Error revoking other sessions", {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Logout Failed",
+      "An error occurred while signing out your other devices",
+      "SESSIONS_REVOKE_ERROR"
+    );
+  }
+};
@@ -2,6 +2,7 @@ const walletService = require("../services/walletService");
 const transactionService = require("../services/transactionService");
 const { logger } = require("../config/logger");
 const apiResponse = require("../utils/apiResponse");
+const AppError = require("../utils/error");
 const notificationService = require("../services/notificationService");
 
 /**
@@ -371,6 +372,17 @@ const walletController = {
         }
       );
     } catch (error) {
+      // Rejected withdrawals are the caller's to fix, so report them as such
+      if (error instanceof AppError) {
+        return apiResponse.error(
+          res,
+          error.statusCode,
+          "Withdrawal Failed",
+          error.message,
+          error.errorCode
+        );
+      }
+
       logger.error("Error processing withdrawal", {
         userId: req.user._id,
         walletId: req.params.walletId,
@@ -380,12 +392,6 @@ const walletController = {
         requestId: req.id,
       });
 
-      if (error.message === "Insufficient funds in wallet") {
-        return apiResponse.badRequest(res, "Insufficient funds in wallet");
-      } else if (error.message.includes("not found")) {
-        return apiResponse.notFound(res, error.message);
-      }
-
       return apiResponse.error(res, 500, "Error processing withdrawal");
     }
   },
@@ -436,6 +442,17 @@ const walletController = {
         targetWalletBalance: result.targetWalletBalance,
       });
     } catch (error) {
+      // Rejected transfers are the caller's to fix, so report them as such
+      if (error instanceof AppError) {
+        return apiResponse.error(
+          res,
+          error.statusCode,
+          "Transfer Failed",
+          error.message,
+          error.errorCode
+        );
+      }
+
       logger.error("Error processing wallet transfer", {
         userId: req.user._id,
         data: req.body,
@@ -444,15 +461,6 @@ const walletController = {
         requestId: req.id,
       });
 
-      if (error.message === "Insufficient funds in source wallet") {
-        return apiResponse.badRequest(
-          res,
-          "Insufficient funds in source wallet"
-        );
-      } else if (error.message.includes("not found")) {
-        return apiResponse.notFound(res, error.message);
-      }
-
       return apiResponse.error(res, 500, "Error processing transfer");
     }
   },
@@ -49,6 +49,7 @@ const authenticate = (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = info && info.sessionId;
 
     logger.info("User authenticated", {
       userId: user._id,
@@ -100,6 +101,7 @@ const hasRole = (roles = []) => {
       }
 
       req.user = user;
+      req.sessionId = info && info.sessionId;
 
       logger.info("User authenticated", {
         userId: user._id,
@@ -581,10 +583,47 @@ const hasRole1 = (roles) => {
   };
 };
 
+/**
+ * Middleware to require a minimum KYC verification tier
+ * Requires authentication middleware to be run first
+ * @param {string} tier - Lowest tier allowed, one of config.kyc.tiers
+ * @returns {Function} - Express middleware function
+ */
+const requireKycTier = (tier) => {
+  const required = config.kyc.tiers.indexOf(tier);
+
+  return (req, res, next) => {
+    const current = req.user.kycTier || "unverified";
+
+    if (config.kyc.tiers.indexOf(current) >= required) {
+      return next();
+    }
+
+    logger.warn("KYC tier check failed", {
+      userId: req.user._id,
+      kycTier: current,
+      requiredTier: tier,
+      path: req.originalUrl,
+      method: req.method,
+      requestId: req.id,
+    });
+
+    return apiResponse.forbidden(
+      res,
+      "Verification Required",
+      tier === "full"
+        ? "Complete full identity verification, including a selfie, to continue"
+        : "Verify your identity to continue",
+      "KYC_TIER_REQUIRED"
+    );
+  };
+};
+
 module.exports = {
   authenticate,
   authorize,
   verifyResourceOwnership,
   verifyPasscode,
   hasRole,
+  requireKycTier,
 };
@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { logger } = require("../config/logger");
+const apiResponse = require("../utils/apiResponse");
+const config = require("../config/config");
+const { canonicalize } = require("../utils/canonicalJson");
+const { CHALLENGE_FIELDS } = require("../utils/encryption");
+
+/**
+ * Hash the parts of a request that make it "the same request"
+ * Passcode challenge fields are left out: a retry may carry a fresh challenge.
+ * @param {Object} req - Express request object
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      canonicalize({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: Object.fromEntries(
+          Object.entries(req.body || {}).filter(
+            ([field]) => !CHALLENGE_FIELDS.includes(field)
+          )
+        ),
+      })
+    )
+    .digest("hex");
+
+/**
+ * Idempotency-Key middleware for money-moving POST routes
+ * A retry with the same key and body replays the stored response instead of running
+ * the handler again; the same key with a different body is rejected with a 422.
+ * Requests without the header are processed normally. Must run after authenticate
+ * and before passcodeChallenge.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (!key || !req.user) {
+    return next();
+  }
+
+  if (key.length > config.idempotency.maxKeyLength) {
+    return apiResponse.badRequest(
+      res,
+      "Invalid Idempotency Key",
+      `Idempotency-Key must be at most ${config.idempotency.maxKeyLength} characters`,
+      "INVALID_IDEMPOTENCY_KEY"
+    );
+  }
+
+  const requestHash = hashRequest(req);
+
+  try {
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        user: req.user._id,
+        key,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        requestHash,
+        expiresAt: new Date(Date.now() + config.idempotency.ttlMs),
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // The key has been used before
+      const existing = await IdempotencyKey.findOne({
+        user: req.user._id,
+        key,
+      });
+
+      // Expired keys linger until MongoDB's TTL sweep; treat them as unused
+      if (!existing || existing.expiresAt <= new Date()) {
+        if (existing) {
+          await IdempotencyKey.deleteOne({ _id: existing._id });
+        }
+        return idempotency(req, res, next);
+      }
+
+      if (existing.requestHash !== requestHash) {
+        logger.warn("Idempotency key reused with a different request", {
+          userId: req.user._id,
+          requestId: req.id,
+          key,
+          path: req.originalUrl,
+        });
+
+        return apiResponse.error(
+          res,
+          422,
+          "Idempotency Key Reused",
+          "This Idempotency-Key was already used with a different request",
+          "IDEMPOTENCY_KEY_MISMATCH"
+        );
+      }
+
+      if (existing.status !== "completed") {
+        return apiResponse.error(
+          res,
+          409,
+          "Request In Progress",
+          "A request with this Idempotency-Key is still being processed",
+          "IDEMPOTENCY_REQUEST_IN_PROGRESS"
+        );
+      }
+
+      logger.info("Replaying idempotent response", {
+        userId: req.user._id,
+        requestId: req.id,
+        key,
+        path: req.originalUrl,
+      });
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response so a retry can replay it
+    let responseBody;
+    let settled = false;
+    let disconnected = false;
+
+    // Store the response, or release the key when it failed; runs once
+    const settle = async () => {
+      if (settled) return;
+      settled = true;
+
+      try {
+        // Server errors roll back, and a rejected passcode challenge ran nothing,
+        // so let the client retry with the same key
+        if (res.statusCode >= 500 || res.locals.releaseIdempotencyKey) {
+          await IdempotencyKey.deleteOne({ _id: record._id });
+          return;
+        }
+
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody,
+            },
+          }
+        );
+      } catch (error) {
+        logger.error("Error storing idempotent response", {
+          userId: req.user._id,
+          requestId: req.id,
+          key,
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      // Store plain data rather than live documents
+      responseBody = JSON.parse(JSON.stringify(body));
+      const result = originalJson(body);
+      // Nothing will "finish" once the client has gone
+      if (disconnected) {
+        settle();
+      }
+      return result;
+    };
+
+    res.on("finish", settle);
+
+    // The client went away before the response was sent. The handler may still be
+    // moving money, so the key stays claimed until it responds.
+    res.on("close", () => {
+      if (settled || res.writableFinished) return;
+
+      logger.warn("Client disconnected before idempotent response", {
+        userId: req.user._id,
+        requestId: req.id,
+        key,
+        responded: responseBody !== undefined,
+      });
+
+      if (responseBody !== undefined) {
+        settle();
+      } else {
+        disconnected = true;
+      }
+    });
+
+    return next();
+  } catch (error) {
+    logger.error("Idempotency check error", {
+      userId: req.user._id,
+      requestId: req.id,
+      key,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return apiResponse.error(
+      res,
+      500,
+      "Server Error",
+      "Error processing Idempotency-Key"
+    );
+  }
+};
+
+module.exports = {
+  idempotency,
+};
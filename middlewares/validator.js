@@ -1,5 +1,7 @@
 const Joi = require("joi");
 const { logger } = require("../config/logger");
+const config = require("../config/config");
+const money = require("../utils/money");
 
 /**
  * Middleware for validating request data with Joi schemas
@@ -80,6 +82,52 @@ const commonValidations = {
   },
 };
 
+// Investment plan fields; create requires the ones the model does
+const investmentPlanFields = {
+  name: Joi.string().trim().max(100),
+  symbol: Joi.string().trim().uppercase().max(10),
+  description: Joi.string().trim().max(2000),
+  maturityPeriod: Joi.number().integer().min(1),
+  minInvestment: commonValidations.positiveNumber,
+  currency: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{3,5}$/),
+  expectedReturnMin: commonValidations.number,
+  expectedReturnMax: commonValidations.number,
+  riskLevel: Joi.string().valid("low", "medium", "high", "very_high"),
+  managementFee: Joi.number().min(0).max(100),
+  earlyWithdrawalAllowed: commonValidations.boolean,
+  earlyWithdrawalFee: Joi.number().min(0).max(100),
+  allocations: Joi.array()
+    .items(
+      Joi.object({
+        asset: Joi.string().trim().required(),
+        percentage: Joi.number().min(0).max(100).required(),
+        color: Joi.string().trim(),
+      })
+    )
+    .custom((allocations, helpers) =>
+      allocations.length === 0 ||
+      money.compare(
+        money.add(...allocations.map((allocation) => allocation.percentage)),
+        100
+      ) === 0
+        ? allocations
+        : helpers.error("allocations.total")
+    )
+    .messages({
+      "allocations.total": "Allocation percentages must add up to 100",
+    }),
+  growthModel: Joi.object({
+    name: Joi.string().trim(),
+    index: Joi.string().trim().uppercase(),
+    volatility: Joi.number().min(0).max(1),
+  }),
+  icon: Joi.string().trim(),
+  isFeatured: commonValidations.boolean,
+  features: commonValidations.arrayOfStrings,
+};
+
 // Schemas for different validation scenarios
 const schemas = {
   // Auth schemas
@@ -103,6 +151,12 @@ const schemas = {
       refreshToken: Joi.string().required(),
     }),
 
+    verifyLoginMfa: Joi.object({
+      mfaToken: Joi.string().required(),
+      code: Joi.string().pattern(/^\d{6}$/),
+      recoveryCode: Joi.string().trim().max(20),
+    }).xor("code", "recoveryCode"),
+
     setPasscode: Joi.object({
       passcode: Joi.string()
         .pattern(/^\d{4}$/)
@@ -146,6 +200,18 @@ const schemas = {
 
   // User schemas - Updated with specific validation for each profile update type
   user: {
+    // MFA code validation (setup verification, recovery code regeneration)
+    mfaCode: Joi.object({
+      code: Joi.string()
+        .pattern(/^\d{6}$/)
+        .required(),
+    }),
+
+    disableMfa: Joi.object({
+      code: Joi.string().pattern(/^\d{6}$/),
+      recoveryCode: Joi.string().trim().max(20),
+    }).xor("code", "recoveryCode"),
+
     // Keep existing schema for general updates (non-sensitive fields)
     update: Joi.object({
       // Only include fields that don't require verification
@@ -219,6 +285,89 @@ const schemas = {
         }),
     }),
 
+    // KYC submission; sent as multipart form data alongside the document photos,
+    // with the address as bracketed fields (address[city])
+    kyc: Joi.object({
+      documentType: Joi.string()
+        .valid(...config.kyc.documentTypes)
+        .required(),
+      dateOfBirth: Joi.date()
+        .min("1900-01-01")
+        .custom((value, helpers) => {
+          const latest = new Date();
+          latest.setUTCFullYear(
+            latest.getUTCFullYear() - config.kyc.minimumAge
+          );
+          return value > latest ? helpers.error("date.underage") : value;
+        })
+        .required()
+        .messages({
+          "date.underage": `You must be at least ${config.kyc.minimumAge} years old`,
+          "date.min": "Please provide a valid date of birth",
+        }),
+      // Dashes are optional; stored as digits only
+      ssn: Joi.string()
+        .trim()
+        .pattern(/^(?!000|666|9\d\d)\d{3}-?(?!00)\d{2}-?(?!0000)\d{4}$/)
+        .replace(/-/g, "")
+        .required()
+        .messages({
+          "string.pattern.base":
+            "Please provide a valid Social Security number",
+        }),
+      address: Joi.object({
+        street1: Joi.string().trim().required().messages({
+          "string.empty": "Street address cannot be empty",
+          "any.required": "Street address is required",
+        }),
+        street2: Joi.string().trim().allow(""),
+        city: Joi.string().trim().required().messages({
+          "string.empty": "City cannot be empty",
+          "any.required": "City is required",
+        }),
+        state: Joi.string().trim().uppercase().length(2).required().messages({
+          "string.length": "State must be a two-letter code",
+          "any.required": "State is required",
+        }),
+        zipCode: Joi.string()
+          .trim()
+          .pattern(/^\d{5}(-\d{4})?$/)
+          .required()
+          .messages({
+            "string.pattern.base": "Please provide a valid ZIP code",
+            "any.required": "ZIP code is required",
+          }),
+        country: Joi.string().trim().uppercase().valid("US").default("US"),
+      })
+        .required()
+        .messages({
+          "any.required": "Address information is required",
+        }),
+    }),
+
+    kycQueue: Joi.object({
+      status: Joi.string()
+        .valid("pending_review", "approved", "rejected", "all")
+        .default("pending_review"),
+      page: commonValidations.pagination.page,
+      limit: commonValidations.pagination.limit,
+    }),
+
+    // Tier defaults to the one the user asked for
+    kycApprove: Joi.object({
+      tier: Joi.string().valid("basic", "full"),
+      notes: Joi.string().trim().max(1000),
+    }),
+
+    kycReject: Joi.object({
+      reasons: Joi.array()
+        .items(Joi.string().valid(...config.kyc.rejectionReasons))
+        .min(1)
+        .unique()
+        .required(),
+      notes: Joi.string().trim().max(1000),
+    }),
+
     // Keep existing schema for password updates
     updatePassword: Joi.object({
       currentPassword: Joi.string().required(),
@@ -325,6 +474,22 @@ const schemas = {
       metadata: Joi.object(),
       // narration: Joi.string(),
       newBeneficiary: Joi.object(),
+      quoteId: commonValidations.objectId,
+    }),
+
+    // Wallet currencies include 4-letter crypto codes (USDT, DOGE)
+    quote: Joi.object({
+      amount: commonValidations.positiveNumber.required(),
+      sourceCurrency: Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z]{3,5}$/)
+        .required(),
+      destinationCurrency: Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z]{3,5}$/)
+        .required(),
     }),
 
     wallets: {
@@ -335,6 +500,7 @@ const schemas = {
           amount: Joi.string()
             .pattern(/^(?!0$)(?!0\.0*$)(\d+|\d+\.\d{1,8})$/)
             .required(),
+          quoteId: commonValidations.objectId,
         }),
         card: Joi.object({
           sourceWalletId: commonValidations.objectId.required(),
@@ -342,6 +508,7 @@ const schemas = {
           amount: Joi.string()
             .pattern(/^(?!0$)(?!0\.0*$)(\d+|\d+\.\d{1,8})$/)
             .required(),
+          quoteId: commonValidations.objectId,
         }),
       },
     },
@@ -360,6 +527,7 @@ const schemas = {
           }),
         sourceAccountId: commonValidations.objectId.required(),
         destinationWalletId: commonValidations.objectId.required(),
+        quoteId: commonValidations.objectId,
       }),
     },
 
@@ -377,38 +545,78 @@ const schemas = {
           }),
         sourceWalletId: commonValidations.objectId.required(),
         destinationWalletId: commonValidations.objectId.required(),
+        quoteId: commonValidations.objectId,
       }),
     },
 
+    reverse: Joi.object({
+      reason: Joi.string().trim().max(500),
+    }),
+
+    // Transaction feed across accounts, cards and wallets
     query: Joi.object({
-      type: Joi.string().valid(
-        "deposit",
-        "withdrawal",
-        "transfer",
-        "payment",
-        "refund",
-        "exchange",
-        "fee",
-        "investment",
-        "interest"
+      from: commonValidations.date,
+      to: Joi.when("from", {
+        is: Joi.exist(),
+        then: commonValidations.date.min(Joi.ref("from")),
+        otherwise: commonValidations.date,
+      }),
+      minAmount: commonValidations.nonNegativeNumber,
+      maxAmount: Joi.when("minAmount", {
+        is: Joi.exist(),
+        then: commonValidations.positiveNumber.min(Joi.ref("minAmount")),
+        otherwise: commonValidations.positiveNumber,
+      }),
+      type: Joi.array()
+        .items(
+          Joi.string().valid(
+            "deposit",
+            "withdrawal",
+            "credit",
+            "debit",
+            "transfer",
+            "payment",
+            "refund",
+            "exchange",
+            "fee",
+            "investment",
+            "interest",
+            "return"
+          )
+        )
+        .single(),
+      status: Joi.array()
+        .items(
+          Joi.string().valid(
+            "pending",
+            "completed",
+            "failed",
+            "cancelled",
+            "refunded",
+            "processing"
+          )
+        )
+        .single(),
+      currency: Joi.string().uppercase().min(3).max(5),
+      sourceType: Joi.string().valid(
+        "Account",
+        "Card",
+        "Wallet",
+        "UserInvestment",
+        "external"
       ),
-      status: Joi.string().valid(
-        "pending",
-        "completed",
-        "failed",
-        "cancelled",
-        "refunded",
-        "processing"
+      destinationType: Joi.string().valid(
+        "Account",
+        "Card",
+        "Wallet",
+        "UserInvestment",
+        "external"
       ),
-      minAmount: commonValidations.nonNegativeNumber,
-      maxAmount: commonValidations.positiveNumber,
-      startDate: commonValidations.date,
-      endDate: commonValidations.date,
-      sourceCurrency: commonValidations.currency,
-      destinationCurrency: commonValidations.currency,
-      sourceId: commonValidations.objectId,
-      destinationId: commonValidations.objectId,
-      ...commonValidations.pagination,
+      counterparty: commonValidations.objectId,
+      q: Joi.string().trim().min(2).max(100),
+      order: Joi.string().valid("desc", "asc").default("desc"),
+      limit: commonValidations.pagination.limit,
+      cursor: Joi.string().max(200),
     }),
   },
 
@@ -444,13 +652,40 @@ const schemas = {
       amount: commonValidations.positiveNumber.required(),
     }),
 
+    maturityInstruction: Joi.object({
+      action: Joi.string().valid("payout", "rollover", "switch").required(),
+      walletId: commonValidations.objectId.when("action", {
+        is: "payout",
+        otherwise: Joi.forbidden(),
+      }),
+      planId: commonValidations.objectId.when("action", {
+        is: "switch",
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+    }),
+
     query: Joi.object({
-      status: Joi.string().valid("active", "matured", "withdrawn", "cancelled"),
+      status: Joi.string().valid(
+        "active",
+        "matured",
+        "withdrawn",
+        "rolled_over",
+        "cancelled"
+      ),
       planId: commonValidations.objectId,
       minAmount: commonValidations.nonNegativeNumber,
       maxAmount: commonValidations.positiveNumber,
       ...commonValidations.pagination,
     }),
+
+    // Currency the whole portfolio is reported in
+    portfolio: Joi.object({
+      currency: Joi.string()
+        .uppercase()
+        .valid(...config.exchange.supportedCurrencies)
+        .default(config.investment.defaultCurrency),
+    }),
   },
 
   // Bill schemas
@@ -550,6 +785,14 @@ const schemas = {
       maxAmount: commonValidations.positiveNumber,
       ...commonValidations.pagination,
     }),
+
+    // Currency the whole portfolio is reported in
+    portfolio: Joi.object({
+      currency: Joi.string()
+        .uppercase()
+        .valid(...config.exchange.supportedCurrencies)
+        .default(config.investment.defaultCurrency),
+    }),
   },
 
   // Card schemas
@@ -572,6 +815,17 @@ const schemas = {
       zipCode: Joi.string().trim(),
     }),
 
+    issueVirtual: Joi.object({
+      name: Joi.string().trim(),
+      brand: Joi.string().valid("visa", "mastercard").default("visa"),
+      email: commonValidations.email,
+      phone: commonValidations.phone,
+    }),
+
+    close: Joi.object({
+      reason: Joi.string().trim().max(200),
+    }),
+
     update: Joi.object({
       name: Joi.string().trim(),
       email: commonValidations.email,
@@ -581,7 +835,9 @@ const schemas = {
         "inactive",
         "blocked",
         "expired",
-        "pending"
+        "pending",
+        "frozen",
+        "closed"
       ),
     }),
 
@@ -598,7 +854,9 @@ const schemas = {
         "inactive",
         "blocked",
         "expired",
-        "pending"
+        "pending",
+        "frozen",
+        "closed"
       ),
       brand: Joi.string().valid(
         "visa",
@@ -709,80 +967,181 @@ const schemas = {
 
   // InvestmentPlan schemas
   investmentPlan: {
+    create: Joi.object(investmentPlanFields).fork(
+      [
+        "name",
+        "symbol",
+        "description",
+        "maturityPeriod",
+        "minInvestment",
+        "expectedReturnMin",
+        "expectedReturnMax",
+        "riskLevel",
+      ],
+      (field) => field.required()
+    ),
+
+    update: Joi.object(investmentPlanFields).min(1),
+
+    query: Joi.object({
+      status: Joi.string().valid("active", "retired", "all").default("all"),
+      ...commonValidations.pagination,
+    }),
+  },
+
+  // Ledger schemas
+  scheduledTransfer: {
     create: Joi.object({
-      name: Joi.string().trim().required(),
-      symbol: Joi.string().trim().required(),
-      roi: commonValidations.positiveNumber.required(),
-      maturityPeriod: commonValidations.positiveNumber.required(),
-      maturityUnit: Joi.string()
-        .valid("days", "weeks", "months", "years")
-        .default("days"),
-      minInvestment: commonValidations.positiveNumber.required(),
-      maxInvestment: commonValidations.positiveNumber,
+      sourceType: Joi.string().valid("Account", "Card", "Wallet").required(),
+      sourceId: commonValidations.objectId.required(),
+      destinationType: Joi.string()
+        .valid("Account", "Card", "Wallet")
+        .required(),
+      destinationId: commonValidations.objectId.required(),
+      amount: commonValidations.positiveNumber.required(),
+      description: Joi.string().trim().max(200),
+      frequency: Joi.string().valid("once", "weekly", "monthly").required(),
+      dayOfWeek: Joi.when("frequency", {
+        is: "weekly",
+        then: Joi.number().integer().min(0).max(6),
+        otherwise: Joi.forbidden(),
+      }),
+      dayOfMonth: Joi.when("frequency", {
+        is: "monthly",
+        then: Joi.number().integer().min(1).max(31),
+        otherwise: Joi.forbidden(),
+      }),
+      startDate: commonValidations.date.required(),
+      endDate: Joi.when("frequency", {
+        is: "once",
+        then: Joi.forbidden(),
+        otherwise: commonValidations.date.greater(Joi.ref("startDate")),
+      }),
+    }),
+
+    update: Joi.object({
+      amount: commonValidations.positiveNumber,
+      description: Joi.string().trim().max(200),
+      frequency: Joi.string().valid("once", "weekly", "monthly"),
+      dayOfWeek: Joi.number().integer().min(0).max(6),
+      dayOfMonth: Joi.number().integer().min(1).max(31),
+      startDate: commonValidations.date,
+      endDate: commonValidations.date.allow(null),
+    }).min(1),
+
+    query: Joi.object({
+      status: Joi.string().valid(
+        "active",
+        "paused",
+        "completed",
+        "cancelled",
+        "failed"
+      ),
+      page: commonValidations.pagination.page,
+      limit: commonValidations.pagination.limit,
+    }),
+  },
+
+  statement: {
+    // One of: a month, a preset, or a from/to date range (defaults to this month)
+    query: Joi.object({
+      format: Joi.string().valid("json", "csv", "pdf").default("json"),
+      month: Joi.string()
+        .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+        .messages({ "string.pattern.base": "Month must be in YYYY-MM format" }),
+      preset: Joi.string().valid(
+        "current_month",
+        "previous_month",
+        "year_to_date"
+      ),
+      from: commonValidations.date,
+      to: Joi.when("from", {
+        is: Joi.exist(),
+        then: commonValidations.date.min(Joi.ref("from")),
+        otherwise: commonValidations.date,
+      }),
+    })
+      .without("month", ["preset", "from", "to"])
+      .without("preset", ["from", "to"]),
+  },
+
+  insights: {
+    // At least two months, so there is a previous month to compare with
+    query: Joi.object({
+      months: Joi.number()
+        .integer()
+        .min(2)
+        .max(config.insights.maxMonths)
+        .default(config.insights.defaultMonths),
       currency: commonValidations.currency.default("USD"),
-      riskLevel: Joi.string()
-        .valid("low", "medium", "high", "very_high")
+    }),
+
+    setCategory: Joi.object({
+      category: Joi.string()
+        .valid(...config.insights.categories)
         .required(),
-      compoundFrequency: Joi.string()
-        .valid("daily", "weekly", "monthly", "quarterly", "annually", "none")
-        .default("monthly"),
-      allowEarlyWithdrawal: commonValidations.boolean.default(false),
-      earlyWithdrawalFee: commonValidations.nonNegativeNumber.default(0),
-      description: Joi.string().trim(),
+      applyToCounterparty: Joi.boolean().default(false),
+    }),
+
+    createRule: Joi.object({
+      keyword: Joi.string().trim().min(2).max(50).required(),
       category: Joi.string()
-        .valid(
-          "stocks",
-          "bonds",
-          "crypto",
-          "forex",
-          "realestate",
-          "commodities",
-          "mutual_funds",
-          "etf",
-          "other"
-        )
+        .valid(...config.insights.categories)
         .required(),
-      isActive: commonValidations.boolean.default(true),
-      isPublic: commonValidations.boolean.default(true),
-      features: commonValidations.arrayOfStrings,
-      tags: commonValidations.arrayOfStrings,
-      maxSlots: Joi.number().integer().min(1),
+    }),
+  },
+
+  budget: {
+    // Income and moves between the user's own accounts aren't spending
+    create: Joi.object({
+      category: Joi.string()
+        .valid("overall", ...config.insights.categories)
+        .invalid("income", "transfer")
+        .required(),
+      amount: commonValidations.positiveNumber.required(),
+      currency: commonValidations.currency.default("USD"),
+      rollover: Joi.boolean().default(false),
     }),
 
     update: Joi.object({
-      name: Joi.string().trim(),
-      roi: commonValidations.positiveNumber,
-      minInvestment: commonValidations.positiveNumber,
-      maxInvestment: commonValidations.positiveNumber,
-      description: Joi.string().trim(),
-      isActive: commonValidations.boolean,
-      isPublic: commonValidations.boolean,
-      features: commonValidations.arrayOfStrings,
-      tags: commonValidations.arrayOfStrings,
-      maxSlots: Joi.number().integer().min(1),
-      availableSlots: Joi.number().integer().min(0),
+      amount: commonValidations.positiveNumber,
+      rollover: Joi.boolean(),
+    }).min(1),
+  },
+
+  ledger: {
+    reconcile: Joi.object({
+      type: Joi.string().valid("Account", "Card", "Wallet", "UserInvestment"),
+      tolerance: commonValidations.nonNegativeNumber.default(0),
     }),
 
-    query: Joi.object({
-      category: Joi.string().valid(
-        "stocks",
-        "bonds",
-        "crypto",
-        "forex",
-        "realestate",
-        "commodities",
-        "mutual_funds",
-        "etf",
-        "other"
-      ),
-      riskLevel: Joi.string().valid("low", "medium", "high", "very_high"),
-      currency: commonValidations.currency,
-      isActive: commonValidations.boolean,
-      isPublic: commonValidations.boolean,
-      minRoi: commonValidations.nonNegativeNumber,
-      maxRoi: commonValidations.positiveNumber,
-      hasAvailableSlots: commonValidations.boolean,
-      ...commonValidations.pagination,
+    openingBalances: Joi.object({
+      types: Joi.array()
+        .items(
+          Joi.string().valid("Account", "Card", "Wallet", "UserInvestment")
+        )
+        .single(),
+    }),
+
+    entries: Joi.object({
+      accountType: Joi.string()
+        .valid("Account", "Card", "Wallet", "UserInvestment", "System")
+        .required(),
+      account: Joi.alternatives()
+        .conditional("accountType", {
+          is: "System",
+          then: Joi.string().valid(
+            "fees",
+            "fx_clearing",
+            "bill_payments",
+            "investment_growth",
+            "opening_balance"
+          ),
+          otherwise: commonValidations.objectId,
+        })
+        .required(),
+      page: commonValidations.pagination.page,
+      limit: commonValidations.pagination.limit,
     }),
   },
 };
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { logger } = require("../config/logger");
+const money = require("../utils/money");
 
 const AccountSchema = new mongoose.Schema(
   {
@@ -51,12 +52,14 @@ const AccountSchema = new mongoose.Schema(
       // unique: true
     },
     availableBalance: {
-      type: Number,
+      type: mongoose.Schema.Types.Decimal128,
       default: 0,
+      get: money.format,
     },
     ledgerBalance: {
-      type: Number,
+      type: mongoose.Schema.Types.Decimal128,
       default: 0,
+      get: money.format,
     },
     reach: {
       type: Number,
@@ -134,8 +137,8 @@ const AccountSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true },
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
   }
 );
 
@@ -166,14 +169,26 @@ AccountSchema.post("save", function (doc) {
 AccountSchema.methods.updateBalance = async function (amount, isCredit = true) {
   try {
     if (isCredit) {
-      this.availableBalance += amount;
-      this.ledgerBalance += amount;
+      this.availableBalance = money.toDecimal128(
+        money.add(this.availableBalance, amount),
+        "USD"
+      );
+      this.ledgerBalance = money.toDecimal128(
+        money.add(this.ledgerBalance, amount),
+        "USD"
+      );
     } else {
-      if (this.availableBalance < amount) {
+      if (money.compare(this.availableBalance, amount) < 0) {
         throw new Error("Insufficient funds");
       }
-      this.availableBalance -= amount;
-      this.ledgerBalance -= amount;
+      this.availableBalance = money.toDecimal128(
+        money.subtract(this.availableBalance, amount),
+        "USD"
+      );
+      this.ledgerBalance = money.toDecimal128(
+        money.subtract(this.ledgerBalance, amount),
+        "USD"
+      );
     }
 
     await this.save();
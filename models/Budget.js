@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+const money = require("../utils/money");
+
+// Income and moves between the user's own accounts aren't spending
+const BUDGET_CATEGORIES = [
+  "overall",
+  ...config.insights.categories.filter(
+    (category) => !["income", "transfer"].includes(category)
+  ),
+];
+
+// One calendar month of a budget
+const BudgetPeriodSchema = new mongoose.Schema(
+  {
+    // "YYYY-MM" (UTC)
+    month: {
+      type: String,
+      required: true,
+    },
+    // Unused amount brought forward from the previous month
+    carriedOver: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      get: money.format,
+    },
+    // Thresholds (percent) already alerted on this month
+    alerts: [Number],
+    // Set when the month is over
+    limit: {
+      type: mongoose.Schema.Types.Decimal128,
+      get: money.format,
+    },
+    spent: {
+      type: mongoose.Schema.Types.Decimal128,
+      get: money.format,
+    },
+    closedAt: Date,
+  },
+  {
+    _id: false,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+/**
+ * A monthly spending limit for one category, or for all spending ("overall")
+ * The last entry in `periods` is the current month. Each month's limit is `amount`
+ * plus whatever was carried over from the month before, if `rollover` is on.
+ */
+const BudgetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: BUDGET_CATEGORIES,
+      required: [true, "Category is required"],
+    },
+    // Monthly limit
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Amount is required"],
+      validate: {
+        validator: money.isPositive,
+        message: "Amount must be greater than 0",
+      },
+      get: money.format,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+    // Carry unused amounts into the next month
+    rollover: {
+      type: Boolean,
+      default: false,
+    },
+    periods: [BudgetPeriodSchema],
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
+  }
+);
+
+BudgetSchema.index({ user: 1, category: 1, currency: 1 }, { unique: true });
+
+const Budget = mongoose.model("Budget", BudgetSchema);
+
+module.exports = Budget;
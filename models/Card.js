@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const { logger } = require("../config/logger");
+const money = require("../utils/money");
+const encryptedFields = require("./plugins/encryptedFields");
 
 const CardSchema = new mongoose.Schema(
   {
@@ -32,11 +34,18 @@ const CardSchema = new mongoose.Schema(
       required: [true, "Bank name is required"],
       trim: true,
     },
+    // Encrypted at rest; uniqueness is enforced on numberHash
     number: {
       type: String,
       required: [true, "Card number is required"],
       select: false,
+    },
+    // Blind index of number, so cards can be looked up by it
+    numberHash: {
+      type: String,
+      select: false,
       unique: true,
+      sparse: true,
     },
     month: {
       type: String,
@@ -78,12 +87,14 @@ const CardSchema = new mongoose.Schema(
       trim: true,
     },
     availableBalance: {
-      type: Number,
+      type: mongoose.Schema.Types.Decimal128,
       default: 0,
+      get: money.format,
     },
     ledgerBalance: {
-      type: Number,
+      type: mongoose.Schema.Types.Decimal128,
       default: 0,
+      get: money.format,
     },
     reach: {
       type: Number,
@@ -127,7 +138,15 @@ const CardSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "inactive", "blocked", "expired", "pending"],
+      enum: [
+        "active",
+        "inactive",
+        "blocked",
+        "expired",
+        "pending",
+        "frozen",
+        "closed",
+      ],
       default: "pending",
     },
     brand: {
@@ -170,6 +189,8 @@ const CardSchema = new mongoose.Schema(
       required: true,
     },
     activatedAt: Date,
+    frozenAt: Date,
+    closedAt: Date,
     lastUsedAt: Date,
     metadata: {
       type: mongoose.Schema.Types.Mixed,
@@ -177,13 +198,15 @@ const CardSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true },
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
   }
 );
 
 // Virtual for formatted expiry date
 CardSchema.virtual("expiryFormatted").get(function () {
+  // month/year are select: false, so they may be absent on the document
+  if (!this.month || !this.year) return undefined;
   return `${this.month}/${this.year.slice(-2)}`;
 });
 
@@ -232,14 +255,26 @@ CardSchema.post("save", function (doc) {
 CardSchema.methods.updateBalance = async function (amount, isCredit = true) {
   try {
     if (isCredit) {
-      this.availableBalance += amount;
-      this.ledgerBalance += amount;
+      this.availableBalance = money.toDecimal128(
+        money.add(this.availableBalance, amount),
+        "USD"
+      );
+      this.ledgerBalance = money.toDecimal128(
+        money.add(this.ledgerBalance, amount),
+        "USD"
+      );
     } else {
-      if (this.availableBalance < amount) {
+      if (money.compare(this.availableBalance, amount) < 0) {
         throw new Error("Insufficient funds");
       }
-      this.availableBalance -= amount;
-      this.ledgerBalance -= amount;
+      this.availableBalance = money.toDecimal128(
+        money.subtract(this.availableBalance, amount),
+        "USD"
+      );
+      this.ledgerBalance = money.toDecimal128(
+        money.subtract(this.ledgerBalance, amount),
+        "USD"
+      );
     }
 
     this.lastUsedAt = new Date();
@@ -294,7 +329,10 @@ CardSchema.methods.validateTransaction = function (amount) {
   }
 
   // Check available balance for debit cards
-  if (this.type === "debit" && amount > this.availableBalance) {
+  if (
+    this.type === "debit" &&
+    money.compare(amount, this.availableBalance) > 0
+  ) {
     return {
       allowed: false,
       reason: "Insufficient funds",
@@ -310,6 +348,12 @@ CardSchema.index({ status: 1 });
 CardSchema.index({ last4: 1 });
 CardSchema.index({ expiryDate: 1 });
 
+// Applied last so the hooks above still see the plaintext number
+CardSchema.plugin(encryptedFields, {
+  fields: ["number", "cvv"],
+  blindIndexes: { number: "numberHash" },
+});
+
 const Card = mongoose.model("Card", CardSchema);
 
 module.exports = Card;
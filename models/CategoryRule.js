@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+/**
+ * A user's own categorization rule
+ * Matches either everything exchanged with one counterparty or every transaction
+ * whose description contains a keyword, and wins over the built-in rules.
+ */
+const CategoryRuleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: config.insights.categories,
+      required: [true, "Category is required"],
+    },
+    // User on the other side of the transaction
+    counterparty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Case-insensitive substring of the description
+    keyword: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: true,
+  }
+);
+
+CategoryRuleSchema.pre("validate", function (next) {
+  if (!this.counterparty === !this.keyword) {
+    this.invalidate(
+      "counterparty",
+      "A category rule needs either a counterparty or a keyword"
+    );
+  }
+  next();
+});
+
+// One rule per counterparty and per keyword
+CategoryRuleSchema.index(
+  { user: 1, counterparty: 1 },
+  { unique: true, partialFilterExpression: { counterparty: { $exists: true } } }
+);
+CategoryRuleSchema.index(
+  { user: 1, keyword: 1 },
+  { unique: true, partialFilterExpression: { keyword: { $exists: true } } }
+);
+
+const CategoryRule = mongoose.model("CategoryRule", CategoryRuleSchema);
+
+module.exports = CategoryRule;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Passcode challenge tokens, kept in MongoDB so every server instance sees them
+ * Only a hash of the token is stored; a token is deleted when it's used.
+ */
+const ChallengeTokenSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the token handed to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      trim: true,
+    },
+    // SHA-256 of the request the token was issued for
+    payloadHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Let MongoDB remove tokens once they expire
+ChallengeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ChallengeToken = mongoose.model("ChallengeToken", ChallengeTokenSchema);
+
+module.exports = ChallengeToken;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const { logger } = require("../config/logger");
+
+const ExchangeRateSnapshotSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, "Rate provider is required"],
+      trim: true,
+    },
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: "USD",
+    },
+    // Value of one unit of each currency expressed in the base currency
+    rates: {
+      type: Map,
+      of: Number,
+      required: true,
+    },
+    // When the provider says the rates were published
+    asOf: {
+      type: Date,
+      required: true,
+    },
+    fetchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+/**
+ * Get the rate to convert one unit of a currency into another
+ * @param {string} fromCurrency - Source currency
+ * @param {string} toCurrency - Destination currency
+ * @returns {number} - Units of toCurrency per unit of fromCurrency
+ */
+ExchangeRateSnapshotSchema.methods.getRate = function (
+  fromCurrency,
+  toCurrency
+) {
+  const from = fromCurrency.toUpperCase();
+  const to = toCurrency.toUpperCase();
+
+  if (from === to) {
+    return 1;
+  }
+
+  const fromValue = from === this.base ? 1 : this.rates.get(from);
+  const toValue = to === this.base ? 1 : this.rates.get(to);
+
+  if (!fromValue) {
+    throw new Error(`Unsupported currency for conversion: ${from}`);
+  }
+  if (!toValue) {
+    throw new Error(`Unsupported currency for conversion: ${to}`);
+  }
+
+  return fromValue / toValue;
+};
+
+ExchangeRateSnapshotSchema.post("save", function (doc) {
+  logger.info("Exchange rate snapshot saved", {
+    snapshotId: doc._id,
+    provider: doc.provider,
+    base: doc.base,
+    currencies: doc.rates.size,
+    asOf: doc.asOf,
+  });
+});
+
+// Snapshots are append-only; the latest is looked up by fetch time
+ExchangeRateSnapshotSchema.index({ fetchedAt: -1 });
+ExchangeRateSnapshotSchema.index({ provider: 1, fetchedAt: -1 });
+
+const ExchangeRateSnapshot = mongoose.model(
+  "ExchangeRateSnapshot",
+  ExchangeRateSnapshotSchema
+);
+
+module.exports = ExchangeRateSnapshot;
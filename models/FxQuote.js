@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { logger } = require("../config/logger");
+const money = require("../utils/money");
+
+const FxQuoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    sourceCurrency: {
+      type: String,
+      required: [true, "Source currency is required"],
+      uppercase: true,
+    },
+    destinationCurrency: {
+      type: String,
+      required: [true, "Destination currency is required"],
+      uppercase: true,
+    },
+    // Amount debited from the source, fee included
+    sourceAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Source amount is required"],
+      validate: {
+        validator: money.isPositive,
+        message: "Source amount must be greater than 0",
+      },
+      get: money.format,
+    },
+    // Amount credited to the destination after the fee is taken
+    destinationAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Destination amount is required"],
+      get: money.format,
+    },
+    // Units of destination currency per unit of source currency
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+    },
+    // Fee in the source currency
+    fee: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      get: money.format,
+    },
+    rateSnapshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExchangeRateSnapshot",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "used"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+// Virtual for checking if the quote has expired
+FxQuoteSchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= new Date();
+});
+
+FxQuoteSchema.post("save", function (doc) {
+  logger.info("FX quote saved", {
+    quoteId: doc._id,
+    userId: doc.user,
+    sourceCurrency: doc.sourceCurrency,
+    destinationCurrency: doc.destinationCurrency,
+    status: doc.status,
+    expiresAt: doc.expiresAt,
+  });
+});
+
+FxQuoteSchema.index({ user: 1, createdAt: -1 });
+
+const FxQuote = mongoose.model("FxQuote", FxQuoteSchema);
+
+module.exports = FxQuote;
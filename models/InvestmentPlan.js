@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { logger } = require("../config/logger");
+const money = require("../utils/money");
 
 const AllocationSchema = new mongoose.Schema({
   asset: {
@@ -71,15 +72,68 @@ const InvestmentPlanSchema = new mongoose.Schema(
       type: Number,
       default: 0, // As a percentage
     },
-    allocations: [AllocationSchema],
+    earlyWithdrawalAllowed: {
+      type: Boolean,
+      default: false,
+    },
+    earlyWithdrawalFee: {
+      type: Number,
+      min: [0, "Early withdrawal fee can't be negative"],
+      max: [100, "Early withdrawal fee can't exceed 100%"],
+      default: 0, // As a percentage
+    },
+    // How investments in this plan grow; see services/growthModelService.js
+    growthModel: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      // Index in config.investments.growth.indexFile ("index" model only)
+      index: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+      // Daily noise, 0-1; the config default when unset
+      volatility: {
+        type: Number,
+        min: 0,
+        max: 1,
+      },
+    },
+    allocations: {
+      type: [AllocationSchema],
+      validate: {
+        validator: (allocations) =>
+          allocations.length === 0 ||
+          money.compare(
+            money.add(
+              ...allocations.map((allocation) => allocation.percentage)
+            ),
+            100
+          ) === 0,
+        message: "Allocation percentages must add up to 100",
+      },
+    },
     icon: {
       type: String,
       default: "chart-line", // Default icon name
     },
+    // Open to new investments; retiring a plan leaves live investments as they are
     isActive: {
       type: Boolean,
       default: true,
     },
+    retiredAt: Date,
+    retiredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Bumped when terms change; each version's terms are kept in InvestmentPlanVersion
+    version: {
+      type: Number,
+      default: 1,
+    },
     isFeatured: {
       type: Boolean,
       default: false,
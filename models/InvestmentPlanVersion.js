@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+/**
+ * The terms of one version of an investment plan
+ * A new version is recorded whenever an admin changes a plan's terms, and each
+ * UserInvestment points at the version it was bought under, so later changes to
+ * the plan don't touch existing investments.
+ */
+const InvestmentPlanVersionSchema = new mongoose.Schema(
+  {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InvestmentPlan",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // Snapshot of the plan's term fields (TERM_FIELDS in services/investmentPlanService.js)
+    terms: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Admin who made the change; empty for versions recorded from existing plans
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+InvestmentPlanVersionSchema.index({ plan: 1, version: 1 }, { unique: true });
+
+const InvestmentPlanVersion = mongoose.model(
+  "InvestmentPlanVersion",
+  InvestmentPlanVersionSchema
+);
+
+module.exports = InvestmentPlanVersion;
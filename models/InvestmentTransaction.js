@@ -10,7 +10,7 @@ const InvestmentTransactionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["credit", "debit", "investment", "return"],
+      enum: ["credit", "debit", "investment", "return", "fee"],
       required: [true, "Transaction type is required"],
     },
     amount: {
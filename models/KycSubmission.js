@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+const encryptedFields = require("./plugins/encryptedFields");
+
+// One entry per status change, kept for audit
+const KycEventSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: ["submitted", "approved", "rejected"],
+      required: true,
+    },
+    // User kycStatus before and after the change
+    from: String,
+    to: String,
+    tier: {
+      type: String,
+      enum: config.kyc.tiers,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: String,
+    reasons: [String],
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Identity details and documents a user submits for verification
+ * The user's own record carries the resulting kycStatus/kycTier; submissions are
+ * kept so reviewers can see every attempt and who decided what.
+ */
+const KycSubmissionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending_review", "approved", "rejected"],
+      default: "pending_review",
+    },
+    documentType: {
+      type: String,
+      enum: config.kyc.documentTypes,
+      required: [true, "Document type is required"],
+    },
+    // Details are copied onto the user only once approved
+    dateOfBirth: {
+      type: Date,
+      required: true,
+    },
+    // Encrypted at rest and cleared once reviewed; ssnLast4 stays for reference
+    ssn: {
+      type: String,
+      select: false,
+    },
+    ssnLast4: String,
+    address: {
+      street1: String,
+      street2: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    frontIdUrl: {
+      type: String,
+      required: true,
+    },
+    frontIdPublicId: {
+      type: String,
+      required: true,
+    },
+    // Passports have no back page
+    backIdUrl: String,
+    backIdPublicId: String,
+    selfieUrl: String,
+    selfiePublicId: String,
+    // Full needs a selfie to compare against the document
+    requestedTier: {
+      type: String,
+      enum: ["basic", "full"],
+      required: true,
+    },
+    approvedTier: {
+      type: String,
+      enum: ["basic", "full"],
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewDate: Date,
+    rejectionReasons: [
+      {
+        type: String,
+        enum: config.kyc.rejectionReasons,
+      },
+    ],
+    notes: String,
+    history: [KycEventSchema],
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+KycSubmissionSchema.index({ status: 1, createdAt: 1 });
+KycSubmissionSchema.index({ user: 1, createdAt: -1 });
+
+KycSubmissionSchema.plugin(encryptedFields, { fields: ["ssn"] });
+
+const KycSubmission = mongoose.model("KycSubmission", KycSubmissionSchema);
+
+module.exports = KycSubmission;
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const money = require("../utils/money");
+
+// Balance-holding documents a ledger entry can belong to. "System" entries have no
+// document; they belong to a named internal account such as "fees" or "fx_clearing".
+const ACCOUNT_TYPES = ["Account", "Card", "Wallet", "UserInvestment", "System"];
+
+const SYSTEM_ACCOUNTS = [
+  // Exchange fees on cross-currency movements and investment management fees
+  "fees",
+  // Clears one currency against another when a movement converts
+  "fx_clearing",
+  // Money paid out to external bill providers
+  "bill_payments",
+  // Returns credited to (or lost from) investments
+  "investment_growth",
+  // Balances that existed before the ledger was introduced
+  "opening_balance",
+];
+
+const CATEGORIES = [
+  "transfer",
+  "bill_payment",
+  "investment",
+  "investment_growth",
+  "investment_withdrawal",
+  "investment_cancellation",
+  "investment_maturity",
+  "investment_rollover",
+  "investment_fee",
+  "opening_balance",
+  "reversal",
+];
+
+/**
+ * One leg of a double-entry posting
+ * A credit increases the balance of the account it belongs to and a debit decreases
+ * it, so an account's balance is the sum of its credits minus the sum of its debits.
+ * Entries are append-only: corrections are new postings, never edits.
+ */
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    // Groups the legs of one balanced posting
+    journal: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Journal is required"],
+    },
+    // Reference of the business transaction that caused the posting
+    reference: {
+      type: String,
+      required: [true, "Reference is required"],
+    },
+    category: {
+      type: String,
+      enum: CATEGORIES,
+      required: [true, "Category is required"],
+    },
+    accountType: {
+      type: String,
+      enum: ACCOUNT_TYPES,
+      required: [true, "Account type is required"],
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "accountType",
+      required: [
+        function () {
+          return this.accountType !== "System";
+        },
+        "Account is required",
+      ],
+    },
+    systemAccount: {
+      type: String,
+      enum: SYSTEM_ACCOUNTS,
+      required: [
+        function () {
+          return this.accountType === "System";
+        },
+        "System account is required",
+      ],
+    },
+    // Owner of the account, for user-facing lookups
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: [true, "Direction is required"],
+    },
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Amount is required"],
+      validate: {
+        validator: money.isPositive,
+        message: "Amount must be greater than 0",
+      },
+      get: money.format,
+    },
+    currency: {
+      type: String,
+      required: [true, "Currency is required"],
+      uppercase: true,
+    },
+    description: {
+      type: String,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+const rejectChange = function (next) {
+  next(new Error("Ledger entries are append-only"));
+};
+
+// Existing entries can never be changed or removed
+LedgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  LedgerEntrySchema.pre(
+    operation,
+    { document: false, query: true },
+    rejectChange
+  );
+});
+
+LedgerEntrySchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  rejectChange
+);
+
+LedgerEntrySchema.index({ accountType: 1, account: 1, createdAt: 1 });
+LedgerEntrySchema.index({ accountType: 1, systemAccount: 1, currency: 1 });
+LedgerEntrySchema.index({ journal: 1 });
+LedgerEntrySchema.index({ reference: 1 });
+LedgerEntrySchema.index({ user: 1, createdAt: -1 });
+
+const LedgerEntry = mongoose.model("LedgerEntry", LedgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+/**
+ * One per user, written by every limit check inside the transfer's transaction
+ * Two transfers by the same user can't both write it before one commits, so their
+ * limit checks never both count usage from before the other's debit.
+ */
+const LimitCounterSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Limit checks made for the user's transfers
+    checks: {
+      type: Number,
+      default: 0,
+    },
+    lastCheckedAt: Date,
+  },
+  {
+    versionKey: false,
+    timestamps: true,
+  }
+);
+
+const LimitCounter = mongoose.model("LimitCounter", LimitCounterSchema);
+
+module.exports = LimitCounter;
@@ -17,7 +17,15 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["transaction", "market", "system", "account", "card", "wallet"],
+    enum: [
+      "transaction",
+      "market",
+      "system",
+      "account",
+      "card",
+      "wallet",
+      "investment",
+    ],
     default: "system",
   },
   read: {
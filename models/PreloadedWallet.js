@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { logger } = require("../config/logger");
+const encryptedFields = require("./plugins/encryptedFields");
 
 const PreloadedWalletSchema = new mongoose.Schema(
   {
@@ -24,6 +25,7 @@ const PreloadedWalletSchema = new mongoose.Schema(
       required: [true, "Image is required"],
       // unique: true,
     },
+    // Encrypted at rest by the encryptedFields plugin
     privateKey: {
       type: String,
       // required: [true, "Private key is required"],
@@ -163,6 +165,8 @@ PreloadedWalletSchema.index({ currency: 1, assigned: 1, status: 1 });
 // PreloadedWalletSchema.index({ address: 1 }, { unique: true });
 PreloadedWalletSchema.index({ assignedToUser: 1 });
 
+PreloadedWalletSchema.plugin(encryptedFields, { fields: ["privateKey"] });
+
 const PreloadedWallet = mongoose.model(
   "PreloadedWallet",
   PreloadedWalletSchema
@@ -28,6 +28,25 @@ const RefreshTokenSchema = new mongoose.Schema(
     revokedAt: {
       type: Date,
     },
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "password_reset",
+        "password_change",
+        "reuse_detected",
+        "session_revoked",
+      ],
+    },
+    // Tokens issued by rotating one login share its family
+    family: {
+      type: String,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+    },
     ipAddress: String,
     userAgent: String,
     device: {
@@ -65,17 +84,19 @@ RefreshTokenSchema.pre("save", function (next) {
 });
 
 // Method to revoke token
-RefreshTokenSchema.methods.revoke = async function () {
+RefreshTokenSchema.methods.revoke = async function (session, reason) {
   try {
     this.isRevoked = true;
     this.revokedAt = new Date();
+    this.revokedReason = reason;
 
-    await this.save();
+    await this.save({ session });
 
     logger.info("Refresh token revoked", {
       tokenId: this._id,
       userId: this.user,
       revokedAt: this.revokedAt,
+      reason,
     });
 
     return true;
@@ -123,17 +144,77 @@ RefreshTokenSchema.statics.findValid = async function (token) {
   }
 };
 
+// Static method to claim a token for rotation
+// Revokes it only if it is still live, so two refreshes racing with the same
+// token can't both succeed; the loser gets null.
+RefreshTokenSchema.statics.claimForRotation = async function (
+  tokenId,
+  session
+) {
+  return this.findOneAndUpdate(
+    { _id: tokenId, isRevoked: false, expiresAt: { $gt: new Date() } },
+    { isRevoked: true, revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true, session }
+  );
+};
+
+// Static method to revoke every token in a rotation family
+RefreshTokenSchema.statics.revokeFamily = async function (
+  family,
+  reason,
+  session
+) {
+  try {
+    const result = await this.updateMany(
+      { family, isRevoked: false },
+      { isRevoked: true, revokedAt: new Date(), revokedReason: reason },
+      { session }
+    );
+
+    logger.info("Refresh token family revoked", {
+      family,
+      reason,
+      count: result.modifiedCount,
+    });
+
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error("Error revoking refresh token family", {
+      family,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    throw error;
+  }
+};
+
+// Static method to check whether a session (token family) was logged out
+RefreshTokenSchema.statics.isSessionRevoked = async function (family) {
+  const revoked = await this.exists({
+    family,
+    revokedReason: "session_revoked",
+  });
+  return Boolean(revoked);
+};
+
 // Static method to revoke all tokens for a user
-RefreshTokenSchema.statics.revokeAllForUser = async function (userId) {
+RefreshTokenSchema.statics.revokeAllForUser = async function (
+  userId,
+  session,
+  reason
+) {
   try {
     const result = await this.updateMany(
       { user: userId, isRevoked: false },
-      { isRevoked: true, revokedAt: new Date() }
+      { isRevoked: true, revokedAt: new Date(), revokedReason: reason },
+      { session }
     );
 
     logger.info("All refresh tokens revoked for user", {
       userId: userId,
       count: result.modifiedCount,
+      reason,
     });
 
     return result.modifiedCount;
@@ -153,6 +234,7 @@ RefreshTokenSchema.statics.revokeAllForUser = async function (userId) {
 RefreshTokenSchema.index({ user: 1 });
 RefreshTokenSchema.index({ expiresAt: 1 });
 RefreshTokenSchema.index({ isRevoked: 1 });
+RefreshTokenSchema.index({ family: 1 });
 
 const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
 
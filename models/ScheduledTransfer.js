@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const money = require("../utils/money");
+
+const ENDPOINT_TYPES = ["Account", "Card", "Wallet"];
+
+// One execution of a schedule
+const ScheduledTransferRunSchema = new mongoose.Schema(
+  {
+    // Occurrence the run was for
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    executedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      required: true,
+    },
+    // Transfer reference, when the run succeeded
+    reference: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    error: String,
+    errorCode: String,
+  },
+  { _id: false }
+);
+
+/**
+ * A transfer to run later, once or on a recurring schedule
+ * `nextRunAt` is the next occurrence to execute; the scheduled transfer job picks up
+ * active schedules whose `nextRunAt` has passed and runs them through the transfer
+ * engine.
+ */
+const ScheduledTransferSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ENDPOINT_TYPES,
+      required: [true, "Source type is required"],
+    },
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceType",
+      required: [true, "Source is required"],
+    },
+    destinationType: {
+      type: String,
+      enum: ENDPOINT_TYPES,
+      required: [true, "Destination type is required"],
+    },
+    destination: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "destinationType",
+      required: [true, "Destination is required"],
+    },
+    // Amount in the source currency
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, "Amount is required"],
+      validate: {
+        validator: money.isPositive,
+        message: "Amount must be greater than 0",
+      },
+      get: money.format,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    frequency: {
+      type: String,
+      enum: ["once", "weekly", "monthly"],
+      required: [true, "Frequency is required"],
+    },
+    // Weekly schedules: 0 (Sunday) to 6 (Saturday)
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+    },
+    // Monthly schedules: 1 to 31, run on the last day of shorter months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+    },
+    nextRunAt: {
+      type: Date,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused", "completed", "cancelled", "failed"],
+      default: "active",
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    // Most recent runs, newest last
+    runs: [ScheduledTransferRunSchema],
+    // Held by the worker executing the schedule
+    lockedUntil: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
+  }
+);
+
+ScheduledTransferSchema.index({ user: 1, status: 1, nextRunAt: 1 });
+ScheduledTransferSchema.index({ status: 1, nextRunAt: 1 });
+
+const ScheduledTransfer = mongoose.model(
+  "ScheduledTransfer",
+  ScheduledTransferSchema
+);
+
+module.exports = ScheduledTransfer;
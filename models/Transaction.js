@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const { transactionLogger } = require("../config/logger");
+const config = require("../config/config");
+const money = require("../utils/money");
 
 const TransactionSchema = new mongoose.Schema(
   {
@@ -24,10 +26,20 @@ const TransactionSchema = new mongoose.Schema(
       ],
       required: [true, "Transaction type is required"],
     },
+    // Amount in the currency of this side of the transfer
     amount: {
-      type: Number,
+      type: mongoose.Schema.Types.Decimal128,
       required: [true, "Amount is required"],
-      min: [0.01, "Amount must be greater than 0"],
+      validate: {
+        validator: (value) => money.compare(value, "0.01") >= 0,
+        message: "Amount must be greater than 0",
+      },
+      get: money.format,
+    },
+    // Currency of `amount` (this side's endpoint)
+    currency: {
+      type: String,
+      uppercase: true,
     },
     source: {
       type: String,
@@ -91,16 +103,52 @@ const TransactionSchema = new mongoose.Schema(
       required: true,
     },
     fee: {
-      type: Number,
+      type: mongoose.Schema.Types.Decimal128,
       default: 0,
+      get: money.format,
     },
     conversionRate: {
       type: Number,
       default: 1,
     },
+    // Exchange rate snapshot used for the conversion, if any
+    rateSnapshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExchangeRateSnapshot",
+    },
+    // Locked FX quote the transfer executed at, if any
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FxQuote",
+    },
+    // Compensating transaction that reversed this one, if any
+    reversal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    // Transaction this one reverses, if it is a reversal
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    reversedAt: Date,
+    reversalReason: {
+      type: String,
+      trim: true,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // Spending category, assigned by categorizationService
+    category: {
+      type: String,
+      enum: config.insights.categories,
+    },
+    // "rule" when assigned automatically, "user" when the owner picked it
+    categorySource: {
+      type: String,
+      enum: ["rule", "user"],
+    },
     failureReason: {
       type: String,
     },
@@ -117,8 +165,8 @@ const TransactionSchema = new mongoose.Schema(
   {
     versionKey: false,
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true },
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
   }
 );
 
@@ -129,7 +177,7 @@ TransactionSchema.post("init", function () {
 
 // Define a virtual for total amount (including fees)
 TransactionSchema.virtual("totalAmount").get(function () {
-  return this.amount + this.fee;
+  return money.add(this.amount, this.fee);
 });
 
 // Generate a unique reference number for transactions
@@ -269,11 +317,18 @@ TransactionSchema.methods.fail = async function (reason) {
 
 // Create indexes
 TransactionSchema.index({ user: 1 });
-// TransactionSchema.index({ reference: 1 });
+TransactionSchema.index({ reference: 1 });
 TransactionSchema.index({ status: 1 });
 TransactionSchema.index({ createdAt: 1 });
 TransactionSchema.index({ sourceId: 1, sourceType: 1 });
 TransactionSchema.index({ destinationId: 1, destinationType: 1 });
+// Transaction feed: filters by user first, then walks (createdAt, _id)
+TransactionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+TransactionSchema.index({ user: 1, status: 1, createdAt: -1 });
+TransactionSchema.index({ user: 1, type: 1, createdAt: -1 });
+TransactionSchema.index({ user: 1, currency: 1, createdAt: -1 });
+TransactionSchema.index({ user: 1, category: 1, createdAt: -1 });
+TransactionSchema.index({ description: "text", reference: "text" });
 
 const Transaction = mongoose.model("Transaction", TransactionSchema);
 
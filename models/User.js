@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const { logger } = require("../config/logger");
+const encryptedFields = require("./plugins/encryptedFields");
+const config = require("../config/config");
 
 const UserSchema = new mongoose.Schema(
   {
@@ -9,6 +11,13 @@ const UserSchema = new mongoose.Schema(
       enum: ["pending", "verified", "rejected", "notStarted"],
       default: "notStarted",
     },
+    // Highest verification level approved (see config.kyc.tiers)
+    kycTier: {
+      type: String,
+      enum: ["unverified", "basic", "full"],
+      default: "unverified",
+    },
+    kycVerifiedAt: Date,
     firstName: {
       type: String,
       required: [true, "First name is required"],
@@ -48,6 +57,7 @@ const UserSchema = new mongoose.Schema(
     dateOfBirth: {
       type: Date,
     },
+    // Encrypted at rest by the encryptedFields plugin
     ssn: {
       type: String,
       trim: true,
@@ -138,6 +148,36 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Encrypted at rest by the encryptedFields plugin
+    mfaSecret: {
+      type: String,
+      select: false,
+    },
+    mfaEnabledAt: {
+      type: Date,
+    },
+    // Last TOTP time step accepted, so a code can't be replayed
+    mfaLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    mfaRecoveryCodes: {
+      type: [
+        {
+          codeHash: { type: String, required: true },
+          usedAt: Date,
+        },
+      ],
+      select: false,
+    },
+    // Invalid second-step codes left before MFA login locks
+    mfaAttemptLeft: {
+      type: Number,
+      default: config.mfa.maxAttempts,
+    },
+    mfaLockedUntil: Date,
+    // MFA login tokens issued up to this time are no longer accepted
+    mfaTokensRevokedAt: Date,
     passcodeAttemptLeft: {
       type: Number,
       default: 5,
@@ -161,6 +201,10 @@ const UserSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Access tokens issued before this time are rejected
+    sessionsRevokedAt: {
+      type: Date,
+    },
     devices: [
       {
         deviceId: String,
@@ -261,6 +305,8 @@ UserSchema.post("save", function (doc) {
 // UserSchema.index({ username: 1 });
 UserSchema.index({ status: 1 });
 
+UserSchema.plugin(encryptedFields, { fields: ["ssn", "mfaSecret"] });
+
 const User = mongoose.model("User", UserSchema);
 
 module.exports = User;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { logger } = require("../config/logger");
+const money = require("../utils/money");
 
 const UserInvestmentSchema = new mongoose.Schema(
   {
@@ -13,6 +14,11 @@ const UserInvestmentSchema = new mongoose.Schema(
       ref: "InvestmentPlan",
       required: true,
     },
+    // The plan's terms when this investment was bought
+    planVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InvestmentPlanVersion",
+    },
     source: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Wallet",
@@ -61,9 +67,52 @@ const UserInvestmentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "matured", "withdrawn", "cancelled"],
+      enum: ["active", "matured", "withdrawn", "rolled_over", "cancelled"],
       default: "active",
     },
+    // What happens at maturity; without one, the value is paid to the source wallet
+    maturityInstruction: {
+      action: {
+        type: String,
+        enum: ["payout", "rollover", "switch"],
+        default: "payout",
+      },
+      // Wallet to pay out to (payout only)
+      wallet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Wallet",
+      },
+      // Plan to move into (switch only)
+      plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InvestmentPlan",
+      },
+    },
+    // How the maturity job settled the investment
+    settlement: {
+      action: {
+        type: String,
+        enum: ["payout", "rollover", "switch"],
+      },
+      reference: String,
+      amount: Number,
+      wallet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Wallet",
+      },
+      rolledInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "UserInvestment",
+      },
+      // Why the instruction couldn't be followed, when it wasn't
+      note: String,
+      settledAt: Date,
+    },
+    // The matured investment this one was rolled over from
+    rolledFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UserInvestment",
+    },
     compoundFrequency: {
       type: String,
       enum: ["daily", "weekly", "monthly", "quarterly", "annually", "none"],
@@ -77,6 +126,28 @@ const UserInvestmentSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Management fee, an annual percentage of the value accrued daily
+    fees: {
+      // Copied from the plan at purchase; investments from before fees were
+      // accrued pick up their plan version's rate on their first accrual
+      managementFee: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      // Accrued but not yet deducted (below a cent, or waiting for month end)
+      accrued: {
+        type: Number,
+        default: 0,
+      },
+      // Deducted from the value so far
+      charged: {
+        type: Number,
+        default: 0,
+      },
+      accruedThrough: Date,
+      chargedThrough: Date,
+    },
     lastInterestCalculatedAt: {
       type: Date,
       default: Date.now,
@@ -142,6 +213,28 @@ UserInvestmentSchema.virtual("remainingDays").get(function () {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for management fees so far, and the return before them
+UserInvestmentSchema.virtual("feeSummary").get(function () {
+  const fees = this.fees || {};
+  const charged = fees.charged || 0;
+
+  return {
+    managementFee: fees.managementFee ?? null,
+    accrued: money.round(fees.accrued || 0, this.currency),
+    charged: money.round(charged, this.currency),
+    accruedThrough: fees.accruedThrough || null,
+    chargedThrough: fees.chargedThrough || null,
+    grossReturn: money.round(
+      money.add(money.subtract(this.currentValue, this.amount), charged),
+      this.currency
+    ),
+    netReturn: money.round(
+      money.subtract(this.currentValue, this.amount),
+      this.currency
+    ),
+  };
+});
+
 UserInvestmentSchema.virtual("percentageChange").get(function () {
   if (!this.previousValue || this.previousValue === 0) return 0;
   return ((this.currentValue - this.previousValue) / this.previousValue) * 100;
@@ -376,6 +469,7 @@ UserInvestmentSchema.index({ user: 1 });
 UserInvestmentSchema.index({ plan: 1 });
 UserInvestmentSchema.index({ status: 1 });
 UserInvestmentSchema.index({ maturityDate: 1 });
+UserInvestmentSchema.index({ status: 1, maturityDate: 1 });
 UserInvestmentSchema.index({ investedAt: 1 });
 
 const UserInvestment = mongoose.model("UserInvestment", UserInvestmentSchema);
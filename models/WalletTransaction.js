@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { transactionLogger } = require("../config/logger");
+const config = require("../config/config");
 
 const WalletTransactionSchema = new mongoose.Schema(
   {
@@ -20,6 +21,7 @@ const WalletTransactionSchema = new mongoose.Schema(
         "fee",
         "investment",
         "return",
+        "refund",
       ],
       required: [true, "Transaction type is required"],
     },
@@ -68,6 +70,16 @@ const WalletTransactionSchema = new mongoose.Schema(
       type: Number,
       default: 1,
     },
+    // Exchange rate snapshot used for the conversion, if any
+    rateSnapshot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExchangeRateSnapshot",
+    },
+    // Locked FX quote the transfer executed at, if any
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FxQuote",
+    },
     feeCurrency: {
       type: String,
       uppercase: true,
@@ -78,7 +90,14 @@ const WalletTransactionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "completed", "failed", "cancelled", "processing"],
+      enum: [
+        "pending",
+        "completed",
+        "failed",
+        "cancelled",
+        "refunded",
+        "processing",
+      ],
       default: "pending",
     },
     description: {
@@ -90,9 +109,34 @@ const WalletTransactionSchema = new mongoose.Schema(
       unique: true,
       required: true,
     },
+    // Compensating transaction that reversed this one, if any
+    reversal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+    },
+    // Transaction this one reverses, if it is a reversal
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+    },
+    reversedAt: Date,
+    reversalReason: {
+      type: String,
+      trim: true,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // Spending category, assigned by categorizationService
+    category: {
+      type: String,
+      enum: config.insights.categories,
+    },
+    // "rule" when assigned automatically, "user" when the owner picked it
+    categorySource: {
+      type: String,
+      enum: ["rule", "user"],
+    },
     failureReason: {
       type: String,
     },
@@ -253,6 +297,13 @@ WalletTransactionSchema.index({ createdAt: 1 });
 WalletTransactionSchema.index({ currency: 1 });
 WalletTransactionSchema.index({ sourceId: 1, sourceType: 1 });
 WalletTransactionSchema.index({ destinationId: 1, destinationType: 1 });
+// Transaction feed: filters by user first, then walks (createdAt, _id)
+WalletTransactionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+WalletTransactionSchema.index({ user: 1, status: 1, createdAt: -1 });
+WalletTransactionSchema.index({ user: 1, type: 1, createdAt: -1 });
+WalletTransactionSchema.index({ user: 1, currency: 1, createdAt: -1 });
+WalletTransactionSchema.index({ user: 1, category: 1, createdAt: -1 });
+WalletTransactionSchema.index({ description: "text", reference: "text" });
 
 const WalletTransaction = mongoose.model(
   "WalletTransaction",
@@ -0,0 +1,217 @@
+const {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  blindIndex,
+} = require("../../utils/fieldEncryption");
+
+/**
+ * Mongoose plugin that encrypts string fields at rest
+ *
+ * Fields are encrypted when saved or written through an update, and decrypted
+ * when documents are loaded, so the rest of the code keeps working with plaintext.
+ * A field with a blind index also stores a keyed hash of its value; queries that
+ * match the field exactly are rewritten to match the hash instead, which is also
+ * where uniqueness is enforced. Aggregations and raw driver calls see ciphertext.
+ *
+ * @param {mongoose.Schema} schema - Schema to extend
+ * @param {Object} options - Plugin options
+ * @param {Array<string>} options.fields - Paths to encrypt
+ * @param {Object} [options.blindIndexes] - Maps an encrypted path to the path holding its hash
+ */
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndUpdate",
+  "updateMany",
+  "updateOne",
+];
+
+const UPDATE_HOOKS = ["findOneAndUpdate", "updateMany", "updateOne"];
+
+const RESULT_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndUpdate",
+];
+
+const hasValue = (value) =>
+  value !== undefined && value !== null && value !== "";
+
+module.exports = function encryptedFields(
+  schema,
+  { fields, blindIndexes = {} }
+) {
+  /**
+   * Rewrite exact matches on blind-indexed fields into hash matches
+   */
+  const rewriteFilter = (filter) => {
+    if (!filter || typeof filter !== "object") return;
+
+    for (const operator of ["$and", "$or", "$nor"]) {
+      if (Array.isArray(filter[operator])) {
+        filter[operator].forEach(rewriteFilter);
+      }
+    }
+
+    for (const [path, hashPath] of Object.entries(blindIndexes)) {
+      const condition = filter[path];
+      if (!hasValue(condition)) continue;
+
+      const hash = (value) => blindIndex(path, value);
+      let rewritten;
+
+      if (typeof condition === "string") {
+        rewritten = hash(condition);
+      } else if (typeof condition.$eq === "string") {
+        rewritten = hash(condition.$eq);
+      } else if (Array.isArray(condition.$in)) {
+        rewritten = { $in: condition.$in.map(hash) };
+      } else {
+        // $exists and the like still work on the encrypted field
+        continue;
+      }
+
+      delete filter[path];
+      filter[hashPath] = rewritten;
+    }
+  };
+
+  /**
+   * Encrypt plaintext values in one level of an update (`$set`, `$setOnInsert`
+   * or the top level), keeping blind indexes alongside
+   */
+  const encryptValues = (values) => {
+    if (!values || typeof values !== "object") return;
+
+    for (const path of fields) {
+      const value = values[path];
+      if (!hasValue(value) || isEncrypted(value)) continue;
+
+      if (blindIndexes[path]) {
+        values[blindIndexes[path]] = blindIndex(path, value);
+      }
+      values[path] = encrypt(value);
+    }
+  };
+
+  const decryptObject = (object) => {
+    if (!object) return;
+
+    for (const path of fields) {
+      if (isEncrypted(object[path])) {
+        object[path] = decrypt(object[path]);
+      }
+    }
+  };
+
+  // Put plaintext back on a document without marking it modified
+  const restore = (doc, values) => {
+    for (const [path, value] of Object.entries(values)) {
+      doc.set(path, value);
+      doc.unmarkModified(path);
+    }
+  };
+
+  schema.post("init", function (doc) {
+    const values = {};
+
+    for (const path of fields) {
+      const value = doc.get(path);
+      if (isEncrypted(value)) {
+        values[path] = decrypt(value);
+      }
+    }
+
+    restore(doc, values);
+  });
+
+  schema.pre("save", function (next) {
+    const plaintext = {};
+
+    for (const path of fields) {
+      if (!this.isModified(path)) continue;
+
+      const value = this.get(path);
+      const hashPath = blindIndexes[path];
+
+      if (!hasValue(value)) {
+        if (hashPath) this.set(hashPath, undefined);
+        continue;
+      }
+
+      if (isEncrypted(value)) continue;
+
+      if (hashPath) {
+        this.set(hashPath, blindIndex(path, value));
+      }
+      plaintext[path] = value;
+      this.set(path, encrypt(value));
+    }
+
+    this.$locals.encryptedFieldsPlaintext = plaintext;
+    next();
+  });
+
+  schema.post("save", function (doc) {
+    restore(doc, doc.$locals.encryptedFieldsPlaintext || {});
+    delete doc.$locals.encryptedFieldsPlaintext;
+  });
+
+  // A failed save must not leave ciphertext on the document either
+  schema.post("save", function (error, doc, next) {
+    restore(doc, doc.$locals.encryptedFieldsPlaintext || {});
+    delete doc.$locals.encryptedFieldsPlaintext;
+    next(error);
+  });
+
+  schema.pre(QUERY_HOOKS, function (next) {
+    rewriteFilter(this.getFilter());
+    next();
+  });
+
+  schema.pre(UPDATE_HOOKS, function (next) {
+    const update = this.getUpdate();
+
+    // Pipeline updates compute values in the database; nothing to encrypt here
+    if (update && !Array.isArray(update)) {
+      encryptValues(update);
+      encryptValues(update.$set);
+      encryptValues(update.$setOnInsert);
+
+      if (update.$unset) {
+        for (const [path, hashPath] of Object.entries(blindIndexes)) {
+          if (path in update.$unset) update.$unset[hashPath] = 1;
+        }
+      }
+
+      this.setUpdate(update);
+    }
+
+    next();
+  });
+
+  // Hydrated documents are decrypted on init; lean results are plain objects
+  schema.post(RESULT_HOOKS, function (result) {
+    if (!this.mongooseOptions().lean) return;
+
+    if (Array.isArray(result)) {
+      result.forEach(decryptObject);
+    } else {
+      decryptObject(result);
+    }
+  });
+
+  /**
+   * The encrypted paths and their blind indexes, for key rotation
+   */
+  schema.statics.getEncryptedFields = function () {
+    return { fields, blindIndexes };
+  };
+};
@@ -46,6 +46,17 @@ if (process.env.NODE_ENV === "development") {
  */
 router.post("/login", validate(schemas.auth.login), authController.login);
 
+/**
+ * @route   POST /api/v1/auth/login/mfa
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post(
+  "/login/mfa",
+  validate(schemas.auth.verifyLoginMfa),
+  authController.verifyLoginMfa
+);
+
 /**
  * @route   POST /api/v1/auth/refresh-token
  * @desc    Refresh access token
@@ -1,11 +1,12 @@
 const express = require("express");
 const {
   authenticate,
-  verifyPasscode,
+  requireKycTier,
 } = require("../middlewares/authMiddleware");
 const { validate, schemas } = require("../middlewares/validator");
-const { verifyPasscodeChallenge } = require("../utils/encryption");
-const { createBill } = require("../controllers/billController");
+const { passcodeChallenge } = require("../utils/encryption");
+const { createBill, payBill } = require("../controllers/billController");
+const { idempotency } = require("../middlewares/idempotency");
 
 const router = express.Router();
 
@@ -23,12 +24,25 @@ const logger = async (req, res) => {
  */
 router.post(
   "/",
-
+  idempotency,
+  passcodeChallenge("create_bill"),
   validate(schemas.bill.create),
-  verifyPasscode,
   createBill
 );
 
+/**
+ * @route   POST /api/v1/bills/:billId/pay
+ * @desc    Pay a bill
+ * @access  Private
+ */
+router.post(
+  "/:billId/pay",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("pay_bill"),
+  payBill
+);
+
 /**
  * @route   GET /api/v1/transactions
  * @desc    Get all transactions for the authenticated user
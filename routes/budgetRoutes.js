@@ -0,0 +1,54 @@
+const express = require("express");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { validate, schemas } = require("../middlewares/validator");
+const budgetController = require("../controllers/budgetController");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/budgets
+ * @desc    Create a monthly budget for a category or for all spending
+ * @access  Private
+ */
+router.post(
+  "/",
+  validate(schemas.budget.create),
+  budgetController.createBudget
+);
+
+/**
+ * @route   GET /api/v1/budgets
+ * @desc    List the user's budgets with this month's progress
+ * @access  Private
+ */
+router.get("/", budgetController.getBudgets);
+
+/**
+ * @route   GET /api/v1/budgets/:id
+ * @desc    Get a budget with this month's progress and past months
+ * @access  Private
+ */
+router.get("/:id", budgetController.getBudget);
+
+/**
+ * @route   PATCH /api/v1/budgets/:id
+ * @desc    Change a budget's amount or rollover
+ * @access  Private
+ */
+router.patch(
+  "/:id",
+  validate(schemas.budget.update),
+  budgetController.updateBudget
+);
+
+/**
+ * @route   DELETE /api/v1/budgets/:id
+ * @desc    Delete a budget
+ * @access  Private
+ */
+router.delete("/:id", budgetController.deleteBudget);
+
+module.exports = router;
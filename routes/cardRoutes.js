@@ -0,0 +1,77 @@
+const express = require("express");
+const {
+  authenticate,
+  verifyPasscode,
+} = require("../middlewares/authMiddleware");
+const { validate, schemas } = require("../middlewares/validator");
+const cardController = require("../controllers/cardController");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/cards
+ * @desc    Get all cards for the authenticated user
+ * @access  Private
+ */
+router.get(
+  "/",
+  validate(schemas.card.query, "query"),
+  cardController.getUserCards
+);
+
+/**
+ * @route   POST /api/v1/cards/virtual
+ * @desc    Issue a new virtual card
+ * @access  Private
+ */
+router.post(
+  "/virtual",
+  validate(schemas.card.issueVirtual),
+  verifyPasscode,
+  cardController.issueVirtualCard
+);
+
+/**
+ * @route   GET /api/v1/cards/:cardId
+ * @desc    Get a single card with masked PAN
+ * @access  Private
+ */
+router.get("/:cardId", cardController.getCardById);
+
+/**
+ * @route   POST /api/v1/cards/:cardId/activate
+ * @desc    Activate a pending card
+ * @access  Private
+ */
+router.post("/:cardId/activate", verifyPasscode, cardController.activateCard);
+
+/**
+ * @route   POST /api/v1/cards/:cardId/freeze
+ * @desc    Freeze an active card
+ * @access  Private
+ */
+router.post("/:cardId/freeze", cardController.freezeCard);
+
+/**
+ * @route   POST /api/v1/cards/:cardId/unfreeze
+ * @desc    Unfreeze a frozen card
+ * @access  Private
+ */
+router.post("/:cardId/unfreeze", verifyPasscode, cardController.unfreezeCard);
+
+/**
+ * @route   POST /api/v1/cards/:cardId/close
+ * @desc    Permanently close a card
+ * @access  Private
+ */
+router.post(
+  "/:cardId/close",
+  validate(schemas.card.close),
+  verifyPasscode,
+  cardController.closeCard
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require("express");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { validate, schemas } = require("../middlewares/validator");
+const insightsController = require("../controllers/insightsController");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/insights
+ * @desc    Get spending per category by month, month-over-month changes, top
+ *          counterparties and income vs. outflow
+ * @access  Private
+ */
+router.get(
+  "/",
+  validate(schemas.insights.query, "query"),
+  insightsController.getInsights
+);
+
+/**
+ * @route   PATCH /api/v1/insights/transactions/:id/category
+ * @desc    Set a transaction's category, optionally for its counterparty too
+ * @access  Private
+ */
+router.patch(
+  "/transactions/:id/category",
+  validate(schemas.insights.setCategory),
+  insightsController.setTransactionCategory
+);
+
+/**
+ * @route   GET /api/v1/insights/rules
+ * @desc    List the user's category rules
+ * @access  Private
+ */
+router.get("/rules", insightsController.getCategoryRules);
+
+/**
+ * @route   POST /api/v1/insights/rules
+ * @desc    Categorize transactions by a keyword in their description
+ * @access  Private
+ */
+router.post(
+  "/rules",
+  validate(schemas.insights.createRule),
+  insightsController.createCategoryRule
+);
+
+/**
+ * @route   DELETE /api/v1/insights/rules/:id
+ * @desc    Delete a category rule
+ * @access  Private
+ */
+router.delete("/rules/:id", insightsController.deleteCategoryRule);
+
+module.exports = router;
@@ -2,34 +2,90 @@ const express = require("express");
 const router = express.Router();
 const {
   authenticate,
-  verifyPasscode,
   hasRole,
+  requireKycTier,
 } = require("../middlewares/authMiddleware");
 const investmentController = require("../controllers/investmentController");
+const investmentPlanController = require("../controllers/investmentPlanController");
+const { idempotency } = require("../middlewares/idempotency");
+const { passcodeChallenge } = require("../utils/encryption");
+const { validate, schemas } = require("../middlewares/validator");
 
 // Routes for investment plans
 router.get("/plans", authenticate, investmentController.getInvestmentPlans);
 router.get("/plans/:id", authenticate, investmentController.getInvestmentPlan);
 
+// Admin routes for investment plans; term changes create a new plan version
+router.get(
+  "/admin/plans",
+  authenticate,
+  hasRole("admin"),
+  validate(schemas.investmentPlan.query, "query"),
+  investmentPlanController.listPlans
+);
+router.post(
+  "/admin/plans",
+  authenticate,
+  hasRole("admin"),
+  validate(schemas.investmentPlan.create),
+  investmentPlanController.createPlan
+);
+router.get(
+  "/admin/plans/:id",
+  authenticate,
+  hasRole("admin"),
+  investmentPlanController.getPlan
+);
+router.patch(
+  "/admin/plans/:id",
+  authenticate,
+  hasRole("admin"),
+  validate(schemas.investmentPlan.update),
+  investmentPlanController.updatePlan
+);
+router.post(
+  "/admin/plans/:id/retire",
+  authenticate,
+  hasRole("admin"),
+  investmentPlanController.retirePlan
+);
+router.post(
+  "/admin/plans/:id/reinstate",
+  authenticate,
+  hasRole("admin"),
+  investmentPlanController.reinstatePlan
+);
+router.delete(
+  "/admin/plans/:id",
+  authenticate,
+  hasRole("admin"),
+  investmentPlanController.deletePlan
+);
+
 // Routes for user investments
 router.post(
   "/invest",
   authenticate,
-  verifyPasscode,
+  requireKycTier("full"),
+  idempotency,
+  passcodeChallenge("create_investment"),
   investmentController.createInvestment
 );
 
 router.post(
   "/:id/add-liquidity",
   authenticate,
-  verifyPasscode,
+  requireKycTier("full"),
+  idempotency,
+  passcodeChallenge("add_liquidity"),
   investmentController.addLiquidityToInvestment
 );
 
 router.post(
   "/:id/trade",
   authenticate,
-  verifyPasscode,
+  idempotency,
+  passcodeChallenge("trade_investment"),
   investmentController.withdrawInvestment
 );
 
@@ -39,20 +95,43 @@ router.get(
   authenticate,
   investmentController.getInvestmentPerformance
 );
+router.get(
+  "/portfolio",
+  authenticate,
+  validate(schemas.investment.portfolio, "query"),
+  investmentController.getPortfolio
+);
 router.get(
   "/transactions",
   authenticate,
   investmentController.getInvestmentTransactions
 );
+router.get(
+  "/:id/growth-audit",
+  authenticate,
+  investmentController.auditInvestmentGrowth
+);
 router.get("/:id", authenticate, investmentController.getInvestmentDetails);
 
 // Routes for investment actions
+router.put(
+  "/:id/maturity-instruction",
+  authenticate,
+  validate(schemas.investment.maturityInstruction),
+  investmentController.setMaturityInstruction
+);
 router.post(
   "/:id/withdraw",
   authenticate,
+  idempotency,
   investmentController.withdrawInvestment
 );
-router.post("/:id/cancel", authenticate, investmentController.cancelInvestment);
+router.post(
+  "/:id/cancel",
+  authenticate,
+  idempotency,
+  investmentController.cancelInvestment
+);
 
 // Admin routes for investment management
 router.post(
@@ -62,6 +141,20 @@ router.post(
   investmentController.processInvestmentGrowth
 );
 
+router.get(
+  "/admin/:id/growth-audit",
+  authenticate,
+  hasRole("admin"),
+  investmentController.adminAuditInvestmentGrowth
+);
+
+router.post(
+  "/process-maturities",
+  authenticate,
+  hasRole("admin"),
+  investmentController.processMaturities
+);
+
 router.post(
   "/:id/simulate-growth",
   authenticate,
@@ -0,0 +1,44 @@
+const express = require("express");
+const { hasRole } = require("../middlewares/authMiddleware");
+const { validate, schemas } = require("../middlewares/validator");
+const ledgerController = require("../controllers/ledgerController");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/ledger/reconciliation
+ * @desc    Recompute balances from the ledger and report drift
+ * @access  Private, Admin only
+ */
+router.get(
+  "/reconciliation",
+  hasRole("admin"),
+  validate(schemas.ledger.reconcile, "query"),
+  ledgerController.getReconciliation
+);
+
+/**
+ * @route   POST /api/v1/ledger/opening-balances
+ * @desc    Post opening balances for accounts that predate the ledger
+ * @access  Private, Admin only
+ */
+router.post(
+  "/opening-balances",
+  hasRole("admin"),
+  validate(schemas.ledger.openingBalances),
+  ledgerController.recordOpeningBalances
+);
+
+/**
+ * @route   GET /api/v1/ledger/entries
+ * @desc    Get the ledger entries of one account
+ * @access  Private, Admin only
+ */
+router.get(
+  "/entries",
+  hasRole("admin"),
+  validate(schemas.ledger.entries, "query"),
+  ledgerController.getAccountEntries
+);
+
+module.exports = router;
@@ -1,11 +1,7 @@
 const express = require("express");
-const {
-  authenticate,
-  verifyPasscode,
-  hasRole,
-} = require("../middlewares/authMiddleware");
+const { authenticate, hasRole } = require("../middlewares/authMiddleware");
 const { validate, schemas } = require("../middlewares/validator");
-const { verifyPasscodeChallenge } = require("../utils/encryption");
+const { passcodeChallenge } = require("../utils/encryption");
 const {
   searchByCurrency,
 } = require("../controllers/preloadedWalletController");
@@ -72,7 +68,7 @@ router.post(
 // Route for assigning a wallet by currency
 router.post(
   "/assign",
-  verifyPasscode,
+  passcodeChallenge("assign_wallet"),
   // rateLimiter({ windowMs: 60000, max: 5 }),
   preloadedWalletController.assignWalletToSelf
 );
@@ -80,7 +76,7 @@ router.post(
 // Route for assigning a specific wallet by ID
 router.post(
   "/assign/:preloadedWalletId",
-  verifyPasscode,
+  passcodeChallenge("assign_wallet"),
   // rateLimiter({ windowMs: 60000, max: 5 }),
   preloadedWalletController.assignSpecificWalletToSelf
 );
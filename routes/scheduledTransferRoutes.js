@@ -0,0 +1,81 @@
+const express = require("express");
+const {
+  authenticate,
+  requireKycTier,
+} = require("../middlewares/authMiddleware");
+const { validate, schemas } = require("../middlewares/validator");
+const { idempotency } = require("../middlewares/idempotency");
+const { passcodeChallenge } = require("../utils/encryption");
+const scheduledTransferController = require("../controllers/scheduledTransferController");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/scheduled-transfers
+ * @desc    Schedule a one-off or recurring transfer
+ * @access  Private
+ */
+router.post(
+  "/",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("schedule_transfer"),
+  validate(schemas.scheduledTransfer.create),
+  scheduledTransferController.createScheduledTransfer
+);
+
+/**
+ * @route   GET /api/v1/scheduled-transfers
+ * @desc    List the user's scheduled transfers
+ * @access  Private
+ */
+router.get(
+  "/",
+  validate(schemas.scheduledTransfer.query, "query"),
+  scheduledTransferController.getScheduledTransfers
+);
+
+/**
+ * @route   GET /api/v1/scheduled-transfers/:id
+ * @desc    Get a scheduled transfer with its recent runs
+ * @access  Private
+ */
+router.get("/:id", scheduledTransferController.getScheduledTransfer);
+
+/**
+ * @route   PATCH /api/v1/scheduled-transfers/:id
+ * @desc    Edit a scheduled transfer
+ * @access  Private
+ */
+router.patch(
+  "/:id",
+  passcodeChallenge("update_scheduled_transfer"),
+  validate(schemas.scheduledTransfer.update),
+  scheduledTransferController.updateScheduledTransfer
+);
+
+/**
+ * @route   POST /api/v1/scheduled-transfers/:id/pause
+ * @desc    Pause a scheduled transfer
+ * @access  Private
+ */
+router.post("/:id/pause", scheduledTransferController.pauseScheduledTransfer);
+
+/**
+ * @route   POST /api/v1/scheduled-transfers/:id/resume
+ * @desc    Resume a paused scheduled transfer
+ * @access  Private
+ */
+router.post("/:id/resume", scheduledTransferController.resumeScheduledTransfer);
+
+/**
+ * @route   DELETE /api/v1/scheduled-transfers/:id
+ * @desc    Cancel a scheduled transfer
+ * @access  Private
+ */
+router.delete("/:id", scheduledTransferController.cancelScheduledTransfer);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { validate, schemas } = require("../middlewares/validator");
+const statementController = require("../controllers/statementController");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/statements/:sourceType/:id
+ * @desc    Get a statement for an account, card or wallet as JSON, CSV or PDF
+ * @access  Private
+ */
+router.get(
+  "/:sourceType(account|card|wallet)/:id",
+  validate(schemas.statement.query, "query"),
+  statementController.getStatement
+);
+
+module.exports = router;
@@ -1,16 +1,21 @@
 const express = require("express");
 const {
   authenticate,
-  verifyPasscode,
+  hasRole,
+  requireKycTier,
 } = require("../middlewares/authMiddleware");
 const { validate, schemas } = require("../middlewares/validator");
-const { verifyPasscodeChallenge } = require("../utils/encryption");
+const { idempotency } = require("../middlewares/idempotency");
+const { passcodeChallenge } = require("../utils/encryption");
 const {
+  createQuote,
   transferBetweenAccounts,
   transferWalletToAccount,
   transferWalletToCard,
   transferAccountToWallet,
   transferWalletToWallet,
+  reverseTransaction,
+  getTransactions,
 } = require("../controllers/transactionController");
 const userController = require("../controllers/userController");
 const { getTransactionById } = require("../controllers/accountController");
@@ -20,6 +25,13 @@ const router = express.Router();
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
+/**
+ * @route   POST /api/v1/transactions/quote
+ * @desc    Quote a cross-currency transfer and lock the rate
+ * @access  Private
+ */
+router.post("/quote", validate(schemas.transaction.quote), createQuote);
+
 /**
  * @route   POST /api/v1/transactions
  * @desc    Create a new transaction
@@ -27,8 +39,10 @@ router.use(authenticate);
  */
 router.post(
   "/",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("transfer"),
   validate(schemas.transaction.create),
-  verifyPasscode,
   transferBetweenAccounts
 );
 
@@ -39,8 +53,10 @@ router.post(
  */
 router.post(
   "/wallets/transfer/account",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("wallet_to_account"),
   validate(schemas.transaction.wallets.transfer.account),
-  verifyPasscode,
   transferWalletToAccount
 );
 
@@ -51,8 +67,10 @@ router.post(
  */
 router.post(
   "/wallets/transfer/card",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("wallet_to_card"),
   validate(schemas.transaction.wallets.transfer.card),
-  verifyPasscode,
   transferWalletToCard
 );
 
@@ -63,8 +81,10 @@ router.post(
  */
 router.post(
   "/accounts/transfer/wallet",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("account_to_wallet"),
   validate(schemas.transaction.accountToWallet.create),
-  verifyPasscode,
   transferAccountToWallet
 );
 
@@ -76,11 +96,26 @@ router.post(
  */
 router.post(
   "/wallets/transfer/wallet",
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("wallet_to_wallet"),
   validate(schemas.transaction.walletToWallet.create),
-  verifyPasscode,
   transferWalletToWallet
 );
 
+/**
+ * @route   POST /api/v1/transactions/:transactionId/reverse
+ * @desc    Reverse a transfer, refunding the sender at the original rate
+ * @access  Private, Admin only
+ */
+router.post(
+  "/:transactionId/reverse",
+  hasRole("admin"),
+  validate(schemas.transaction.reverse),
+  idempotency,
+  reverseTransaction
+);
+
 /**
  * @route   GET /api/v1/transactions/:id
  * @desc    Get a single transaction by ID
@@ -91,14 +126,10 @@ router.get("/:transactionId", getTransactionById);
 
 /**
  * @route   GET /api/v1/transactions
- * @desc    Get all transactions for the authenticated user
+ * @desc    Search transactions across accounts, cards and wallets
  * @access  Private
  */
-// router.get(
-//   "/",
-//   validate(schemas.transaction.query, "query"),
-//   transactionController.getTransactions
-// );
+router.get("/", validate(schemas.transaction.query, "query"), getTransactions);
 
 /**
  * @route   GET /api/v1/transactions/summary
@@ -124,6 +124,13 @@ router.put(
  */
 router.put("/update-password", verifyPasscode, userController.updatePassword);
 
+/**
+ * @route   GET /api/v1/users/limits
+ * @desc    Get transfer limits for the user's verification tier and what's left of them
+ * @access  Private
+ */
+router.get("/limits", userController.getLimits);
+
 /**
  * @route   POST /api/v1/users/update-limit/accounts
  * @desc   Update Account Limits
@@ -275,17 +282,69 @@ router.post(
 
 /**
  * @route   GET /api/v1/users/kyc-status
- * @desc    Get user KYC status
+ * @desc    Get user KYC status and latest submission
  * @access  Private
  */
 router.get("/kyc-status", userController.getKycStatus);
 
 /**
  * @route   PUT /api/v1/users/kyc
- * @desc    Update user KYC information
+ * @desc    Submit KYC details with ID document photos (and a selfie for full verification)
  * @access  Private
  */
-router.put("/kyc", userController.updateKyc);
+router.put(
+  "/kyc",
+  uploadAndStreamToCloudinary("frontIdImage", "backIdImage", "selfieImage"),
+  validate(schemas.user.kyc),
+  userController.updateKyc
+);
+
+/**
+ * @route   GET /api/v1/users/kyc-submissions
+ * @desc    Get KYC submissions for review, oldest first
+ * @access  Private, Admin only
+ */
+router.get(
+  "/kyc-submissions",
+  hasRole("admin"),
+  validate(schemas.user.kycQueue, "query"),
+  userController.getKycSubmissions
+);
+
+/**
+ * @route   GET /api/v1/users/kyc-submissions/:submissionId
+ * @desc    Get a KYC submission with its history
+ * @access  Private, Admin only
+ */
+router.get(
+  "/kyc-submissions/:submissionId",
+  hasRole("admin"),
+  userController.getKycSubmissionById
+);
+
+/**
+ * @route   POST /api/v1/users/kyc-submissions/:submissionId/approve
+ * @desc    Approve a KYC submission
+ * @access  Private, Admin only
+ */
+router.post(
+  "/kyc-submissions/:submissionId/approve",
+  hasRole("admin"),
+  validate(schemas.user.kycApprove),
+  userController.approveKycSubmission
+);
+
+/**
+ * @route   POST /api/v1/users/kyc-submissions/:submissionId/reject
+ * @desc    Reject a KYC submission with reasons
+ * @access  Private, Admin only
+ */
+router.post(
+  "/kyc-submissions/:submissionId/reject",
+  hasRole("admin"),
+  validate(schemas.user.kycReject),
+  userController.rejectKycSubmission
+);
 
 /**
  * @route   GET /api/v1/users/activity-log
@@ -306,14 +365,55 @@ router.post("/enable-mfa", userController.enableMfa);
  * @desc    Verify MFA setup
  * @access  Private
  */
-router.post("/verify-mfa", userController.verifyMfa);
+router.post(
+  "/verify-mfa",
+  validate(schemas.user.mfaCode),
+  userController.verifyMfa
+);
+
+/**
+ * @route   POST /api/v1/users/mfa/recovery-codes
+ * @desc    Regenerate MFA recovery codes
+ * @access  Private
+ */
+router.post(
+  "/mfa/recovery-codes",
+  validate(schemas.user.mfaCode),
+  userController.regenerateMfaRecoveryCodes
+);
 
 /**
  * @route   POST /api/v1/users/disable-mfa
  * @desc    Disable MFA
  * @access  Private
  */
-router.post("/disable-mfa", userController.disableMfa);
+router.post(
+  "/disable-mfa",
+  validate(schemas.user.disableMfa),
+  verifyPasscode,
+  userController.disableMfa
+);
+
+/**
+ * @route   GET /api/v1/users/sessions
+ * @desc    List active sessions
+ * @access  Private
+ */
+router.get("/sessions", userController.getSessions);
+
+/**
+ * @route   POST /api/v1/users/sessions/logout-others
+ * @desc    Log out every device except this one
+ * @access  Private
+ */
+router.post("/sessions/logout-others", userController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/v1/users/sessions/:id
+ * @desc    Log out a session
+ * @access  Private
+ */
+router.delete("/sessions/:id", userController.revokeSession);
 
 // Admin routes
 /**
@@ -10,8 +10,11 @@ const {
   hasRole,
   authorize,
   authenticate,
+  requireKycTier,
 } = require("../middlewares/authMiddleware");
 const { validate } = require("../middlewares/validator");
+const { idempotency } = require("../middlewares/idempotency");
+const { passcodeChallenge } = require("../utils/encryption");
 
 // Validation schemas
 const createWalletSchema = Joi.object({
@@ -80,7 +83,9 @@ router.patch(
 router.post(
   "/:walletId/withdraw",
   authorize(),
-  verifyPasscode,
+  requireKycTier("full"),
+  idempotency,
+  passcodeChallenge("wallet_withdrawal"),
   walletController.withdrawFunds
 );
 
@@ -88,7 +93,9 @@ router.post(
 router.post(
   "/transfer",
   authorize(),
-  verifyPasscode,
+  requireKycTier("basic"),
+  idempotency,
+  passcodeChallenge("wallet_transfer"),
   walletController.transferBetweenWallets
 );
 
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const User = require("../models/User");
+const { logger } = require("../config/logger");
+
+/**
+ * Give users from before KYC tiers the tier matching their kycStatus
+ *
+ * Users verified before tiers existed never went through a document review here, so
+ * they get "basic": they keep everyday transfers and bill payments, and submit a
+ * selfie to reach "full". Everyone else is recorded as "unverified". Users that
+ * already have a tier other than "unverified" are left alone, so the migration can
+ * be re-run safely.
+ *
+ * Usage: npm run migrate:kyc
+ */
+
+const TIERS_BY_STATUS = { verified: "basic" };
+
+const NO_TIER = { $in: [null, "unverified"] };
+
+const migrate = async () => {
+  await connectDB();
+
+  let modified = 0;
+  for (const [kycStatus, kycTier] of Object.entries(TIERS_BY_STATUS)) {
+    const result = await User.updateMany(
+      { kycStatus, kycTier: NO_TIER },
+      { $set: { kycTier } }
+    );
+
+    logger.info("Migrated KYC tier", {
+      kycStatus,
+      kycTier,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+    });
+    modified += result.modifiedCount;
+  }
+
+  // Store the default for the rest so queries on kycTier find them
+  const rest = await User.updateMany(
+    { kycTier: { $exists: false } },
+    { $set: { kycTier: "unverified" } }
+  );
+  modified += rest.modifiedCount;
+
+  logger.info("KYC tier migration completed", { modified });
+};
+
+migrate()
+  .catch((error) => {
+    logger.error("KYC tier migration failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
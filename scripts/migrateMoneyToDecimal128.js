@@ -0,0 +1,65 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Account = require("../models/Account");
+const Card = require("../models/Card");
+const Transaction = require("../models/Transaction");
+const { logger } = require("../config/logger");
+
+/**
+ * Convert money fields stored as doubles (or strings) to Decimal128
+ *
+ * Balances were written as `toFixed(8)` values, so rounding to 8 places keeps every
+ * stored amount exactly as it was meant. Documents already holding Decimal128 are not
+ * matched, so the migration can be re-run safely.
+ *
+ * Usage: npm run migrate:money
+ */
+
+const MIGRATIONS = [
+  { model: Account, fields: ["availableBalance", "ledgerBalance"] },
+  { model: Card, fields: ["availableBalance", "ledgerBalance"] },
+  { model: Transaction, fields: ["amount", "fee"] },
+];
+
+const LEGACY_TYPES = ["double", "int", "long", "string"];
+
+const migrateField = async (model, field) => {
+  // Pipeline updates go straight to the driver so Mongoose doesn't cast them
+  const result = await model.collection.updateMany(
+    { [field]: { $type: LEGACY_TYPES } },
+    [{ $set: { [field]: { $round: [{ $toDecimal: `$${field}` }, 8] } } }]
+  );
+
+  logger.info("Migrated money field to Decimal128", {
+    collection: model.collection.collectionName,
+    field,
+    matched: result.matchedCount,
+    modified: result.modifiedCount,
+  });
+
+  return result.modifiedCount;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  let modified = 0;
+  for (const { model, fields } of MIGRATIONS) {
+    for (const field of fields) {
+      modified += await migrateField(model, field);
+    }
+  }
+
+  logger.info("Money migration completed", { modified });
+};
+
+migrate()
+  .catch((error) => {
+    logger.error("Money migration failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,155 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const config = require("../config/config");
+const User = require("../models/User");
+const KycSubmission = require("../models/KycSubmission");
+const Card = require("../models/Card");
+const PreloadedWallet = require("../models/PreloadedWallet");
+const {
+  encrypt,
+  decrypt,
+  needsRotation,
+  blindIndex,
+} = require("../utils/fieldEncryption");
+const { logger } = require("../config/logger");
+
+/**
+ * Re-encrypt sensitive fields with the active key (FIELD_ENCRYPTION_KEY_ID)
+ *
+ * Picks up values encrypted with an older key, plaintext written before field
+ * encryption existed, and blind indexes that were never filled in. Each write only
+ * applies if the value hasn't changed since it was read, so the app can keep
+ * running, and the command can be re-run safely. Once it reports nothing left to
+ * rotate, old keys can be dropped from FIELD_ENCRYPTION_KEYS.
+ *
+ * To rotate: add the new key to FIELD_ENCRYPTION_KEYS, point FIELD_ENCRYPTION_KEY_ID
+ * at it, restart the app, then run this. See "Field encryption" in the README for
+ * the key format.
+ *
+ * Usage: npm run rotate:encryption
+ */
+
+const MODELS = [User, KycSubmission, Card, PreloadedWallet];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Documents with a field still on another key, or a blind index to fill in
+ */
+const staleFilter = ({ fields, blindIndexes }) => {
+  const current = new RegExp(
+    `^enc:v1:${escapeRegExp(config.fieldEncryption.activeKeyId)}:`
+  );
+
+  return {
+    $or: fields.flatMap((path) => {
+      const conditions = [
+        { [path]: { $type: "string", $ne: "", $not: current } },
+      ];
+
+      if (blindIndexes[path]) {
+        conditions.push({
+          [path]: { $type: "string", $ne: "" },
+          [blindIndexes[path]]: { $exists: false },
+        });
+      }
+
+      return conditions;
+    }),
+  };
+};
+
+/**
+ * The update that brings one document onto the active key
+ */
+const rotateDocument = (doc, { fields, blindIndexes }) => {
+  const filter = { _id: doc._id };
+  const $set = {};
+
+  for (const path of fields) {
+    const value = doc[path];
+    if (typeof value !== "string" || value === "") continue;
+
+    const plaintext = decrypt(value);
+    filter[path] = value;
+
+    if (needsRotation(value)) {
+      $set[path] = encrypt(plaintext);
+    }
+
+    if (blindIndexes[path]) {
+      $set[blindIndexes[path]] = blindIndex(path, plaintext);
+    }
+  }
+
+  return { updateOne: { filter, update: { $set } } };
+};
+
+const rotateModel = async (model) => {
+  const encrypted = model.getEncryptedFields();
+  const batchSize = config.fieldEncryption.rotationBatchSize;
+  // Straight to the driver so the plugin's hooks don't touch the values
+  const cursor = model.collection.find(staleFilter(encrypted), {
+    projection: Object.fromEntries(encrypted.fields.map((path) => [path, 1])),
+  });
+
+  let matched = 0;
+  let modified = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await model.collection.bulkWrite(batch, { ordered: false });
+    modified += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    matched += 1;
+    batch.push(rotateDocument(doc, encrypted));
+
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // autoIndex is off in production, so build the blind indexes here
+  if (Object.keys(encrypted.blindIndexes).length > 0) {
+    await model.createIndexes();
+  }
+
+  logger.info("Rotated field encryption", {
+    collection: model.collection.collectionName,
+    fields: encrypted.fields,
+    matched,
+    modified,
+  });
+
+  return modified;
+};
+
+const rotate = async () => {
+  await connectDB();
+
+  let modified = 0;
+  for (const model of MODELS) {
+    modified += await rotateModel(model);
+  }
+
+  logger.info("Field encryption rotation completed", {
+    activeKeyId: config.fieldEncryption.activeKeyId,
+    modified,
+  });
+};
+
+rotate()
+  .catch((error) => {
+    logger.error("Field encryption rotation failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
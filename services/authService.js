@@ -0,0 +1,248 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const { logger } = require("../config/logger");
+const config = require("../config/config");
+const totp = require("../utils/totp");
+const { sendSecurityAlert } = require("./emailService");
+
+const MFA_TOKEN_PURPOSE = "mfa_login";
+
+const authService = {
+  /**
+   * Issue a short-lived token proving the first login step (password) passed
+   * @param {string} userId - User ID
+   * @returns {string} - Signed MFA login token
+   */
+  generateMfaLoginToken(userId) {
+    return jwt.sign(
+      { id: userId, purpose: MFA_TOKEN_PURPOSE },
+      config.jwt.secret,
+      {
+        expiresIn: config.mfa.loginTokenExpiresIn,
+      }
+    );
+  },
+
+  /**
+   * Verify an MFA login token
+   * @param {string} token - MFA login token
+   * @returns {{ userId: string, issuedAt: Date }|null} - Who it was issued for and
+   *   when, or null if the token is invalid or expired
+   */
+  verifyMfaLoginToken(token) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret);
+      return decoded.purpose === MFA_TOKEN_PURPOSE
+        ? { userId: decoded.id, issuedAt: new Date(decoded.iat * 1000) }
+        : null;
+    } catch (error) {
+      logger.warn("Invalid MFA login token", { error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Whether MFA login is locked for a user after too many invalid codes
+   * @param {Object} user - User document
+   * @returns {boolean}
+   */
+  isMfaLocked(user) {
+    return Boolean(user.mfaLockedUntil && user.mfaLockedUntil > new Date());
+  },
+
+  /**
+   * Count an invalid second-step code
+   * The last allowed failure locks MFA login for `config.mfa.lockoutTime` and
+   * revokes every MFA login token issued so far, so the password step has to be
+   * passed again afterwards.
+   * @param {string} userId - User ID
+   * @returns {Promise<{ attemptsLeft: number, lockedUntil: Date|null }>}
+   */
+  async recordMfaFailure(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { mfaAttemptLeft: -1 } },
+      { new: true }
+    );
+
+    if (!user || user.mfaAttemptLeft > 0) {
+      return {
+        attemptsLeft: user ? user.mfaAttemptLeft : 0,
+        lockedUntil: null,
+      };
+    }
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + config.mfa.lockoutTime);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          mfaAttemptLeft: config.mfa.maxAttempts,
+          mfaLockedUntil: lockedUntil,
+          mfaTokensRevokedAt: now,
+        },
+      }
+    );
+
+    logger.warn("MFA login locked after too many invalid codes", {
+      userId,
+      lockedUntil,
+    });
+
+    return { attemptsLeft: 0, lockedUntil };
+  },
+
+  /**
+   * Forget earlier invalid codes after a successful second step
+   * @param {Object} user - User document
+   */
+  async resetMfaAttempts(user) {
+    if (user.mfaAttemptLeft === config.mfa.maxAttempts) return;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { mfaAttemptLeft: config.mfa.maxAttempts } }
+    );
+  },
+
+  /**
+   * Generate fresh recovery codes and their hashed storage form
+   * @returns {{ codes: string[], hashed: Object[] }} - Plaintext codes and stored entries
+   */
+  generateRecoveryCodes() {
+    const codes = totp.generateRecoveryCodes();
+    const hashed = codes.map((code) => ({
+      codeHash: totp.hashRecoveryCode(code),
+    }));
+    return { codes, hashed };
+  },
+
+  /**
+   * Verify a second factor for a user with MFA enabled
+   * Accepts either a TOTP code or an unused recovery code. A TOTP time step or
+   * recovery code is consumed on success so it can't be replayed.
+   * @param {string} userId - User ID
+   * @param {Object} factor - Second factor supplied by the user
+   * @param {string} factor.code - TOTP code from the authenticator app
+   * @param {string} factor.recoveryCode - Single-use recovery code
+   * @returns {Promise<{ valid: boolean, method?: string, recoveryCodesRemaining?: number }>}
+   */
+  async verifySecondFactor(userId, { code, recoveryCode } = {}) {
+    const user = await User.findById(userId).select(
+      "+mfaSecret +mfaLastUsedStep +mfaRecoveryCodes"
+    );
+
+    if (!user || !user.mfaEnabled || !user.mfaSecret) {
+      return { valid: false };
+    }
+
+    if (code) {
+      const step = totp.verifyTotp(user.mfaSecret, String(code));
+
+      if (step === null) {
+        return { valid: false };
+      }
+
+      // Atomically advance the last used step so concurrent replays fail
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { mfaLastUsedStep: { $exists: false } },
+            { mfaLastUsedStep: { $lt: step } },
+          ],
+        },
+        { $set: { mfaLastUsedStep: step } }
+      );
+
+      if (result.modifiedCount === 0) {
+        logger.warn("Replayed TOTP code rejected", { userId: user._id, step });
+        return { valid: false };
+      }
+
+      return { valid: true, method: "totp" };
+    }
+
+    if (recoveryCode) {
+      const codeHash = totp.hashRecoveryCode(recoveryCode);
+
+      // Mark the matching unused code as used in a single atomic update
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          mfaRecoveryCodes: { $elemMatch: { codeHash, usedAt: null } },
+        },
+        { $set: { "mfaRecoveryCodes.$.usedAt": new Date() } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return { valid: false };
+      }
+
+      const recoveryCodesRemaining =
+        user.mfaRecoveryCodes.filter((entry) => !entry.usedAt).length - 1;
+
+      logger.info("MFA recovery code used", {
+        userId: user._id,
+        recoveryCodesRemaining,
+      });
+
+      return { valid: true, method: "recovery_code", recoveryCodesRemaining };
+    }
+
+    return { valid: false };
+  },
+
+  /**
+   * Respond to a revoked refresh token being presented again
+   * A rotated token should never come back, so whoever holds it may have stolen it.
+   * The token's whole family is revoked, the user's access tokens stop working and
+   * the user is alerted by email.
+   * @param {Object} tokenDoc - The rotated refresh token that was presented
+   * @param {Object} context - `{ ipAddress, userAgent, requestId }` of the request
+   * @returns {Promise<void>}
+   */
+  async handleRefreshTokenReuse(tokenDoc, { ipAddress, userAgent, requestId }) {
+    const family = tokenDoc.family || tokenDoc.id;
+    const revokedCount = await RefreshToken.revokeFamily(
+      family,
+      "reuse_detected"
+    );
+
+    const user = await User.findByIdAndUpdate(
+      tokenDoc.user,
+      { sessionsRevokedAt: new Date() },
+      { new: true }
+    );
+
+    logger.warn("Refresh token reuse detected", {
+      tokenId: tokenDoc._id,
+      userId: tokenDoc.user,
+      family,
+      revokedCount,
+      ipAddress,
+      requestId,
+    });
+
+    if (!user) {
+      return;
+    }
+
+    await sendSecurityAlert({
+      to: user.email,
+      name: `${user.firstName} ${user.lastName}`,
+      alertType: "refresh_token_reuse",
+      details: {
+        timestamp: new Date().toISOString(),
+        ip_address: ipAddress || "Unknown",
+        device: userAgent || "Unknown",
+      },
+      requestId,
+    });
+  },
+};
+
+module.exports = authService;
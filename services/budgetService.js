@@ -0,0 +1,535 @@
+const mongoose = require("mongoose");
+const Budget = require("../models/Budget");
+const Bill = require("../models/Bill");
+const Transaction = require("../models/Transaction");
+const insightsService = require("./insightsService");
+const notificationService = require("./notificationService");
+const AppError = require("../utils/error");
+const config = require("../config/config");
+const money = require("../utils/money");
+const { logger } = require("../config/logger");
+
+/**
+ * Monthly budgets
+ *
+ * Spending is what insights count in the budget's currency (completed account,
+ * card and wallet transactions, by category) plus, for USD budgets, completed bill
+ * payments that have no transaction of their own.
+ * Months are calendar months in UTC. Whenever a budget is read or checked, months
+ * that have ended since are closed with what was spent in them, and with rollover
+ * on, the unused part of each is carried into the next.
+ */
+
+// Bills are always paid in USD
+const BILL_CURRENCY = "USD";
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const monthStart = (month) => new Date(`${month}-01T00:00:00.000Z`);
+
+const addMonths = (month, count) => {
+  const start = monthStart(month);
+  return monthKey(
+    new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + count, 1))
+  );
+};
+
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split("-").map(Number);
+  const [toYear, toMonth] = to.split("-").map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+const categoryLabel = (category) =>
+  category === "overall" ? "overall" : category.replace(/_/g, " ");
+
+/**
+ * Completed bill payments in a month that didn't record a transaction
+ * Payments with a completed transaction are already part of transaction spending.
+ * @param {string} userId - Owner
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<Array<{ category: string, amount: number }>>}
+ */
+const untrackedBillPayments = async (userId, month) => {
+  const from = monthStart(month);
+  const to = monthStart(addMonths(month, 1));
+  const inMonth = (payment) =>
+    payment.status === "completed" &&
+    payment.paymentDate >= from &&
+    payment.paymentDate < to;
+
+  const bills = await Bill.find({
+    user: userId,
+    paymentHistory: {
+      $elemMatch: {
+        status: "completed",
+        paymentDate: { $gte: from, $lt: to },
+      },
+    },
+  })
+    .select("category paymentHistory")
+    .lean();
+
+  const payments = bills.flatMap((bill) =>
+    bill.paymentHistory.filter(inMonth).map((payment) => ({
+      category: bill.category,
+      amount: payment.amount,
+      transactionId: payment.transactionId,
+    }))
+  );
+
+  const recorded = new Set(
+    (
+      await Transaction.distinct("_id", {
+        _id: {
+          $in: payments.map((payment) => payment.transactionId).filter(Boolean),
+        },
+        status: "completed",
+      })
+    ).map(String)
+  );
+
+  return payments.filter(
+    (payment) =>
+      !payment.transactionId || !recorded.has(String(payment.transactionId))
+  );
+};
+
+/**
+ * What the user spent in a month, with bill payments included
+ * @param {string} userId - Owner
+ * @param {string} month - "YYYY-MM"
+ * @param {string} currency - Currency code
+ * @returns {Promise<{ total: string, categories: Object<string, string> }>}
+ */
+const loadSpending = async (userId, month, currency) => {
+  const spending = await insightsService.getMonthlySpending(
+    userId,
+    month,
+    currency
+  );
+
+  if (currency === BILL_CURRENCY) {
+    for (const { category, amount } of await untrackedBillPayments(
+      userId,
+      month
+    )) {
+      spending.total = money.add(spending.total, amount);
+      spending.categories[category] = money.add(
+        spending.categories[category] || 0,
+        amount
+      );
+    }
+  }
+
+  return spending;
+};
+
+/**
+ * Spending lookup that loads each (user, month, currency) only once
+ * Several budgets of the same user share the same month's spending.
+ * @returns {Function} - `(userId, month, currency) => Promise<spending>`
+ */
+const spendingCache = () => {
+  const cache = new Map();
+  return (userId, month, currency) => {
+    const key = `${userId}:${month}:${currency}`;
+    if (!cache.has(key)) {
+      cache.set(key, loadSpending(userId, month, currency));
+    }
+    return cache.get(key);
+  };
+};
+
+const spentOn = (spending, category) =>
+  category === "overall"
+    ? spending.total
+    : spending.categories[category] || "0";
+
+/**
+ * Close months that have ended and open the current one
+ * Budgets left unread for longer than `maxRolloverMonths` start the current month
+ * without anything carried over.
+ * @param {Object} budget - Budget document
+ * @param {Function} spendingOf - From `spendingCache`
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Current period
+ */
+const syncPeriods = async (budget, spendingOf, now) => {
+  const current = monthKey(now);
+  const { periods } = budget;
+
+  if (periods.length > 0 && periods[periods.length - 1].month === current) {
+    return periods[periods.length - 1];
+  }
+
+  if (periods.length === 0) {
+    periods.push({ month: current, carriedOver: 0 });
+  }
+
+  while (periods[periods.length - 1].month < current) {
+    const last = periods[periods.length - 1];
+    const limit = money.add(budget.amount, last.carriedOver);
+    const spent = spentOn(
+      await spendingOf(budget.user, last.month, budget.currency),
+      budget.category
+    );
+    const unused = money.subtract(limit, spent);
+
+    last.limit = limit;
+    last.spent = spent;
+    last.closedAt = now;
+
+    const caughtUp =
+      monthsBetween(last.month, current) > config.budgets.maxRolloverMonths;
+
+    periods.push({
+      month: caughtUp ? current : addMonths(last.month, 1),
+      carriedOver:
+        budget.rollover && !caughtUp && money.isPositive(unused) ? unused : 0,
+    });
+  }
+
+  // Another request may have opened the month already; its periods win
+  const { modifiedCount } = await Budget.updateOne(
+    { _id: budget._id, "periods.month": { $ne: current } },
+    { $set: { periods: budget.periods.map((period) => period.toObject()) } }
+  );
+
+  if (modifiedCount === 0) {
+    const latest = await Budget.findById(budget._id);
+    budget.periods = latest.periods;
+  }
+
+  return budget.periods[budget.periods.length - 1];
+};
+
+/**
+ * Progress of the current month
+ * @param {Object} budget - Budget document
+ * @param {Object} period - Current period
+ * @param {string} spent - Spent this month
+ * @returns {Object}
+ */
+const progressOf = (budget, period, spent) => {
+  const limit = money.add(budget.amount, period.carriedOver);
+
+  return {
+    month: period.month,
+    carriedOver: money.round(period.carriedOver, budget.currency),
+    limit: money.round(limit, budget.currency),
+    spent: money.round(spent, budget.currency),
+    remaining: money.round(money.subtract(limit, spent), budget.currency),
+    percent: money.divide(money.multiply(spent, 100), limit, { places: 2 }),
+  };
+};
+
+// Thresholds the spending has reached, lowest first
+const thresholdsReached = (percent) =>
+  config.budgets.thresholds.filter(
+    (threshold) => money.compare(percent, threshold) >= 0
+  );
+
+/**
+ * Shape a budget for the API
+ * @param {Object} budget - Budget document
+ * @param {Object} progress - From `progressOf`
+ * @returns {Object}
+ */
+const toView = (budget, progress) => ({
+  id: budget._id,
+  category: budget.category,
+  amount: money.round(budget.amount, budget.currency),
+  currency: budget.currency,
+  rollover: budget.rollover,
+  progress,
+  history: budget.periods
+    .filter((period) => period.closedAt)
+    .map((period) => ({
+      month: period.month,
+      carriedOver: money.round(period.carriedOver, budget.currency),
+      limit: money.round(period.limit, budget.currency),
+      spent: money.round(period.spent, budget.currency),
+    }))
+    .reverse(),
+  createdAt: budget.createdAt,
+  updatedAt: budget.updatedAt,
+});
+
+/**
+ * Bring a budget up to date and work out this month's progress
+ * @param {Object} budget - Budget document
+ * @param {Function} spendingOf - From `spendingCache`
+ * @param {Date} now - Current time
+ * @returns {Promise<{ period: Object, progress: Object }>}
+ */
+const evaluate = async (budget, spendingOf, now) => {
+  const period = await syncPeriods(budget, spendingOf, now);
+  const spending = await spendingOf(budget.user, period.month, budget.currency);
+
+  return {
+    period,
+    progress: progressOf(budget, period, spentOn(spending, budget.category)),
+  };
+};
+
+/**
+ * Record the thresholds reached as already known, without alerting
+ * Used when the user sets the limit themselves and sees the progress in the
+ * response; thresholds no longer reached under a new limit can alert again.
+ * @param {Object} budget - Budget document
+ * @param {Object} period - Current period
+ * @param {Object} progress - From `progressOf`
+ */
+const acknowledgeThresholds = async (budget, period, progress) => {
+  const alerts = thresholdsReached(progress.percent);
+
+  await Budget.updateOne(
+    { _id: budget._id, "periods.month": period.month },
+    { $set: { "periods.$.alerts": alerts } }
+  );
+  period.alerts = alerts;
+};
+
+/**
+ * Alert the user when their spending has reached a new threshold this month
+ * Only the highest new threshold is sent, so a jump from 40% to 110% sends a
+ * single alert. Claiming the threshold first keeps concurrent checks from
+ * sending it twice.
+ * @param {Object} budget - Budget document
+ * @param {Object} period - Current period
+ * @param {Object} progress - From `progressOf`
+ * @returns {Promise<number|null>} - Threshold alerted on, if any
+ */
+const alertIfNeeded = async (budget, period, progress) => {
+  const reached = thresholdsReached(progress.percent);
+  const highest = reached[reached.length - 1];
+
+  if (!highest || period.alerts.includes(highest)) {
+    return null;
+  }
+
+  const { modifiedCount } = await Budget.updateOne(
+    {
+      _id: budget._id,
+      periods: {
+        $elemMatch: { month: period.month, alerts: { $ne: highest } },
+      },
+    },
+    { $addToSet: { "periods.$.alerts": { $each: reached } } }
+  );
+
+  if (modifiedCount === 0) {
+    return null;
+  }
+
+  const label = categoryLabel(budget.category);
+  const spent = `${progress.spent} ${budget.currency}`;
+  const limit = `${progress.limit} ${budget.currency}`;
+
+  await notificationService.createNotification(
+    budget.user,
+    highest >= 100 ? "Budget Exceeded" : `${highest}% of Budget Used`,
+    highest >= 100
+      ? `You've spent ${spent} this month, over your ${label} budget of ${limit}.`
+      : `You've spent ${spent} of your ${label} budget of ${limit} this month.`,
+    "transaction",
+    {
+      budgetId: budget._id,
+      category: budget.category,
+      month: period.month,
+      threshold: highest,
+      spent: progress.spent,
+      limit: progress.limit,
+    }
+  );
+
+  return highest;
+};
+
+/**
+ * Find one of the user's budgets
+ * @param {string} userId - Owner
+ * @param {string} budgetId - Budget ID
+ * @returns {Promise<Object>}
+ * @throws {AppError} - When the budget doesn't exist
+ */
+const findBudget = async (userId, budgetId) => {
+  const budget = mongoose.isValidObjectId(budgetId)
+    ? await Budget.findOne({ _id: budgetId, user: userId })
+    : null;
+
+  if (!budget) {
+    throw new AppError("Budget not found", 404, "BUDGET_NOT_FOUND");
+  }
+
+  return budget;
+};
+
+const budgetService = {
+  /**
+   * Create a budget for a category, or "overall"
+   * @param {string} userId - Owner
+   * @param {Object} fields - `{ category, amount, currency, rollover }`
+   * @returns {Promise<Object>} - Budget with this month's progress
+   * @throws {AppError} - When the category already has a budget in the currency
+   */
+  async create(userId, { category, amount, currency = "USD", rollover }) {
+    let budget;
+    try {
+      budget = await Budget.create({
+        user: userId,
+        category,
+        amount: money.toDecimal128(amount, currency),
+        currency,
+        rollover,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(
+          `You already have a ${categoryLabel(category)} budget in ${currency}`,
+          409,
+          "BUDGET_EXISTS"
+        );
+      }
+      throw error;
+    }
+
+    const { period, progress } = await evaluate(
+      budget,
+      spendingCache(),
+      new Date()
+    );
+    await acknowledgeThresholds(budget, period, progress);
+
+    return toView(budget, progress);
+  },
+
+  /**
+   * List the user's budgets with this month's progress
+   * @param {string} userId - Owner
+   * @returns {Promise<Object[]>}
+   */
+  async list(userId) {
+    const budgets = await Budget.find({ user: userId }).sort({ category: 1 });
+    const spendingOf = spendingCache();
+    const now = new Date();
+
+    const views = [];
+    for (const budget of budgets) {
+      const { progress } = await evaluate(budget, spendingOf, now);
+      views.push(toView(budget, progress));
+    }
+    return views;
+  },
+
+  /**
+   * Get one budget with this month's progress and past months
+   * @param {string} userId - Owner
+   * @param {string} budgetId - Budget ID
+   * @returns {Promise<Object>}
+   */
+  async get(userId, budgetId) {
+    const budget = await findBudget(userId, budgetId);
+    const { progress } = await evaluate(budget, spendingCache(), new Date());
+    return toView(budget, progress);
+  },
+
+  /**
+   * Change a budget's amount or rollover
+   * The new amount applies from the current month; past months keep their limits.
+   * @param {string} userId - Owner
+   * @param {string} budgetId - Budget ID
+   * @param {Object} fields - `{ amount, rollover }`
+   * @returns {Promise<Object>}
+   */
+  async update(userId, budgetId, { amount, rollover }) {
+    const budget = await findBudget(userId, budgetId);
+
+    if (amount !== undefined) {
+      budget.amount = money.toDecimal128(amount, budget.currency);
+    }
+    if (rollover !== undefined) {
+      budget.rollover = rollover;
+    }
+    await budget.save();
+
+    const { period, progress } = await evaluate(
+      budget,
+      spendingCache(),
+      new Date()
+    );
+    await acknowledgeThresholds(budget, period, progress);
+
+    return toView(budget, progress);
+  },
+
+  /**
+   * Delete a budget
+   * @param {string} userId - Owner
+   * @param {string} budgetId - Budget ID
+   * @returns {Promise<void>}
+   */
+  async remove(userId, budgetId) {
+    const budget = await findBudget(userId, budgetId);
+    await budget.deleteOne();
+  },
+
+  /**
+   * Bring the user's budgets up to date and send any threshold alerts due
+   * @param {string} userId - Owner
+   * @returns {Promise<number>} - Alerts sent
+   */
+  async checkAlerts(userId) {
+    const budgets = await Budget.find({ user: userId });
+    const spendingOf = spendingCache();
+    const now = new Date();
+    let sent = 0;
+
+    for (const budget of budgets) {
+      const { period, progress } = await evaluate(budget, spendingOf, now);
+      const threshold = await alertIfNeeded(budget, period, progress);
+
+      if (threshold) {
+        sent += 1;
+        logger.info("Budget threshold alert sent", {
+          userId,
+          budgetId: budget._id,
+          category: budget.category,
+          month: period.month,
+          threshold,
+        });
+      }
+    }
+
+    return sent;
+  },
+
+  /**
+   * Check every user with a budget; run by the budget alerts job
+   * Catches spending that didn't go through a transfer, such as bill payments, and
+   * closes each month shortly after it ends.
+   * @returns {Promise<{ users: number, alerts: number, failed: number }>}
+   */
+  async processAll() {
+    const userIds = await Budget.distinct("user");
+    const results = { users: userIds.length, alerts: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      try {
+        results.alerts += await budgetService.checkAlerts(userId);
+      } catch (error) {
+        results.failed += 1;
+        logger.error("Error checking budgets", {
+          userId,
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+    }
+
+    return results;
+  },
+};
+
+module.exports = budgetService;
@@ -0,0 +1,586 @@
+const mongoose = require("mongoose");
+const Transaction = require("../models/Transaction");
+const WalletTransaction = require("../models/WalletTransaction");
+const Wallet = require("../models/Wallet");
+const Account = require("../models/Account");
+const Card = require("../models/Card");
+const UserInvestment = require("../models/UserInvestment");
+const CategoryRule = require("../models/CategoryRule");
+const AppError = require("../utils/error");
+const config = require("../config/config");
+const { logger } = require("../config/logger");
+
+/**
+ * Spending categories for transactions
+ *
+ * A transaction is categorized by the first of these that applies:
+ *   1. fees and moves between the user's own accounts, cards and wallets
+ *   2. the user's own rules (counterparty first, then description keyword)
+ *   3. money coming in, which is income
+ *   4. the bill category or merchant category code (MCC) in its metadata
+ *   5. keywords in its description
+ *   6. its type
+ * Categories the user picked by hand are never overwritten.
+ *
+ * Account and card sides live in Transaction, wallet sides in WalletTransaction.
+ * Wallet sides name the accounts, cards and wallets on each side rather than their
+ * owners, so the owners are looked up before a wallet side is categorized.
+ */
+
+const OUTFLOW_TYPES = ["debit", "withdrawal", "payment", "fee", "investment"];
+const INFLOW_TYPES = ["credit", "deposit", "refund", "interest"];
+
+// ISO 18245 merchant category codes; the first matching range wins
+const MCC_RANGES = [
+  { from: 3000, to: 3999, category: "travel" }, // airlines, car rental, hotels
+  { from: 4011, to: 4131, category: "transportation" },
+  { from: 4411, to: 4411, category: "travel" }, // cruise lines
+  { from: 4511, to: 4582, category: "travel" },
+  { from: 4722, to: 4722, category: "travel" }, // travel agencies
+  { from: 4784, to: 4789, category: "transportation" }, // tolls
+  { from: 4812, to: 4816, category: "utility" }, // telecom
+  { from: 4899, to: 4899, category: "subscription" }, // cable and streaming
+  { from: 4900, to: 4900, category: "utility" },
+  { from: 5411, to: 5499, category: "groceries" },
+  { from: 5541, to: 5542, category: "transportation" }, // fuel
+  { from: 5811, to: 5814, category: "dining" },
+  { from: 5912, to: 5912, category: "health" }, // pharmacies
+  { from: 5200, to: 5999, category: "shopping" },
+  { from: 6010, to: 6011, category: "cash" },
+  { from: 6211, to: 6211, category: "investment" },
+  { from: 6300, to: 6399, category: "insurance" },
+  { from: 7011, to: 7011, category: "travel" },
+  { from: 7832, to: 7999, category: "entertainment" },
+  { from: 8011, to: 8099, category: "health" },
+  { from: 8211, to: 8299, category: "education" },
+];
+
+// Checked in order against the description
+const KEYWORD_RULES = [
+  {
+    category: "housing",
+    pattern: /\b(rent|mortgage|landlord|hoa)\b/i,
+  },
+  {
+    category: "utility",
+    pattern:
+      /\b(electric(ity)?|water bill|gas bill|internet|broadband|comcast|xfinity|verizon|at&t|t-mobile)\b/i,
+  },
+  {
+    category: "subscription",
+    pattern:
+      /\b(netflix|spotify|hulu|disney\+?|youtube premium|apple music|icloud|subscription|membership)\b/i,
+  },
+  {
+    category: "groceries",
+    pattern:
+      /\b(grocer(y|ies)|supermarket|kroger|safeway|whole foods|trader joe'?s|aldi|costco)\b/i,
+  },
+  {
+    category: "dining",
+    pattern:
+      /\b(restaurant|cafe|coffee|starbucks|mcdonald'?s|burger|pizza|doordash|grubhub|uber eats)\b/i,
+  },
+  {
+    category: "transportation",
+    pattern:
+      /\b(uber|lyft|taxi|metro|transit|parking|fuel|gas station|shell|chevron|exxon)\b/i,
+  },
+  {
+    category: "travel",
+    pattern: /\b(airline|airways|flight|hotel|airbnb|expedia|booking\.com)\b/i,
+  },
+  {
+    category: "health",
+    pattern:
+      /\b(pharmacy|cvs|walgreens|hospital|clinic|doctor|dental|medical)\b/i,
+  },
+  {
+    category: "insurance",
+    pattern: /\b(insurance|geico|allstate|progressive)\b/i,
+  },
+  {
+    category: "education",
+    pattern: /\b(tuition|school|university|college|course)\b/i,
+  },
+  {
+    category: "loan",
+    pattern: /\b(loan|installment)\b/i,
+  },
+  {
+    category: "entertainment",
+    pattern:
+      /\b(cinema|movie|theat(er|re)|concert|tickets?|steam|playstation|xbox)\b/i,
+  },
+  {
+    category: "shopping",
+    pattern: /\b(amazon|walmart|target|best buy|ebay|etsy|ikea|shop|store)\b/i,
+  },
+  {
+    category: "cash",
+    pattern: /\b(atm|cash withdrawal)\b/i,
+  },
+];
+
+// Where the source or beneficiary of a wallet side can live
+const PARTY_MODELS = { Wallet, Account, Card, UserInvestment };
+
+const TYPE_CATEGORIES = {
+  fee: "fees",
+  investment: "investment",
+  withdrawal: "cash",
+};
+
+// Older records were written with capitalised types ("Debit")
+const typeOf = (transaction) => String(transaction.type || "").toLowerCase();
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+/**
+ * Whether money came in or went out on this side of the transaction
+ * Both legs of a reversal are "refund"s; they only unwind the transfer they
+ * reverse, so they are neither.
+ * @param {Object} transaction - Transaction document
+ * @returns {"in"|"out"|null} - Null for exchanges and reversals
+ */
+const flowOf = (transaction) => {
+  if (transaction.reversalOf) {
+    return null;
+  }
+
+  const type = typeOf(transaction);
+  if (OUTFLOW_TYPES.includes(type)) {
+    return "out";
+  }
+  if (INFLOW_TYPES.includes(type)) {
+    return "in";
+  }
+  return null;
+};
+
+/**
+ * The user on the other side of the transaction
+ * @param {Object} transaction - Transaction document
+ * @returns {mongoose.Types.ObjectId|undefined}
+ */
+const counterpartyOf = (transaction) =>
+  flowOf(transaction) === "in"
+    ? transaction.sourceUser
+    : transaction.beneficiary;
+
+const mccCategory = (mcc) => {
+  const code = Number(mcc);
+  if (!Number.isInteger(code)) {
+    return null;
+  }
+  const range = MCC_RANGES.find(({ from, to }) => code >= from && code <= to);
+  return range ? range.category : null;
+};
+
+/**
+ * Find the user rule that matches a transaction
+ * @param {Object} transaction - Transaction document
+ * @param {Object[]} rules - The user's rules
+ * @returns {Object|undefined}
+ */
+const matchUserRule = (transaction, rules) => {
+  const counterparty = counterpartyOf(transaction);
+  const description = (transaction.description || "").toLowerCase();
+
+  return (
+    rules.find(
+      (rule) => rule.counterparty && sameId(rule.counterparty, counterparty)
+    ) ||
+    rules.find((rule) => rule.keyword && description.includes(rule.keyword))
+  );
+};
+
+/**
+ * Pick the category for a transaction
+ * @param {Object} transaction - Transaction document
+ * @param {Object[]} rules - The owner's category rules
+ * @returns {string}
+ */
+const categorize = (transaction, rules = []) => {
+  const type = typeOf(transaction);
+  const metadata = transaction.metadata || {};
+
+  if (type === "fee") {
+    return "fees";
+  }
+
+  if (sameId(transaction.sourceUser, transaction.beneficiary)) {
+    return "transfer";
+  }
+
+  const rule = matchUserRule(transaction, rules);
+  if (rule) {
+    return rule.category;
+  }
+
+  if (flowOf(transaction) === "in") {
+    return "income";
+  }
+
+  if (config.insights.categories.includes(metadata.billType)) {
+    return metadata.billType;
+  }
+
+  const fromMcc = mccCategory(metadata.mcc);
+  if (fromMcc) {
+    return fromMcc;
+  }
+
+  const keywordRule = KEYWORD_RULES.find(({ pattern }) =>
+    pattern.test(transaction.description || "")
+  );
+  if (keywordRule) {
+    return keywordRule.category;
+  }
+
+  return TYPE_CATEGORIES[type] || "other";
+};
+
+const keywordFilter = (keyword) => ({
+  description: {
+    $regex: keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    $options: "i",
+  },
+});
+
+/**
+ * Fill in the users on both sides of wallet transactions
+ * @param {Object[]} transactions - Lean wallet transactions
+ * @returns {Promise<Object[]>} - Copies with `sourceUser` and `beneficiary` set to
+ *   the owners of the source and beneficiary (unset for external parties)
+ */
+const withParties = async (transactions) => {
+  const idsByType = new Map();
+  for (const transaction of transactions) {
+    for (const [type, id] of [
+      [transaction.sourceType, transaction.source],
+      [transaction.beneficiaryType, transaction.beneficiary],
+    ]) {
+      if (PARTY_MODELS[type]) {
+        idsByType.set(type, [...(idsByType.get(type) || []), id]);
+      }
+    }
+  }
+
+  const owners = new Map();
+  for (const [type, ids] of idsByType) {
+    const parties = await PARTY_MODELS[type]
+      .find({ _id: { $in: ids } })
+      .select("user")
+      .lean();
+    parties.forEach((party) => owners.set(String(party._id), party.user));
+  }
+
+  return transactions.map((transaction) => ({
+    ...transaction,
+    sourceUser: owners.get(String(transaction.source)),
+    beneficiary: owners.get(String(transaction.beneficiary)),
+  }));
+};
+
+// For each collection: the fields `categorize` reads, how to make its documents
+// ready to categorize, and the query for the documents a user rule can apply to
+const COLLECTIONS = [
+  {
+    model: Transaction,
+    fields: "type description metadata sourceUser beneficiary",
+    resolve: async (transactions) => transactions,
+    matchesRule: async (rule) =>
+      rule.counterparty
+        ? {
+            $or: [
+              { beneficiary: rule.counterparty },
+              { sourceUser: rule.counterparty },
+            ],
+          }
+        : keywordFilter(rule.keyword),
+  },
+  {
+    model: WalletTransaction,
+    fields:
+      "user type description metadata source sourceType beneficiary beneficiaryType",
+    resolve: withParties,
+    matchesRule: async (rule) => {
+      if (!rule.counterparty) {
+        return keywordFilter(rule.keyword);
+      }
+
+      const owned = await Promise.all(
+        Object.values(PARTY_MODELS).map((model) =>
+          model.find({ user: rule.counterparty }).distinct("_id")
+        )
+      );
+      const ids = owned.flat();
+      return { $or: [{ source: { $in: ids } }, { beneficiary: { $in: ids } }] };
+    },
+  },
+];
+
+/**
+ * Load the transactions a query matches, ready to categorize
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {Object} filter - MongoDB filter
+ * @param {number} [limit] - Most to load
+ * @returns {Promise<Object[]>}
+ */
+const loadForCategorizing = async (collection, filter, limit) => {
+  const query = collection.model.find(filter).select(collection.fields);
+  if (limit) {
+    query.limit(limit);
+  }
+  return collection.resolve(await query.lean());
+};
+
+/**
+ * Find one of the user's transactions in either collection
+ * @param {string} userId - Owner
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<{ collection: Object, transaction: Object }|null>}
+ */
+const findTransaction = async (userId, transactionId) => {
+  if (!mongoose.isValidObjectId(transactionId)) {
+    return null;
+  }
+
+  for (const collection of COLLECTIONS) {
+    const transaction = await collection.model.findOne({
+      _id: transactionId,
+      user: userId,
+    });
+    if (transaction) {
+      return { collection, transaction };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Assign categories to a batch of transactions
+ * @param {Object} collection - Entry of COLLECTIONS they come from
+ * @param {Object[]} transactions - Lean transactions, ready to categorize
+ * @param {Object[]} rules - The owner's category rules
+ * @returns {Promise<number>} - Number of transactions updated
+ */
+const applyCategories = async (collection, transactions, rules) => {
+  if (transactions.length === 0) {
+    return 0;
+  }
+
+  const result = await collection.model.bulkWrite(
+    transactions.map((transaction) => ({
+      updateOne: {
+        // Never overwrite a category the user picked in the meantime
+        filter: { _id: transaction._id, categorySource: { $ne: "user" } },
+        update: {
+          $set: {
+            category: categorize(transaction, rules),
+            categorySource: "rule",
+          },
+        },
+      },
+    })),
+    { ordered: false }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Categorize again the transactions a rule applies to, unless picked by hand
+ * @param {string} userId - Owner
+ * @param {Object} rule - The new or changed rule
+ * @param {mongoose.Types.ObjectId} [exceptId] - Transaction to leave alone
+ * @returns {Promise<number>} - Number of transactions updated
+ */
+const recategorize = async (userId, rule, exceptId) => {
+  const rules = await CategoryRule.find({ user: userId }).lean();
+  let recategorized = 0;
+
+  for (const collection of COLLECTIONS) {
+    const related = await loadForCategorizing(collection, {
+      user: userId,
+      categorySource: { $ne: "user" },
+      ...(exceptId && { _id: { $ne: exceptId } }),
+      ...(await collection.matchesRule(rule)),
+    });
+    recategorized += await applyCategories(collection, related, rules);
+  }
+
+  return recategorized;
+};
+
+const categorizationService = {
+  categorize,
+  flowOf,
+  counterpartyOf,
+  withParties,
+
+  /**
+   * Categorize the user's transactions that don't have a category yet
+   * @param {string} userId - Owner
+   * @returns {Promise<number>} - Number of transactions categorized
+   */
+  async categorizePending(userId) {
+    const rules = await CategoryRule.find({ user: userId }).lean();
+    let categorized = 0;
+
+    for (const collection of COLLECTIONS) {
+      for (;;) {
+        const batch = await loadForCategorizing(
+          collection,
+          { user: userId, category: { $exists: false } },
+          config.insights.categorizeBatchSize
+        );
+
+        categorized += await applyCategories(collection, batch, rules);
+
+        if (batch.length < config.insights.categorizeBatchSize) {
+          break;
+        }
+      }
+    }
+
+    if (categorized > 0) {
+      logger.debug("Categorized transactions", { userId, categorized });
+    }
+
+    return categorized;
+  },
+
+  /**
+   * Set a transaction's category by hand
+   * With `applyToCounterparty`, a rule is saved so the counterparty's other
+   * transactions, past and future, get the same category unless picked by hand.
+   * @param {string} userId - Owner
+   * @param {string} transactionId - Transaction to categorize
+   * @param {Object} options - `{ category, applyToCounterparty }`
+   * @returns {Promise<{ transaction: Object, rule: Object|null, recategorized: number }>}
+   * @throws {AppError} - When the transaction doesn't exist or has no counterparty
+   */
+  async setCategory(userId, transactionId, { category, applyToCounterparty }) {
+    const found = await findTransaction(userId, transactionId);
+
+    if (!found) {
+      throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND");
+    }
+
+    const { transaction } = found;
+    const [parties] = await found.collection.resolve([transaction.toObject()]);
+    const counterparty = counterpartyOf(parties);
+    if (
+      applyToCounterparty &&
+      (!counterparty || sameId(counterparty, userId))
+    ) {
+      throw new AppError(
+        "This transaction has no counterparty to apply the category to",
+        400,
+        "NO_COUNTERPARTY"
+      );
+    }
+
+    transaction.category = category;
+    transaction.categorySource = "user";
+    await transaction.save();
+
+    if (!applyToCounterparty) {
+      return { transaction, rule: null, recategorized: 0 };
+    }
+
+    const rule = await CategoryRule.findOneAndUpdate(
+      { user: userId, counterparty },
+      { $set: { category } },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+
+    // Re-run the rules over everything exchanged with the counterparty
+    const recategorized = await recategorize(userId, rule, transaction._id);
+
+    return { transaction, rule, recategorized };
+  },
+
+  /**
+   * List the user's category rules
+   * @param {string} userId - Owner
+   * @returns {Promise<Object[]>}
+   */
+  async listRules(userId) {
+    return CategoryRule.find({ user: userId })
+      .populate("counterparty", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .lean();
+  },
+
+  /**
+   * Add a keyword rule and apply it to transactions not picked by hand
+   * @param {string} userId - Owner
+   * @param {Object} options - `{ keyword, category }`
+   * @returns {Promise<{ rule: Object, recategorized: number }>}
+   * @throws {AppError} - When a rule for the keyword already exists
+   */
+  async createKeywordRule(userId, { keyword, category }) {
+    let rule;
+    try {
+      rule = await CategoryRule.create({ user: userId, keyword, category });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(
+          "A rule for this keyword already exists",
+          409,
+          "CATEGORY_RULE_EXISTS"
+        );
+      }
+      throw error;
+    }
+
+    const recategorized = await recategorize(userId, rule);
+
+    return { rule, recategorized };
+  },
+
+  /**
+   * Delete one of the user's rules
+   * Transactions it categorized are categorized again on the next read.
+   * @param {string} userId - Owner
+   * @param {string} ruleId - Rule to delete
+   * @returns {Promise<void>}
+   * @throws {AppError} - When the rule doesn't exist
+   */
+  async deleteRule(userId, ruleId) {
+    const rule = mongoose.isValidObjectId(ruleId)
+      ? await CategoryRule.findOneAndDelete({ _id: ruleId, user: userId })
+      : null;
+
+    if (!rule) {
+      throw new AppError(
+        "Category rule not found",
+        404,
+        "CATEGORY_RULE_NOT_FOUND"
+      );
+    }
+
+    for (const collection of COLLECTIONS) {
+      await collection.model.updateMany(
+        {
+          user: userId,
+          categorySource: "rule",
+          category: rule.category,
+          ...(await collection.matchesRule(rule)),
+        },
+        { $unset: { category: "", categorySource: "" } }
+      );
+    }
+  },
+};
+
+module.exports = categorizationService;
@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const ChallengeToken = require("../models/ChallengeToken");
+const config = require("../config/config");
+const { canonicalize } = require("../utils/canonicalJson");
+
+/**
+ * Passcode challenge tokens
+ *
+ * A token is issued for one action and one request body, and can be used once
+ * before it expires. Tokens live in a store: an object with a `name` and
+ * async `save(record)`, `consume(tokenHash, criteria, now)` and `peek(tokenHash)`.
+ * `consume` must remove and return the record in one step, and only when it
+ * belongs to the user, matches the action and payload and hasn't expired, so two
+ * requests can never both use a token. "mongo" is shared by every server instance;
+ * "memory" keeps tokens in-process for tests. Register others with
+ * `challengeTokenService.registerStore()`.
+ */
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const hashPayload = (payload) => sha256(canonicalize(payload));
+
+const payloadMatches = (record, payloadHash) =>
+  record.payloadHash === payloadHash;
+
+const matches = (record, { userId, action, payloadHash }, now) =>
+  record.expiresAt > now &&
+  record.userId === userId &&
+  record.action === action &&
+  payloadMatches(record, payloadHash);
+
+/**
+ * Create a store backed by the ChallengeToken collection
+ * MongoDB's TTL index clears out expired tokens.
+ * @returns {Object} - Token store
+ */
+const createMongoStore = () => {
+  const toRecord = (doc) =>
+    doc && {
+      tokenHash: doc.tokenHash,
+      userId: doc.user.toString(),
+      action: doc.action,
+      payloadHash: doc.payloadHash,
+      expiresAt: doc.expiresAt,
+    };
+
+  return {
+    name: "mongo",
+
+    async save({ tokenHash, userId, action, payloadHash, expiresAt }) {
+      await ChallengeToken.create({
+        tokenHash,
+        user: userId,
+        action,
+        payloadHash,
+        expiresAt,
+      });
+    },
+
+    async consume(tokenHash, { userId, action, payloadHash }, now) {
+      const filter = {
+        tokenHash,
+        user: userId,
+        action,
+        expiresAt: { $gt: now },
+        payloadHash,
+      };
+
+      return toRecord(await ChallengeToken.findOneAndDelete(filter).lean());
+    },
+
+    async peek(tokenHash) {
+      return toRecord(await ChallengeToken.findOne({ tokenHash }).lean());
+    },
+  };
+};
+
+/**
+ * Create a store that keeps tokens in this process
+ * @returns {Object} - Token store
+ */
+const createMemoryStore = () => {
+  const tokens = new Map();
+
+  return {
+    name: "memory",
+
+    async save(record) {
+      tokens.set(record.tokenHash, { ...record });
+    },
+
+    // Synchronous between lookup and delete, so nothing can use the token in between
+    async consume(tokenHash, criteria, now) {
+      const record = tokens.get(tokenHash);
+      if (!record || !matches(record, criteria, now)) {
+        return null;
+      }
+
+      tokens.delete(tokenHash);
+      return record;
+    },
+
+    async peek(tokenHash) {
+      return tokens.get(tokenHash) || null;
+    },
+
+    clear() {
+      tokens.clear();
+    },
+  };
+};
+
+const stores = {
+  mongo: createMongoStore(),
+  memory: createMemoryStore(),
+};
+
+/**
+ * Why a token couldn't be used, from the record it was issued with
+ */
+const rejectionReason = (record, { userId, action, payloadHash }, now) => {
+  if (!record) return "invalid_token";
+  if (record.expiresAt <= now) return "expired_token";
+  if (record.userId !== userId) return "unauthorized_token";
+  if (record.action !== action) return "action_mismatch";
+  if (!payloadMatches(record, payloadHash)) return "payload_mismatch";
+  return "invalid_token";
+};
+
+const challengeTokenService = {
+  /**
+   * Register (or replace) a token store
+   * @param {Object} store - Store with `name`, `save()`, `consume()` and `peek()`
+   */
+  registerStore(store) {
+    if (
+      !store ||
+      !store.name ||
+      ["save", "consume", "peek"].some(
+        (method) => typeof store[method] !== "function"
+      )
+    ) {
+      throw new Error(
+        "Challenge token store must have a name, save(), consume() and peek()"
+      );
+    }
+
+    stores[store.name] = store;
+  },
+
+  /**
+   * Get the configured store
+   * @returns {Object} - Token store
+   */
+  getStore() {
+    const store = stores[config.challengeTokens.store];
+    if (!store) {
+      throw new Error(
+        `Unknown challenge token store: ${config.challengeTokens.store}`
+      );
+    }
+    return store;
+  },
+
+  /**
+   * Issue a token
+   * @param {Object} params - Token parameters
+   * @param {string} params.userId - User the token is for
+   * @param {string} params.action - What the token authorizes
+   * @param {Object} params.payload - Request the token is only good for
+   * @returns {Promise<{ token: string, expiresAt: Date }>}
+   */
+  async issue({ userId, action, payload }) {
+    if (!action || !payload || typeof payload !== "object") {
+      throw new Error("Challenge tokens need an action and a payload");
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + config.challengeTokens.ttlMs);
+
+    await challengeTokenService.getStore().save({
+      tokenHash: sha256(token),
+      userId: userId.toString(),
+      action,
+      payloadHash: hashPayload(payload),
+      expiresAt,
+    });
+
+    return { token, expiresAt };
+  },
+
+  /**
+   * Use a token up
+   * @param {string} token - Token from the client
+   * @param {Object} params - What the token is being used for
+   * @param {string} params.userId - User presenting the token
+   * @param {string} params.action - Action it must have been issued for
+   * @param {Object} [params.payload] - Body of the request it is used on
+   * @returns {Promise<{ valid: boolean, reason?: string, action?: string }>}
+   */
+  async consume(token, { userId, action, payload }) {
+    if (!action) {
+      throw new Error("A challenge token can only be used for a named action");
+    }
+
+    const store = challengeTokenService.getStore();
+    const tokenHash = sha256(String(token));
+    const criteria = {
+      userId: userId.toString(),
+      action,
+      payloadHash: hashPayload(payload || {}),
+    };
+    const now = new Date();
+
+    const record = await store.consume(tokenHash, criteria, now);
+    if (record) {
+      return { valid: true, action: record.action };
+    }
+
+    return {
+      valid: false,
+      reason: rejectionReason(await store.peek(tokenHash), criteria, now),
+    };
+  },
+};
+
+module.exports = challengeTokenService;
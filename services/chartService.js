@@ -3,6 +3,7 @@
 const socketIo = require("socket.io");
 const mongoose = require("mongoose");
 const UserInvestment = require("../models/UserInvestment");
+const { createRandom } = require("../utils/seededRandom");
 const { logger } = require("../config/logger");
 
 /**
@@ -254,24 +255,10 @@ class ChartDataService {
     const startIndex = Math.max(0, nextGrowthIndex - daysToShow);
     const endIndex = nextGrowthIndex;
 
-    // Get relevant portion of growth schedule
+    // Get relevant portion of growth schedule; a young investment just has a
+    // shorter history
     const relevantGrowth = growthSchedule.slice(startIndex, endIndex);
 
-    // If we don't have enough days in history, pad with estimated data
-    if (relevantGrowth.length < daysToShow) {
-      // Calculate average daily return from available data
-      const avgReturn =
-        relevantGrowth.reduce((sum, val) => sum + val, 0) /
-        (relevantGrowth.length || 1);
-
-      // Pad with estimated values
-      while (relevantGrowth.length < daysToShow) {
-        // Add some randomness to earlier days
-        const randomFactor = 0.5 + Math.random();
-        relevantGrowth.unshift(avgReturn * randomFactor);
-      }
-    }
-
     // Work backwards from current value to reconstruct historical daily values
     const dailyValues = [];
     let runningValue = currentValue;
@@ -286,14 +273,20 @@ class ChartDataService {
       dailyValues.unshift(runningValue);
     }
 
-    // Generate candlestick data with multiple candles per day
-    return this.expandToCandlesticks(dailyValues);
+    // Generate candlestick data with multiple candles per day, seeded so the
+    // same history always draws the same candles
+    return this.expandToCandlesticks(
+      dailyValues,
+      investment.metadata.growthModel?.seed || investment._id.toString()
+    );
   }
 
   /**
    * Convert daily values to candlestick data with multiple candles per day
+   * Intraday movement is drawn from `seed` and the date, so a day's candles
+   * don't change between requests.
    */
-  expandToCandlesticks(dailyValues) {
+  expandToCandlesticks(dailyValues, seed) {
     const result = [];
     const candlesPerDay = 4; // 4 candles per day (6-hour intervals)
 
@@ -306,6 +299,7 @@ class ChartDataService {
       // Determine date for this day
       const dayDate = new Date(startDate);
       dayDate.setDate(dayDate.getDate() + dayIndex);
+      const random = createRandom(seed, `candles:${dayDate.toISOString()}`);
 
       // Generate realistic intraday volatility
       const volatilityFactor = 0.005; // 0.5% volatility
@@ -314,7 +308,7 @@ class ChartDataService {
       // Previous close becomes today's open
       const open =
         dayIndex === 0
-          ? closeValue * (1 - Math.random() * 0.005) // First day needs an open price
+          ? closeValue * (1 - random() * 0.005) // First day needs an open price
           : dailyValues[dayIndex - 1];
 
       // The day's overall movement from open to close
@@ -336,33 +330,27 @@ class ChartDataService {
           result.push({
             timestamp: candleTime.getTime(),
             open: lastClose,
-            high:
-              Math.max(lastClose, closeValue) +
-              Math.random() * candleVolatility,
-            low:
-              Math.min(lastClose, closeValue) -
-              Math.random() * candleVolatility,
+            high: Math.max(lastClose, closeValue) + random() * candleVolatility,
+            low: Math.min(lastClose, closeValue) - random() * candleVolatility,
             close: closeValue,
           });
         } else {
           // Calculate a portion of the day's movement for this candle
-          const movePercent = 0.2 + Math.random() * 0.4; // 20-60% of remaining move
+          const movePercent = 0.2 + random() * 0.4; // 20-60% of remaining move
           const remainingMove = closeValue - lastClose;
           const thisMove = remainingMove * movePercent;
           const thisClose = lastClose + thisMove;
 
           // Determine volatility for this candle
-          const candleVolatility = volatility * (0.5 + Math.random() * 0.5);
+          const candleVolatility = volatility * (0.5 + random() * 0.5);
 
           // Create the candle
           const candle = {
             timestamp: candleTime.getTime(),
             open: lastClose,
             close: thisClose,
-            high:
-              Math.max(lastClose, thisClose) + Math.random() * candleVolatility,
-            low:
-              Math.min(lastClose, thisClose) - Math.random() * candleVolatility,
+            high: Math.max(lastClose, thisClose) + random() * candleVolatility,
+            low: Math.min(lastClose, thisClose) - random() * candleVolatility,
           };
 
           result.push(candle);
@@ -1,5 +1,9 @@
 const cron = require("node-cron");
 const investmentGrowthService = require("./investmentService");
+const investmentMaturityService = require("./investmentMaturityService");
+const scheduledTransferService = require("./scheduledTransferService");
+const budgetService = require("./budgetService");
+const config = require("../config/config");
 const { logger } = require("../config/logger");
 
 /**
@@ -65,24 +69,123 @@ const registerInvestmentGrowthCron = () => {
 };
 
 /**
- * Register cron job to check for matured investments
- * Runs every day at 3:00 AM
+ * Register the investment maturity cron job
+ * Runs daily at 3:00 AM UTC by default (config.investments.maturityCron)
  */
 const registerMaturityCheckCron = () => {
   logger.info("Registering investment maturity check cron job");
 
-  // Schedule the job to run at 3:00 AM daily
+  // Settles everything past maturity, so a run missed during downtime is caught up
   cron.schedule(
-    "0 3 * * *",
+    config.investments.maturityCron,
     async () => {
-      // Implementation of maturity check would go here
-      logger.info("Running investment maturity check cron");
+      try {
+        const results = await investmentMaturityService.processDue(new Date());
+
+        logger.info("Investment maturity cron completed", {
+          settled: results.settled,
+          paidOut: results.paidOut,
+          rolledOver: results.rolledOver,
+          failed: results.failed,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (error) {
+        logger.error("Error in investment maturity cron job", {
+          error: error.message,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    },
+    {
+      scheduled: true,
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Investment maturity cron job registered successfully");
+};
+
+/**
+ * Register the scheduled transfer cron job
+ * Runs every minute by default (config.scheduledTransfers.cron)
+ */
+const registerScheduledTransfersCron = () => {
+  logger.info("Registering scheduled transfers cron job");
+
+  // A run that overlaps the next one is harmless: each schedule is locked while it runs
+  cron.schedule(
+    config.scheduledTransfers.cron,
+    async () => {
+      try {
+        const results = await scheduledTransferService.processDue(new Date());
+
+        if (
+          results.succeeded > 0 ||
+          results.failed > 0 ||
+          results.deferred > 0
+        ) {
+          logger.info("Scheduled transfers cron completed", {
+            succeeded: results.succeeded,
+            failed: results.failed,
+            deferred: results.deferred,
+            timestamp: new Date().toISOString(),
+          });
+        }
+      } catch (error) {
+        logger.error("Error in scheduled transfers cron job", {
+          error: error.message,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    },
+    {
+      scheduled: true,
+      timezone: "UTC",
+    }
+  );
+
+  logger.info("Scheduled transfers cron job registered successfully");
+};
+
+/**
+ * Register the budget alerts cron job
+ * Runs every 15 minutes by default (config.budgets.cron)
+ */
+const registerBudgetAlertsCron = () => {
+  logger.info("Registering budget alerts cron job");
+
+  // Overlapping runs are harmless: each threshold alert is claimed before it is sent
+  cron.schedule(
+    config.budgets.cron,
+    async () => {
+      try {
+        const results = await budgetService.processAll();
+
+        if (results.alerts > 0 || results.failed > 0) {
+          logger.info("Budget alerts cron completed", {
+            users: results.users,
+            alerts: results.alerts,
+            failed: results.failed,
+            timestamp: new Date().toISOString(),
+          });
+        }
+      } catch (error) {
+        logger.error("Error in budget alerts cron job", {
+          error: error.message,
+          stack: error.stack,
+          timestamp: new Date().toISOString(),
+        });
+      }
     },
     {
       scheduled: true,
       timezone: "UTC",
     }
   );
+
+  logger.info("Budget alerts cron job registered successfully");
 };
 
 /**
@@ -94,6 +197,8 @@ const initCronJobs = () => {
 
     registerInvestmentGrowthCron();
     registerMaturityCheckCron();
+    registerScheduledTransfersCron();
+    registerBudgetAlertsCron();
 
     logger.info("All investment cron jobs initialized successfully");
   } catch (error) {
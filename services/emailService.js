@@ -362,6 +362,9 @@ const sendSecurityAlert = async ({
       case "failed_login":
         subject = "Security Alert: Failed Login Attempts";
         break;
+      case "refresh_token_reuse":
+        subject = "Security Alert: You Have Been Signed Out";
+        break;
       default:
         subject = `Security Alert: ${alertType}`;
     }
@@ -0,0 +1,261 @@
+const fs = require("fs/promises");
+const ExchangeRateSnapshot = require("../models/ExchangeRateSnapshot");
+const { logger } = require("../config/logger");
+const config = require("../config/config");
+const money = require("../utils/money");
+
+/**
+ * Exchange rate providers
+ *
+ * A provider is an object with a `name` and an async `fetchRates()` that resolves to
+ * `{ base, asOf, rates }`, where `rates` maps each currency code to the value of one
+ * unit of that currency in `base`. Register additional providers with
+ * `exchangeRateService.registerProvider()`.
+ */
+
+/**
+ * Create a provider that reads rates from a local JSON file
+ * The file is re-read on every fetch so rates can be updated without a restart.
+ * @param {string} filePath - Path to the JSON rates file
+ * @returns {Object} - Rate provider
+ */
+const createFileProvider = (filePath) => ({
+  name: "file",
+
+  async fetchRates() {
+    const contents = JSON.parse(await fs.readFile(filePath, "utf8"));
+
+    if (!contents.rates || typeof contents.rates !== "object") {
+      throw new Error(`Exchange rate file ${filePath} has no rates`);
+    }
+
+    return {
+      base: (contents.base || "USD").toUpperCase(),
+      asOf: contents.asOf ? new Date(contents.asOf) : new Date(),
+      rates: contents.rates,
+    };
+  },
+});
+
+const providers = {
+  file: createFileProvider(config.exchange.ratesFile),
+};
+
+// In-process cache of the current snapshot
+let cachedSnapshot = null;
+let cacheExpiresAt = 0;
+let refreshPromise = null;
+
+/**
+ * Whether a snapshot holds exactly the rates a provider returned
+ */
+const hasSameRates = (snapshot, { base, asOf, rates }) =>
+  snapshot.base === base.toUpperCase() &&
+  new Date(snapshot.asOf).getTime() === new Date(asOf).getTime() &&
+  snapshot.rates.size === Object.keys(rates).length &&
+  Object.entries(rates).every(
+    ([currency, rate]) => snapshot.rates.get(currency) === Number(rate)
+  );
+
+/**
+ * Refresh rates from the provider, falling back to the last known snapshot
+ * so a provider outage doesn't block transfers
+ * The fallback is kept for config.exchange.retryAfterMs before the provider is
+ * tried again, so an outage doesn't cost every lookup a failed fetch.
+ * @returns {Promise<Object>} - ExchangeRateSnapshot
+ */
+const loadSnapshot = async () => {
+  try {
+    return await exchangeRateService.refreshRates();
+  } catch (error) {
+    logger.error("Error refreshing exchange rates", {
+      provider: config.exchange.provider,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    const fallback =
+      cachedSnapshot ||
+      (await ExchangeRateSnapshot.findOne().sort({ fetchedAt: -1 }));
+
+    if (!fallback) {
+      throw error;
+    }
+
+    cachedSnapshot = fallback;
+    cacheExpiresAt = Date.now() + config.exchange.retryAfterMs;
+    return fallback;
+  }
+};
+
+const exchangeRateService = {
+  /**
+   * Register (or replace) a rate provider
+   * @param {Object} provider - Provider with `name` and `fetchRates()`
+   */
+  registerProvider(provider) {
+    if (
+      !provider ||
+      !provider.name ||
+      typeof provider.fetchRates !== "function"
+    ) {
+      throw new Error(
+        "Exchange rate provider must have a name and fetchRates()"
+      );
+    }
+    providers[provider.name] = provider;
+  },
+
+  /**
+   * Get the configured provider
+   * @returns {Object} - Rate provider
+   */
+  getProvider() {
+    const provider = providers[config.exchange.provider];
+    if (!provider) {
+      throw new Error(
+        `Unknown exchange rate provider: ${config.exchange.provider}`
+      );
+    }
+    return provider;
+  },
+
+  /**
+   * Fetch fresh rates from the provider and persist them as a new snapshot
+   * The provider's latest snapshot is reused when it already holds the same rates
+   * published at the same time, so unchanged rates aren't stored again on every
+   * cache expiry.
+   * @returns {Promise<Object>} - Saved ExchangeRateSnapshot
+   */
+  async refreshRates() {
+    const provider = exchangeRateService.getProvider();
+    const { base, asOf, rates } = await provider.fetchRates();
+
+    const latest =
+      cachedSnapshot?.provider === provider.name
+        ? cachedSnapshot
+        : await ExchangeRateSnapshot.findOne({ provider: provider.name }).sort({
+            fetchedAt: -1,
+          });
+
+    const snapshot =
+      latest && hasSameRates(latest, { base, asOf, rates })
+        ? latest
+        : await ExchangeRateSnapshot.create({
+            provider: provider.name,
+            base,
+            asOf,
+            rates,
+            fetchedAt: new Date(),
+          });
+
+    cachedSnapshot = snapshot;
+    cacheExpiresAt = Date.now() + config.exchange.cacheTtlMs;
+
+    return snapshot;
+  },
+
+  /**
+   * Get the current rate snapshot, refreshing it when the cache has expired
+   * @returns {Promise<Object>} - ExchangeRateSnapshot
+   */
+  async getCurrentSnapshot() {
+    if (cachedSnapshot && Date.now() < cacheExpiresAt) {
+      return cachedSnapshot;
+    }
+
+    // Share one refresh between concurrent callers
+    if (!refreshPromise) {
+      refreshPromise = loadSnapshot().finally(() => {
+        refreshPromise = null;
+      });
+    }
+
+    return refreshPromise;
+  },
+
+  /**
+   * Get a stored snapshot by ID, for reconstructing historical conversions
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} - ExchangeRateSnapshot
+   */
+  async getSnapshotById(snapshotId) {
+    return ExchangeRateSnapshot.findById(snapshotId);
+  },
+
+  /**
+   * Get the rate between two currencies
+   * @param {string} fromCurrency - Source currency
+   * @param {string} toCurrency - Destination currency
+   * @param {Object} snapshot - Snapshot to use (defaults to the current one)
+   * @returns {Promise<{ rate: number, snapshotId: string|null }>}
+   */
+  async getRate(fromCurrency, toCurrency, snapshot) {
+    if (fromCurrency === toCurrency) {
+      return { rate: 1, snapshotId: null };
+    }
+
+    const rateSnapshot =
+      snapshot || (await exchangeRateService.getCurrentSnapshot());
+
+    return {
+      rate: rateSnapshot.getRate(fromCurrency, toCurrency),
+      snapshotId: rateSnapshot._id,
+    };
+  },
+
+  /**
+   * Convert an amount between currencies
+   * @param {mongoose.Types.Decimal128|number|string} amount - Amount to convert
+   * @param {string} fromCurrency - Source currency
+   * @param {string} toCurrency - Destination currency
+   * @param {Object} options - Conversion options
+   * @param {Object} options.snapshot - Snapshot to use (defaults to the current one)
+   * @returns {Promise<{ amount: mongoose.Types.Decimal128, rate: number, snapshotId: string|null }>}
+   */
+  async convert(amount, fromCurrency, toCurrency, options = {}) {
+    if (fromCurrency === toCurrency) {
+      return {
+        amount: money.toDecimal128(amount, toCurrency),
+        rate: 1,
+        snapshotId: null,
+      };
+    }
+
+    const { rate, snapshotId } = await exchangeRateService.getRate(
+      fromCurrency,
+      toCurrency,
+      options.snapshot
+    );
+    // Half-even so conversion rounding doesn't favour either side
+    const converted = money.multiply(amount, rate, {
+      currency: toCurrency,
+      rounding: money.ROUNDING.HALF_EVEN,
+    });
+
+    logger.debug(`Converted ${fromCurrency} to ${toCurrency}`, {
+      amount: amount.toString(),
+      fromCurrency,
+      toCurrency,
+      rate,
+      convertedAmount: converted,
+      snapshotId,
+    });
+
+    return {
+      amount: money.toDecimal128(converted, toCurrency),
+      rate,
+      snapshotId,
+    };
+  },
+
+  /**
+   * Drop the cached snapshot so the next lookup refreshes from the provider
+   */
+  clearCache() {
+    cachedSnapshot = null;
+    cacheExpiresAt = 0;
+  },
+};
+
+module.exports = exchangeRateService;
@@ -0,0 +1,254 @@
+const FxQuote = require("../models/FxQuote");
+const exchangeRateService = require("./exchangeRateService");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const { logger } = require("../config/logger");
+const config = require("../config/config");
+
+/**
+ * Calculate the exchange fee for a cross-currency amount
+ * Min and max are configured in USD and converted to the source currency. The fee is
+ * rounded up to the source currency's precision.
+ * @param {string} amount - Amount in the source currency
+ * @param {string} sourceCurrency - Source currency
+ * @param {Object} snapshot - Rate snapshot to price the bounds with
+ * @returns {string} - Fee in the source currency
+ */
+const calculateExchangeFee = (amount, sourceCurrency, snapshot) => {
+  const { percentage, min, max } = config.fees.exchange;
+  const usdPerUnit = snapshot.getRate(sourceCurrency, "USD");
+
+  const fee = money.min(
+    money.max(
+      money.percentage(amount, percentage),
+      money.divide(min, usdPerUnit)
+    ),
+    money.divide(max, usdPerUnit)
+  );
+  return money.round(fee, sourceCurrency, money.ROUNDING.UP);
+};
+
+const fxQuoteService = {
+  /**
+   * Create a quote that locks the current rate for a short period
+   * @param {string} userId - User requesting the quote
+   * @param {Object} params - Quote parameters
+   * @param {number|string} params.amount - Amount to debit in the source currency
+   * @param {string} params.sourceCurrency - Source currency
+   * @param {string} params.destinationCurrency - Destination currency
+   * @returns {Promise<Object>} - Saved FxQuote
+   */
+  async createQuote(userId, { amount, sourceCurrency, destinationCurrency }) {
+    const from = sourceCurrency.toUpperCase();
+    const to = destinationCurrency.toUpperCase();
+
+    if (!money.hasValidPrecision(amount, from)) {
+      throw new AppError(
+        `${from} amounts can have at most ${money.precision(
+          from
+        )} decimal places`,
+        400,
+        "INVALID_AMOUNT_PRECISION"
+      );
+    }
+
+    const sourceAmount = money.round(amount, from);
+    let rate = 1;
+    let fee = "0";
+    let rateSnapshot = null;
+
+    if (from !== to) {
+      const snapshot = await exchangeRateService.getCurrentSnapshot();
+
+      try {
+        ({ rate } = await exchangeRateService.getRate(from, to, snapshot));
+        fee = calculateExchangeFee(sourceAmount, from, snapshot);
+      } catch (error) {
+        throw new AppError(error.message, 400, "UNSUPPORTED_CURRENCY");
+      }
+
+      rateSnapshot = snapshot._id;
+    }
+
+    if (money.compare(fee, sourceAmount) >= 0) {
+      throw new AppError(
+        `Amount is too small to cover the exchange fee of ${fee} ${from}`,
+        400,
+        "AMOUNT_BELOW_FEE"
+      );
+    }
+
+    const quote = await FxQuote.create({
+      user: userId,
+      sourceCurrency: from,
+      destinationCurrency: to,
+      sourceAmount: money.toDecimal128(sourceAmount, from),
+      // Converted amounts round half-even so rounding doesn't favour either side
+      destinationAmount: money.toDecimal128(
+        money.multiply(money.subtract(sourceAmount, fee), rate, {
+          currency: to,
+          rounding: money.ROUNDING.HALF_EVEN,
+        }),
+        to
+      ),
+      rate,
+      fee: money.toDecimal128(fee, from),
+      rateSnapshot,
+      expiresAt: new Date(Date.now() + config.exchange.quoteTtlSeconds * 1000),
+    });
+
+    return quote;
+  },
+
+  /**
+   * Mark a quote as used for a transfer, checking it matches what is being executed
+   * Pass the transfer's session so the quote is released again if the transfer aborts.
+   * @param {string} quoteId - Quote ID
+   * @param {string} userId - User executing the transfer
+   * @param {Object} params - Transfer being executed
+   * @param {mongoose.Types.Decimal128|number|string} params.amount - Source amount
+   * @param {string} params.sourceCurrency - Source currency
+   * @param {string} params.destinationCurrency - Destination currency
+   * @param {mongoose.ClientSession} params.session - Database session
+   * @returns {Promise<Object>} - The used FxQuote
+   */
+  async consumeQuote(
+    quoteId,
+    userId,
+    { amount, sourceCurrency, destinationCurrency, session }
+  ) {
+    const quote = await FxQuote.findOne({ _id: quoteId, user: userId }).session(
+      session
+    );
+
+    if (!quote) {
+      throw new AppError("Quote not found", 404, "QUOTE_NOT_FOUND");
+    }
+
+    if (quote.status === "used") {
+      throw new AppError(
+        "Quote has already been used",
+        409,
+        "QUOTE_ALREADY_USED"
+      );
+    }
+
+    if (quote.isExpired) {
+      throw new AppError("Quote has expired", 400, "QUOTE_EXPIRED");
+    }
+
+    if (
+      quote.sourceCurrency !== sourceCurrency.toUpperCase() ||
+      quote.destinationCurrency !== destinationCurrency.toUpperCase() ||
+      money.compare(quote.sourceAmount, amount) !== 0
+    ) {
+      logger.warn("FX quote does not match transfer", {
+        quoteId: quote._id,
+        userId,
+        quoted: {
+          amount: quote.sourceAmount,
+          sourceCurrency: quote.sourceCurrency,
+          destinationCurrency: quote.destinationCurrency,
+        },
+        requested: {
+          amount: amount.toString(),
+          sourceCurrency,
+          destinationCurrency,
+        },
+      });
+
+      throw new AppError(
+        "Quote does not match the transfer amount or currencies",
+        400,
+        "QUOTE_MISMATCH"
+      );
+    }
+
+    // Conditional update so two concurrent transfers can't both use the quote
+    const usedQuote = await FxQuote.findOneAndUpdate(
+      { _id: quote._id, status: "pending" },
+      { $set: { status: "used", usedAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!usedQuote) {
+      throw new AppError(
+        "Quote has already been used",
+        409,
+        "QUOTE_ALREADY_USED"
+      );
+    }
+
+    return usedQuote;
+  },
+
+  /**
+   * Resolve the conversion for a transfer, at the locked rate when a quote is given
+   * and at the live rate otherwise
+   * Either way a cross-currency transfer pays the exchange fee out of the amount.
+   * @param {string} userId - User executing the transfer
+   * @param {Object} params - Transfer being executed
+   * @param {string} params.quoteId - Optional quote ID
+   * @param {mongoose.Types.Decimal128} params.amount - Source amount
+   * @param {string} params.sourceCurrency - Source currency
+   * @param {string} params.destinationCurrency - Destination currency
+   * @param {mongoose.ClientSession} params.session - Database session
+   * @returns {Promise<{ amount: mongoose.Types.Decimal128, rate: number, fee: mongoose.Types.Decimal128|number, snapshotId: string|null, quoteId: string|null }>}
+   */
+  async resolveConversion(
+    userId,
+    { quoteId, amount, sourceCurrency, destinationCurrency, session }
+  ) {
+    if (!quoteId) {
+      if (sourceCurrency === destinationCurrency) {
+        const conversion = await exchangeRateService.convert(
+          amount,
+          sourceCurrency,
+          destinationCurrency
+        );
+        return { ...conversion, fee: 0, quoteId: null };
+      }
+
+      // Rate and fee bounds priced from the same snapshot, as for a quote
+      const snapshot = await exchangeRateService.getCurrentSnapshot();
+      const fee = calculateExchangeFee(amount, sourceCurrency, snapshot);
+
+      if (money.compare(fee, amount) >= 0) {
+        throw new AppError(
+          `Amount is too small to cover the exchange fee of ${fee} ${sourceCurrency}`,
+          400,
+          "AMOUNT_BELOW_FEE"
+        );
+      }
+
+      const conversion = await exchangeRateService.convert(
+        money.subtract(amount, fee),
+        sourceCurrency,
+        destinationCurrency,
+        { snapshot }
+      );
+      return {
+        ...conversion,
+        fee: money.toDecimal128(fee, sourceCurrency),
+        quoteId: null,
+      };
+    }
+
+    const quote = await fxQuoteService.consumeQuote(quoteId, userId, {
+      amount,
+      sourceCurrency,
+      destinationCurrency,
+      session,
+    });
+
+    return {
+      amount: money.toDecimal128(quote.destinationAmount),
+      rate: quote.rate,
+      fee: money.toDecimal128(quote.fee),
+      snapshotId: quote.rateSnapshot || null,
+      quoteId: quote._id,
+    };
+  },
+};
+
+module.exports = fxQuoteService;
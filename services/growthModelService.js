@@ -0,0 +1,411 @@
+const fs = require("fs/promises");
+const crypto = require("crypto");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const { createRandom, standardNormal } = require("../utils/seededRandom");
+const config = require("../config/config");
+
+/**
+ * Investment growth models
+ *
+ * An investment's daily growth is computed from inputs recorded on it when it
+ * starts (`metadata.growthModel`): the model, principal, rate, term and a random
+ * seed. The same inputs always give the same schedule, so any investment's value
+ * path can be recomputed and checked with `growthModelService.audit()`.
+ *
+ * A model is an object with a `name` and an async `path(inputs)` that resolves to
+ * the expected value at the end of each day of the term, for as many days as it
+ * can tell (the index model stops at the last known price). Models with
+ * `volatile: true` get seeded daily noise on top, rescaled so the investment still
+ * ends the term at the model's value. Register additional models with
+ * `growthModelService.registerModel()`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bumped whenever the way a schedule is built from its inputs changes
+const INPUTS_VERSION = 1;
+
+const PERIODS_PER_YEAR = {
+  daily: 365,
+  weekly: 52,
+  monthly: 12,
+  quarterly: 4,
+  annually: 1,
+};
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// End of a (1-based) day of the term
+const dayDate = (startDate, day) =>
+  new Date(new Date(startDate).getTime() + day * DAY_MS);
+
+/**
+ * Simple interest at the investment's annual rate
+ */
+const fixedModel = {
+  name: "fixed",
+  volatile: true,
+
+  async path({ principal, rate, days }) {
+    const start = Number(principal);
+    return Array.from(
+      { length: days },
+      (_, i) => start * (1 + (rate / 100) * ((i + 1) / 365))
+    );
+  },
+};
+
+/**
+ * Interest compounded at the investment's compoundFrequency, accruing smoothly
+ * between periods; "none" is simple interest
+ */
+const compoundModel = {
+  name: "compound",
+  volatile: true,
+
+  async path(inputs) {
+    const periods = PERIODS_PER_YEAR[inputs.compoundFrequency];
+    if (!periods) {
+      return fixedModel.path(inputs);
+    }
+
+    const start = Number(inputs.principal);
+    const growthPerPeriod = 1 + inputs.rate / 100 / periods;
+    return Array.from(
+      { length: inputs.days },
+      (_, i) => start * growthPerPeriod ** ((periods * (i + 1)) / 365)
+    );
+  },
+};
+
+/**
+ * Read one index's prices from the price file, oldest first
+ * The file is re-read on every use so prices can be appended without a restart.
+ * @param {string} symbol - Index symbol
+ * @returns {Promise<Array<{ date: string, price: number }>>}
+ */
+const loadIndexPrices = async (symbol) => {
+  const contents = JSON.parse(
+    await fs.readFile(config.investments.growth.indexFile, "utf8")
+  );
+  const index = contents.indices && contents.indices[symbol];
+
+  if (!index || !index.prices) {
+    throw new AppError(
+      `No prices found for index ${symbol}`,
+      400,
+      "INDEX_NOT_FOUND"
+    );
+  }
+
+  return Object.entries(index.prices)
+    .map(([date, price]) => ({ date, price: Number(price) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Tracks an index from the price file: the value moves with the index's last
+ * price on or before each day, relative to its price when the investment started
+ */
+const indexModel = {
+  name: "index",
+  volatile: false,
+
+  async path({ principal, index, startDate, days }) {
+    if (!index) {
+      throw new AppError(
+        "The index model needs an index to track",
+        400,
+        "INDEX_NOT_CONFIGURED"
+      );
+    }
+
+    const prices = await loadIndexPrices(index);
+    let position = -1;
+    const advanceTo = (key) => {
+      while (position + 1 < prices.length && prices[position + 1].date <= key) {
+        position += 1;
+      }
+    };
+
+    advanceTo(dayKey(startDate));
+    if (position < 0) {
+      throw new AppError(
+        `Index ${index} has no price on or before ${dayKey(startDate)}`,
+        400,
+        "INDEX_PRICE_UNAVAILABLE"
+      );
+    }
+
+    const start = Number(principal);
+    const startPrice = prices[position].price;
+    const lastKnown = prices[prices.length - 1].date;
+    const values = [];
+
+    for (let day = 1; day <= days; day++) {
+      const key = dayKey(dayDate(startDate, day));
+      if (key > lastKnown) break;
+
+      advanceTo(key);
+      values.push((start * prices[position].price) / startPrice);
+    }
+
+    return values;
+  },
+};
+
+const models = {
+  fixed: fixedModel,
+  compound: compoundModel,
+  index: indexModel,
+};
+
+/**
+ * Jitter daily increments, keeping their total
+ * Mostly up days, with the odd small dip.
+ */
+const addNoise = (increments, volatility, random) => {
+  const total = increments.reduce((sum, value) => sum + value, 0);
+  if (!(total > 0)) return increments;
+
+  const noisy = increments.map((base) =>
+    Math.max(
+      base + (standardNormal(random) * base * volatility) / 2,
+      -base * 0.2
+    )
+  );
+
+  const generated = noisy.reduce((sum, value) => sum + value, 0);
+  if (!(generated > 0)) return increments;
+
+  return noisy.map((value) => (value * total) / generated);
+};
+
+const growthModelService = {
+  /**
+   * Register (or replace) a growth model
+   * @param {Object} model - Model with `name` and `path()`
+   */
+  registerModel(model) {
+    if (!model || !model.name || typeof model.path !== "function") {
+      throw new Error("Growth model must have a name and path()");
+    }
+
+    models[model.name] = model;
+  },
+
+  /**
+   * Get a growth model by name
+   * @param {string} name - Model name
+   * @returns {Object} - Growth model
+   */
+  getModel(name) {
+    const model = models[name];
+    if (!model) {
+      throw new AppError(
+        `Unknown growth model: ${name}`,
+        400,
+        "UNKNOWN_GROWTH_MODEL"
+      );
+    }
+    return model;
+  },
+
+  /**
+   * Record the inputs a new investment's growth is computed from
+   * @param {Object} investment - UserInvestment document
+   * @param {Object} [plan] - Its InvestmentPlan, for the plan's growth model
+   * @returns {Object} - Inputs, stored as `metadata.growthModel`
+   */
+  createInputs(investment, plan) {
+    const settings = (plan && plan.growthModel) || {};
+    const name = settings.name || config.investments.growth.defaultModel;
+    const startDate = new Date(investment.investedAt);
+
+    growthModelService.getModel(name);
+
+    return {
+      version: INPUTS_VERSION,
+      name,
+      seed: crypto.randomBytes(16).toString("hex"),
+      principal: money.round(investment.amount, investment.currency),
+      currency: investment.currency,
+      rate: investment.rate,
+      compoundFrequency: investment.compoundFrequency,
+      startDate,
+      days: Math.ceil((new Date(investment.maturityDate) - startDate) / DAY_MS),
+      volatility: settings.volatility ?? config.investments.growth.volatility,
+      index: settings.index || null,
+    };
+  },
+
+  /**
+   * Compute the daily growth schedule for a set of inputs
+   * @param {Object} inputs - From `createInputs()`
+   * @returns {Promise<Object>} - `{ growth, values, complete }`: growth per day and
+   *   the value at the end of each day (decimal strings), and whether every day of
+   *   the term is known yet
+   */
+  async buildSchedule(inputs) {
+    const model = growthModelService.getModel(inputs.name);
+    const path = await model.path(inputs);
+    const principal = Number(inputs.principal);
+    const complete = path.length >= inputs.days;
+
+    let increments = path
+      .slice(0, inputs.days)
+      .map((value, i) => value - (i === 0 ? principal : path[i - 1]));
+
+    // Noise is spread over the whole term, so it waits until the term is known
+    if (model.volatile && inputs.volatility > 0 && complete) {
+      increments = addNoise(
+        increments,
+        inputs.volatility,
+        createRandom(inputs.seed, "growth")
+      );
+    }
+
+    // Round the running value rather than each day so rounding never drifts
+    const growth = [];
+    const values = [];
+    let running = principal;
+    let previous = money.round(inputs.principal, inputs.currency);
+
+    for (const increment of increments) {
+      running += increment;
+      const value = money.round(running.toFixed(12), inputs.currency);
+      growth.push(
+        money.round(money.subtract(value, previous), inputs.currency)
+      );
+      values.push(value);
+      previous = value;
+    }
+
+    return { growth, values, complete };
+  },
+
+  /**
+   * Record growth inputs on a new investment and give it its schedule
+   * The caller saves the investment.
+   * @param {Object} investment - UserInvestment document
+   * @param {Object} [plan] - Its InvestmentPlan
+   * @returns {Promise<Object>} - The investment
+   */
+  async initialize(investment, plan) {
+    const inputs = growthModelService.createInputs(investment, plan);
+    const { growth } = await growthModelService.buildSchedule(inputs);
+
+    investment.metadata = {
+      ...(investment.metadata || {}),
+      growthModel: inputs,
+      growthSchedule: growth.map(money.toNumber),
+      lastGrowthDate: investment.investedAt,
+      nextGrowthIndex: 0,
+    };
+    investment.markModified("metadata");
+
+    return investment;
+  },
+
+  /**
+   * Append days that have become known since the schedule was last built (new
+   * index prices). Days already in the schedule are never changed.
+   * @param {Object} investment - UserInvestment document
+   * @returns {Promise<boolean>} - Whether the schedule grew
+   */
+  async extendSchedule(investment) {
+    const { growthModel: inputs, growthSchedule = [] } =
+      investment.metadata || {};
+
+    if (!inputs || growthSchedule.length >= inputs.days) {
+      return false;
+    }
+
+    const { growth } = await growthModelService.buildSchedule(inputs);
+    if (growth.length <= growthSchedule.length) {
+      return false;
+    }
+
+    investment.metadata.growthSchedule = [
+      ...growthSchedule,
+      ...growth.slice(growthSchedule.length).map(money.toNumber),
+    ];
+    investment.markModified("metadata");
+
+    return true;
+  },
+
+  /**
+   * Recompute an investment's value path from its recorded inputs and compare it
+   * with the schedule it has been growing by
+   * @param {Object} investment - UserInvestment document
+   * @returns {Promise<Object>} - Audit report
+   */
+  async audit(investment) {
+    const {
+      growthModel: inputs,
+      growthSchedule = [],
+      nextGrowthIndex = 0,
+    } = investment.metadata || {};
+
+    if (!inputs) {
+      throw new AppError(
+        "This investment's growth was generated before its inputs were recorded, so it can't be recomputed",
+        409,
+        "GROWTH_NOT_REPRODUCIBLE"
+      );
+    }
+
+    const { growth, values, complete } = await growthModelService.buildSchedule(
+      inputs
+    );
+    const { currency } = inputs;
+
+    const path = growth.map((amount, i) => ({
+      day: i + 1,
+      date: dayDate(inputs.startDate, i + 1),
+      growth: amount,
+      value: values[i],
+      recorded:
+        growthSchedule[i] === undefined
+          ? null
+          : money.round(growthSchedule[i], currency),
+      applied: i < nextGrowthIndex,
+    }));
+
+    // Days that differ, and recorded days the inputs no longer produce
+    const mismatchedDays = path
+      .filter(
+        (entry) =>
+          entry.recorded !== null &&
+          money.compare(entry.recorded, entry.growth) !== 0
+      )
+      .map((entry) => entry.day);
+    for (let i = growth.length; i < growthSchedule.length; i++) {
+      mismatchedDays.push(i + 1);
+    }
+
+    return {
+      inputs,
+      complete,
+      consistent: mismatchedDays.length === 0,
+      mismatchedDays,
+      appliedDays: nextGrowthIndex,
+      growthToDate: {
+        recomputed: money.round(
+          money.add(...growth.slice(0, nextGrowthIndex)),
+          currency
+        ),
+        recorded: money.round(
+          money.add(...growthSchedule.slice(0, nextGrowthIndex)),
+          currency
+        ),
+      },
+      maturityValue: complete ? values[values.length - 1] || null : null,
+      path,
+    };
+  },
+};
+
+module.exports = growthModelService;
@@ -0,0 +1,333 @@
+const Transaction = require("../models/Transaction");
+const WalletTransaction = require("../models/WalletTransaction");
+const User = require("../models/User");
+const categorizationService = require("./categorizationService");
+const config = require("../config/config");
+const money = require("../utils/money");
+
+/**
+ * Spending insights over the user's account, card and wallet transactions
+ *
+ * Completed transactions are bucketed by calendar month (UTC). Moves between the
+ * user's own accounts, cards and wallets are left out, so only money that actually
+ * came in or left counts. Fees charged on a debit count as spending in "fees".
+ * A reversed transfer drops out entirely: its sides are no longer completed and
+ * the reversal legs are left out with them.
+ */
+
+// Account and card sides were always USD before Transaction stored its currency
+const LEGACY_TRANSACTION_CURRENCY = "USD";
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Keys of the last `count` months, oldest first, ending with the current one
+ * @param {number} count - Number of months
+ * @param {Date} now - Current time
+ * @returns {{ from: Date, months: string[] }}
+ */
+const monthRange = (count, now) => {
+  const from = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (count - 1), 1)
+  );
+  const months = Array.from({ length: count }, (_, index) =>
+    monthKey(
+      new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + index, 1))
+    )
+  );
+  return { from, months };
+};
+
+/**
+ * Change from one amount to the next
+ * @param {string} previous - Earlier amount
+ * @param {string} current - Later amount
+ * @param {string} currency - Currency code
+ * @returns {{ previous: string, current: string, amount: string, percent: string|null }}
+ *   - `percent` is null when there is nothing to compare against
+ */
+const changeBetween = (previous, current, currency) => {
+  const amount = money.subtract(current, previous);
+  return {
+    previous: money.round(previous, currency),
+    current: money.round(current, currency),
+    amount: money.round(amount, currency),
+    percent: money.isPositive(previous)
+      ? money.divide(money.multiply(amount, 100), previous, { places: 2 })
+      : null,
+  };
+};
+
+/**
+ * Load the completed transactions the insights are built from
+ * @param {string} userId - Owner
+ * @param {string} currency - Currency code
+ * @param {Date} from - Start of the first month
+ * @param {Date} to - End of the last month (exclusive), if not now
+ * @returns {Promise<Object[]>}
+ */
+const loadTransactions = async (userId, currency, from, to) => {
+  const query = {
+    user: userId,
+    status: "completed",
+    createdAt: to ? { $gte: from, $lt: to } : { $gte: from },
+    category: { $ne: "transfer" },
+    reversalOf: null,
+  };
+  const currencyQuery =
+    currency === LEGACY_TRANSACTION_CURRENCY
+      ? { $or: [{ currency }, { currency: { $exists: false } }] }
+      : { currency };
+
+  const [transactions, walletTransactions] = await Promise.all([
+    Transaction.find({ ...query, ...currencyQuery })
+      .select("user type amount fee category sourceUser beneficiary createdAt")
+      .lean(),
+    WalletTransaction.find({ ...query, currency })
+      .select(
+        "user type amount fee category source sourceType beneficiary beneficiaryType createdAt"
+      )
+      .lean(),
+  ]);
+
+  return [
+    ...transactions,
+    ...(await categorizationService.withParties(walletTransactions)),
+  ];
+};
+
+/**
+ * Add an amount to a running total in a map
+ * @param {Map} totals - Running totals
+ * @param {string} key - Total to add to
+ * @param {string} amount - Amount
+ */
+const addTo = (totals, key, amount) => {
+  totals.set(key, money.add(totals.get(key) || 0, amount));
+};
+
+/**
+ * Bucket transactions by month, category and counterparty
+ * @param {Object[]} transactions - Lean transactions
+ * @returns {Object} - Running totals
+ */
+const tally = (transactions) => {
+  const income = new Map();
+  const outflow = new Map();
+  const byCategory = new Map();
+  const counterparties = new Map();
+
+  const spend = (category, month, amount) => {
+    if (!byCategory.has(category)) {
+      byCategory.set(category, new Map());
+    }
+    addTo(byCategory.get(category), month, amount);
+  };
+
+  for (const transaction of transactions) {
+    const flow = categorizationService.flowOf(transaction);
+    const month = monthKey(transaction.createdAt);
+    const amount = money.add(transaction.amount);
+
+    if (flow === "in") {
+      addTo(income, month, amount);
+    } else if (flow === "out") {
+      const fee = money.add(transaction.fee || 0);
+
+      addTo(outflow, month, money.add(amount, fee));
+      spend(transaction.category || "other", month, amount);
+      if (money.isPositive(fee)) {
+        spend("fees", month, fee);
+      }
+
+      const counterparty = categorizationService.counterpartyOf(transaction);
+      if (counterparty && String(counterparty) !== String(transaction.user)) {
+        const key = String(counterparty);
+        const entry = counterparties.get(key) || { total: "0", count: 0 };
+        counterparties.set(key, {
+          total: money.add(entry.total, amount),
+          count: entry.count + 1,
+        });
+      }
+    }
+  }
+
+  return { income, outflow, byCategory, counterparties };
+};
+
+/**
+ * Name the biggest counterparties
+ * @param {Map} counterparties - Totals by user ID
+ * @param {string} currency - Currency code
+ * @param {number} limit - How many to return
+ * @returns {Promise<Object[]>}
+ */
+const topCounterparties = async (counterparties, currency, limit) => {
+  const top = [...counterparties.entries()]
+    .sort(([, a], [, b]) => money.compare(b.total, a.total))
+    .slice(0, limit);
+
+  const users = await User.find({ _id: { $in: top.map(([id]) => id) } })
+    .select("firstName lastName")
+    .lean();
+  const names = new Map(
+    users.map((user) => [
+      String(user._id),
+      `${user.firstName} ${user.lastName}`,
+    ])
+  );
+
+  return top.map(([id, { total, count }]) => ({
+    id,
+    name: names.get(id) || null,
+    total: money.round(total, currency),
+    count,
+  }));
+};
+
+const insightsService = {
+  /**
+   * Spending insights for the last `months` calendar months
+   * @param {string} userId - Owner
+   * @param {Object} options - `{ months, currency }`
+   * @returns {Promise<Object>} - Period, totals, monthly income and outflow,
+   *   spend per category with the change from last month, and top counterparties
+   */
+  async getInsights(
+    userId,
+    {
+      months: monthCount = config.insights.defaultMonths,
+      currency = LEGACY_TRANSACTION_CURRENCY,
+    } = {}
+  ) {
+    await categorizationService.categorizePending(userId);
+
+    const now = new Date();
+    const { from, months } = monthRange(monthCount, now);
+    const transactions = await loadTransactions(userId, currency, from);
+    const { income, outflow, byCategory, counterparties } = tally(transactions);
+
+    const [previousMonth, currentMonth] = months.slice(-2);
+    const totalIncome = money.add(...income.values());
+    const totalOutflow = money.add(...outflow.values());
+
+    const categories = [...byCategory.entries()]
+      .map(([category, amounts]) => {
+        const total = money.add(...amounts.values());
+        return {
+          category,
+          total: money.round(total, currency),
+          share: money.isPositive(totalOutflow)
+            ? money.divide(money.multiply(total, 100), totalOutflow, {
+                places: 2,
+              })
+            : "0",
+          monthly: months.map((month) => ({
+            month,
+            amount: money.round(amounts.get(month) || 0, currency),
+          })),
+          change: changeBetween(
+            amounts.get(previousMonth) || 0,
+            amounts.get(currentMonth) || 0,
+            currency
+          ),
+        };
+      })
+      .sort((a, b) => money.compare(b.total, a.total));
+
+    return {
+      currency,
+      period: { from, to: now, months },
+      totals: {
+        income: money.round(totalIncome, currency),
+        outflow: money.round(totalOutflow, currency),
+        net: money.round(money.subtract(totalIncome, totalOutflow), currency),
+      },
+      monthly: months.map((month) => {
+        const monthIncome = income.get(month) || 0;
+        const monthOutflow = outflow.get(month) || 0;
+        return {
+          month,
+          income: money.round(monthIncome, currency),
+          outflow: money.round(monthOutflow, currency),
+          net: money.round(money.subtract(monthIncome, monthOutflow), currency),
+        };
+      }),
+      change: {
+        income: changeBetween(
+          income.get(previousMonth) || 0,
+          income.get(currentMonth) || 0,
+          currency
+        ),
+        outflow: changeBetween(
+          outflow.get(previousMonth) || 0,
+          outflow.get(currentMonth) || 0,
+          currency
+        ),
+      },
+      categories,
+      topCounterparties: await topCounterparties(
+        counterparties,
+        currency,
+        config.insights.topCounterparties
+      ),
+    };
+  },
+
+  /**
+   * What the user spent in one calendar month, in total and per category
+   * @param {string} userId - Owner
+   * @param {string} month - "YYYY-MM"
+   * @param {string} currency - Currency code
+   * @returns {Promise<{ total: string, categories: Object<string, string> }>}
+   */
+  async getMonthlySpending(userId, month, currency) {
+    await categorizationService.categorizePending(userId);
+
+    const from = new Date(`${month}-01T00:00:00.000Z`);
+    const to = new Date(
+      Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1)
+    );
+    const transactions = await loadTransactions(userId, currency, from, to);
+    const { outflow, byCategory } = tally(transactions);
+
+    return {
+      total: money.add(outflow.get(month) || 0),
+      categories: Object.fromEntries(
+        [...byCategory.entries()].map(([category, amounts]) => [
+          category,
+          money.add(amounts.get(month) || 0),
+        ])
+      ),
+    };
+  },
+
+  /**
+   * This month's spending at a glance, for the dashboard
+   * @param {string} userId - Owner
+   * @returns {Promise<Object>} - Income and outflow this month, the change in
+   *   outflow from last month and the three biggest categories
+   */
+  async getSummary(userId) {
+    const insights = await insightsService.getInsights(userId, { months: 2 });
+    const [, current] = insights.monthly;
+
+    return {
+      currency: insights.currency,
+      month: current.month,
+      income: current.income,
+      outflow: current.outflow,
+      outflowChange: insights.change.outflow,
+      topCategories: insights.categories
+        .map(({ category, monthly }) => ({
+          category,
+          amount: monthly[monthly.length - 1].amount,
+        }))
+        .filter(({ amount }) => money.isPositive(amount))
+        .sort((a, b) => money.compare(b.amount, a.amount))
+        .slice(0, 3),
+    };
+  },
+};
+
+module.exports = insightsService;
@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const InvestmentPlan = require("../models/InvestmentPlan");
+const InvestmentPlanVersion = require("../models/InvestmentPlanVersion");
+const InvestmentTransaction = require("../models/InvestmentTransaction");
+const ledgerService = require("./ledgerService");
+const money = require("../utils/money");
+const config = require("../config/config");
+const { logger } = require("../config/logger");
+
+/**
+ * Investment management fees
+ *
+ * A plan's managementFee is an annual percentage of an investment's value. Every
+ * whole day an investment is held accrues 1/365th of it on the value at the time,
+ * and what has accrued is deducted from the value daily or monthly
+ * (config.investments.managementFees.chargeFrequency) as a "fee"
+ * InvestmentTransaction, posted from the investment to the "fees" ledger account.
+ * Fractions of a cent carry over to the next deduction. Accrual stops at maturity,
+ * where anything still owed is deducted before the investment is settled and any
+ * fraction of a cent left is waived.
+ * Investments withdrawn or cancelled early aren't charged for the part period.
+ *
+ * Accrual only changes the investment in memory; the caller saves it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+/**
+ * The investment's annual fee, recorded on it the first time it's needed
+ * Investments from before fees were accrued take their plan version's rate.
+ */
+const resolveRate = async (investment, session) => {
+  if (investment.fees.managementFee != null) {
+    return investment.fees.managementFee;
+  }
+
+  let rate = null;
+
+  if (investment.planVersion) {
+    const version = await InvestmentPlanVersion.findById(
+      investment.planVersion._id || investment.planVersion
+    ).session(session);
+    rate = version?.terms?.managementFee ?? null;
+  }
+
+  if (rate === null) {
+    const plan = await InvestmentPlan.findById(
+      investment.plan._id || investment.plan
+    ).session(session);
+    rate = plan?.managementFee ?? 0;
+  }
+
+  investment.fees.managementFee = rate;
+  return rate;
+};
+
+/**
+ * Whether accrued fees are due to be deducted
+ */
+const isDue = (investment, final) => {
+  if (final || config.investments.managementFees.chargeFrequency === "daily") {
+    return true;
+  }
+
+  const { accruedThrough, chargedThrough } = investment.fees;
+  return (
+    monthKey(accruedThrough) !==
+    monthKey(chargedThrough || investment.investedAt)
+  );
+};
+
+/**
+ * Deduct accrued fees from the value, leaving fractions of a cent accrued
+ * @returns {Promise<Object|null>} - The fee transaction, or null when there's nothing to deduct
+ */
+const deduct = async (investment, rate, session) => {
+  const { currency, fees } = investment;
+  const amount = money.min(
+    money.round(fees.accrued, currency, money.ROUNDING.DOWN),
+    money.round(investment.currentValue, currency, money.ROUNDING.DOWN)
+  );
+
+  if (!money.isPositive(amount)) {
+    return null;
+  }
+
+  const reference = `INVFEE-${Date.now()}-${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+  const periodStart = fees.chargedThrough || investment.investedAt;
+
+  const transaction = new InvestmentTransaction({
+    user: investment.user,
+    type: "fee",
+    amount,
+    currency,
+    source: investment._id,
+    sourceAmount: amount,
+    sourceType: "UserInvestment",
+    sourceCurrency: currency,
+    beneficiary: investment._id,
+    beneficiaryType: "UserInvestment",
+    beneficiaryCurrency: currency,
+    description: `Management fee of ${rate}% a year from ${
+      new Date(periodStart).toISOString().split("T")[0]
+    } to ${new Date(fees.accruedThrough).toISOString().split("T")[0]}`,
+    status: "completed",
+    reference,
+  });
+  await transaction.save({ session });
+
+  await ledgerService.postMovement({
+    reference,
+    category: "investment_fee",
+    from: { type: "UserInvestment", entity: investment },
+    to: "fees",
+    amount,
+    currency,
+    description: transaction.description,
+    metadata: { investmentTransaction: transaction._id },
+    session,
+  });
+
+  investment.currentValue = money.toNumber(
+    money.subtract(investment.currentValue, amount)
+  );
+  fees.accrued = money.toNumber(money.subtract(fees.accrued, amount));
+  fees.charged = money.toNumber(money.add(fees.charged, amount));
+  fees.chargedThrough = fees.accruedThrough;
+  investment.transactions.push(transaction._id);
+
+  return transaction;
+};
+
+const investmentFeeService = {
+  /**
+   * Accrue an investment's management fee up to a date and deduct it when due
+   * @param {Object} investment - UserInvestment document
+   * @param {Date} asOf - Accrue whole days up to here (never past maturity)
+   * @param {Object} [options] - `{ session, final }`; `final` deducts everything
+   *   accrued, whatever the charge frequency
+   * @returns {Promise<Object>} - `{ days, accrued, transaction }`: days accrued, the
+   *   fee accrued for them and the fee transaction if one was deducted
+   */
+  async accrue(investment, asOf, { session, final = false } = {}) {
+    const { fees } = investment;
+    const end = Math.min(
+      new Date(asOf).getTime(),
+      new Date(investment.maturityDate).getTime()
+    );
+
+    // Investments from before fees were accrued start accruing now
+    if (!fees.accruedThrough) {
+      fees.accruedThrough = new Date(end);
+      return { days: 0, accrued: "0", transaction: null };
+    }
+
+    const rate = await resolveRate(investment, session);
+    const days = Math.max(
+      0,
+      Math.floor((end - new Date(fees.accruedThrough).getTime()) / DAY_MS)
+    );
+    let accrued = "0";
+
+    if (days > 0) {
+      accrued = money.divide(
+        money.multiply(money.percentage(investment.currentValue, rate), days),
+        365,
+        { places: 8 }
+      );
+      fees.accrued = money.toNumber(money.add(fees.accrued, accrued));
+      fees.accruedThrough = new Date(
+        new Date(fees.accruedThrough).getTime() + days * DAY_MS
+      );
+    }
+
+    const transaction = isDue(investment, final)
+      ? await deduct(investment, rate, session)
+      : null;
+
+    // Nothing is owed for less than a cent once the investment is settled
+    if (final) {
+      fees.accrued = 0;
+    }
+
+    if (transaction) {
+      logger.info("Investment management fee deducted", {
+        investmentId: investment._id,
+        userId: investment.user,
+        amount: transaction.amount,
+        currency: investment.currency,
+        managementFee: rate,
+        chargedThrough: fees.chargedThrough,
+        reference: transaction.reference,
+      });
+    }
+
+    return { days, accrued, transaction };
+  },
+};
+
+module.exports = investmentFeeService;
@@ -0,0 +1,622 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const UserInvestment = require("../models/UserInvestment");
+const InvestmentPlan = require("../models/InvestmentPlan");
+const InvestmentTransaction = require("../models/InvestmentTransaction");
+const Wallet = require("../models/Wallet");
+const WalletTransaction = require("../models/WalletTransaction");
+const User = require("../models/User");
+const ledgerService = require("./ledgerService");
+const growthModelService = require("./growthModelService");
+const investmentFeeService = require("./investmentFeeService");
+const investmentPlanService = require("./investmentPlanService");
+const exchangeRateService = require("./exchangeRateService");
+const notificationService = require("./notificationService");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const config = require("../config/config");
+const { logger } = require("../config/logger");
+
+/**
+ * Investment maturity
+ *
+ * Once an investment is past its maturity date the maturity job settles it by its
+ * owner's instruction: pay the value (principal plus returns) into a wallet, roll it
+ * into a new term of the same plan, or switch it into another plan. Scheduled growth
+ * the daily job never got to is credited first, and management fees still owed are
+ * deducted. When a plan can't take the money
+ * (closed, or the value is under its minimum) the investment is paid out instead.
+ *
+ * Each investment is settled in one database transaction that only finds it while it
+ * is still unsettled, so re-running the job is harmless, and every investment past
+ * maturity is picked up however long ago it matured.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses an investment can still be settled from
+const UNSETTLED_STATUSES = ["active", "matured"];
+
+const newReference = (prefix) =>
+  `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+const formatAmount = (amount, currency) =>
+  `${money.round(amount, currency)} ${currency}`;
+
+/**
+ * Credit whatever is left of the growth schedule
+ */
+const catchUpGrowth = async (investment, session) => {
+  await growthModelService.extendSchedule(investment);
+
+  const { growthSchedule, nextGrowthIndex = 0 } = investment.metadata || {};
+
+  if (
+    !Array.isArray(growthSchedule) ||
+    nextGrowthIndex >= growthSchedule.length
+  ) {
+    return;
+  }
+
+  const growth = money.add(...growthSchedule.slice(nextGrowthIndex));
+  const missedDays = growthSchedule.length - nextGrowthIndex;
+
+  investment.metadata.nextGrowthIndex = growthSchedule.length;
+  investment.metadata.lastGrowthDate = investment.maturityDate;
+  investment.markModified("metadata");
+
+  if (money.isZero(growth)) return;
+
+  const reference = newReference("INVGROW");
+  const transaction = new InvestmentTransaction({
+    user: investment.user,
+    type: "return",
+    amount: money.abs(growth),
+    currency: investment.currency,
+    source: investment._id,
+    sourceAmount: money.abs(growth),
+    sourceType: "UserInvestment",
+    sourceCurrency: investment.currency,
+    beneficiary: investment._id,
+    beneficiaryType: "UserInvestment",
+    beneficiaryCurrency: investment.currency,
+    description: `Investment growth for the last ${missedDays} day(s) to maturity`,
+    status: "completed",
+    reference,
+  });
+  await transaction.save({ session });
+
+  const investmentAccount = { type: "UserInvestment", entity: investment };
+  await ledgerService.postMovement({
+    reference,
+    category: "investment_growth",
+    from: money.isNegative(growth) ? investmentAccount : "investment_growth",
+    to: money.isNegative(growth) ? "investment_growth" : investmentAccount,
+    amount: money.abs(growth),
+    currency: investment.currency,
+    description: transaction.description,
+    metadata: { investmentTransaction: transaction._id },
+    session,
+  });
+
+  investment.previousValue = investment.currentValue;
+  investment.currentValue = money.toNumber(
+    money.add(investment.currentValue, growth)
+  );
+  investment.transactions.push(transaction._id);
+};
+
+/**
+ * Move the value into a new investment, or say why it can't be
+ * @returns {Promise<Object>} - The outcome, or `{ note }` when it should be paid out
+ */
+const rollOver = async (investment, now, session) => {
+  const { action = "payout", plan: planId } =
+    investment.maturityInstruction || {};
+
+  if (action === "payout") {
+    return { note: null };
+  }
+
+  const plan = await InvestmentPlan.findById(
+    action === "rollover" ? investment.plan : planId
+  ).session(session);
+
+  if (!plan || !plan.isActive) {
+    return {
+      note: `${
+        plan ? plan.name : "The plan"
+      } is no longer open to new investments`,
+    };
+  }
+
+  const value = money.round(investment.currentValue, investment.currency);
+  const { amount: converted } = await exchangeRateService.convert(
+    value,
+    investment.currency,
+    plan.currency
+  );
+
+  if (money.compare(converted, plan.minInvestment) < 0) {
+    return {
+      note: `The value is below the ${plan.minInvestment} ${plan.currency} minimum for ${plan.name}`,
+    };
+  }
+
+  const reference = newReference("INV-ROLL");
+  const amount = money.toNumber(converted);
+  const planVersion = await investmentPlanService.currentVersion(plan, {
+    session,
+  });
+  const next = new UserInvestment({
+    user: investment.user,
+    plan: plan._id,
+    planVersion: planVersion._id,
+    source: investment.source,
+    label:
+      action === "rollover" ? investment.label : `Investment in ${plan.name}`,
+    currency: plan.currency,
+    rate: plan.expectedReturnMax,
+    amount,
+    previousValue: amount,
+    currentValue: amount,
+    investedAt: now,
+    maturityDate: new Date(now.getTime() + plan.maturityPeriod * DAY_MS),
+    status: "active",
+    compoundFrequency: investment.compoundFrequency,
+    withdrawalAllowed: plan.earlyWithdrawalAllowed || false,
+    earlyWithdrawalFee: plan.earlyWithdrawalFee || 0,
+    fees: { managementFee: plan.managementFee || 0, accruedThrough: now },
+    lastInterestCalculatedAt: now,
+    // A rollover keeps rolling; a switch pays out next time unless told otherwise
+    maturityInstruction: {
+      action: action === "rollover" ? "rollover" : "payout",
+    },
+    rolledFrom: investment._id,
+  });
+
+  const description =
+    action === "rollover"
+      ? `Rolled over into a new term of ${plan.name}`
+      : `Moved into ${plan.name} at maturity`;
+
+  const debit = new InvestmentTransaction({
+    user: investment.user,
+    type: "debit",
+    amount: value,
+    currency: investment.currency,
+    sourceAmount: value,
+    source: investment._id,
+    sourceType: "UserInvestment",
+    sourceCurrency: investment.currency,
+    beneficiary: next._id,
+    beneficiaryType: "UserInvestment",
+    beneficiaryCurrency: plan.currency,
+    description,
+    status: "completed",
+    reference: `${reference}-DEBIT`,
+  });
+
+  const credit = new InvestmentTransaction({
+    user: investment.user,
+    type: "investment",
+    amount: converted,
+    currency: plan.currency,
+    sourceAmount: value,
+    source: investment._id,
+    sourceType: "UserInvestment",
+    sourceCurrency: investment.currency,
+    beneficiary: next._id,
+    beneficiaryType: "UserInvestment",
+    beneficiaryCurrency: plan.currency,
+    description,
+    status: "completed",
+    reference: `${reference}-CREDIT`,
+  });
+
+  await debit.save({ session });
+  await credit.save({ session });
+
+  next.transactions.push(credit._id);
+  await growthModelService.initialize(next, plan);
+  await next.save({ session });
+
+  await ledgerService.postMovement({
+    reference,
+    category: "investment_rollover",
+    from: { type: "UserInvestment", entity: investment },
+    to: { type: "UserInvestment", entity: next },
+    amount: value,
+    currency: investment.currency,
+    convertedAmount: converted,
+    destinationCurrency: plan.currency,
+    description,
+    metadata: { investmentTransaction: debit._id, rolledInto: next._id },
+    session,
+  });
+
+  await User.updateOne(
+    { _id: investment.user },
+    { $push: { investments: next._id } },
+    { session }
+  );
+
+  investment.transactions.push(debit._id);
+  investment.status = "rolled_over";
+  investment.settlement = {
+    action,
+    reference,
+    amount: money.toNumber(value),
+    rolledInto: next._id,
+    settledAt: now,
+  };
+  await investment.save({ session });
+
+  return {
+    action,
+    reference,
+    amount: value,
+    currency: investment.currency,
+    plan,
+    investment: next,
+  };
+};
+
+/**
+ * Pay the value into the instructed wallet, or the one it was funded from
+ */
+const payOut = async (investment, now, session, note) => {
+  const walletIds = [
+    investment.maturityInstruction?.wallet,
+    investment.source,
+  ].filter(Boolean);
+
+  let wallet = null;
+  for (const walletId of walletIds) {
+    wallet = await Wallet.findOne({
+      _id: walletId,
+      user: investment.user,
+    }).session(session);
+    if (wallet) break;
+  }
+
+  if (!wallet) {
+    throw new AppError(
+      "No wallet to pay the matured investment into",
+      404,
+      "MATURITY_WALLET_NOT_FOUND"
+    );
+  }
+
+  const value = money.round(investment.currentValue, investment.currency);
+  const reference = newReference("INV-MAT");
+  const {
+    amount: converted,
+    rate,
+    snapshotId,
+  } = await exchangeRateService.convert(
+    value,
+    investment.currency,
+    wallet.currency
+  );
+  const description = `Maturity payout from ${investment.label}`;
+
+  const investmentTransaction = new InvestmentTransaction({
+    user: investment.user,
+    type: "debit",
+    amount: value,
+    currency: investment.currency,
+    sourceAmount: value,
+    source: investment._id,
+    sourceType: "UserInvestment",
+    sourceCurrency: investment.currency,
+    beneficiary: wallet._id,
+    beneficiaryType: "Wallet",
+    beneficiaryCurrency: wallet.currency,
+    description,
+    status: "completed",
+    reference: `${reference}-DEBIT`,
+  });
+
+  const walletTransaction = new WalletTransaction({
+    user: investment.user,
+    type: "credit",
+    amount: converted,
+    currency: wallet.currency,
+    source: investment._id,
+    sourceType: "UserInvestment",
+    sourceCurrency: investment.currency,
+    beneficiary: wallet._id,
+    beneficiaryType: "Wallet",
+    beneficiaryCurrency: wallet.currency,
+    conversionRate: rate,
+    rateSnapshot: snapshotId,
+    description,
+    status: "completed",
+    reference: `${reference}-CREDIT`,
+    completedAt: now,
+  });
+
+  await investmentTransaction.save({ session });
+  await walletTransaction.save({ session });
+
+  wallet.balance = money.toDecimal128(
+    money.add(wallet.balance, converted),
+    wallet.currency
+  );
+  wallet.ledgerBalance = money.toDecimal128(
+    money.add(wallet.ledgerBalance, converted),
+    wallet.currency
+  );
+  wallet.transactions.push(walletTransaction._id);
+  wallet.lastActivityAt = now;
+  await wallet.save({ session });
+
+  await ledgerService.postMovement({
+    reference,
+    category: "investment_maturity",
+    from: { type: "UserInvestment", entity: investment },
+    to: { type: "Wallet", entity: wallet },
+    amount: value,
+    currency: investment.currency,
+    convertedAmount: converted,
+    destinationCurrency: wallet.currency,
+    description,
+    metadata: {
+      investmentTransaction: investmentTransaction._id,
+      walletTransaction: walletTransaction._id,
+    },
+    session,
+  });
+
+  investment.transactions.push(investmentTransaction._id);
+  investment.status = "withdrawn";
+  investment.settlement = {
+    action: "payout",
+    reference,
+    amount: money.toNumber(value),
+    wallet: wallet._id,
+    note: note || undefined,
+    settledAt: now,
+  };
+  await investment.save({ session });
+
+  return {
+    action: "payout",
+    reference,
+    amount: value,
+    currency: investment.currency,
+    wallet,
+    convertedAmount: money.format(converted),
+    note,
+  };
+};
+
+const notify = async (userId, title, message, data) => {
+  try {
+    await notificationService.createNotification(
+      userId,
+      title,
+      message,
+      "investment",
+      data
+    );
+  } catch (error) {
+    logger.error("Failed to send investment maturity notification", {
+      userId,
+      error: error.message,
+    });
+  }
+};
+
+const notifySettled = (investment, outcome) => {
+  const value = formatAmount(outcome.amount, outcome.currency);
+
+  if (outcome.action === "payout") {
+    const paid = formatAmount(outcome.convertedAmount, outcome.wallet.currency);
+
+    return notify(
+      investment.user,
+      "Investment Matured",
+      `${investment.label} has matured and ${paid} was paid into your ${
+        outcome.wallet.currency
+      } wallet.${outcome.note ? ` ${outcome.note}, so it was paid out.` : ""}`,
+      {
+        investmentId: investment._id,
+        walletId: outcome.wallet._id,
+        amount: outcome.convertedAmount,
+        currency: outcome.wallet.currency,
+        reference: outcome.reference,
+      }
+    );
+  }
+
+  return notify(
+    investment.user,
+    "Investment Rolled Over",
+    `${investment.label} has matured and ${value} was invested in ${
+      outcome.plan.name
+    } until ${outcome.investment.maturityDate.toISOString().slice(0, 10)}.`,
+    {
+      investmentId: investment._id,
+      newInvestmentId: outcome.investment._id,
+      planId: outcome.plan._id,
+      amount: outcome.amount,
+      currency: outcome.currency,
+      reference: outcome.reference,
+    }
+  );
+};
+
+const investmentMaturityService = {
+  /**
+   * Set what happens to an investment when it matures
+   * @param {string} userId - Owner of the investment
+   * @param {string} investmentId - Investment to update
+   * @param {Object} instruction - `{ action, walletId, planId }`, validated
+   * @returns {Promise<Object>} - The saved instruction
+   */
+  async setInstruction(userId, investmentId, { action, walletId, planId }) {
+    const investment = mongoose.isValidObjectId(investmentId)
+      ? await UserInvestment.findOne({ _id: investmentId, user: userId })
+      : null;
+
+    if (!investment) {
+      throw new AppError("Investment not found", 404, "INVESTMENT_NOT_FOUND");
+    }
+
+    if (!UNSETTLED_STATUSES.includes(investment.status)) {
+      throw new AppError(
+        `This investment is already ${investment.status.replace("_", " ")}`,
+        409,
+        "INVESTMENT_ALREADY_SETTLED"
+      );
+    }
+
+    if (walletId && !(await Wallet.exists({ _id: walletId, user: userId }))) {
+      throw new AppError("Wallet not found", 404, "WALLET_NOT_FOUND");
+    }
+
+    if (action === "switch") {
+      const plan = await InvestmentPlan.findById(planId);
+
+      if (!plan || !plan.isActive) {
+        throw new AppError(
+          "Invalid or inactive investment plan",
+          400,
+          "INVALID_INVESTMENT_PLAN"
+        );
+      }
+    }
+
+    investment.maturityInstruction = {
+      action,
+      wallet: walletId,
+      plan: planId,
+    };
+    await investment.save();
+
+    logger.info("Investment maturity instruction updated", {
+      userId,
+      investmentId: investment._id,
+      action,
+      walletId,
+      planId,
+    });
+
+    return investment.maturityInstruction;
+  },
+
+  /**
+   * Settle one investment that is past maturity
+   * @param {string} investmentId - Investment to settle
+   * @param {Date} now - Settlement time
+   * @returns {Promise<Object|null>} - The outcome, or null when it was already settled
+   */
+  async settle(investmentId, now = new Date()) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let investment;
+    let outcome;
+
+    try {
+      investment = await UserInvestment.findOne({
+        _id: investmentId,
+        status: { $in: UNSETTLED_STATUSES },
+        maturityDate: { $lte: now },
+      }).session(session);
+
+      if (!investment) {
+        await session.abortTransaction();
+        session.endSession();
+        return null;
+      }
+
+      await catchUpGrowth(investment, session);
+      await investmentFeeService.accrue(investment, investment.maturityDate, {
+        session,
+        final: true,
+      });
+
+      outcome = await rollOver(investment, now, session);
+      if (!outcome.action) {
+        outcome = await payOut(investment, now, session, outcome.note);
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+
+    logger.info("Matured investment settled", {
+      investmentId: investment._id,
+      userId: investment.user,
+      action: outcome.action,
+      amount: outcome.amount,
+      currency: outcome.currency,
+      reference: outcome.reference,
+      walletId: outcome.wallet?._id,
+      rolledInto: outcome.investment?._id,
+      note: outcome.note,
+    });
+
+    await notifySettled(investment, outcome);
+
+    return outcome;
+  },
+
+  /**
+   * Settle every investment past maturity
+   * An investment that fails is logged and left for the next run.
+   * @param {Date} now - Run time
+   * @returns {Promise<Object>} - `{ settled, paidOut, rolledOver, failed }`
+   */
+  async processDue(now = new Date()) {
+    const results = { settled: 0, paidOut: 0, rolledOver: 0, failed: 0 };
+    const failedIds = [];
+
+    for (;;) {
+      const due = await UserInvestment.find({
+        _id: { $nin: failedIds },
+        status: { $in: UNSETTLED_STATUSES },
+        maturityDate: { $lte: now },
+      })
+        .sort({ maturityDate: 1 })
+        .limit(config.investments.maturityBatchSize)
+        .select("_id");
+
+      if (due.length === 0) break;
+
+      for (const { _id } of due) {
+        try {
+          const outcome = await investmentMaturityService.settle(_id, now);
+          if (!outcome) continue;
+
+          results.settled += 1;
+          if (outcome.action === "payout") {
+            results.paidOut += 1;
+          } else {
+            results.rolledOver += 1;
+          }
+        } catch (error) {
+          results.failed += 1;
+          failedIds.push(_id);
+
+          logger.error("Failed to settle matured investment", {
+            investmentId: _id,
+            error: error.message,
+            stack: error.stack,
+          });
+        }
+      }
+    }
+
+    return results;
+  },
+};
+
+module.exports = investmentMaturityService;
@@ -0,0 +1,402 @@
+const mongoose = require("mongoose");
+const InvestmentPlan = require("../models/InvestmentPlan");
+const InvestmentPlanVersion = require("../models/InvestmentPlanVersion");
+const UserInvestment = require("../models/UserInvestment");
+const growthModelService = require("./growthModelService");
+const AppError = require("../utils/error");
+const { logger } = require("../config/logger");
+
+/**
+ * Investment plan administration
+ *
+ * Admins create and edit plans, retire them from new investment and reinstate
+ * them. Changing any of a plan's terms (TERM_FIELDS) bumps its version and records
+ * the new terms in InvestmentPlanVersion. Each investment points at the version it
+ * was bought under, and the terms copied onto it at purchase (rate, maturity date,
+ * withdrawal fee, growth inputs) never change, so edits and retirement only affect
+ * new investments. Display fields such as the name and description can change
+ * without a new version. A plan nobody has invested in can be deleted; any other
+ * plan can only be retired.
+ */
+
+const TERM_FIELDS = [
+  "maturityPeriod",
+  "minInvestment",
+  "currency",
+  "expectedReturnMin",
+  "expectedReturnMax",
+  "riskLevel",
+  "managementFee",
+  "earlyWithdrawalAllowed",
+  "earlyWithdrawalFee",
+  "allocations",
+  "growthModel",
+];
+
+// Investments still running under a plan's terms
+const LIVE_STATUSES = ["active", "matured"];
+
+/**
+ * Plain copy of a plan's terms; equal terms serialize identically
+ */
+const termsOf = (plan) => {
+  const object = plan.toObject({ virtuals: false });
+
+  return Object.fromEntries(
+    TERM_FIELDS.map((field) => [
+      field,
+      field === "allocations"
+        ? (object.allocations || []).map(({ asset, percentage }) => ({
+            asset,
+            percentage,
+          }))
+        : object[field] ?? null,
+    ])
+  );
+};
+
+/**
+ * Turn write errors into responses the admin can act on
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error.name === "ValidationError") {
+    return new AppError(
+      Object.values(error.errors)
+        .map((fieldError) => fieldError.message)
+        .join(", "),
+      400,
+      "INVALID_PLAN"
+    );
+  }
+
+  if (error.code === 11000) {
+    return error.keyPattern && error.keyPattern.name
+      ? new AppError(
+          "A plan with that name already exists",
+          409,
+          "PLAN_NAME_TAKEN"
+        )
+      : new AppError(
+          "The plan was changed at the same time; reload it and try again",
+          409,
+          "PLAN_UPDATE_CONFLICT"
+        );
+  }
+
+  return error;
+};
+
+/**
+ * Rules that span fields, checked on the plan as it will be saved
+ */
+const checkTerms = (plan) => {
+  if (plan.expectedReturnMin > plan.expectedReturnMax) {
+    throw new AppError(
+      "The minimum expected return can't be above the maximum",
+      400,
+      "INVALID_RETURN_RANGE"
+    );
+  }
+
+  const { name, index } = plan.growthModel || {};
+  if (name) {
+    growthModelService.getModel(name);
+
+    if (name === "index" && !index) {
+      throw new AppError(
+        "Index-linked plans need an index to track",
+        400,
+        "INDEX_NOT_CONFIGURED"
+      );
+    }
+  }
+};
+
+const findPlan = async (planId) => {
+  const plan = mongoose.isValidObjectId(planId)
+    ? await InvestmentPlan.findById(planId)
+    : null;
+
+  if (!plan) {
+    throw new AppError(
+      "No investment plan found with that ID",
+      404,
+      "PLAN_NOT_FOUND"
+    );
+  }
+
+  return plan;
+};
+
+const recordVersion = (plan, actor, session) =>
+  InvestmentPlanVersion.create(
+    [
+      {
+        plan: plan._id,
+        version: plan.version,
+        terms: termsOf(plan),
+        createdBy: actor._id,
+      },
+    ],
+    { session }
+  );
+
+/**
+ * Save a plan and, when its terms changed, its new version together
+ */
+const savePlan = async (plan, actor, { newVersion }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await plan.save({ session });
+
+    if (newVersion) {
+      await recordVersion(plan, actor, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw toAppError(error);
+  }
+};
+
+/**
+ * Count each plan's live investments
+ * @returns {Promise<Map<string, number>>} - Plan ID to count
+ */
+const liveInvestmentCounts = async (planIds) => {
+  const counts = await UserInvestment.aggregate([
+    { $match: { plan: { $in: planIds }, status: { $in: LIVE_STATUSES } } },
+    { $group: { _id: "$plan", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const toView = (plan, liveInvestments) => ({
+  ...plan.toJSON(),
+  liveInvestments,
+});
+
+const investmentPlanService = {
+  /**
+   * Plans for admins, retired ones included
+   * @param {Object} query - `{ status: "active" | "retired" | "all", page, limit }`
+   * @returns {Promise<Object>} - `{ plans, pagination }`
+   */
+  async list({ status = "all", page = 1, limit = 20 }) {
+    const query = status === "all" ? {} : { isActive: status === "active" };
+
+    const [plans, totalCount] = await Promise.all([
+      InvestmentPlan.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InvestmentPlan.countDocuments(query),
+    ]);
+
+    const counts = await liveInvestmentCounts(plans.map((plan) => plan._id));
+
+    return {
+      plans: plans.map((plan) =>
+        toView(plan, counts.get(plan._id.toString()) || 0)
+      ),
+      pagination: {
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        limit,
+      },
+    };
+  },
+
+  /**
+   * A plan with every version of its terms, newest first
+   * @param {string} planId - Plan to get
+   * @returns {Promise<Object>}
+   */
+  async get(planId) {
+    const plan = await findPlan(planId);
+
+    const [versions, counts] = await Promise.all([
+      InvestmentPlanVersion.find({ plan: plan._id })
+        .sort({ version: -1 })
+        .populate("createdBy", "firstName lastName email"),
+      liveInvestmentCounts([plan._id]),
+    ]);
+
+    return {
+      plan: toView(plan, counts.get(plan._id.toString()) || 0),
+      versions,
+    };
+  },
+
+  /**
+   * Create a plan at version 1
+   * @param {Object} fields - Validated plan fields
+   * @param {Object} actor - Admin creating it
+   * @returns {Promise<Object>} - The plan
+   */
+  async create(fields, actor) {
+    const plan = new InvestmentPlan({ ...fields, version: 1 });
+    checkTerms(plan);
+
+    await savePlan(plan, actor, { newVersion: true });
+
+    logger.info("Investment plan created", {
+      planId: plan._id,
+      name: plan.name,
+      actorId: actor._id,
+    });
+
+    return toView(plan, 0);
+  },
+
+  /**
+   * Change a plan; new terms only apply to investments made from now on
+   * @param {string} planId - Plan to change
+   * @param {Object} changes - Validated fields to change
+   * @param {Object} actor - Admin making the change
+   * @returns {Promise<Object>} - `{ plan, versioned }`
+   */
+  async update(planId, changes, actor) {
+    const plan = await findPlan(planId);
+    const before = JSON.stringify(termsOf(plan));
+
+    plan.set(changes);
+    checkTerms(plan);
+
+    const versioned = JSON.stringify(termsOf(plan)) !== before;
+    if (versioned) {
+      plan.version += 1;
+    }
+
+    await savePlan(plan, actor, { newVersion: versioned });
+
+    logger.info("Investment plan updated", {
+      planId: plan._id,
+      fields: Object.keys(changes),
+      version: plan.version,
+      versioned,
+      actorId: actor._id,
+    });
+
+    const counts = await liveInvestmentCounts([plan._id]);
+    return {
+      plan: toView(plan, counts.get(plan._id.toString()) || 0),
+      versioned,
+    };
+  },
+
+  /**
+   * Close a plan to new investments (and rollovers into it)
+   * @param {string} planId - Plan to retire
+   * @param {Object} actor - Admin retiring it
+   * @returns {Promise<Object>} - The plan
+   */
+  async retire(planId, actor) {
+    const { _id } = await findPlan(planId);
+    const plan = await InvestmentPlan.findOneAndUpdate(
+      { _id, isActive: true },
+      { isActive: false, retiredAt: new Date(), retiredBy: actor._id },
+      { new: true }
+    );
+
+    if (!plan) {
+      throw new AppError(
+        "This plan is already retired",
+        409,
+        "PLAN_ALREADY_RETIRED"
+      );
+    }
+
+    const counts = await liveInvestmentCounts([plan._id]);
+    const liveInvestments = counts.get(plan._id.toString()) || 0;
+
+    logger.info("Investment plan retired", {
+      planId: plan._id,
+      liveInvestments,
+      actorId: actor._id,
+    });
+
+    return toView(plan, liveInvestments);
+  },
+
+  /**
+   * Open a retired plan to new investments again
+   * @param {string} planId - Plan to reinstate
+   * @param {Object} actor - Admin reinstating it
+   * @returns {Promise<Object>} - The plan
+   */
+  async reinstate(planId, actor) {
+    const { _id } = await findPlan(planId);
+    const plan = await InvestmentPlan.findOneAndUpdate(
+      { _id, isActive: false },
+      { isActive: true, $unset: { retiredAt: 1, retiredBy: 1 } },
+      { new: true }
+    );
+
+    if (!plan) {
+      throw new AppError("This plan is not retired", 409, "PLAN_NOT_RETIRED");
+    }
+
+    logger.info("Investment plan reinstated", {
+      planId: plan._id,
+      actorId: actor._id,
+    });
+
+    const counts = await liveInvestmentCounts([plan._id]);
+    return toView(plan, counts.get(plan._id.toString()) || 0);
+  },
+
+  /**
+   * Delete a plan nobody has ever invested in
+   * @param {string} planId - Plan to delete
+   * @param {Object} actor - Admin deleting it
+   */
+  async remove(planId, actor) {
+    const plan = await findPlan(planId);
+
+    if (await UserInvestment.exists({ plan: plan._id })) {
+      throw new AppError(
+        "This plan has investments, so it can only be retired",
+        409,
+        "PLAN_IN_USE"
+      );
+    }
+
+    await InvestmentPlan.deleteOne({ _id: plan._id });
+    await InvestmentPlanVersion.deleteMany({ plan: plan._id });
+
+    logger.info("Investment plan deleted", {
+      planId: plan._id,
+      name: plan.name,
+      actorId: actor._id,
+    });
+  },
+
+  /**
+   * The version a new investment in the plan is bought under
+   * Plans created before versioning get their current terms recorded as they are.
+   * @param {Object} plan - InvestmentPlan document
+   * @param {Object} [options] - `{ session }`
+   * @returns {Promise<Object>} - InvestmentPlanVersion
+   */
+  async currentVersion(plan, { session } = {}) {
+    return InvestmentPlanVersion.findOneAndUpdate(
+      { plan: plan._id, version: plan.version },
+      { $setOnInsert: { terms: termsOf(plan) } },
+      { upsert: true, new: true, session }
+    );
+  },
+};
+
+module.exports = investmentPlanService;
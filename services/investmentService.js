@@ -1,110 +1,39 @@
 const mongoose = require("mongoose");
 const crypto = require("crypto");
 const UserInvestment = require("../models/UserInvestment");
+const InvestmentPlan = require("../models/InvestmentPlan");
 const InvestmentTransaction = require("../models/InvestmentTransaction");
+const ledgerService = require("./ledgerService");
+const growthModelService = require("./growthModelService");
+const investmentFeeService = require("./investmentFeeService");
+const money = require("../utils/money");
 const { logger } = require("../config/logger");
 
 /**
- * Generates a realistic daily growth schedule for an investment
- *
- * @param {number} principal - Initial investment amount
- * @param {number} annualRateOfReturn - Annual rate of return (as decimal, e.g., 0.08 for 8%)
- * @param {number} maturityPeriodDays - Total days until maturity
- * @param {number} volatility - How much daily returns can vary (0-1, higher = more random)
- * @returns {Array} Daily returns over the maturity period (not cumulative balances)
- */
-const generateInvestmentGrowthSchedule = (
-  principal,
-  annualRateOfReturn,
-  maturityPeriodDays,
-  volatility = 0.5
-) => {
-  // Calculate the total expected return at maturity
-  const totalExpectedReturn =
-    principal * (annualRateOfReturn * (maturityPeriodDays / 365));
-
-  // Average return per day (mean value)
-  const avgDailyReturn = totalExpectedReturn / maturityPeriodDays;
-
-  // Maximum volatility range (as a percentage of the average daily return)
-  const maxVariance = avgDailyReturn * volatility * 2;
-
-  // Generate random daily returns with normal distribution
-  let dailyReturns = [];
-  let totalGeneratedReturn = 0;
-
-  // First, generate random daily returns
-  for (let i = 0; i < maturityPeriodDays; i++) {
-    // Generate a random number with normal-ish distribution (using Box-Muller transform)
-    let u = 0,
-      v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    let standardNormal =
-      Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-
-    // Adjust the normal distribution to have our desired mean and variance
-    let dailyReturn = avgDailyReturn + standardNormal * (maxVariance / 4);
-
-    // Ensure the majority of days have positive returns but allow occasional small negatives for realism
-    if (dailyReturn < -avgDailyReturn * 0.2) {
-      dailyReturn = -avgDailyReturn * 0.2;
-    }
-
-    dailyReturns.push(dailyReturn);
-    totalGeneratedReturn += dailyReturn;
-  }
-
-  // Adjust returns to ensure they sum to the expected total return
-  const adjustmentFactor = totalExpectedReturn / totalGeneratedReturn;
-  dailyReturns = dailyReturns.map((dailyReturn) => {
-    return parseFloat((dailyReturn * adjustmentFactor).toFixed(8));
-  });
-
-  return dailyReturns;
-};
-
-/**
- * Initialize the growth schedule for a newly created investment
+ * Initialize the growth schedule for an investment that doesn't have one
  *
  * @param {Object} investment - The UserInvestment document
  * @returns {Promise} Updated investment with growth schedule
  */
 const initializeInvestmentGrowth = async (investment) => {
   try {
-    // Calculate days until maturity
-    const investedAt = new Date(investment.investedAt);
-    const maturityDate = new Date(investment.maturityDate);
-    const maturityPeriodDays = Math.ceil(
-      (maturityDate - investedAt) / (1000 * 60 * 60 * 24)
-    );
-
-    // Generate growth schedule
-    const dailyReturns = generateInvestmentGrowthSchedule(
-      investment.amount,
-      investment.rate / 100, // Convert percentage to decimal
-      maturityPeriodDays,
-      0.6 // Moderate volatility
-    );
-
-    // Add growth schedule to investment metadata
-    if (!investment.metadata) {
-      investment.metadata = {};
-    }
+    const plan = await InvestmentPlan.findById(investment.plan);
 
-    investment.metadata.growthSchedule = dailyReturns;
-    investment.metadata.lastGrowthDate = investedAt;
-    investment.metadata.nextGrowthIndex = 0;
+    // Seeded from inputs stored on the investment, so it can be recomputed later
+    await growthModelService.initialize(investment, plan);
 
     // Save the updated investment
     await investment.save();
 
+    const { growthModel, growthSchedule } = investment.metadata;
+
     logger.info("Investment growth schedule initialized", {
       investmentId: investment._id,
       userId: investment.user,
-      maturityPeriodDays,
-      totalExpectedReturn: dailyReturns.reduce((sum, val) => sum + val, 0),
-      scheduleLength: dailyReturns.length,
+      model: growthModel.name,
+      maturityPeriodDays: growthModel.days,
+      totalExpectedReturn: money.add(...growthSchedule),
+      scheduleLength: growthSchedule.length,
     });
 
     return investment;
@@ -137,9 +66,17 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
       investment = await initializeInvestmentGrowth(investment);
     }
 
-    const { growthSchedule, lastGrowthDate, nextGrowthIndex } =
+    // Index-linked schedules grow as new prices come in
+    const scheduleExtended = await growthModelService.extendSchedule(
+      investment
+    );
+
+    const { growthModel, growthSchedule, lastGrowthDate, nextGrowthIndex } =
       investment.metadata;
 
+    // Schedules from before growth inputs were recorded cover the whole term
+    const termDays = growthModel ? growthModel.days : growthSchedule.length;
+
     // Convert dates to days for comparison (ignoring time)
     const lastGrowthDay = new Date(lastGrowthDate).setHours(0, 0, 0, 0);
     const currentDay = new Date(currentDate).setHours(0, 0, 0, 0);
@@ -157,21 +94,30 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
         message:
           lastGrowthDay === currentDay
             ? "Growth already processed today"
-            : "Investment has reached maturity",
+            : nextGrowthIndex >= termDays
+            ? "Investment has reached maturity"
+            : "Today's growth isn't known yet",
         investmentId: investment._id,
       };
     }
 
     // Get today's growth amount from the schedule
-    const growthAmount = growthSchedule[nextGrowthIndex];
+    const growthAmount = money.add(growthSchedule[nextGrowthIndex]);
 
     // Update current value with today's growth
-    const oldValue = investment.currentValue;
-    investment.currentValue = parseFloat(oldValue) + growthAmount;
+    const previousValue = money.toNumber(investment.currentValue);
+    investment.currentValue = money.toNumber(
+      money.add(investment.currentValue, growthAmount)
+    );
 
-    const previousValue = parseFloat(oldValue);
     const percentageIncrease =
-      previousValue > 0 ? (growthAmount / previousValue) * 100 : 0;
+      previousValue > 0
+        ? money.toNumber(
+            money.divide(money.multiply(growthAmount, 100), previousValue, {
+              places: 8,
+            })
+          )
+        : 0;
 
     // Generate reference for transaction
     const transactionRef = `INVGROW-${Date.now()}-${crypto
@@ -182,17 +128,17 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
     const transaction = new InvestmentTransaction({
       user: investment.user,
       type: "return",
-      amount: Math.abs(growthAmount),
+      amount: money.abs(growthAmount),
       currency: investment.currency,
       source: investment._id,
-      sourceAmount: Math.abs(growthAmount),
+      sourceAmount: money.abs(growthAmount),
       sourceType: "UserInvestment",
       sourceCurrency: investment.currency,
       beneficiary: investment._id,
       beneficiaryType: "UserInvestment",
       beneficiaryCurrency: investment.currency,
       description:
-        growthAmount >= 0
+        !money.isNegative(growthAmount)
           ? `Daily investment growth of ${percentageIncrease.toFixed(
               2
             )}% (Day ${nextGrowthIndex + 1})`
@@ -204,7 +150,7 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
       metadata: {
         day: nextGrowthIndex + 1,
         percentageIncrease,
-        absoluteGrowth: growthAmount,
+        absoluteGrowth: money.toNumber(growthAmount),
         previousValue,
       },
     });
@@ -214,6 +160,23 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
     // Save the transaction
     await transaction.save({ session });
 
+    const investmentAccount = { type: "UserInvestment", entity: investment };
+    await ledgerService.postMovement({
+      reference: transactionRef,
+      category: "investment_growth",
+      from: money.isNegative(growthAmount)
+        ? investmentAccount
+        : "investment_growth",
+      to: money.isNegative(growthAmount)
+        ? "investment_growth"
+        : investmentAccount,
+      amount: money.abs(growthAmount),
+      currency: investment.currency,
+      description: transaction.description,
+      metadata: { investmentTransaction: transaction._id },
+      session,
+    });
+
     // Update investment with new transaction and metadata
     if (!investment.transactions) {
       investment.transactions = [];
@@ -221,6 +184,13 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
 
     investment.transactions.push(transaction._id);
 
+    // Management fees accrue on the value after today's growth
+    const { transaction: feeTransaction } = await investmentFeeService.accrue(
+      investment,
+      currentDate,
+      { session }
+    );
+
     // IMPORTANT CHANGE: Explicitly log what we're updating
     logger.debug("Updating investment metadata", {
       investmentId: investment._id,
@@ -238,7 +208,7 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
     // };
 
     // Check if investment has reached maturity
-    if (nextGrowthIndex + 1 >= growthSchedule.length) {
+    if (nextGrowthIndex + 1 >= termDays) {
       investment.status = "matured";
       logger.info("Investment has reached maturity", {
         investmentId: investment._id,
@@ -252,13 +222,24 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
       investment._id,
       {
         $set: {
-          previousValue: oldValue, // Add this line to store the previous value
+          previousValue,
           currentValue: investment.currentValue,
+          ...(scheduleExtended && {
+            "metadata.growthSchedule": growthSchedule,
+          }),
           "metadata.lastGrowthDate": currentDate,
           "metadata.nextGrowthIndex": nextGrowthIndex + 1,
           status: investment.status,
+          fees: investment.get("fees"),
+        },
+        $push: {
+          transactions: {
+            $each: [
+              transaction._id,
+              ...(feeTransaction ? [feeTransaction._id] : []),
+            ],
+          },
         },
-        $push: { transactions: transaction._id },
       },
       {
         new: true,
@@ -281,9 +262,10 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
       userId: investment.user,
       day: nextGrowthIndex + 1,
       growthAmount,
-      previousValue: oldValue,
+      previousValue,
       newValue: investment.currentValue,
       transactionRef,
+      feeDeducted: feeTransaction ? feeTransaction.amount : null,
       metadataUpdated: {
         lastGrowthDate: currentDate,
         nextGrowthIndex: nextGrowthIndex + 1,
@@ -299,6 +281,7 @@ const processDailyGrowth = async (investment, currentDate = new Date()) => {
       newValue: investment.currentValue,
       percentageIncrease,
       transaction,
+      feeTransaction,
       hasReachedMaturity: investment.status === "matured",
     };
   } catch (error) {
@@ -661,5 +644,4 @@ module.exports = {
   forceResetAllInvestmentsLastGrowthDate,
   fixInvestmentsMissingMetadata,
   migrateExistingInvestments,
-  generateInvestmentGrowthSchedule,
 };
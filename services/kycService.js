@@ -0,0 +1,462 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const KycSubmission = require("../models/KycSubmission");
+const notificationService = require("./notificationService");
+const AppError = require("../utils/error");
+const config = require("../config/config");
+const { logger } = require("../config/logger");
+
+/**
+ * Identity verification (KYC)
+ *
+ * Users submit their details with photos of an ID document, plus a selfie for the
+ * full tier. An admin approves or rejects each submission from a first-in,
+ * first-out queue. Every status change is recorded on the submission's history.
+ * Approval copies the submitted details onto the user and raises `kycTier`, which
+ * `requireKycTier` checks on money-moving routes. A user who is already verified
+ * keeps their tier while an upgrade is pending or after one is rejected.
+ * Users verified before tiers existed get theirs from `npm run migrate:kyc`.
+ */
+
+const tierRank = (tier) => config.kyc.tiers.indexOf(tier);
+
+const higherTier = (a, b) => (tierRank(a) >= tierRank(b) ? a : b);
+
+const REASON_LABELS = {
+  document_unreadable: "the document photo couldn't be read",
+  document_expired: "the document has expired",
+  document_mismatch: "the document doesn't match your details",
+  selfie_mismatch: "the selfie doesn't match the document",
+  details_mismatch: "your details don't match our records",
+  address_unverifiable: "your address couldn't be verified",
+  suspected_fraud: "the submission couldn't be accepted",
+  other: "see the note from our team",
+};
+
+// Multer keeps an array when a field is sent more than once; the first wins
+const fileOf = (files, field) => {
+  const file = files && files[field];
+  return Array.isArray(file) ? file[0] : file;
+};
+
+const historyEntry = (event, { from, to, tier, actor, reasons, note }) => ({
+  event,
+  from,
+  to,
+  tier,
+  actor: actor._id,
+  actorRole: actor.role,
+  reasons,
+  note,
+  at: new Date(),
+});
+
+const toView = (submission) => ({
+  id: submission._id,
+  status: submission.status,
+  documentType: submission.documentType,
+  requestedTier: submission.requestedTier,
+  approvedTier: submission.approvedTier,
+  rejectionReasons: submission.rejectionReasons,
+  notes: submission.notes,
+  submittedAt: submission.createdAt,
+  reviewDate: submission.reviewDate,
+});
+
+const logTransition = (submission, entry) => {
+  logger.info("KYC status changed", {
+    userId: submission.user._id || submission.user,
+    submissionId: submission._id,
+    event: entry.event,
+    from: entry.from,
+    to: entry.to,
+    tier: entry.tier,
+    actorId: entry.actor,
+    actorRole: entry.actorRole,
+    reasons: entry.reasons,
+  });
+};
+
+/**
+ * Load a submission that is waiting for review, with the reviewer checked
+ */
+const findReviewable = async (submissionId, admin) => {
+  const submission = mongoose.isValidObjectId(submissionId)
+    ? await KycSubmission.findById(submissionId).select("+ssn")
+    : null;
+
+  if (!submission) {
+    throw new AppError(
+      "KYC submission not found",
+      404,
+      "KYC_SUBMISSION_NOT_FOUND"
+    );
+  }
+
+  if (submission.status !== "pending_review") {
+    throw new AppError(
+      "This submission has already been reviewed",
+      409,
+      "KYC_ALREADY_REVIEWED"
+    );
+  }
+
+  if (submission.user.equals(admin._id)) {
+    throw new AppError(
+      "You can't review your own submission",
+      403,
+      "KYC_SELF_REVIEW"
+    );
+  }
+
+  return submission;
+};
+
+/**
+ * Record the decision on the submission and the user together
+ * The submission is only updated while still pending, so two reviewers can't
+ * both decide it.
+ */
+const recordDecision = async (submission, update, userUpdate) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const decided = await KycSubmission.findOneAndUpdate(
+      { _id: submission._id, status: "pending_review" },
+      update,
+      { new: true, session }
+    );
+
+    if (!decided) {
+      throw new AppError(
+        "This submission has already been reviewed",
+        409,
+        "KYC_ALREADY_REVIEWED"
+      );
+    }
+
+    if (userUpdate) {
+      await User.updateOne({ _id: submission.user }, userUpdate, { session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return decided;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+const notify = async (userId, title, message, data) => {
+  try {
+    await notificationService.createNotification(
+      userId,
+      title,
+      message,
+      "account",
+      data
+    );
+  } catch (error) {
+    logger.error("Failed to send KYC notification", {
+      userId,
+      error: error.message,
+    });
+  }
+};
+
+const kycService = {
+  /**
+   * Submit details and documents for review
+   * @param {Object} user - The submitting user
+   * @param {Object} details - `{ documentType, dateOfBirth, ssn, address }`, validated
+   * @param {Object} files - Uploads keyed by field (frontIdImage, backIdImage, selfieImage)
+   * @returns {Promise<Object>} The submission
+   */
+  async submit(user, { documentType, dateOfBirth, ssn, address }, files) {
+    const front = fileOf(files, "frontIdImage");
+    const back = fileOf(files, "backIdImage");
+    const selfie = fileOf(files, "selfieImage");
+
+    if (!front || (!back && documentType !== "passport")) {
+      throw new AppError(
+        documentType === "passport"
+          ? "A photo of your passport is required"
+          : "Photos of the front and back of your ID are required",
+        400,
+        "KYC_DOCUMENT_MISSING"
+      );
+    }
+
+    const requestedTier = selfie ? "full" : "basic";
+    const currentTier = user.kycTier || "unverified";
+
+    if (tierRank(currentTier) >= tierRank(requestedTier)) {
+      throw new AppError(
+        requestedTier === "basic"
+          ? "Your identity is already verified. Add a selfie to upgrade to full verification"
+          : "Your identity is already fully verified",
+        409,
+        "KYC_ALREADY_VERIFIED"
+      );
+    }
+
+    const pending = await KycSubmission.exists({
+      user: user._id,
+      status: "pending_review",
+    });
+
+    if (pending) {
+      throw new AppError(
+        "A verification is already waiting for review",
+        409,
+        "KYC_SUBMISSION_PENDING"
+      );
+    }
+
+    const from = user.kycStatus;
+    const to = from === "verified" ? "verified" : "pending";
+    const entry = historyEntry("submitted", {
+      from,
+      to,
+      tier: requestedTier,
+      actor: user,
+    });
+
+    const submission = await KycSubmission.create({
+      user: user._id,
+      documentType,
+      dateOfBirth,
+      ssn,
+      ssnLast4: ssn.slice(-4),
+      address,
+      frontIdUrl: front.secure_url,
+      frontIdPublicId: front.public_id,
+      backIdUrl: back && back.secure_url,
+      backIdPublicId: back && back.public_id,
+      selfieUrl: selfie && selfie.secure_url,
+      selfiePublicId: selfie && selfie.public_id,
+      requestedTier,
+      history: [entry],
+    });
+
+    if (to !== from) {
+      await User.updateOne({ _id: user._id }, { kycStatus: to });
+    }
+
+    logTransition(submission, entry);
+
+    return toView(submission);
+  },
+
+  /**
+   * The user's verification status and latest submission
+   */
+  async getStatus(userId) {
+    const [user, latest] = await Promise.all([
+      User.findById(userId).select("kycStatus kycTier kycVerifiedAt"),
+      KycSubmission.findOne({ user: userId }).sort({ createdAt: -1 }),
+    ]);
+
+    if (!user) {
+      throw new AppError("User not found", 404, "USER_NOT_FOUND");
+    }
+
+    return {
+      kycStatus: user.kycStatus,
+      kycTier: user.kycTier,
+      verifiedAt: user.kycVerifiedAt,
+      submission: latest ? toView(latest) : null,
+    };
+  },
+
+  /**
+   * Submissions for admins, oldest first so the queue is worked in order
+   */
+  async listQueue({ status = "pending_review", page = 1, limit = 20 }) {
+    const query = status === "all" ? {} : { status };
+
+    const [submissions, totalCount] = await Promise.all([
+      KycSubmission.find(query)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("user", "email firstName lastName kycStatus kycTier")
+        .select("-history"),
+      KycSubmission.countDocuments(query),
+    ]);
+
+    return {
+      submissions,
+      pagination: {
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        limit,
+      },
+    };
+  },
+
+  /**
+   * A submission with its history, for review
+   */
+  async getSubmission(submissionId) {
+    const submission = mongoose.isValidObjectId(submissionId)
+      ? await KycSubmission.findById(submissionId)
+          .populate(
+            "user",
+            "email firstName lastName dateOfBirth address kycStatus kycTier"
+          )
+          .populate("reviewedBy", "email firstName lastName")
+          .populate("history.actor", "email firstName lastName")
+      : null;
+
+    if (!submission) {
+      throw new AppError(
+        "KYC submission not found",
+        404,
+        "KYC_SUBMISSION_NOT_FOUND"
+      );
+    }
+
+    return submission;
+  },
+
+  /**
+   * Approve a submission and raise the user's tier
+   * @param {string} submissionId - Submission to approve
+   * @param {Object} admin - The reviewing admin
+   * @param {Object} options - `{ tier, notes }`; tier defaults to what was requested
+   */
+  async approve(submissionId, admin, { tier, notes } = {}) {
+    const submission = await findReviewable(submissionId, admin);
+    const approvedTier = tier || submission.requestedTier;
+
+    if (approvedTier === "full" && !submission.selfieUrl) {
+      throw new AppError(
+        "Full verification needs a selfie; approve as basic instead",
+        400,
+        "KYC_SELFIE_REQUIRED"
+      );
+    }
+
+    const user = await User.findById(submission.user).select(
+      "kycStatus kycTier"
+    );
+
+    if (!user) {
+      throw new AppError("User not found", 404, "USER_NOT_FOUND");
+    }
+
+    const newTier = higherTier(user.kycTier, approvedTier);
+    const entry = historyEntry("approved", {
+      from: user.kycStatus,
+      to: "verified",
+      tier: newTier,
+      actor: admin,
+      note: notes,
+    });
+
+    const decided = await recordDecision(
+      submission,
+      {
+        $set: {
+          status: "approved",
+          approvedTier,
+          reviewedBy: admin._id,
+          reviewDate: entry.at,
+          notes,
+        },
+        $unset: { ssn: 1 },
+        $push: { history: entry },
+      },
+      {
+        $set: {
+          kycStatus: "verified",
+          kycTier: newTier,
+          kycVerifiedAt: entry.at,
+          dateOfBirth: submission.dateOfBirth,
+          ssn: submission.ssn,
+          address: submission.address,
+        },
+      }
+    );
+
+    logTransition(decided, entry);
+
+    await notify(
+      submission.user,
+      "Identity Verified",
+      newTier === "full"
+        ? "Your identity is fully verified. All features are now available."
+        : "Your identity is verified. Add a selfie to unlock withdrawals and investing.",
+      { submissionId: decided._id, tier: newTier }
+    );
+
+    return decided;
+  },
+
+  /**
+   * Reject a submission with the reasons shown to the user
+   * @param {string} submissionId - Submission to reject
+   * @param {Object} admin - The reviewing admin
+   * @param {Object} options - `{ reasons, notes }`
+   */
+  async reject(submissionId, admin, { reasons, notes }) {
+    const submission = await findReviewable(submissionId, admin);
+
+    const user = await User.findById(submission.user).select(
+      "kycStatus kycTier"
+    );
+
+    if (!user) {
+      throw new AppError("User not found", 404, "USER_NOT_FOUND");
+    }
+
+    // An earlier approval still stands
+    const to = user.kycTier === "unverified" ? "rejected" : "verified";
+    const entry = historyEntry("rejected", {
+      from: user.kycStatus,
+      to,
+      tier: user.kycTier,
+      actor: admin,
+      reasons,
+      note: notes,
+    });
+
+    const decided = await recordDecision(
+      submission,
+      {
+        $set: {
+          status: "rejected",
+          reviewedBy: admin._id,
+          reviewDate: entry.at,
+          rejectionReasons: reasons,
+          notes,
+        },
+        $unset: { ssn: 1 },
+        $push: { history: entry },
+      },
+      to !== user.kycStatus && { $set: { kycStatus: to } }
+    );
+
+    logTransition(decided, entry);
+
+    const explanation = reasons
+      .map((reason) => REASON_LABELS[reason])
+      .join("; ");
+    await notify(
+      submission.user,
+      "Verification Unsuccessful",
+      `We couldn't verify your identity: ${explanation}. Please submit again.`,
+      { submissionId: decided._id, reasons }
+    );
+
+    return decided;
+  },
+};
+
+module.exports = kycService;
@@ -0,0 +1,477 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const Account = require("../models/Account");
+const Card = require("../models/Card");
+const Wallet = require("../models/Wallet");
+const UserInvestment = require("../models/UserInvestment");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const { logger } = require("../config/logger");
+
+/**
+ * Double-entry ledger
+ *
+ * Every balance change posts a journal of legs that balance per currency. An account's
+ * balance is its credits minus its debits, so the stored balance on each Account, Card,
+ * Wallet and UserInvestment can be recomputed from the ledger and compared.
+ *
+ * A ledger account is either `{ type, entity }` for a balance-holding document or the
+ * name of a system account (e.g. "fees").
+ */
+
+// Which stored number the ledger backs for each kind of account
+const BALANCES = {
+  Account: {
+    model: Account,
+    fields: "user availableBalance",
+    currency: () => "USD",
+    balance: (account) => account.availableBalance,
+  },
+  Card: {
+    model: Card,
+    fields: "user type availableBalance ledgerBalance",
+    currency: () => "USD",
+    // A credit card's ledger balance is what is owed on it
+    balance: (card) =>
+      card.type === "credit"
+        ? money.subtract(0, card.ledgerBalance)
+        : card.availableBalance,
+  },
+  Wallet: {
+    model: Wallet,
+    fields: "user currency balance",
+    currency: (wallet) => wallet.currency,
+    balance: (wallet) => wallet.balance,
+  },
+  UserInvestment: {
+    model: UserInvestment,
+    fields: "user currency currentValue status",
+    currency: (investment) => investment.currency,
+    // Closed investments keep their last value for display but hold nothing
+    balance: (investment) =>
+      ["cancelled", "withdrawn", "rolled_over"].includes(investment.status)
+        ? 0
+        : investment.currentValue,
+  },
+};
+
+/**
+ * Build the legs of a movement (see `postMovement`)
+ * @param {Object} movement - Movement parameters
+ * @returns {Array<Object>} - Legs
+ */
+const movementLegs = ({
+  from,
+  to,
+  amount,
+  currency,
+  convertedAmount,
+  destinationCurrency,
+  fee = 0,
+}) => {
+  const net = money.subtract(amount, fee);
+
+  const legs = [
+    { account: from, direction: "debit", amount, currency },
+    { account: "fees", direction: "credit", amount: fee, currency },
+  ];
+
+  if (destinationCurrency && destinationCurrency !== currency) {
+    legs.push(
+      { account: "fx_clearing", direction: "credit", amount: net, currency },
+      {
+        account: "fx_clearing",
+        direction: "debit",
+        amount: convertedAmount,
+        currency: destinationCurrency,
+      },
+      {
+        account: to,
+        direction: "credit",
+        amount: convertedAmount,
+        currency: destinationCurrency,
+      }
+    );
+  } else {
+    legs.push({ account: to, direction: "credit", amount: net, currency });
+  }
+
+  return legs;
+};
+
+const accountFields = (account) => {
+  if (typeof account === "string") {
+    return { accountType: "System", systemAccount: account };
+  }
+
+  const { type, entity } = account;
+  return {
+    accountType: type,
+    account: entity._id,
+    user: entity.user?._id || entity.user,
+  };
+};
+
+const ledgerService = {
+  /**
+   * Post a balanced journal
+   * Zero-amount legs are dropped. Pass the caller's session so the journal commits or
+   * aborts with the balance change it records.
+   * @param {Object} params - Posting parameters
+   * @param {string} params.reference - Business reference the journal records
+   * @param {string} params.category - LedgerEntry category
+   * @param {Array<Object>} params.legs - `{ account, direction, amount, currency }`
+   * @param {string} params.description - Optional description
+   * @param {Object} params.metadata - Optional metadata
+   * @param {mongoose.ClientSession} params.session - Database session
+   * @returns {Promise<Array>} - Saved ledger entries
+   * @throws {AppError} - When the legs don't balance
+   */
+  async post({ reference, category, legs, description, metadata, session }) {
+    const journal = new mongoose.Types.ObjectId();
+    const totals = {};
+
+    const entries = legs
+      .filter((leg) => !money.isZero(leg.amount))
+      .map((leg) => {
+        if (!money.isPositive(leg.amount)) {
+          throw new AppError(
+            "Ledger leg amounts must be positive",
+            500,
+            "LEDGER_INVALID_AMOUNT"
+          );
+        }
+
+        const currency = leg.currency.toUpperCase();
+        totals[currency] =
+          leg.direction === "credit"
+            ? money.add(totals[currency], leg.amount)
+            : money.subtract(totals[currency], leg.amount);
+
+        return {
+          journal,
+          reference,
+          category,
+          ...accountFields(leg.account),
+          direction: leg.direction,
+          amount: money.toDecimal128(leg.amount),
+          currency,
+          description,
+          metadata,
+        };
+      });
+
+    const unbalanced = Object.keys(totals).filter(
+      (currency) => !money.isZero(totals[currency])
+    );
+
+    if (unbalanced.length > 0) {
+      logger.error("Unbalanced ledger posting rejected", {
+        reference,
+        category,
+        currencies: unbalanced,
+        legs: entries.map(({ accountType, direction, amount, currency }) => ({
+          accountType,
+          direction,
+          amount: amount.toString(),
+          currency,
+        })),
+      });
+
+      throw new AppError(
+        `Ledger posting ${reference} does not balance in ${unbalanced.join(
+          ", "
+        )}`,
+        500,
+        "LEDGER_UNBALANCED"
+      );
+    }
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    return LedgerEntry.insertMany(entries, { session });
+  },
+
+  /**
+   * Post money moving from one ledger account to another
+   * A fee is taken from the source amount into "fees", and a cross-currency movement
+   * clears through "fx_clearing" so each currency balances on its own.
+   * @param {Object} params - Movement parameters
+   * @param {string} params.reference - Business reference the journal records
+   * @param {string} params.category - LedgerEntry category
+   * @param {Object|string} params.from - Account the money leaves
+   * @param {Object|string} params.to - Account the money arrives in
+   * @param {number|string|mongoose.Types.Decimal128} params.amount - Amount leaving `from`, fee included
+   * @param {string} params.currency - Currency of `amount`
+   * @param {number|string|mongoose.Types.Decimal128} params.convertedAmount - Amount arriving, when it is in another currency
+   * @param {string} params.destinationCurrency - Currency of `to`, when different
+   * @param {number} params.fee - Fee in `currency`
+   * @param {string} params.description - Optional description
+   * @param {Object} params.metadata - Optional metadata
+   * @param {mongoose.ClientSession} params.session - Database session
+   * @returns {Promise<Array>} - Saved ledger entries
+   */
+  async postMovement({
+    reference,
+    category,
+    description,
+    metadata,
+    session,
+    ...movement
+  }) {
+    return ledgerService.post({
+      reference,
+      category,
+      legs: movementLegs(movement),
+      description,
+      metadata,
+      session,
+    });
+  },
+
+  /**
+   * Post the exact opposite of a movement
+   * Takes the same parameters as `postMovement` for the movement being undone, so the
+   * fee comes back out of "fees" and the conversion clears at the original amounts.
+   * @param {Object} params - The original movement, with the reversal's reference and category
+   * @returns {Promise<Array>} - Saved ledger entries
+   */
+  async reverseMovement({
+    reference,
+    category,
+    description,
+    metadata,
+    session,
+    ...movement
+  }) {
+    return ledgerService.post({
+      reference,
+      category,
+      legs: movementLegs(movement).map((leg) => ({
+        ...leg,
+        direction: leg.direction === "debit" ? "credit" : "debit",
+      })),
+      description,
+      metadata,
+      session,
+    });
+  },
+
+  /**
+   * Recompute balances from the ledger and report accounts whose stored balance differs
+   * @param {Object} options - Reconciliation options
+   * @param {Array<string>} options.types - Account types to check (defaults to all)
+   * @param {number|string} options.tolerance - Largest difference not reported as drift
+   * @returns {Promise<Object>} - Accounts checked, drifted accounts and a per-currency trial balance
+   */
+  async reconcile({ types = Object.keys(BALANCES), tolerance = 0 } = {}) {
+    const startedAt = new Date();
+
+    const ledgerTotals = await LedgerEntry.aggregate([
+      { $match: { accountType: { $in: types } } },
+      {
+        $group: {
+          _id: { accountType: "$accountType", account: "$account" },
+          balance: {
+            $sum: {
+              $cond: [
+                { $eq: ["$direction", "credit"] },
+                "$amount",
+                { $multiply: ["$amount", -1] },
+              ],
+            },
+          },
+          entries: { $sum: 1 },
+          lastPostedAt: { $max: "$createdAt" },
+        },
+      },
+    ]);
+
+    const ledgerByAccount = new Map(
+      ledgerTotals.map((total) => [
+        `${total._id.accountType}:${total._id.account}`,
+        total,
+      ])
+    );
+
+    const drift = [];
+    let checked = 0;
+
+    for (const type of types) {
+      const { model, fields, currency, balance } = BALANCES[type];
+      const cursor = model.find({}).select(fields).lean().cursor();
+
+      for await (const doc of cursor) {
+        checked++;
+
+        const ledger = ledgerByAccount.get(`${type}:${doc._id}`);
+        const storedBalance = money.add(balance(doc));
+        const ledgerBalance = money.add(ledger ? ledger.balance : 0);
+        const difference = money.subtract(storedBalance, ledgerBalance);
+
+        if (money.compare(money.abs(difference), tolerance) > 0) {
+          drift.push({
+            accountType: type,
+            account: doc._id,
+            user: doc.user,
+            currency: currency(doc),
+            storedBalance,
+            ledgerBalance,
+            drift: difference,
+            entries: ledger ? ledger.entries : 0,
+            lastPostedAt: ledger ? ledger.lastPostedAt : null,
+          });
+        }
+      }
+    }
+
+    // Across the whole ledger every currency's debits must equal its credits
+    const trialBalance = (
+      await LedgerEntry.aggregate([
+        {
+          $group: {
+            _id: "$currency",
+            debits: {
+              $sum: {
+                $cond: [{ $eq: ["$direction", "debit"] }, "$amount", 0],
+              },
+            },
+            credits: {
+              $sum: {
+                $cond: [{ $eq: ["$direction", "credit"] }, "$amount", 0],
+              },
+            },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ])
+    ).map(({ _id, debits, credits }) => ({
+      currency: _id,
+      debits: money.add(debits),
+      credits: money.add(credits),
+      balanced: money.compare(debits, credits) === 0,
+    }));
+
+    const report = {
+      startedAt,
+      completedAt: new Date(),
+      checked,
+      drifted: drift.length,
+      drift,
+      trialBalance,
+    };
+
+    logger.info("Ledger reconciliation completed", {
+      types,
+      checked,
+      drifted: drift.length,
+      unbalancedCurrencies: trialBalance
+        .filter((currency) => !currency.balanced)
+        .map((currency) => currency.currency),
+    });
+
+    return report;
+  },
+
+  /**
+   * Post an opening balance for accounts that predate the ledger
+   * Only accounts with no ledger entries at all are touched, so running it twice is safe.
+   * @param {Object} options - Options
+   * @param {Array<string>} options.types - Account types to open (defaults to all)
+   * @returns {Promise<{ opened: number, skipped: number }>}
+   */
+  async recordOpeningBalances({ types = Object.keys(BALANCES) } = {}) {
+    let opened = 0;
+    let skipped = 0;
+
+    for (const type of types) {
+      const { model, fields, currency, balance } = BALANCES[type];
+      const posted = new Set(
+        (await LedgerEntry.distinct("account", { accountType: type })).map(
+          (id) => id.toString()
+        )
+      );
+      const cursor = model.find({}).select(fields).lean().cursor();
+
+      for await (const doc of cursor) {
+        const amount = balance(doc);
+
+        if (posted.has(doc._id.toString()) || money.isZero(amount)) {
+          skipped++;
+          continue;
+        }
+
+        const account = { type, entity: doc };
+        await ledgerService.postMovement({
+          reference: `OPENING-${type}-${doc._id}`,
+          category: "opening_balance",
+          from: money.isPositive(amount) ? "opening_balance" : account,
+          to: money.isPositive(amount) ? account : "opening_balance",
+          amount: money.abs(amount),
+          currency: currency(doc),
+          description: "Balance carried over from before the ledger",
+        });
+        opened++;
+      }
+    }
+
+    logger.info("Ledger opening balances recorded", { types, opened, skipped });
+
+    return { opened, skipped };
+  },
+
+  /**
+   * Get the ledger entries of one account, newest first
+   * @param {string} accountType - Account type (or "System")
+   * @param {string} account - Account ID (or system account name)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<{ entries: Array, balances: Object, total: number }>} - Balances are keyed by currency
+   */
+  async getAccountEntries(accountType, account, { page = 1, limit = 50 } = {}) {
+    const filter =
+      accountType === "System"
+        ? { accountType, systemAccount: account }
+        : { accountType, account: new mongoose.Types.ObjectId(account) };
+
+    const [entries, total, balances] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(filter),
+      LedgerEntry.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: "$currency",
+            balance: {
+              $sum: {
+                $cond: [
+                  { $eq: ["$direction", "credit"] },
+                  "$amount",
+                  { $multiply: ["$amount", -1] },
+                ],
+              },
+            },
+          },
+        },
+      ]),
+    ]);
+
+    return {
+      entries,
+      balances: balances.reduce(
+        (byCurrency, { _id, balance }) => ({
+          ...byCurrency,
+          [_id]: money.add(balance),
+        }),
+        {}
+      ),
+      total,
+    };
+  },
+};
+
+module.exports = ledgerService;
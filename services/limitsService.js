@@ -0,0 +1,393 @@
+const Transaction = require("../models/Transaction");
+const WalletTransaction = require("../models/WalletTransaction");
+const LimitCounter = require("../models/LimitCounter");
+const exchangeRateService = require("./exchangeRateService");
+const AppError = require("../utils/error");
+const config = require("../config/config");
+const money = require("../utils/money");
+const { logger } = require("../config/logger");
+
+/**
+ * Transfer limits
+ *
+ * What a user may move is capped per channel by their KYC tier (config.limits).
+ * Usage is what the user actually sent over the last 24 hours and 30 days, summed
+ * from their debit transactions and converted to USD. On top of the tier caps, the
+ * account, card or wallet being debited may carry lower limits of its own, which
+ * count only what was sent from it and are set in its own currency.
+ *
+ * Checks for the same user are serialized: each one writes the user's LimitCounter
+ * in the transfer's transaction, so a concurrent transfer fails with a write
+ * conflict instead of counting usage from before this one's debit.
+ */
+
+const LIMIT_CURRENCY = config.limits.currency;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = {
+  daily: DAY_MS,
+  monthly: 30 * DAY_MS,
+};
+
+// Transfers that still hold, or will, against the limits
+const COUNTED_STATUSES = ["pending", "processing", "completed"];
+
+// Where each channel's user-set limits live on the debited document's `limits`
+const ENTITY_FIELDS = {
+  transfer: {
+    perTransaction: "maxTransferPerTransaction",
+    daily: "dailyTransfer",
+    monthly: "monthlyTransfer",
+  },
+  withdrawal: {
+    perTransaction: "maxWithdrawalPerTransaction",
+    daily: "dailyWithdrawal",
+    monthly: "monthlyWithdrawal",
+  },
+};
+
+const CHANNELS = {
+  account: {
+    sourceType: "Account",
+    fields: ENTITY_FIELDS.transfer,
+  },
+  card: {
+    sourceType: "Card",
+    fields: ENTITY_FIELDS.transfer,
+  },
+  // Between wallets
+  wallet_transfer: {
+    sourceType: "Wallet",
+    fields: ENTITY_FIELDS.transfer,
+    beneficiaryTypes: { $in: ["Wallet"] },
+  },
+  // Out of a wallet into an account or card
+  wallet_withdrawal: {
+    sourceType: "Wallet",
+    fields: ENTITY_FIELDS.withdrawal,
+    beneficiaryTypes: { $nin: ["Wallet"] },
+  },
+};
+
+/**
+ * The channel a transfer counts against
+ * @param {string} sourceType - "Account", "Card" or "Wallet"
+ * @param {string} destinationType - Where the money goes
+ * @returns {string|null}
+ */
+const channelOf = (sourceType, destinationType) => {
+  if (sourceType === "Wallet") {
+    return destinationType === "Wallet"
+      ? "wallet_transfer"
+      : "wallet_withdrawal";
+  }
+
+  return (
+    Object.keys(CHANNELS).find(
+      (channel) => CHANNELS[channel].sourceType === sourceType
+    ) || null
+  );
+};
+
+const tierOf = (user) =>
+  config.limits.tiers[user && user.kycTier] ? user.kycTier : "unverified";
+
+const capsFor = (tier, channel) => config.limits.tiers[tier][channel];
+
+/**
+ * The lower of the tier cap and the debited document's own limit, per window
+ */
+const effectiveLimits = (tier, channel, entityLimits = {}) => {
+  const caps = capsFor(tier, channel);
+  const { fields } = CHANNELS[channel];
+
+  return Object.fromEntries(
+    Object.keys(caps).map((window) => {
+      const own = entityLimits[fields[window]];
+      const hasOwn = own !== undefined && own !== null;
+      return [
+        window,
+        {
+          tier: String(caps[window]),
+          own: hasOwn ? String(own) : null,
+        },
+      ];
+    })
+  );
+};
+
+const toLimitCurrency = async (amount, currency) => {
+  if (!currency || currency === LIMIT_CURRENCY) {
+    return money.round(amount, LIMIT_CURRENCY);
+  }
+
+  const converted = await exchangeRateService.convert(
+    amount,
+    currency,
+    LIMIT_CURRENCY
+  );
+  return money.format(converted.amount);
+};
+
+/**
+ * Sum what the user sent over a channel in the last 30 days, and per debited document
+ * @returns {Promise<Object>} - `{ daily, monthly, bySource: { [id]: { daily, monthly } } }`;
+ *   the totals are in USD, each document's usage in its own currency
+ */
+const usageOf = async (userId, channel, { session, now = new Date() } = {}) => {
+  const { sourceType, beneficiaryTypes } = CHANNELS[channel];
+  const dayStart = new Date(now.getTime() - WINDOWS.daily);
+  const match = {
+    user: userId,
+    type: "debit",
+    sourceType,
+    status: { $in: COUNTED_STATUSES },
+    createdAt: { $gte: new Date(now.getTime() - WINDOWS.monthly) },
+  };
+  const model = sourceType === "Wallet" ? WalletTransaction : Transaction;
+
+  if (beneficiaryTypes) {
+    match.beneficiaryType = beneficiaryTypes;
+  }
+
+  const amount = { $toDecimal: "$amount" };
+  const rows = await model
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            source: { $toString: "$source" },
+            currency: { $ifNull: ["$currency", "$sourceCurrency"] },
+          },
+          monthly: { $sum: amount },
+          daily: {
+            $sum: {
+              $cond: [{ $gte: ["$createdAt", dayStart] }, amount, 0],
+            },
+          },
+        },
+      },
+    ])
+    .session(session || null);
+
+  const usage = { daily: "0", monthly: "0", bySource: {} };
+
+  for (const row of rows) {
+    const source = (usage.bySource[row._id.source] ||= {
+      daily: "0",
+      monthly: "0",
+    });
+
+    for (const window of Object.keys(WINDOWS)) {
+      const sent = row[window].toString();
+      usage[window] = money.add(
+        usage[window],
+        await toLimitCurrency(sent, row._id.currency)
+      );
+      source[window] = money.add(source[window], sent);
+    }
+  }
+
+  return usage;
+};
+
+/**
+ * Hold the user's limit counter until the transfer's transaction ends
+ * @throws {AppError} - When another of the user's transfers holds it
+ */
+const claimCounter = async (userId, session) => {
+  try {
+    await LimitCounter.updateOne(
+      { user: userId },
+      { $inc: { checks: 1 }, $set: { lastCheckedAt: new Date() } },
+      { upsert: true, session }
+    );
+  } catch (error) {
+    const conflict =
+      error.code === 11000 ||
+      (error.hasErrorLabel && error.hasErrorLabel("TransientTransactionError"));
+    if (!conflict) throw error;
+
+    logger.warn("Concurrent transfer limit check", { userId });
+    throw new AppError(
+      "Another transfer is being processed; please try again",
+      409,
+      "TRANSFER_IN_PROGRESS"
+    );
+  }
+};
+
+const remainingOf = (limit, used, currency = LIMIT_CURRENCY) =>
+  money.compare(used, limit) >= 0
+    ? money.round(0, currency)
+    : money.round(money.subtract(limit, used), currency);
+
+const formatLimit = (value, currency) =>
+  `${money.round(value, currency)} ${currency}`;
+
+const limitExceeded = (window, limit, used, scope, currency) => {
+  const remaining = remainingOf(limit, used, currency);
+  const code =
+    window === "perTransaction"
+      ? "TRANSACTION_LIMIT_EXCEEDED"
+      : `${window.toUpperCase()}_LIMIT_EXCEEDED`;
+  const message =
+    window === "perTransaction"
+      ? `Amount exceeds ${scope} per-transaction limit of ${formatLimit(
+          limit,
+          currency
+        )}`
+      : `This transfer would exceed ${scope} ${window} limit of ${formatLimit(
+          limit,
+          currency
+        )} (${formatLimit(remaining, currency)} remaining)`;
+
+  return new AppError(message, 400, code);
+};
+
+const limitsService = {
+  channelOf,
+
+  /**
+   * Check a transfer against the sender's limits
+   * Runs inside the transfer's database session, before any balance changes. The
+   * sender's other transfers can't pass a check until this session ends.
+   * @param {Object} params - Check parameters
+   * @param {Object} params.user - Sender (needs `_id` and `kycTier`)
+   * @param {string} params.sourceType - "Account", "Card" or "Wallet"
+   * @param {Object} params.source - The document being debited
+   * @param {string} params.destinationType - Where the money goes
+   * @param {number|string} params.amount - Amount in `currency`
+   * @param {string} params.currency - Currency of the debited document
+   * @param {mongoose.ClientSession} params.session - Database session
+   * @throws {AppError} - When a limit would be exceeded, or another of the
+   *   sender's transfers is being checked
+   */
+  async enforce({
+    user,
+    sourceType,
+    source,
+    destinationType,
+    amount,
+    currency,
+    session,
+  }) {
+    const channel = channelOf(sourceType, destinationType);
+    if (!channel) return;
+
+    const tier = tierOf(user);
+    const limits = effectiveLimits(tier, channel, source.limits);
+    const value = await toLimitCurrency(amount, currency);
+
+    // Tier caps are in USD; the document's own limits are in its currency
+    const check = (window, limit, used, scope, own = false) => {
+      const sending = own ? money.add(amount) : value;
+      const unit = own ? currency : LIMIT_CURRENCY;
+
+      if (
+        limit !== null &&
+        money.compare(money.add(used, sending), limit) > 0
+      ) {
+        logger.warn("Transfer limit exceeded", {
+          userId: user._id,
+          sourceId: source._id,
+          channel,
+          tier,
+          window,
+          scope,
+          limit,
+          used,
+          amount: sending,
+          currency: unit,
+        });
+        throw limitExceeded(window, limit, used, scope, unit);
+      }
+    };
+
+    const tierScope = `the ${tier} tier's`;
+    const ownScope = `this ${sourceType.toLowerCase()}'s`;
+
+    check("perTransaction", limits.perTransaction.tier, "0", tierScope);
+    check("perTransaction", limits.perTransaction.own, "0", ownScope, true);
+
+    await claimCounter(user._id, session);
+    const usage = await usageOf(user._id, channel, { session });
+    const own = usage.bySource[String(source._id)] || {
+      daily: "0",
+      monthly: "0",
+    };
+
+    for (const window of Object.keys(WINDOWS)) {
+      check(window, limits[window].tier, usage[window], tierScope);
+      check(window, limits[window].own, own[window], ownScope, true);
+    }
+  },
+
+  /**
+   * Clamp limits a user asks for to their tier's caps
+   * @param {Object} user - The user (needs `kycTier`)
+   * @param {string} channel - Channel the limits apply to
+   * @param {Object} requested - `{ perTransaction, daily, monthly }`; missing windows are skipped
+   * @param {string} currency - Currency of the document the limits are set on
+   * @returns {Promise<{ limits: Object, clamped: Array<string> }>} - Allowed values and the windows that were lowered
+   */
+  async clamp(user, channel, requested, currency = LIMIT_CURRENCY) {
+    const caps = capsFor(tierOf(user), channel);
+    const limits = {};
+    const clamped = [];
+
+    for (const [window, value] of Object.entries(requested)) {
+      if (value === undefined) continue;
+
+      // Caps are in USD; compare them in the document's own currency
+      const { amount: cap } = await exchangeRateService.convert(
+        caps[window],
+        LIMIT_CURRENCY,
+        currency
+      );
+
+      if (money.compare(value, cap) > 0) {
+        limits[window] = money.toNumber(cap);
+        clamped.push(window);
+      } else {
+        limits[window] = Number(value);
+      }
+    }
+
+    return { limits, clamped };
+  },
+
+  /**
+   * The user's caps, usage and what's left per channel
+   * @param {Object} user - The user (needs `_id` and `kycTier`)
+   * @returns {Promise<Object>}
+   */
+  async getLimits(user) {
+    const tier = tierOf(user);
+    const channels = {};
+
+    for (const channel of Object.keys(CHANNELS)) {
+      const caps = capsFor(tier, channel);
+      const usage = await usageOf(user._id, channel);
+
+      channels[channel] = {
+        perTransaction: money.round(caps.perTransaction, LIMIT_CURRENCY),
+        ...Object.fromEntries(
+          Object.keys(WINDOWS).map((window) => [
+            window,
+            {
+              limit: money.round(caps[window], LIMIT_CURRENCY),
+              used: money.round(usage[window], LIMIT_CURRENCY),
+              remaining: remainingOf(caps[window], usage[window]),
+            },
+          ])
+        ),
+      };
+    }
+
+    return { tier, currency: LIMIT_CURRENCY, channels };
+  },
+};
+
+module.exports = limitsService;
@@ -0,0 +1,397 @@
+const UserInvestment = require("../models/UserInvestment");
+const LedgerEntry = require("../models/LedgerEntry");
+const exchangeRateService = require("./exchangeRateService");
+const money = require("../utils/money");
+
+/**
+ * Portfolio view over all of a user's investments
+ *
+ * Built from the ledger: an investment's value at any moment is the sum of its
+ * ledger entries up to then. Growth and management fees are returns; every other
+ * entry moves money in or out. Rollovers move money between the user's own
+ * investments, so they don't count as invested or withdrawn. Investments from
+ * before the ledger only show once their opening balances are recorded
+ * (`ledgerService.recordOpeningBalances()`).
+ *
+ * Amounts are converted to the reporting currency at today's rates, so exchange
+ * rate moves don't show up as returns.
+ *
+ * Gains are split by average cost: a withdrawal realizes its share of the gain
+ * above the investment's cost, and what's left above cost is unrealized.
+ *
+ * Returns are given per period, neither of them annualized:
+ * - time-weighted chains daily returns (money moved in or out counts from the start
+ *   of its day), so it measures the investments regardless of when money was added;
+ * - money-weighted is the rate at which the starting value and each movement grow
+ *   into the ending value, so it measures the user's result including timing.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = ["1W", "1M", "3M", "YTD", "All"];
+
+// Ledger categories that change an investment's value without moving money
+const RETURN_CATEGORIES = ["investment_growth", "investment_fee"];
+
+// Money moved between the user's own investments
+const INTERNAL_CATEGORIES = ["investment_rollover"];
+
+// Investments that still hold their value
+const LIVE_STATUSES = ["active", "matured"];
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (key, days) =>
+  dayKey(new Date(`${key}T00:00:00.000Z`).getTime() + days * DAY_MS);
+
+// The same day some months earlier, or the end of that month when it's shorter
+const monthsBefore = (key, months) => {
+  const [year, month, day] = key.split("-").map(Number);
+  const lastDay = new Date(
+    Date.UTC(year, month - 1 - months + 1, 0)
+  ).getUTCDate();
+  return dayKey(Date.UTC(year, month - 1 - months, Math.min(day, lastDay)));
+};
+
+/**
+ * The day whose end a period's return is measured from
+ */
+const periodBase = (period, today) => {
+  switch (period) {
+    case "1W":
+      return addDays(today, -7);
+    case "1M":
+      return monthsBefore(today, 1);
+    case "3M":
+      return monthsBefore(today, 3);
+    case "YTD":
+      return `${Number(today.slice(0, 4)) - 1}-12-31`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Turn a growth factor into a percentage
+ */
+const toPercent = (factor) =>
+  Number.isFinite(factor)
+    ? money.toNumber(
+        money.multiply((factor - 1).toFixed(12), 100, { places: 2 })
+      )
+    : null;
+
+/**
+ * Time-weighted return over consecutive days
+ * @param {number} startValue - Value at the end of the day before the first
+ * @param {Array<{ flow: number, value: number }>} days - Each day's net money moved
+ *   in and its closing value
+ * @returns {number|null} - Growth factor, or null when nothing was invested
+ */
+const timeWeighted = (startValue, days) => {
+  let factor = 1;
+  let invested = false;
+  let previous = startValue;
+
+  for (const { flow, value } of days) {
+    const base = previous + flow;
+    if (base > 0) {
+      factor *= value / base;
+      invested = true;
+    }
+    previous = value;
+  }
+
+  return invested ? factor : null;
+};
+
+/**
+ * Money-weighted return: the period rate r with
+ * startValue * (1 + r) + sum(flow * (1 + r)^(share of the period left)) = endValue
+ * @returns {number|null} - Growth factor (1 + r), or null when there's no single rate
+ */
+const moneyWeighted = (startValue, days, endValue) => {
+  const count = days.length;
+  const flows = days
+    .map(({ flow }, i) => ({ flow, remaining: (count - i) / count }))
+    .filter(({ flow }) => flow !== 0);
+
+  if (!(startValue > 0) && !flows.some(({ flow }) => flow > 0)) {
+    return null;
+  }
+
+  const surplus = (factor) =>
+    startValue * factor +
+    flows.reduce(
+      (sum, { flow, remaining }) => sum + flow * factor ** remaining,
+      0
+    ) -
+    endValue;
+
+  // Bisection between losing everything and growing a hundredfold
+  let low = 1e-6;
+  let high = 100;
+  if (surplus(low) > 0 || surplus(high) < 0) {
+    return null;
+  }
+
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const middle = (low + high) / 2;
+    if (surplus(middle) > 0) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Shares of the portfolio's value, largest first
+ */
+const allocationOf = (holdings, keyOf, describe, total, currency) => {
+  const groups = new Map();
+
+  for (const holding of holdings) {
+    const key = keyOf(holding);
+    const group = groups.get(key) || {
+      ...describe(holding),
+      value: "0",
+      count: 0,
+    };
+    group.value = money.add(group.value, holding.value);
+    group.count += 1;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => money.compare(b.value, a.value))
+    .map((group) => ({
+      ...group,
+      value: money.round(group.value, currency),
+      percentage: money.isPositive(total)
+        ? money.toNumber(
+            money.divide(money.multiply(group.value, 100), total, { places: 2 })
+          )
+        : 0,
+    }));
+};
+
+const portfolioService = {
+  /**
+   * Combine all of a user's investments in one currency
+   * @param {string} userId - Owner
+   * @param {Object} options - `{ currency, now }`
+   * @returns {Promise<Object>} - `{ currency, asOf, exchangeRates, summary,
+   *   allocation, returns }`
+   */
+  async getPortfolio(userId, { currency = "USD", now = new Date() } = {}) {
+    const investments = await UserInvestment.find({ user: userId })
+      .select("plan currency status")
+      .populate("plan", "name riskLevel")
+      .lean();
+
+    const entries = investments.length
+      ? await LedgerEntry.find({
+          accountType: "UserInvestment",
+          account: { $in: investments.map(({ _id }) => _id) },
+          createdAt: { $lte: now },
+        })
+          .select("account direction amount currency category createdAt")
+          .sort({ createdAt: 1, _id: 1 })
+          .lean()
+      : [];
+
+    // One rate per currency, all from the same snapshot
+    const foreignCurrencies = new Set(
+      [...investments, ...entries]
+        .map((item) => item.currency)
+        .filter((from) => from !== currency)
+    );
+    const snapshot = foreignCurrencies.size
+      ? await exchangeRateService.getCurrentSnapshot()
+      : null;
+    const exchangeRates = {};
+    for (const from of foreignCurrencies) {
+      exchangeRates[from] = (
+        await exchangeRateService.getRate(from, currency, snapshot)
+      ).rate;
+    }
+    const convert = (amount, from) =>
+      from === currency
+        ? money.add(amount)
+        : money.multiply(amount, exchangeRates[from]);
+
+    const states = new Map(
+      investments.map((investment) => [
+        investment._id.toString(),
+        { value: "0", cost: "0", realized: "0" },
+      ])
+    );
+    const totals = { invested: "0", withdrawn: "0", fees: "0" };
+    const dailyFlows = new Map();
+    const dailyChanges = new Map();
+
+    for (const entry of entries) {
+      const state = states.get(entry.account.toString());
+      const amount = convert(entry.amount, entry.currency);
+      const signed =
+        entry.direction === "credit" ? amount : money.subtract(0, amount);
+      const day = dayKey(entry.createdAt);
+
+      dailyChanges.set(day, money.add(dailyChanges.get(day) || 0, signed));
+
+      if (RETURN_CATEGORIES.includes(entry.category)) {
+        if (entry.category === "investment_fee") {
+          totals.fees = money.subtract(totals.fees, signed);
+        }
+        state.value = money.add(state.value, signed);
+        continue;
+      }
+
+      dailyFlows.set(day, money.add(dailyFlows.get(day) || 0, signed));
+
+      if (!INTERNAL_CATEGORIES.includes(entry.category)) {
+        if (entry.direction === "credit") {
+          totals.invested = money.add(totals.invested, amount);
+        } else {
+          totals.withdrawn = money.add(totals.withdrawn, amount);
+        }
+      }
+
+      if (entry.direction === "credit") {
+        state.cost = money.add(state.cost, amount);
+        state.value = money.add(state.value, amount);
+        continue;
+      }
+
+      // The withdrawn share of the cost; the rest of the amount is realized gain
+      const cost = money.isPositive(state.value)
+        ? money.min(
+            money.divide(money.multiply(state.cost, amount), state.value, {
+              places: 12,
+            }),
+            state.cost
+          )
+        : state.cost;
+      state.realized = money.add(state.realized, money.subtract(amount, cost));
+      state.cost = money.subtract(state.cost, cost);
+      state.value = money.subtract(state.value, amount);
+    }
+
+    const holdings = investments
+      .filter(({ status }) => LIVE_STATUSES.includes(status))
+      .map((investment) => ({
+        investment,
+        ...states.get(investment._id.toString()),
+      }));
+
+    const currentValue = money.add(...holdings.map(({ value }) => value));
+    const unrealizedGain = money.add(
+      ...holdings.map(({ value, cost }) => money.subtract(value, cost))
+    );
+    const realizedGain = money.add(
+      ...[...states.values()].map(({ realized }) => realized)
+    );
+
+    // Closing value of every day from the first entry to today
+    const today = dayKey(now);
+    const series = [];
+    if (entries.length) {
+      let value = "0";
+      for (
+        let day = dayKey(entries[0].createdAt);
+        day <= today;
+        day = addDays(day, 1)
+      ) {
+        value = money.add(value, dailyChanges.get(day) || 0);
+        series.push({
+          day,
+          flow: money.toNumber(dailyFlows.get(day) || 0),
+          value: money.toNumber(value),
+        });
+      }
+    }
+
+    const returns = PERIODS.map((period) => {
+      const base = periodBase(period, today);
+      const firstIndex = base ? series.findIndex(({ day }) => day > base) : 0;
+      const days = firstIndex < 0 ? [] : series.slice(firstIndex);
+      const startValue = firstIndex > 0 ? series[firstIndex - 1].value : 0;
+      const endValue = days.length ? days[days.length - 1].value : startValue;
+      const netFlows = days.reduce(
+        (sum, { flow }) => money.add(sum, flow),
+        "0"
+      );
+
+      return {
+        period,
+        from: base ? addDays(base, 1) : series.length ? series[0].day : today,
+        to: today,
+        startValue: money.round(startValue, currency),
+        endValue: money.round(endValue, currency),
+        netFlows: money.round(netFlows, currency),
+        gain: money.round(
+          money.subtract(money.subtract(endValue, startValue), netFlows),
+          currency
+        ),
+        timeWeightedReturn: toPercent(timeWeighted(startValue, days)),
+        moneyWeightedReturn: toPercent(
+          moneyWeighted(startValue, days, endValue)
+        ),
+      };
+    });
+
+    return {
+      currency,
+      asOf: now,
+      exchangeRates,
+      summary: {
+        invested: money.round(totals.invested, currency),
+        withdrawn: money.round(totals.withdrawn, currency),
+        currentValue: money.round(currentValue, currency),
+        realizedGain: money.round(realizedGain, currency),
+        unrealizedGain: money.round(unrealizedGain, currency),
+        totalGain: money.round(
+          money.add(realizedGain, unrealizedGain),
+          currency
+        ),
+        feesCharged: money.round(totals.fees, currency),
+        liveInvestments: holdings.length,
+        totalInvestments: investments.length,
+      },
+      allocation: {
+        byPlan: allocationOf(
+          holdings,
+          ({ investment }) => String(investment.plan?._id),
+          ({ investment }) => ({
+            planId: investment.plan?._id || null,
+            name: investment.plan?.name || null,
+          }),
+          currentValue,
+          currency
+        ),
+        byRiskLevel: allocationOf(
+          holdings,
+          ({ investment }) => investment.plan?.riskLevel || "unknown",
+          ({ investment }) => ({
+            riskLevel: investment.plan?.riskLevel || "unknown",
+          }),
+          currentValue,
+          currency
+        ),
+        byCurrency: allocationOf(
+          holdings,
+          ({ investment }) => investment.currency,
+          ({ investment }) => ({ currency: investment.currency }),
+          currentValue,
+          currency
+        ),
+      },
+      returns,
+    };
+  },
+};
+
+module.exports = portfolioService;
@@ -0,0 +1,725 @@
+const mongoose = require("mongoose");
+const ScheduledTransfer = require("../models/ScheduledTransfer");
+const transactionService = require("./transactionService");
+const notificationService = require("./notificationService");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const config = require("../config/config");
+const { logger } = require("../config/logger");
+
+/**
+ * Scheduled and recurring transfers
+ *
+ * A schedule stores the transfer to make and when to make it. Occurrences are
+ * computed in UTC and keep the time of day of the start date. When runs were missed
+ * (the job was down) a schedule runs once and then moves on to its next future
+ * occurrence rather than catching up.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a user may change on an existing schedule
+const EDITABLE_FIELDS = [
+  "amount",
+  "description",
+  "frequency",
+  "dayOfWeek",
+  "dayOfMonth",
+  "startDate",
+  "endDate",
+];
+
+/**
+ * Whether a failed run is worth retrying rather than recording
+ * Write conflicts, lost connections and the like throw plain errors, and the
+ * transfer limit counter turns away a second transfer while one is in flight.
+ * Rejections the user has to fix (insufficient funds, frozen account…) are AppErrors.
+ * @param {Error} error - Why the transfer failed
+ * @returns {boolean}
+ */
+const isTransient = (error) =>
+  !(error instanceof AppError) ||
+  error.statusCode >= 500 ||
+  error.errorCode === "TRANSFER_IN_PROGRESS";
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * The given month's `day`, or its last day when the month is shorter
+ * @param {Date} date - Any date in the month (its time of day is kept)
+ * @param {number} day - Day of the month (1-31)
+ * @returns {Date}
+ */
+const onDayOfMonth = (date, day) => {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCDate(
+    Math.min(day, daysInMonth(result.getUTCFullYear(), result.getUTCMonth()))
+  );
+  return result;
+};
+
+/**
+ * First occurrence of a schedule on or after its start date
+ * @param {Object} schedule - Schedule fields
+ * @returns {Date}
+ */
+const firstOccurrence = (schedule) => {
+  const start = new Date(schedule.startDate);
+
+  if (schedule.frequency === "weekly") {
+    const offset = (schedule.dayOfWeek - start.getUTCDay() + 7) % 7;
+    return new Date(start.getTime() + offset * DAY_MS);
+  }
+
+  if (schedule.frequency === "monthly") {
+    const candidate = onDayOfMonth(start, schedule.dayOfMonth);
+    if (candidate >= start) {
+      return candidate;
+    }
+    candidate.setUTCDate(1);
+    candidate.setUTCMonth(candidate.getUTCMonth() + 1);
+    return onDayOfMonth(candidate, schedule.dayOfMonth);
+  }
+
+  return start;
+};
+
+/**
+ * Occurrence following `after`
+ * @param {Object} schedule - Schedule fields
+ * @param {Date} after - An occurrence of the schedule
+ * @returns {Date|null} - Null for one-off schedules
+ */
+const followingOccurrence = (schedule, after) => {
+  if (schedule.frequency === "weekly") {
+    return new Date(after.getTime() + 7 * DAY_MS);
+  }
+
+  if (schedule.frequency === "monthly") {
+    const next = new Date(after);
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return onDayOfMonth(next, schedule.dayOfMonth);
+  }
+
+  return null;
+};
+
+/**
+ * Next occurrence after `now`, or null when the schedule has none left
+ * @param {Object} schedule - Schedule fields
+ * @param {Date} from - Occurrence to move on from
+ * @param {Date} now - Current time
+ * @returns {Date|null}
+ */
+const nextFutureOccurrence = (schedule, from, now) => {
+  let next = followingOccurrence(schedule, from);
+
+  while (next && next <= now) {
+    next = followingOccurrence(schedule, next);
+  }
+
+  if (next && schedule.endDate && next > schedule.endDate) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Next occurrence of a schedule that has already started, after its last run
+ * Occurrences still count from the original start date, so the time of day is kept.
+ * @param {Object} fields - Schedule fields, possibly changed
+ * @param {Date|null} lastRunFor - Occurrence the schedule last ran for
+ * @param {Date} notBefore - Earliest time the next run may be at
+ * @returns {Date|null}
+ */
+const nextOccurrenceAfterRuns = (fields, lastRunFor, notBefore) => {
+  let next = firstOccurrence(fields);
+
+  while (next && ((lastRunFor && next <= lastRunFor) || next < notBefore)) {
+    next = followingOccurrence(fields, next);
+  }
+
+  if (next && fields.endDate && next > new Date(fields.endDate)) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Fill in the recurrence day from the start date when it wasn't given
+ * @param {Object} fields - Schedule fields (changed in place)
+ */
+const applyRecurrenceDefaults = (fields) => {
+  const start = new Date(fields.startDate);
+
+  if (fields.frequency === "weekly" && fields.dayOfWeek === undefined) {
+    fields.dayOfWeek = start.getUTCDay();
+  }
+  if (fields.frequency === "monthly" && fields.dayOfMonth === undefined) {
+    fields.dayOfMonth = start.getUTCDate();
+  }
+  if (fields.frequency !== "weekly") {
+    fields.dayOfWeek = undefined;
+  }
+  if (fields.frequency !== "monthly") {
+    fields.dayOfMonth = undefined;
+  }
+};
+
+/**
+ * Find one of the user's schedules
+ * @param {string} userId - Owner
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>}
+ * @throws {AppError} - When there is no such schedule
+ */
+const findSchedule = async (userId, scheduleId) => {
+  const schedule = mongoose.isValidObjectId(scheduleId)
+    ? await ScheduledTransfer.findOne({ _id: scheduleId, user: userId })
+    : null;
+
+  if (!schedule) {
+    throw new AppError(
+      "Scheduled transfer not found",
+      404,
+      "SCHEDULED_TRANSFER_NOT_FOUND"
+    );
+  }
+
+  return schedule;
+};
+
+/**
+ * Reject changes to schedules that have finished
+ * @param {Object} schedule - Schedule
+ * @param {Array<string>} allowed - Statuses the change is allowed from
+ * @param {string} action - What was attempted, for the message
+ * @throws {AppError}
+ */
+const assertStatus = (schedule, allowed, action) => {
+  if (!allowed.includes(schedule.status)) {
+    throw new AppError(
+      `A ${schedule.status} scheduled transfer can't be ${action}`,
+      400,
+      "SCHEDULED_TRANSFER_NOT_MODIFIABLE"
+    );
+  }
+};
+
+/**
+ * Check the schedule's dates and work out its first run
+ * @param {Object} fields - Schedule fields
+ * @param {Date} now - Current time
+ * @returns {Date} - First run
+ * @throws {AppError} - When the schedule would never run
+ */
+const planFirstRun = (fields, now) => {
+  if (new Date(fields.startDate) < now) {
+    throw new AppError(
+      "Start date cannot be in the past",
+      400,
+      "INVALID_SCHEDULE_DATE"
+    );
+  }
+
+  const firstRun = firstOccurrence(fields);
+
+  if (fields.endDate && firstRun > new Date(fields.endDate)) {
+    throw new AppError(
+      "End date is before the first transfer would run",
+      400,
+      "INVALID_SCHEDULE_DATE"
+    );
+  }
+
+  return firstRun;
+};
+
+/**
+ * Keep the most recent runs only
+ * @param {Object} schedule - Schedule (changed in place)
+ * @param {Object} run - Run to record
+ */
+const recordRun = (schedule, run) => {
+  schedule.runs.push(run);
+  const excess = schedule.runs.length - config.scheduledTransfers.historyLimit;
+  if (excess > 0) {
+    schedule.runs.splice(0, excess);
+  }
+};
+
+/**
+ * Record a run and move the schedule on to its next occurrence
+ * @param {Object} schedule - Schedule (changed in place)
+ * @param {Object} run - Run outcome
+ * @param {Date} now - Current time
+ */
+const applyRun = (schedule, run, now) => {
+  schedule.consecutiveFailures =
+    run.status === "succeeded" ? 0 : schedule.consecutiveFailures + 1;
+
+  recordRun(schedule, run);
+  schedule.runCount += 1;
+  schedule.lastRunAt = now;
+  schedule.lockedUntil = undefined;
+  schedule.nextRunAt = nextFutureOccurrence(schedule, run.scheduledFor, now);
+
+  if (
+    run.status === "failed" &&
+    (schedule.frequency === "once" ||
+      schedule.consecutiveFailures >=
+        config.scheduledTransfers.maxConsecutiveFailures)
+  ) {
+    schedule.status = "failed";
+    schedule.nextRunAt = undefined;
+  } else if (!schedule.nextRunAt) {
+    schedule.status = "completed";
+    schedule.nextRunAt = undefined;
+  }
+
+  // Only the run that claimed this occurrence may move the schedule on
+  schedule.$where = { nextRunAt: run.scheduledFor };
+};
+
+/**
+ * Tell the user how a run went
+ * Failures are logged and never affect the schedule.
+ * @param {Object} schedule - Schedule that ran
+ * @param {Object} run - Run outcome
+ */
+const notifyRun = async (schedule, run) => {
+  const amount = `${schedule.amount} ${schedule.currency}`;
+  const next = schedule.nextRunAt
+    ? ` Next transfer: ${schedule.nextRunAt.toISOString().slice(0, 10)}.`
+    : "";
+
+  try {
+    if (run.status === "succeeded") {
+      await notificationService.createNotification(
+        schedule.user,
+        "Scheduled Transfer Completed",
+        `Your scheduled transfer of ${amount} has been completed.${next}`,
+        "transaction",
+        {
+          scheduledTransferId: schedule._id,
+          transactionId: run.transaction,
+          reference: run.reference,
+        }
+      );
+      return;
+    }
+
+    await notificationService.createNotification(
+      schedule.user,
+      "Scheduled Transfer Failed",
+      `Your scheduled transfer of ${amount} could not be completed: ${
+        run.error
+      }.${
+        schedule.status === "failed" ? " The schedule has been stopped." : next
+      }`,
+      "transaction",
+      {
+        scheduledTransferId: schedule._id,
+        errorCode: run.errorCode,
+      }
+    );
+  } catch (error) {
+    logger.error("Error sending scheduled transfer notification", {
+      scheduledTransferId: schedule._id,
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+};
+
+const scheduledTransferService = {
+  /**
+   * Schedule a transfer
+   * @param {string} userId - User making the transfer
+   * @param {Object} params - Schedule parameters
+   * @param {Object} params.source - Source endpoint descriptor (must belong to the user)
+   * @param {Object} params.destination - Destination endpoint descriptor
+   * @param {number|string} params.amount - Amount in the source currency
+   * @param {string} params.frequency - "once", "weekly" or "monthly"
+   * @param {number} params.dayOfWeek - Weekly schedules: day to run on (defaults to the start date's)
+   * @param {number} params.dayOfMonth - Monthly schedules: day to run on (defaults to the start date's)
+   * @param {Date} params.startDate - First possible run
+   * @param {Date} params.endDate - Optional last possible run
+   * @param {string} params.description - Optional description
+   * @returns {Promise<Object>} - Saved schedule
+   * @throws {AppError} - When the transfer or the dates are invalid
+   */
+  async create(userId, { source, destination, amount, ...fields }) {
+    const now = new Date();
+    const checked = await transactionService.checkTransfer({
+      userId,
+      source,
+      destination,
+      amount,
+    });
+
+    applyRecurrenceDefaults(fields);
+
+    return ScheduledTransfer.create({
+      ...fields,
+      user: userId,
+      sourceType: source.type,
+      source: checked.source._id,
+      destinationType: destination.type,
+      destination: checked.destination._id,
+      amount: money.toDecimal128(amount, checked.sourceCurrency),
+      currency: checked.sourceCurrency,
+      nextRunAt: planFirstRun(fields, now),
+    });
+  },
+
+  /**
+   * List the user's schedules, soonest first
+   * @param {string} userId - Owner
+   * @param {Object} options - `{ status, page, limit }`
+   * @returns {Promise<{ schedules: Array, total: number }>}
+   */
+  async list(userId, { status, page = 1, limit = 20 } = {}) {
+    const filter = { user: userId };
+    if (status) {
+      filter.status = status;
+    }
+
+    const [schedules, total] = await Promise.all([
+      ScheduledTransfer.find(filter)
+        .select("-runs")
+        .sort({ nextRunAt: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScheduledTransfer.countDocuments(filter),
+    ]);
+
+    return { schedules, total };
+  },
+
+  /**
+   * Get one of the user's schedules, with its recent runs
+   * @param {string} userId - Owner
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>}
+   */
+  async get(userId, scheduleId) {
+    return findSchedule(userId, scheduleId);
+  },
+
+  /**
+   * Change an active or paused schedule
+   * Changing when it runs recomputes the next run. A new start date starts the
+   * schedule over from it; otherwise a schedule that has started keeps counting from
+   * its original start and moves to the first occurrence after its last run.
+   * @param {string} userId - Owner
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Any of the editable fields
+   * @returns {Promise<Object>} - Updated schedule
+   */
+  async update(userId, scheduleId, changes) {
+    const schedule = await findSchedule(userId, scheduleId);
+    assertStatus(schedule, ["active", "paused"], "edited");
+
+    const now = new Date();
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      fields[field] =
+        changes[field] !== undefined ? changes[field] : schedule[field];
+    });
+
+    if (changes.amount !== undefined) {
+      await transactionService.checkTransfer({
+        userId,
+        source: { type: schedule.sourceType, id: schedule.source },
+        destination: {
+          type: schedule.destinationType,
+          id: schedule.destination,
+        },
+        amount: changes.amount,
+      });
+      fields.amount = money.toDecimal128(changes.amount, schedule.currency);
+    }
+
+    const timingChanged = [
+      "frequency",
+      "dayOfWeek",
+      "dayOfMonth",
+      "startDate",
+      "endDate",
+    ].some((field) => changes[field] !== undefined);
+
+    if (timingChanged) {
+      // A new frequency brings its own default day unless one was given
+      if (changes.frequency !== undefined) {
+        if (changes.dayOfWeek === undefined) {
+          fields.dayOfWeek = undefined;
+        }
+        if (changes.dayOfMonth === undefined) {
+          fields.dayOfMonth = undefined;
+        }
+      }
+      applyRecurrenceDefaults(fields);
+
+      if (changes.startDate !== undefined || fields.startDate >= now) {
+        fields.nextRunAt = planFirstRun(fields, now);
+      } else {
+        const lastRun = schedule.runs[schedule.runs.length - 1];
+        // A run that is due but hasn't happened yet stays due
+        const notBefore =
+          schedule.nextRunAt && schedule.nextRunAt < now
+            ? schedule.nextRunAt
+            : now;
+
+        fields.nextRunAt = nextOccurrenceAfterRuns(
+          fields,
+          lastRun ? lastRun.scheduledFor : null,
+          notBefore
+        );
+
+        if (!fields.nextRunAt) {
+          throw new AppError(
+            "End date is before the next transfer would run",
+            400,
+            "INVALID_SCHEDULE_DATE"
+          );
+        }
+      }
+    }
+
+    schedule.set(fields);
+    await schedule.save();
+
+    return schedule;
+  },
+
+  /**
+   * Stop a schedule from running until it is resumed
+   * @param {string} userId - Owner
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>}
+   */
+  async pause(userId, scheduleId) {
+    const schedule = await findSchedule(userId, scheduleId);
+    assertStatus(schedule, ["active"], "paused");
+
+    schedule.status = "paused";
+    await schedule.save();
+
+    return schedule;
+  },
+
+  /**
+   * Resume a paused schedule
+   * Occurrences missed while it was paused are skipped; a one-off transfer whose date
+   * passed runs on the next job run.
+   * @param {string} userId - Owner
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>}
+   */
+  async resume(userId, scheduleId) {
+    const schedule = await findSchedule(userId, scheduleId);
+    assertStatus(schedule, ["paused"], "resumed");
+
+    const now = new Date();
+    if (schedule.nextRunAt < now && schedule.frequency !== "once") {
+      schedule.nextRunAt = nextFutureOccurrence(
+        schedule,
+        schedule.nextRunAt,
+        now
+      );
+    }
+
+    schedule.status = schedule.nextRunAt ? "active" : "completed";
+    await schedule.save();
+
+    return schedule;
+  },
+
+  /**
+   * Cancel a schedule for good
+   * @param {string} userId - Owner
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>}
+   */
+  async cancel(userId, scheduleId) {
+    const schedule = await findSchedule(userId, scheduleId);
+    assertStatus(schedule, ["active", "paused"], "cancelled");
+
+    schedule.status = "cancelled";
+    schedule.nextRunAt = undefined;
+    schedule.cancelledAt = new Date();
+    await schedule.save();
+
+    return schedule;
+  },
+
+  /**
+   * Execute every schedule that is due
+   * Each schedule is claimed with a lock first, so overlapping job runs (or several
+   * servers) don't pick up the same occurrence. A successful run moves the schedule
+   * on in the transfer's own transaction, and only if it is still on that occurrence,
+   * so an occurrence is never executed twice, even when a run outlives its lock or
+   * the server stops between the transfer and the schedule update. Runs that hit a
+   * transient error are deferred to the next job run.
+   * @param {Date} now - Current time
+   * @returns {Promise<{ succeeded: number, failed: number, deferred: number }>}
+   */
+  async processDue(now = new Date()) {
+    const results = { succeeded: 0, failed: 0, deferred: 0 };
+    const deferredIds = [];
+
+    for (let i = 0; i < config.scheduledTransfers.batchSize; i++) {
+      const schedule = await ScheduledTransfer.findOneAndUpdate(
+        {
+          _id: { $nin: deferredIds },
+          status: "active",
+          nextRunAt: { $lte: now },
+          $or: [
+            { lockedUntil: { $exists: false } },
+            { lockedUntil: null },
+            { lockedUntil: { $lte: now } },
+          ],
+        },
+        {
+          $set: {
+            lockedUntil: new Date(
+              now.getTime() + config.scheduledTransfers.lockMs
+            ),
+          },
+        },
+        { sort: { nextRunAt: 1 }, new: true }
+      );
+
+      if (!schedule) {
+        break;
+      }
+
+      const run = await scheduledTransferService.execute(schedule, now);
+      if (run) {
+        results[run.status]++;
+      }
+      if (run && run.status === "deferred") {
+        deferredIds.push(schedule._id);
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Run one claimed occurrence and move the schedule on
+   * @param {Object} schedule - Claimed schedule
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - The recorded run, a "deferred" run (not
+   *   recorded) when it should be retried, or null when another run got to the
+   *   occurrence first
+   */
+  async execute(schedule, now = new Date()) {
+    const scheduleId = schedule._id;
+    const scheduledFor = schedule.nextRunAt;
+    let run;
+
+    try {
+      await transactionService.transfer({
+        userId: schedule.user,
+        source: { type: schedule.sourceType, id: schedule.source.toString() },
+        destination: {
+          type: schedule.destinationType,
+          id: schedule.destination.toString(),
+        },
+        amount: schedule.amount,
+        description: schedule.description || "Scheduled transfer",
+        metadata: { scheduledTransfer: schedule._id, scheduledFor },
+        requestId: `scheduled-${schedule._id}`,
+        notify: false,
+        beforeCommit: async (session, transfer) => {
+          run = {
+            scheduledFor,
+            status: "succeeded",
+            reference: transfer.reference,
+            transaction: transfer.debitTransaction._id,
+          };
+          applyRun(schedule, run, now);
+          await schedule.save({ session });
+        },
+      });
+    } catch (error) {
+      // Nothing was committed; start again from the stored schedule
+      schedule = await ScheduledTransfer.findOne({
+        _id: scheduleId,
+        nextRunAt: scheduledFor,
+      });
+
+      if (!schedule) {
+        logger.warn("Scheduled transfer occurrence already run", {
+          scheduledTransferId: scheduleId,
+          scheduledFor,
+        });
+        return null;
+      }
+
+      // Release the lock and leave the occurrence due for the next job run
+      if (isTransient(error)) {
+        logger.warn("Scheduled transfer deferred after a transient error", {
+          scheduledTransferId: scheduleId,
+          scheduledFor,
+          error: error.message,
+          errorCode: error.errorCode,
+          stack: error instanceof AppError ? undefined : error.stack,
+        });
+
+        await ScheduledTransfer.updateOne(
+          { _id: scheduleId, nextRunAt: scheduledFor },
+          { $unset: { lockedUntil: 1 } }
+        );
+
+        return { scheduledFor, status: "deferred", errorCode: error.errorCode };
+      }
+
+      // Rejections (insufficient funds, frozen account…) are the user's to fix
+      run = {
+        scheduledFor,
+        status: "failed",
+        error: error.message,
+        errorCode: error.errorCode,
+      };
+      applyRun(schedule, run, now);
+
+      try {
+        await schedule.save();
+      } catch (saveError) {
+        if (saveError.name !== "DocumentNotFoundError") {
+          throw saveError;
+        }
+        logger.warn("Scheduled transfer occurrence already run", {
+          scheduledTransferId: scheduleId,
+          scheduledFor,
+        });
+        return null;
+      }
+    }
+
+    logger.info("Scheduled transfer executed", {
+      scheduledTransferId: schedule._id,
+      userId: schedule.user,
+      scheduledFor,
+      status: run.status,
+      reference: run.reference,
+      errorCode: run.errorCode,
+      nextRunAt: schedule.nextRunAt,
+      scheduleStatus: schedule.status,
+    });
+
+    await notifyRun(schedule, run);
+
+    return run;
+  },
+};
+
+module.exports = scheduledTransferService;
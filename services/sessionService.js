@@ -0,0 +1,209 @@
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+const notificationService = require("./notificationService");
+const { sendSecurityAlert } = require("./emailService");
+const AppError = require("../utils/error");
+const { parseUserAgent, deviceFingerprint } = require("../utils/userAgent");
+const { logger } = require("../config/logger");
+
+/**
+ * A session is one login: the chain of refresh tokens rotated from it (a token
+ * family). Its ID is the family, which access tokens carry as `sid`.
+ */
+
+const sessionIdOf = (tokenDoc) => tokenDoc.family || tokenDoc.id;
+
+/**
+ * Find the user's live refresh tokens, one per session
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>}
+ */
+const findLiveTokens = (userId) =>
+  RefreshToken.find({
+    user: userId,
+    isRevoked: false,
+    expiresAt: { $gt: new Date() },
+  }).sort({ issuedAt: -1 });
+
+/**
+ * End the session a live token belongs to
+ * @param {Object} tokenDoc - Live refresh token
+ */
+const endSession = async (tokenDoc) => {
+  if (tokenDoc.family) {
+    await RefreshToken.revokeFamily(tokenDoc.family, "session_revoked");
+  } else {
+    await tokenDoc.revoke(undefined, "session_revoked");
+  }
+};
+
+/**
+ * Tell the user about a login from a device they haven't used before
+ * @param {Object} user - User document
+ * @param {Object} device - Parsed User-Agent
+ * @param {Object} context - `{ ipAddress, requestId }`
+ */
+const notifyNewDevice = async (user, device, { ipAddress, requestId }) => {
+  const message = `New sign-in from ${device.name}. If this wasn't you, log out the session and change your password.`;
+
+  try {
+    await notificationService.createNotification(
+      user._id,
+      "New Device Sign-In",
+      message,
+      "system",
+      { device: device.name, ipAddress }
+    );
+  } catch (error) {
+    logger.error("Failed to send new device notification", {
+      userId: user._id,
+      requestId,
+      error: error.message,
+    });
+  }
+
+  await sendSecurityAlert({
+    to: user.email,
+    name: `${user.firstName} ${user.lastName}`,
+    alertType: "login",
+    details: {
+      timestamp: new Date().toISOString(),
+      ip_address: ipAddress || "Unknown",
+      device: device.name,
+      browser: device.browser || "Unknown",
+      os: device.os || "Unknown",
+    },
+    requestId,
+  });
+};
+
+const sessionService = {
+  /**
+   * Remember the device a login came from and alert the user when it is new
+   * The first device recorded for a user is trusted without an alert.
+   * @param {Object} user - User document
+   * @param {Object} context - `{ userAgent, ipAddress, requestId }` of the login
+   * @returns {Promise<boolean>} - Whether the device was new
+   */
+  async recordLogin(user, { userAgent, ipAddress, requestId }) {
+    const device = parseUserAgent(userAgent);
+    const deviceId = deviceFingerprint(userAgent);
+    const now = new Date();
+
+    // Only bumps lastUsed when the device is already known
+    const known = await User.updateOne(
+      { _id: user._id, "devices.deviceId": deviceId },
+      { $set: { "devices.$.lastUsed": now } }
+    );
+
+    if (known.matchedCount > 0) {
+      return false;
+    }
+
+    const hadDevices = user.devices && user.devices.length > 0;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $push: {
+          devices: { deviceId, deviceName: device.name, lastUsed: now },
+        },
+      }
+    );
+
+    logger.info("Login from new device", {
+      userId: user._id,
+      deviceId,
+      device: device.name,
+      ipAddress,
+      requestId,
+    });
+
+    if (hadDevices) {
+      await notifyNewDevice(user, device, { ipAddress, requestId });
+    }
+
+    return true;
+  },
+
+  /**
+   * List the user's active sessions
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the access token making the request
+   * @returns {Promise<Object[]>}
+   */
+  async list(userId, currentSessionId) {
+    const tokens = await findLiveTokens(userId);
+
+    // The oldest token in a family is when the session started
+    const starts = await RefreshToken.aggregate([
+      {
+        $match: {
+          family: { $in: tokens.map((token) => token.family).filter(Boolean) },
+        },
+      },
+      { $group: { _id: "$family", firstSeenAt: { $min: "$issuedAt" } } },
+    ]);
+    const firstSeen = new Map(
+      starts.map(({ _id, firstSeenAt }) => [_id, firstSeenAt])
+    );
+
+    return tokens.map((token) => {
+      const id = sessionIdOf(token);
+      const { browser, os, deviceType, name } = parseUserAgent(token.userAgent);
+
+      return {
+        id,
+        device: token.device || name,
+        deviceType,
+        browser,
+        os,
+        ipAddress: token.ipAddress,
+        firstSeenAt: firstSeen.get(id) || token.issuedAt,
+        lastSeenAt: token.issuedAt,
+        expiresAt: token.expiresAt,
+        current: id === currentSessionId,
+      };
+    });
+  },
+
+  /**
+   * Log out one session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session to end
+   * @returns {Promise<void>}
+   */
+  async revoke(userId, sessionId) {
+    const tokens = await findLiveTokens(userId);
+    const token = tokens.find(
+      (candidate) => sessionIdOf(candidate) === sessionId
+    );
+
+    if (!token) {
+      throw new AppError("Session not found", 404, "SESSION_NOT_FOUND");
+    }
+
+    await endSession(token);
+  },
+
+  /**
+   * Log out every session except the current one
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session to keep
+   * @returns {Promise<number>} - Number of sessions ended
+   */
+  async revokeOthers(userId, currentSessionId) {
+    const tokens = await findLiveTokens(userId);
+    const others = tokens.filter(
+      (token) => sessionIdOf(token) !== currentSessionId
+    );
+
+    for (const token of others) {
+      await endSession(token);
+    }
+
+    return others.length;
+  },
+};
+
+module.exports = sessionService;
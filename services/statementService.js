@@ -0,0 +1,462 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const Account = require("../models/Account");
+const Card = require("../models/Card");
+const Wallet = require("../models/Wallet");
+const User = require("../models/User");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const PdfDocument = require("../utils/pdf");
+const { toCsv } = require("../utils/csv");
+const config = require("../config/config");
+
+/**
+ * Account statements
+ *
+ * Statements are built from the ledger: the opening balance is everything posted
+ * before the period, and every entry inside it moves the running balance. Fees are
+ * the "fees" legs of journals that debited the statement's account.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents a statement can be produced for
+const SOURCES = {
+  Account: {
+    model: Account,
+    currency: () => "USD",
+    describe: (account) =>
+      `${account.name || "Account"} (${account.maskedAccountNumber})`,
+  },
+  Card: {
+    model: Card,
+    currency: () => "USD",
+    describe: (card) => `${card.name || "Card"} (**** ${card.last4})`,
+  },
+  Wallet: {
+    model: Wallet,
+    currency: (wallet) => wallet.currency,
+    describe: (wallet) => `${wallet.name} (${wallet.currency})`,
+  },
+};
+
+const startOfMonth = (year, month) => new Date(Date.UTC(year, month, 1));
+
+const startOfDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Turn a month, preset or date range into a half-open [from, to) period
+ * @param {Object} period - `{ month: "YYYY-MM" }`, `{ preset }` or `{ from, to }` (both days inclusive)
+ * @param {Date} now - Current time
+ * @returns {{ from: Date, to: Date, label: string }}
+ * @throws {AppError} - When the range is empty, in the future or too long
+ */
+const resolvePeriod = ({ month, preset, from, to }, now = new Date()) => {
+  let period;
+
+  if (month) {
+    const [year, monthNumber] = month.split("-").map(Number);
+    period = {
+      from: startOfMonth(year, monthNumber - 1),
+      to: startOfMonth(year, monthNumber),
+    };
+  } else if (from || to) {
+    const start = startOfDay(new Date(from || to));
+    period = {
+      from: start,
+      to: new Date(startOfDay(new Date(to || now)).getTime() + DAY_MS),
+    };
+  } else {
+    const year = now.getUTCFullYear();
+    const monthIndex = now.getUTCMonth();
+
+    period = {
+      current_month: {
+        from: startOfMonth(year, monthIndex),
+        to: startOfMonth(year, monthIndex + 1),
+      },
+      previous_month: {
+        from: startOfMonth(year, monthIndex - 1),
+        to: startOfMonth(year, monthIndex),
+      },
+      year_to_date: {
+        from: startOfMonth(year, 0),
+        to: new Date(startOfDay(now).getTime() + DAY_MS),
+      },
+    }[preset || "current_month"];
+  }
+
+  if (period.from >= period.to || period.from > now) {
+    throw new AppError(
+      "The statement period must start before it ends and not be in the future",
+      400,
+      "INVALID_STATEMENT_PERIOD"
+    );
+  }
+
+  const { maxPeriodDays } = config.statements;
+  if (period.to - period.from > maxPeriodDays * DAY_MS) {
+    throw new AppError(
+      `A statement can cover at most ${maxPeriodDays} days`,
+      400,
+      "STATEMENT_PERIOD_TOO_LONG"
+    );
+  }
+
+  const lastDay = new Date(period.to.getTime() - DAY_MS);
+  return {
+    ...period,
+    label: `${formatDate(period.from)} to ${formatDate(lastDay)}`,
+  };
+};
+
+/**
+ * Sum an account's ledger entries into a balance
+ * @param {Object} match - LedgerEntry filter
+ * @returns {Promise<string>}
+ */
+const ledgerBalance = async (match) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$direction", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return money.add(result ? result.balance : 0);
+};
+
+/**
+ * Fees charged in the journals that debited the account
+ * @param {Array} entries - The account's entries in the period
+ * @returns {Promise<Map<string, string>>} - Fee per journal ID
+ */
+const feesByJournal = async (entries) => {
+  const journals = entries
+    .filter((entry) => entry.direction === "debit")
+    .map((entry) => entry.journal);
+
+  if (journals.length === 0) {
+    return new Map();
+  }
+
+  const fees = await LedgerEntry.find({
+    journal: { $in: journals },
+    accountType: "System",
+    systemAccount: "fees",
+    direction: "credit",
+  }).select("journal amount");
+
+  return new Map(fees.map((fee) => [fee.journal.toString(), fee.amount]));
+};
+
+const CSV_COLUMNS = [
+  "Date",
+  "Reference",
+  "Category",
+  "Description",
+  "Money In",
+  "Money Out",
+  "Fee",
+  "Balance",
+];
+
+/**
+ * Render a statement as CSV: a summary block followed by one row per entry
+ * @param {Object} statement - Statement from `generate`
+ * @returns {string}
+ */
+const renderCsv = (statement) => {
+  const { account, period, totals } = statement;
+
+  return toCsv([
+    ["Statement", account.name],
+    ["Account Holder", statement.holder],
+    ["Currency", account.currency],
+    ["Period", period.label],
+    ["Opening Balance", statement.openingBalance],
+    ["Money In", totals.moneyIn],
+    ["Money Out", totals.moneyOut],
+    ["Fees", totals.fees],
+    ["Closing Balance", statement.closingBalance],
+    [],
+    CSV_COLUMNS,
+    ...statement.lines.map((line) => [
+      line.date.toISOString(),
+      line.reference,
+      line.category,
+      line.description,
+      line.moneyIn,
+      line.moneyOut,
+      line.fee,
+      line.balance,
+    ]),
+  ]);
+};
+
+const PDF_MARGIN = 40;
+const PDF_ROW_HEIGHT = 14;
+const PDF_TABLE_BOTTOM = 790;
+
+// Column positions; amounts are right-aligned at `right`
+const PDF_COLUMNS = {
+  date: { x: 40 },
+  description: { x: 92, maxLength: 28 },
+  reference: { x: 218, maxLength: 18 },
+  moneyIn: { right: 370 },
+  moneyOut: { right: 430 },
+  fee: { right: 480 },
+  balance: { right: 555 },
+};
+
+const truncate = (text, maxLength) =>
+  text && text.length > maxLength
+    ? `${text.slice(0, maxLength - 3)}...`
+    : text || "";
+
+/**
+ * Draw the column headings of the transaction table
+ * @param {PdfDocument} pdf - Document
+ * @param {number} y - Baseline
+ * @returns {number} - Baseline of the first row
+ */
+const drawTableHeader = (pdf, y) => {
+  const heading = { font: "bold", size: 8 };
+  pdf
+    .text("Date", PDF_COLUMNS.date.x, y, heading)
+    .text("Description", PDF_COLUMNS.description.x, y, heading)
+    .text("Reference", PDF_COLUMNS.reference.x, y, heading)
+    .text("Money In", PDF_COLUMNS.moneyIn.right - 36, y, heading)
+    .text("Money Out", PDF_COLUMNS.moneyOut.right - 40, y, heading)
+    .text("Fee", PDF_COLUMNS.fee.right - 14, y, heading)
+    .text("Balance", PDF_COLUMNS.balance.right - 30, y, heading)
+    .line(PDF_MARGIN, y + 4, pdf.width - PDF_MARGIN, y + 4);
+
+  return y + PDF_ROW_HEIGHT + 2;
+};
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - Statement from `generate`
+ * @returns {Buffer}
+ */
+const renderPdf = (statement) => {
+  const { account, period, totals } = statement;
+  const pdf = new PdfDocument({
+    title: `Statement ${account.name} ${period.label}`,
+  });
+
+  pdf
+    .addPage()
+    .text("Account Statement", PDF_MARGIN, 60, { font: "bold", size: 18 })
+    .text(statement.holder, PDF_MARGIN, 84, { font: "bold", size: 11 })
+    .text(account.name, PDF_MARGIN, 100)
+    .text(`Currency: ${account.currency}`, PDF_MARGIN, 114)
+    .text(`Period: ${period.label}`, PDF_MARGIN, 128);
+
+  // Summary of the period
+  const summary = [
+    ["Opening balance", statement.openingBalance],
+    ["Money in", totals.moneyIn],
+    ["Money out", totals.moneyOut],
+    ["Fees (included in money out)", totals.fees],
+    ["Closing balance", statement.closingBalance],
+  ];
+  let y = 160;
+  pdf.line(PDF_MARGIN, y - 12, 300, y - 12);
+  summary.forEach(([label, amount], index) => {
+    const font = index === summary.length - 1 ? "bold" : "regular";
+    pdf.text(label, PDF_MARGIN, y, { font }).textRight(amount, 300, y);
+    y += PDF_ROW_HEIGHT;
+  });
+  pdf.line(PDF_MARGIN, y - 8, 300, y - 8);
+
+  y = drawTableHeader(pdf, y + 24);
+
+  if (statement.lines.length === 0) {
+    pdf.text("No transactions in this period", PDF_MARGIN, y, { size: 9 });
+  }
+
+  const cell = { size: 8 };
+  for (const line of statement.lines) {
+    if (y > PDF_TABLE_BOTTOM) {
+      pdf.addPage();
+      y = drawTableHeader(pdf, 60);
+    }
+
+    pdf
+      .text(formatDate(line.date), PDF_COLUMNS.date.x, y, cell)
+      .text(
+        truncate(line.description, PDF_COLUMNS.description.maxLength),
+        PDF_COLUMNS.description.x,
+        y,
+        cell
+      )
+      .text(
+        truncate(line.reference, PDF_COLUMNS.reference.maxLength),
+        PDF_COLUMNS.reference.x,
+        y,
+        { size: 7 }
+      )
+      .textRight(line.moneyIn || "", PDF_COLUMNS.moneyIn.right, y, cell)
+      .textRight(line.moneyOut || "", PDF_COLUMNS.moneyOut.right, y, cell)
+      .textRight(line.fee || "", PDF_COLUMNS.fee.right, y, cell)
+      .textRight(line.balance, PDF_COLUMNS.balance.right, y, cell);
+
+    y += PDF_ROW_HEIGHT;
+  }
+
+  // Footers go on once the page count is known
+  const generated = `Generated ${statement.generatedAt.toISOString()}`;
+  for (let index = 0; index < pdf.pageCount; index++) {
+    pdf
+      .switchToPage(index)
+      .text(generated, PDF_MARGIN, 815, { size: 7 })
+      .text(`Page ${index + 1} of ${pdf.pageCount}`, pdf.width - 100, 815, {
+        size: 7,
+      });
+  }
+
+  return pdf.toBuffer();
+};
+
+const RENDERERS = {
+  csv: { contentType: "text/csv; charset=utf-8", render: renderCsv },
+  pdf: { contentType: "application/pdf", render: renderPdf },
+};
+
+const statementService = {
+  /**
+   * Build a statement for one of the user's accounts, cards or wallets
+   * @param {string} userId - Owner
+   * @param {Object} source - `{ type: "Account" | "Card" | "Wallet", id }`
+   * @param {Object} period - Month, preset or date range (see `resolvePeriod`)
+   * @returns {Promise<Object>} - Balances, totals and one line per ledger entry
+   */
+  async generate(userId, { type, id }, period) {
+    const { model, currency: currencyOf, describe } = SOURCES[type];
+    const { from, to, label } = resolvePeriod(period);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError(
+        `${type} not found`,
+        404,
+        "STATEMENT_SOURCE_NOT_FOUND"
+      );
+    }
+
+    const [source, user] = await Promise.all([
+      model.findOne({ _id: id, user: userId }),
+      User.findById(userId).select("firstName lastName"),
+    ]);
+
+    if (!source) {
+      throw new AppError(
+        `${type} not found or doesn't belong to the user`,
+        404,
+        "STATEMENT_SOURCE_NOT_FOUND"
+      );
+    }
+
+    const currency = currencyOf(source);
+    const account = { accountType: type, account: source._id };
+
+    const [openingBalance, entries] = await Promise.all([
+      ledgerBalance({ ...account, createdAt: { $lt: from } }),
+      LedgerEntry.find({ ...account, createdAt: { $gte: from, $lt: to } }).sort(
+        { createdAt: 1, _id: 1 }
+      ),
+    ]);
+    const fees = await feesByJournal(entries);
+
+    let balance = openingBalance;
+    const totals = { moneyIn: "0", moneyOut: "0", fees: "0" };
+
+    const lines = entries.map((entry) => {
+      const isCredit = entry.direction === "credit";
+      const fee = isCredit ? null : fees.get(entry.journal.toString()) || null;
+
+      balance = isCredit
+        ? money.add(balance, entry.amount)
+        : money.subtract(balance, entry.amount);
+
+      if (isCredit) {
+        totals.moneyIn = money.add(totals.moneyIn, entry.amount);
+      } else {
+        totals.moneyOut = money.add(totals.moneyOut, entry.amount);
+      }
+      if (fee) {
+        totals.fees = money.add(totals.fees, fee);
+      }
+
+      return {
+        date: entry.createdAt,
+        reference: entry.reference,
+        category: entry.category,
+        description: entry.description,
+        moneyIn: isCredit ? money.round(entry.amount, currency) : null,
+        moneyOut: isCredit ? null : money.round(entry.amount, currency),
+        fee: fee && money.round(fee, currency),
+        balance: money.round(balance, currency),
+      };
+    });
+
+    return {
+      account: {
+        type,
+        id: source._id,
+        name: describe(source),
+        currency,
+      },
+      holder: user ? `${user.firstName} ${user.lastName}` : "",
+      period: { from, to, label },
+      openingBalance: money.round(openingBalance, currency),
+      closingBalance: money.round(balance, currency),
+      totals: {
+        moneyIn: money.round(totals.moneyIn, currency),
+        moneyOut: money.round(totals.moneyOut, currency),
+        fees: money.round(totals.fees, currency),
+        transactions: lines.length,
+      },
+      lines,
+      generatedAt: new Date(),
+    };
+  },
+
+  /**
+   * Render a statement as a downloadable file
+   * @param {Object} statement - Statement from `generate`
+   * @param {string} format - "csv" or "pdf"
+   * @returns {{ body: string|Buffer, contentType: string, filename: string }}
+   */
+  render(statement, format) {
+    const { contentType, render } = RENDERERS[format];
+    const { account, period } = statement;
+
+    return {
+      body: render(statement),
+      contentType,
+      filename: `statement-${account.type.toLowerCase()}-${String(
+        account.id
+      ).slice(-6)}-${formatDate(period.from)}.${format}`,
+    };
+  },
+};
+
+module.exports = statementService;
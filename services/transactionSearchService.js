@@ -0,0 +1,264 @@
+const mongoose = require("mongoose");
+const Transaction = require("../models/Transaction");
+const WalletTransaction = require("../models/WalletTransaction");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+
+/**
+ * Transaction feed across accounts, cards and wallets
+ *
+ * Account and card sides live in Transaction, wallet sides in WalletTransaction.
+ * Both are queried with the same filters, sorted by (createdAt, _id) and merged, so
+ * a cursor made of the last item's createdAt and _id continues either collection
+ * exactly where the previous page stopped.
+ */
+
+// Account and card sides were always USD before Transaction stored its currency
+const LEGACY_TRANSACTION_CURRENCY = "USD";
+
+// How each collection stores the fields the feed filters on
+const COLLECTIONS = {
+  transaction: {
+    model: Transaction,
+    destinationType: "destinationType",
+    currency: (currency) =>
+      currency === LEGACY_TRANSACTION_CURRENCY
+        ? {
+            $or: [{ currency }, { currency: { $exists: false } }],
+          }
+        : { currency },
+    counterparty: (id) => ({
+      $or: [
+        { source: id },
+        { destination: id },
+        { beneficiary: id },
+        { sourceUser: id },
+      ],
+    }),
+    toItem: (doc) => ({
+      kind: "transaction",
+      currency: doc.currency || LEGACY_TRANSACTION_CURRENCY,
+      destination: doc.destination,
+      destinationType: doc.destinationType,
+      counterparty: doc.beneficiary,
+    }),
+  },
+  wallet: {
+    model: WalletTransaction,
+    destinationType: "beneficiaryType",
+    currency: (currency) => ({ currency }),
+    counterparty: (id) => ({ $or: [{ source: id }, { beneficiary: id }] }),
+    toItem: (doc) => ({
+      kind: "wallet_transaction",
+      currency: doc.currency,
+      destination: doc.beneficiary,
+      destinationType: doc.beneficiaryType,
+      counterparty: doc.beneficiary,
+    }),
+  },
+};
+
+// ObjectIds are fixed-width hex, so string order matches MongoDB's _id order
+const compareIds = (a, b) => {
+  const [left, right] = [String(a), String(b)];
+  if (left === right) {
+    return 0;
+  }
+  return left < right ? -1 : 1;
+};
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Encode the position after an item
+ * @param {Object} item - Last item of a page
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (item) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: item.createdAt, id: String(item.id) })
+  ).toString("base64url");
+
+/**
+ * Decode a cursor from `encodeCursor`
+ * @param {string} cursor - Opaque cursor
+ * @returns {{ createdAt: Date, id: mongoose.Types.ObjectId }}
+ * @throws {AppError} - When the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      throw new Error("Invalid cursor fields");
+    }
+
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new AppError("Invalid pagination cursor", 400, "INVALID_CURSOR");
+  }
+};
+
+/**
+ * Build one collection's query
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {string} userId - Owner
+ * @param {Object} filters - Validated search filters
+ * @param {Object} position - Decoded cursor, if any
+ * @returns {Object} - MongoDB filter
+ */
+const buildQuery = (collection, userId, filters, position) => {
+  const {
+    from,
+    to,
+    minAmount,
+    maxAmount,
+    type,
+    status,
+    currency,
+    sourceType,
+    destinationType,
+    counterparty,
+    q,
+    order,
+  } = filters;
+
+  const query = { user: userId };
+  const clauses = [];
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      query.createdAt.$gte = from;
+    }
+    if (to) {
+      query.createdAt.$lte = to;
+    }
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) {
+      query.amount.$gte = minAmount;
+    }
+    if (maxAmount !== undefined) {
+      query.amount.$lte = maxAmount;
+    }
+  }
+
+  if (type) {
+    query.type = { $in: asList(type) };
+  }
+
+  if (status) {
+    query.status = { $in: asList(status) };
+  }
+
+  if (sourceType) {
+    query.sourceType = sourceType;
+  }
+
+  if (destinationType) {
+    query[collection.destinationType] = destinationType;
+  }
+
+  if (currency) {
+    clauses.push(collection.currency(currency));
+  }
+
+  if (counterparty) {
+    clauses.push(collection.counterparty(counterparty));
+  }
+
+  if (q) {
+    // A quoted phrase, so "-" in references isn't read as negation
+    query.$text = { $search: `"${q.replace(/["\\]/g, " ")}"` };
+  }
+
+  if (position) {
+    const past = order === "asc" ? "$gt" : "$lt";
+    clauses.push({
+      $or: [
+        { createdAt: { [past]: position.createdAt } },
+        { createdAt: position.createdAt, _id: { [past]: position.id } },
+      ],
+    });
+  }
+
+  if (clauses.length > 0) {
+    query.$and = clauses;
+  }
+
+  return query;
+};
+
+/**
+ * Shape a document of either collection as a feed item
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {Object} doc - Lean document
+ * @returns {Object}
+ */
+const toFeedItem = (collection, doc) => ({
+  id: doc._id,
+  type: doc.type,
+  status: doc.status,
+  amount: money.add(doc.amount),
+  fee: money.add(doc.fee || 0),
+  description: doc.description,
+  reference: doc.reference,
+  source: doc.source,
+  sourceType: doc.sourceType,
+  reversalOf: doc.reversalOf,
+  createdAt: doc.createdAt,
+  ...collection.toItem(doc),
+});
+
+const transactionSearchService = {
+  /**
+   * Search the user's transactions across all money sources
+   * @param {string} userId - Owner
+   * @param {Object} filters - Filters (`from`, `to`, `minAmount`, `maxAmount`, `type`,
+   *   `status`, `currency`, `sourceType`, `destinationType`, `counterparty`, `q`),
+   *   `order` ("desc" or "asc"), `limit` and `cursor`
+   * @returns {Promise<{ transactions: Object[], nextCursor: string|null }>}
+   */
+  async search(userId, { limit = 20, cursor, order = "desc", ...filters }) {
+    const position = cursor ? decodeCursor(cursor) : null;
+    const direction = order === "asc" ? 1 : -1;
+
+    // Each collection can fill the whole page, so take limit + 1 from each
+    const results = await Promise.all(
+      Object.values(COLLECTIONS).map(async (collection) => {
+        const docs = await collection.model
+          .find(buildQuery(collection, userId, { ...filters, order }, position))
+          .sort({ createdAt: direction, _id: direction })
+          .limit(limit + 1)
+          .lean();
+
+        return docs.map((doc) => toFeedItem(collection, doc));
+      })
+    );
+
+    const merged = results
+      .flat()
+      .sort(
+        (a, b) =>
+          direction * (a.createdAt - b.createdAt || compareIds(a.id, b.id))
+      );
+
+    const transactions = merged.slice(0, limit);
+
+    return {
+      transactions,
+      nextCursor:
+        merged.length > limit
+          ? encodeCursor(transactions[transactions.length - 1])
+          : null,
+    };
+  },
+};
+
+module.exports = transactionSearchService;
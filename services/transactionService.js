@@ -0,0 +1,1169 @@
+const mongoose = require("mongoose");
+const Account = require("../models/Account");
+const Card = require("../models/Card");
+const Wallet = require("../models/Wallet");
+const Transaction = require("../models/Transaction");
+const WalletTransaction = require("../models/WalletTransaction");
+const fxQuoteService = require("./fxQuoteService");
+const ledgerService = require("./ledgerService");
+const notificationService = require("./notificationService");
+const budgetService = require("./budgetService");
+const limitsService = require("./limitsService");
+const AppError = require("../utils/error");
+const money = require("../utils/money");
+const { logger } = require("../config/logger");
+
+/**
+ * Transfer engine
+ *
+ * Every transfer between an Account, Card or Wallet goes through `transfer()`, which
+ * applies the same steps in one database transaction: ownership, status, balance and
+ * limit checks (see limitsService), FX conversion (live or at a locked quote), the
+ * debit/credit posting and its ledger journal, then notifications. Route handlers only
+ * describe the two endpoints.
+ *
+ * An endpoint descriptor is `{ type, id, field }`, where `field` is the property `id`
+ * is matched against (defaults to `_id`).
+ */
+
+// How each kind of endpoint holds money and records its side of a transfer
+const ENDPOINTS = {
+  Account: {
+    model: Account,
+    label: "account",
+    balanceField: "availableBalance",
+    walletLedger: false,
+    // Accounts are always in USD
+    currency: () => "USD",
+  },
+  Card: {
+    model: Card,
+    label: "card",
+    balanceField: "availableBalance",
+    walletLedger: false,
+    // Cards are always in USD
+    currency: () => "USD",
+  },
+  Wallet: {
+    model: Wallet,
+    label: "wallet",
+    balanceField: "balance",
+    walletLedger: true,
+    currency: (wallet) => wallet.currency,
+  },
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Generate a unique transaction reference
+ * @param {string} sourceType - Source endpoint type
+ * @param {string} destinationType - Destination endpoint type
+ * @returns {string} - Unique reference string
+ */
+const generateTransactionReference = (sourceType, destinationType) => {
+  const timestamp = Date.now();
+  const random = Math.floor(Math.random() * 1000);
+  return `${sourceType.substring(0, 1)}2${destinationType.substring(
+    0,
+    1
+  )}-${timestamp}-${random}`;
+};
+
+/**
+ * Load one side of a transfer
+ * @param {Object} descriptor - Endpoint descriptor
+ * @param {string} role - "source" or "destination"
+ * @param {Object} options - Lookup options
+ * @param {string} options.userId - User making the transfer (sources must belong to them)
+ * @param {mongoose.ClientSession} options.session - Database session
+ * @returns {Promise<Object>} - Endpoint document with `user` populated
+ */
+const loadEndpoint = async (descriptor, role, { userId, session }) => {
+  const { type, id, field = "_id" } = descriptor;
+  const endpoint = ENDPOINTS[type];
+  const code = `${role.toUpperCase()}_${String(type).toUpperCase()}`;
+
+  if (!endpoint) {
+    throw new AppError(
+      `Unsupported ${role} type: ${type}`,
+      400,
+      "UNSUPPORTED_ENDPOINT_TYPE"
+    );
+  }
+
+  let entity = null;
+
+  if (id && (field !== "_id" || mongoose.isValidObjectId(id))) {
+    const query = { [field]: id };
+    if (role === "source") {
+      query.user = userId;
+    }
+
+    entity = await endpoint.model
+      .findOne(query)
+      .populate("user")
+      .session(session);
+  }
+
+  if (!entity) {
+    throw new AppError(
+      role === "source"
+        ? `Source ${endpoint.label} not found or does not belong to you`
+        : `Destination ${endpoint.label} not found`,
+      404,
+      `${code}_NOT_FOUND`
+    );
+  }
+
+  if (entity.status !== "active") {
+    throw new AppError(
+      `${capitalize(role)} ${endpoint.label} is ${entity.status}`,
+      400,
+      `${code}_NOT_ACTIVE`
+    );
+  }
+
+  if (type === "Card" && entity.isExpired) {
+    throw new AppError(
+      `${capitalize(role)} card is expired`,
+      400,
+      `${code}_EXPIRED`
+    );
+  }
+
+  return entity;
+};
+
+/**
+ * Reject amounts that aren't positive numbers
+ * @param {*} amount - Requested amount
+ * @throws {AppError}
+ */
+const assertPositiveAmount = (amount) => {
+  let isValidAmount;
+  try {
+    isValidAmount = money.isPositive(amount);
+  } catch (error) {
+    isValidAmount = false;
+  }
+
+  if (!isValidAmount) {
+    throw new AppError("Amount must be greater than 0", 400, "INVALID_AMOUNT");
+  }
+};
+
+/**
+ * Check that two loaded endpoints can transfer an amount between them
+ * @param {Object} source - `{ type, entity }`
+ * @param {Object} destination - `{ type, entity }`
+ * @param {number|string} amount - Amount in the source currency
+ * @returns {{ sourceCurrency: string, destinationCurrency: string }}
+ * @throws {AppError} - When the endpoints are the same or the amount is too precise
+ */
+const checkEndpoints = (source, destination, amount) => {
+  if (
+    source.type === destination.type &&
+    source.entity._id.toString() === destination.entity._id.toString()
+  ) {
+    throw new AppError(
+      `Source and destination ${
+        ENDPOINTS[source.type].label
+      }s cannot be the same`,
+      400,
+      `SAME_${source.type.toUpperCase()}_ERROR`
+    );
+  }
+
+  const sourceCurrency = ENDPOINTS[source.type].currency(source.entity);
+  const destinationCurrency = ENDPOINTS[destination.type].currency(
+    destination.entity
+  );
+
+  if (!money.hasValidPrecision(amount, sourceCurrency)) {
+    throw new AppError(
+      `${sourceCurrency} amounts can have at most ${money.precision(
+        sourceCurrency
+      )} decimal places`,
+      400,
+      "INVALID_AMOUNT_PRECISION"
+    );
+  }
+
+  return { sourceCurrency, destinationCurrency };
+};
+
+/**
+ * Take money out of an endpoint
+ * @param {string} type - Endpoint type
+ * @param {Object} entity - Endpoint document
+ * @param {mongoose.Types.Decimal128} amount - Amount in the endpoint's currency
+ */
+const debitEndpoint = (type, entity, amount) => {
+  const currency = ENDPOINTS[type].currency(entity);
+
+  // Spending on a credit card adds to what is owed on it
+  if (type === "Card" && entity.type === "credit") {
+    entity.availableBalance = money.toDecimal128(
+      money.subtract(entity.availableBalance, amount),
+      currency
+    );
+    entity.ledgerBalance = money.toDecimal128(
+      money.add(entity.ledgerBalance, amount),
+      currency
+    );
+    return;
+  }
+
+  const { balanceField } = ENDPOINTS[type];
+
+  entity[balanceField] = money.toDecimal128(
+    money.subtract(entity[balanceField], amount),
+    currency
+  );
+  entity.ledgerBalance = money.toDecimal128(
+    money.subtract(entity.ledgerBalance, amount),
+    currency
+  );
+};
+
+/**
+ * Put money into an endpoint
+ * @param {string} type - Endpoint type
+ * @param {Object} entity - Endpoint document
+ * @param {mongoose.Types.Decimal128} amount - Amount in the endpoint's currency
+ */
+const creditEndpoint = (type, entity, amount) => {
+  const currency = ENDPOINTS[type].currency(entity);
+
+  // Paying into a credit card reduces what is owed on it
+  if (type === "Card" && entity.type === "credit") {
+    entity.ledgerBalance = money.toDecimal128(
+      money.subtract(entity.ledgerBalance, amount),
+      currency
+    );
+    return;
+  }
+
+  const { balanceField } = ENDPOINTS[type];
+
+  entity[balanceField] = money.toDecimal128(
+    money.add(entity[balanceField], amount),
+    currency
+  );
+  entity.ledgerBalance = money.toDecimal128(
+    money.add(entity.ledgerBalance, amount),
+    currency
+  );
+};
+
+/**
+ * Give money back to the endpoint a transfer took it from
+ * A credit card gets back the credit the transfer used up. When the debt has been
+ * paid down since, what is left over stays on the card as a credit balance (a
+ * negative ledger balance) rather than being lost.
+ * @param {string} type - Endpoint type
+ * @param {Object} entity - Endpoint document
+ * @param {mongoose.Types.Decimal128} amount - Amount in the endpoint's currency
+ */
+const refundEndpoint = (type, entity, amount) => {
+  if (!(type === "Card" && entity.type === "credit")) {
+    creditEndpoint(type, entity, amount);
+    return;
+  }
+
+  const currency = ENDPOINTS[type].currency(entity);
+
+  entity.availableBalance = money.toDecimal128(
+    money.add(entity.availableBalance, amount),
+    currency
+  );
+  entity.ledgerBalance = money.toDecimal128(
+    money.subtract(entity.ledgerBalance, amount),
+    currency
+  );
+};
+
+/**
+ * Take back money a transfer put into an endpoint
+ * A payment into a credit card only paid down its debt, so taking it back only
+ * puts the debt back; the card's available credit is left alone.
+ * @param {string} type - Endpoint type
+ * @param {Object} entity - Endpoint document
+ * @param {mongoose.Types.Decimal128} amount - Amount in the endpoint's currency
+ */
+const reclaimEndpoint = (type, entity, amount) => {
+  if (!(type === "Card" && entity.type === "credit")) {
+    debitEndpoint(type, entity, amount);
+    return;
+  }
+
+  entity.ledgerBalance = money.toDecimal128(
+    money.add(entity.ledgerBalance, amount),
+    ENDPOINTS[type].currency(entity)
+  );
+};
+
+/**
+ * Record a posted transaction against its endpoint
+ * @param {string} type - Endpoint type
+ * @param {Object} entity - Endpoint document
+ * @param {Object} transaction - Transaction or WalletTransaction
+ */
+const attachTransaction = (type, entity, transaction) => {
+  if (!entity.transactions) {
+    entity.transactions = [];
+  }
+  entity.transactions.push(transaction._id);
+
+  if (type === "Wallet") {
+    entity.lastActivityAt = new Date();
+  } else if (type === "Card") {
+    entity.lastUsedAt = new Date();
+  }
+};
+
+/**
+ * Build one side of the posting
+ * Wallet sides are WalletTransactions; account and card sides are Transactions.
+ * @param {string} direction - "debit" or "credit"
+ * @param {Object} posting - Everything known about the transfer
+ * @returns {Object} - Unsaved Transaction or WalletTransaction
+ */
+const buildTransaction = (direction, posting) => {
+  const {
+    sourceType,
+    source,
+    sourceCurrency,
+    destinationType,
+    destination,
+    destinationCurrency,
+    amount,
+    convertedAmount,
+    conversion,
+    reference,
+    description,
+    metadata,
+  } = posting;
+
+  const isDebit = direction === "debit";
+  const endpointType = isDebit ? sourceType : destinationType;
+  const defaultDescription = `${sourceType} to ${ENDPOINTS[destinationType].label} transfer (${direction})`;
+
+  const common = {
+    user: isDebit ? source.user._id : destination.user._id,
+    type: direction,
+    amount: isDebit ? amount : convertedAmount,
+    source: source._id,
+    sourceType,
+    sourceCurrency,
+    conversionRate: conversion.rate,
+    rateSnapshot: conversion.snapshotId,
+    quote: conversion.quoteId,
+    fee: isDebit ? conversion.fee : 0,
+    description: description || defaultDescription,
+    status: "completed",
+    metadata,
+  };
+
+  if (ENDPOINTS[endpointType].walletLedger) {
+    // Wallet transaction references are unique, so a wallet-to-wallet
+    // transfer needs a distinct reference for each side
+    const bothWallets = sourceType === "Wallet" && destinationType === "Wallet";
+
+    return new WalletTransaction({
+      ...common,
+      currency: isDebit ? sourceCurrency : destinationCurrency,
+      beneficiary: destination._id,
+      beneficiaryType: destinationType,
+      beneficiaryCurrency: destinationCurrency,
+      feeCurrency: isDebit ? sourceCurrency : undefined,
+      reference: bothWallets
+        ? `${reference}-${isDebit ? "OUT" : "IN"}`
+        : reference,
+    });
+  }
+
+  return new Transaction({
+    ...common,
+    currency: isDebit ? sourceCurrency : destinationCurrency,
+    sourceUser: source.user._id,
+    destination: destination._id,
+    destinationType,
+    destinationCurrency,
+    beneficiary: destination.user._id,
+    reference,
+    processedAt: new Date(),
+  });
+};
+
+/**
+ * Notify both parties once a transfer has committed
+ * Failures are logged and never undo the transfer.
+ * @param {Object} result - Transfer result
+ */
+const notifyParties = async (result) => {
+  const {
+    source,
+    destination,
+    sourceCurrency,
+    destinationCurrency,
+    amount,
+    convertedAmount,
+    debitTransaction,
+    creditTransaction,
+    reference,
+  } = result;
+
+  try {
+    await notificationService.createNotification(
+      source.user._id,
+      "Transfer Completed",
+      `Your transfer of ${amount.toString()} ${sourceCurrency} to ${
+        destination.name || `a ${ENDPOINTS[result.destinationType].label}`
+      } has been completed.`,
+      "transaction",
+      {
+        transactionId: debitTransaction._id,
+        reference,
+        type: "debit",
+      }
+    );
+
+    if (source.user._id.toString() !== destination.user._id.toString()) {
+      await notificationService.createNotification(
+        destination.user._id,
+        "Transfer Received",
+        `You have received ${convertedAmount.toString()} ${destinationCurrency} from ${
+          source.name || `a ${ENDPOINTS[result.sourceType].label}`
+        }.`,
+        "transaction",
+        {
+          transactionId: creditTransaction._id,
+          reference,
+          type: "credit",
+        }
+      );
+    }
+  } catch (error) {
+    logger.error("Error sending transfer notifications", {
+      reference,
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Send any budget alerts the sender's spending has now triggered
+ * Failures are logged and never undo the transfer.
+ * @param {Object} result - Transfer result
+ */
+const checkBudgets = async ({ source, reference }) => {
+  try {
+    await budgetService.checkAlerts(source.user._id);
+  } catch (error) {
+    logger.error("Error checking budgets after transfer", {
+      reference,
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Find both sides of the transfer a transaction belongs to
+ * Either side's ID may be given; the two sides share a reference (wallet-to-wallet
+ * sides add -OUT and -IN to it).
+ * @param {string} transactionId - Transaction or WalletTransaction ID
+ * @param {mongoose.ClientSession} session - Database session
+ * @returns {Promise<Object|null>} - `{ transaction, reference, debit, credit }`, or null if there is no such transaction
+ */
+const findTransferSides = async (transactionId, session) => {
+  if (!mongoose.isValidObjectId(transactionId)) {
+    return null;
+  }
+
+  const transaction =
+    (await Transaction.findById(transactionId).session(session)) ||
+    (await WalletTransaction.findById(transactionId).session(session));
+
+  if (!transaction) {
+    return null;
+  }
+
+  const reference = transaction.reference.replace(/-(OUT|IN)$/, "");
+  const filter = {
+    reference: { $in: [reference, `${reference}-OUT`, `${reference}-IN`] },
+    type: { $in: ["debit", "credit"] },
+  };
+  const sides = [
+    ...(await Transaction.find(filter).session(session)),
+    ...(await WalletTransaction.find(filter).session(session)),
+  ];
+
+  return {
+    transaction,
+    reference,
+    debit: sides.find((side) => side.type === "debit"),
+    credit: sides.find((side) => side.type === "credit"),
+  };
+};
+
+/**
+ * Load an endpoint a transfer used, whatever its status now
+ * @param {string} type - Endpoint type
+ * @param {string} id - Endpoint ID
+ * @param {mongoose.ClientSession} session - Database session
+ * @returns {Promise<Object>} - Endpoint document with `user` populated
+ */
+const loadReversalEndpoint = async (type, id, session) => {
+  const endpoint = ENDPOINTS[type];
+  const entity = endpoint
+    ? await endpoint.model.findById(id).populate("user").session(session)
+    : null;
+
+  if (!entity) {
+    throw new AppError(
+      `The ${
+        endpoint ? endpoint.label : type
+      } this transfer used no longer exists`,
+      409,
+      "REVERSAL_ENDPOINT_NOT_FOUND"
+    );
+  }
+
+  return entity;
+};
+
+/**
+ * Notify both parties once a reversal has committed
+ * Failures are logged and never undo the reversal.
+ * @param {Object} result - Reversal result
+ */
+const notifyReversal = async (result) => {
+  const {
+    reference,
+    source,
+    destination,
+    sourceType,
+    destinationType,
+    sourceCurrency,
+    destinationCurrency,
+    amount,
+    convertedAmount,
+    reversalCredit,
+    reversalDebit,
+  } = result;
+  const action = "reversed";
+
+  try {
+    await notificationService.createNotification(
+      source.user._id,
+      `Transfer ${capitalize(action)}`,
+      `Your transfer ${reference} has been ${action}. ${amount.toString()} ${sourceCurrency} has been returned to your ${
+        ENDPOINTS[sourceType].label
+      }.`,
+      "transaction",
+      {
+        transactionId: reversalCredit._id,
+        reference,
+        type: "refund",
+      }
+    );
+
+    if (source.user._id.toString() !== destination.user._id.toString()) {
+      await notificationService.createNotification(
+        destination.user._id,
+        `Transfer ${capitalize(action)}`,
+        `A transfer you received (${reference}) has been ${action}. ${convertedAmount.toString()} ${destinationCurrency} has been taken back from your ${
+          ENDPOINTS[destinationType].label
+        }.`,
+        "transaction",
+        {
+          transactionId: reversalDebit._id,
+          reference,
+          type: "refund",
+        }
+      );
+    }
+  } catch (error) {
+    logger.error("Error sending reversal notifications", {
+      reference,
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+};
+
+const transactionService = {
+  /**
+   * Move money between two endpoints
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.userId - User making the transfer
+   * @param {Object} params.source - Source endpoint descriptor
+   * @param {Object} params.destination - Destination endpoint descriptor
+   * @param {number|string} params.amount - Amount in the source currency, at most its precision
+   * @param {string} params.quoteId - Optional FX quote to execute at
+   * @param {string} params.description - Optional description
+   * @param {Object} params.metadata - Optional metadata
+   * @param {string} params.requestId - Request ID for logging
+   * @param {boolean} params.notify - Whether to notify both parties (defaults to true)
+   * @param {Function} params.beforeCommit - Optional `async (session, result)` that
+   *   saves the caller's own changes in the transfer's transaction; throwing aborts it
+   * @returns {Promise<Object>} - Posted transactions, endpoints, amounts and reference
+   * @throws {AppError} - When the transfer is not allowed
+   */
+  async transfer({
+    userId,
+    source: sourceDescriptor,
+    destination: destinationDescriptor,
+    amount,
+    quoteId,
+    description,
+    metadata,
+    requestId,
+    notify = true,
+    beforeCommit,
+  }) {
+    const sourceType = sourceDescriptor.type;
+    const destinationType = destinationDescriptor.type;
+
+    logger.info("Transfer initiated", {
+      userId,
+      requestId,
+      sourceType,
+      sourceId: sourceDescriptor.id,
+      destinationType,
+      destinationId: destinationDescriptor.id,
+      amount: amount !== undefined ? amount.toString() : undefined,
+      quoteId,
+    });
+
+    assertPositiveAmount(amount);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const source = await loadEndpoint(sourceDescriptor, "source", {
+        userId,
+        session,
+      });
+      const destination = await loadEndpoint(
+        destinationDescriptor,
+        "destination",
+        { session }
+      );
+
+      const { sourceCurrency, destinationCurrency } = checkEndpoints(
+        { type: sourceType, entity: source },
+        { type: destinationType, entity: destination },
+        amount
+      );
+      const { label, balanceField } = ENDPOINTS[sourceType];
+
+      if (money.compare(source[balanceField], amount) < 0) {
+        throw new AppError(
+          `Insufficient funds in source ${label}`,
+          400,
+          `INSUFFICIENT_${sourceType.toUpperCase()}_FUNDS`
+        );
+      }
+
+      await limitsService.enforce({
+        user: source.user,
+        sourceType,
+        source,
+        destinationType,
+        amount,
+        currency: sourceCurrency,
+        session,
+      });
+
+      const decimalAmount = money.toDecimal128(amount, sourceCurrency);
+
+      const conversion = await fxQuoteService.resolveConversion(userId, {
+        quoteId,
+        amount: decimalAmount,
+        sourceCurrency,
+        destinationCurrency,
+        session,
+      });
+      const convertedAmount = conversion.amount;
+
+      // The ledger credits the card in full, so there must be that much to pay off
+      if (
+        destinationType === "Card" &&
+        destination.type === "credit" &&
+        money.compare(convertedAmount, destination.ledgerBalance) > 0
+      ) {
+        throw new AppError(
+          `Payment exceeds the ${money.round(
+            destination.ledgerBalance,
+            destinationCurrency
+          )} ${destinationCurrency} owed on this credit card`,
+          400,
+          "CREDIT_CARD_OVERPAYMENT"
+        );
+      }
+
+      const reference = generateTransactionReference(
+        sourceType,
+        destinationType
+      );
+
+      debitEndpoint(sourceType, source, decimalAmount);
+      creditEndpoint(destinationType, destination, convertedAmount);
+
+      const posting = {
+        sourceType,
+        source,
+        sourceCurrency,
+        destinationType,
+        destination,
+        destinationCurrency,
+        amount: decimalAmount,
+        convertedAmount,
+        conversion,
+        reference,
+        description,
+        metadata,
+      };
+
+      const debitTransaction = buildTransaction("debit", posting);
+      const creditTransaction = buildTransaction("credit", posting);
+
+      await debitTransaction.save({ session });
+      await creditTransaction.save({ session });
+
+      await ledgerService.postMovement({
+        reference,
+        category: "transfer",
+        from: { type: sourceType, entity: source },
+        to: { type: destinationType, entity: destination },
+        amount: decimalAmount,
+        currency: sourceCurrency,
+        convertedAmount,
+        destinationCurrency,
+        fee: conversion.fee,
+        description: debitTransaction.description,
+        metadata: {
+          debitTransaction: debitTransaction._id,
+          creditTransaction: creditTransaction._id,
+          rate: conversion.rate,
+          quote: conversion.quoteId,
+        },
+        session,
+      });
+
+      attachTransaction(sourceType, source, debitTransaction);
+      attachTransaction(destinationType, destination, creditTransaction);
+
+      await source.save({ session });
+      await destination.save({ session });
+
+      const result = {
+        ...posting,
+        debitTransaction,
+        creditTransaction,
+      };
+
+      if (beforeCommit) {
+        await beforeCommit(session, result);
+      }
+
+      await session.commitTransaction();
+
+      logger.info("Transfer completed", {
+        userId,
+        requestId,
+        reference,
+        sourceType,
+        destinationType,
+        amount: decimalAmount.toString(),
+        convertedAmount: convertedAmount.toString(),
+        fromCurrency: sourceCurrency,
+        toCurrency: destinationCurrency,
+        rate: conversion.rate,
+        fee: conversion.fee.toString(),
+        quoteId: conversion.quoteId,
+      });
+
+      if (notify) {
+        await notifyParties(result);
+      }
+
+      // Scheduled transfers notify on their own but still count towards budgets
+      await checkBudgets(result);
+
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+
+      logger.warn("Transfer aborted", {
+        userId,
+        requestId,
+        sourceType,
+        destinationType,
+        error: error.message,
+        errorCode: error.errorCode,
+      });
+
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  },
+
+  /**
+   * Check that a transfer could be made, without moving any money
+   * Balances and limits aren't checked: they only matter when the transfer runs.
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.userId - User who would make the transfer
+   * @param {Object} params.source - Source endpoint descriptor
+   * @param {Object} params.destination - Destination endpoint descriptor
+   * @param {number|string} params.amount - Amount in the source currency
+   * @returns {Promise<Object>} - Both endpoints and their currencies
+   * @throws {AppError} - When the transfer would not be allowed
+   */
+  async checkTransfer({
+    userId,
+    source: sourceDescriptor,
+    destination: destinationDescriptor,
+    amount,
+  }) {
+    assertPositiveAmount(amount);
+
+    const source = await loadEndpoint(sourceDescriptor, "source", { userId });
+    const destination = await loadEndpoint(
+      destinationDescriptor,
+      "destination",
+      {}
+    );
+
+    const currencies = checkEndpoints(
+      { type: sourceDescriptor.type, entity: source },
+      { type: destinationDescriptor.type, entity: destination },
+      amount
+    );
+
+    return { source, destination, ...currencies };
+  },
+
+  /**
+   * Reverse a transfer by posting compensating transactions to both sides
+   * The destination gives back exactly what it received and the source gets back
+   * exactly what it sent, fee included, so a cross-currency transfer unwinds at its
+   * original rate. Both sides of the transfer end up "refunded".
+   * Only admins reverse transfers.
+   * @param {Object} params - Reversal parameters
+   * @param {string} params.transactionId - Either side of the transfer
+   * @param {string} params.userId - Admin requesting the reversal
+   * @param {string} params.reason - Optional reason
+   * @param {string} params.requestId - Request ID for logging
+   * @returns {Promise<Object>} - Original and reversal transactions, endpoints, amounts and status
+   * @throws {AppError} - When the transfer can't be reversed
+   */
+  async reverse({ transactionId, userId, reason, requestId }) {
+    logger.info("Transfer reversal initiated", {
+      userId,
+      requestId,
+      transactionId,
+    });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sides = await findTransferSides(transactionId, session);
+
+      if (!sides) {
+        throw new AppError(
+          "Transaction not found",
+          404,
+          "TRANSACTION_NOT_FOUND"
+        );
+      }
+
+      const { reference, debit, credit } = sides;
+
+      if (!debit || !credit) {
+        throw new AppError(
+          "Only transfers can be reversed",
+          400,
+          "TRANSACTION_NOT_REVERSIBLE"
+        );
+      }
+
+      if (debit.reversal || ["refunded", "cancelled"].includes(debit.status)) {
+        throw new AppError(
+          "This transfer has already been reversed",
+          409,
+          "TRANSACTION_ALREADY_REVERSED"
+        );
+      }
+
+      // The engine only posts completed transfers; nothing is ever left pending
+      if (debit.status !== "completed") {
+        throw new AppError(
+          `A ${debit.status} transfer can't be reversed`,
+          400,
+          "TRANSACTION_NOT_REVERSIBLE"
+        );
+      }
+
+      const status = "refunded";
+      const sourceType = debit.sourceType;
+      // Transactions name the far side "destination", WalletTransactions "beneficiary"
+      const destinationType = debit.destinationType || debit.beneficiaryType;
+      const destinationId = debit.destinationType
+        ? debit.destination
+        : debit.beneficiary;
+
+      const source = await loadReversalEndpoint(
+        sourceType,
+        debit.source,
+        session
+      );
+      const destination = await loadReversalEndpoint(
+        destinationType,
+        destinationId,
+        session
+      );
+
+      const sourceCurrency = ENDPOINTS[sourceType].currency(source);
+      const destinationCurrency =
+        ENDPOINTS[destinationType].currency(destination);
+      const amount = money.toDecimal128(debit.amount, sourceCurrency);
+      const convertedAmount = money.toDecimal128(
+        credit.amount,
+        destinationCurrency
+      );
+      const fee = money.add(debit.fee);
+
+      // Paying back what a credit card was charged only adds to what is owed on it
+      const { label, balanceField } = ENDPOINTS[destinationType];
+      if (
+        !(destinationType === "Card" && destination.type === "credit") &&
+        money.compare(destination[balanceField], convertedAmount) < 0
+      ) {
+        throw new AppError(
+          `Destination ${label} no longer holds enough to reverse this transfer`,
+          400,
+          "REVERSAL_INSUFFICIENT_FUNDS"
+        );
+      }
+
+      reclaimEndpoint(destinationType, destination, convertedAmount);
+      refundEndpoint(sourceType, source, amount);
+
+      const reversalReference = `${reference}-REV`;
+      const description = `Reversal of transfer ${reference}${
+        reason ? `: ${reason}` : ""
+      }`;
+
+      // The reversal runs the transfer backwards at the inverse of its rate
+      const posting = {
+        sourceType: destinationType,
+        source: destination,
+        sourceCurrency: destinationCurrency,
+        destinationType: sourceType,
+        destination: source,
+        destinationCurrency: sourceCurrency,
+        amount: convertedAmount,
+        convertedAmount: amount,
+        conversion: {
+          rate: debit.conversionRate
+            ? money.toNumber(
+                money.divide(1, debit.conversionRate, { places: 8 })
+              )
+            : 1,
+          snapshotId: debit.rateSnapshot,
+          quoteId: debit.quote,
+          fee: 0,
+        },
+        reference: reversalReference,
+        description,
+        metadata: { originalReference: reference, reason, reversedBy: userId },
+      };
+
+      const reversalDebit = buildTransaction("debit", posting);
+      const reversalCredit = buildTransaction("credit", posting);
+
+      reversalDebit.type = "refund";
+      reversalDebit.reversalOf = credit._id;
+      reversalCredit.type = "refund";
+      reversalCredit.reversalOf = debit._id;
+
+      await reversalDebit.save({ session });
+      await reversalCredit.save({ session });
+
+      const reversedAt = new Date();
+      debit.set({
+        status,
+        reversal: reversalCredit._id,
+        reversedAt,
+        reversalReason: reason,
+      });
+      credit.set({
+        status,
+        reversal: reversalDebit._id,
+        reversedAt,
+        reversalReason: reason,
+      });
+
+      await debit.save({ session });
+      await credit.save({ session });
+
+      await ledgerService.reverseMovement({
+        reference: reversalReference,
+        category: "reversal",
+        from: { type: sourceType, entity: source },
+        to: { type: destinationType, entity: destination },
+        amount,
+        currency: sourceCurrency,
+        convertedAmount,
+        destinationCurrency,
+        fee,
+        description,
+        metadata: {
+          originalReference: reference,
+          debitTransaction: reversalDebit._id,
+          creditTransaction: reversalCredit._id,
+        },
+        session,
+      });
+
+      attachTransaction(destinationType, destination, reversalDebit);
+      attachTransaction(sourceType, source, reversalCredit);
+
+      await source.save({ session });
+      await destination.save({ session });
+
+      await session.commitTransaction();
+
+      logger.info("Transfer reversed", {
+        userId,
+        requestId,
+        reference,
+        reversalReference,
+        status,
+        amount: amount.toString(),
+        convertedAmount: convertedAmount.toString(),
+        fromCurrency: sourceCurrency,
+        toCurrency: destinationCurrency,
+        fee,
+      });
+
+      const result = {
+        reference,
+        reversalReference,
+        status,
+        sourceType,
+        source,
+        sourceCurrency,
+        destinationType,
+        destination,
+        destinationCurrency,
+        amount,
+        convertedAmount,
+        fee,
+        debitTransaction: debit,
+        creditTransaction: credit,
+        reversalDebit,
+        reversalCredit,
+      };
+
+      await notifyReversal(result);
+
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+
+      logger.warn("Transfer reversal aborted", {
+        userId,
+        requestId,
+        transactionId,
+        error: error.message,
+        errorCode: error.errorCode,
+      });
+
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  },
+
+  /**
+   * Withdraw from a wallet to one of the user's accounts or cards
+   * @param {Object} params - Withdrawal parameters
+   * @param {string} params.userId - User ID
+   * @param {string} params.walletId - Source wallet ID
+   * @param {string} params.targetType - "account" or "card"
+   * @param {string} params.targetId - Destination account or card ID
+   * @param {number|string} params.cryptoAmount - Amount in the wallet currency
+   * @param {string} params.description - Optional description
+   * @returns {Promise<Object>} - Wallet transaction and remaining wallet balance
+   */
+  async walletToAccountWithdrawal({
+    userId,
+    walletId,
+    targetType,
+    targetId,
+    cryptoAmount,
+    description,
+  }) {
+    const result = await transactionService.transfer({
+      userId,
+      source: { type: "Wallet", id: walletId },
+      destination: { type: capitalize(targetType), id: targetId },
+      amount: cryptoAmount,
+      description,
+    });
+
+    return {
+      walletTransaction: result.debitTransaction,
+      walletBalance: result.source.balance,
+    };
+  },
+
+  /**
+   * Transfer between two wallets
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.userId - User ID
+   * @param {string} params.sourceWalletId - Source wallet ID
+   * @param {string} params.targetWalletId - Destination wallet ID
+   * @param {number|string} params.amount - Amount in the source wallet currency
+   * @param {string} params.description - Optional description
+   * @returns {Promise<Object>} - Both wallet transactions and resulting balances
+   */
+  async walletToWalletTransfer({
+    userId,
+    sourceWalletId,
+    targetWalletId,
+    amount,
+    description,
+  }) {
+    const result = await transactionService.transfer({
+      userId,
+      source: { type: "Wallet", id: sourceWalletId },
+      destination: { type: "Wallet", id: targetWalletId },
+      amount,
+      description,
+    });
+
+    return {
+      withdrawalTransaction: result.debitTransaction,
+      depositTransaction: result.creditTransaction,
+      sourceWalletBalance: result.source.balance,
+      targetWalletBalance: result.destination.balance,
+    };
+  },
+};
+
+module.exports = transactionService;
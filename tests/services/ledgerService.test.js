@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../../models/LedgerEntry");
+const ledgerService = require("../../services/ledgerService");
+const money = require("../../utils/money");
+
+const accountOf = (type) => ({
+  type,
+  entity: {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+  },
+});
+
+/**
+ * Net credits minus debits per currency
+ * @param {Array<Object>} entries - Posted entries
+ * @returns {Object} - `{ [currency]: amount }`
+ */
+const totalsOf = (entries) =>
+  entries.reduce((totals, entry) => {
+    const amount = entry.amount.toString();
+    totals[entry.currency] =
+      entry.direction === "credit"
+        ? money.add(totals[entry.currency], amount)
+        : money.subtract(totals[entry.currency], amount);
+    return totals;
+  }, {});
+
+describe("ledgerService", () => {
+  let insertMany;
+
+  beforeEach(() => {
+    insertMany = jest
+      .spyOn(LedgerEntry, "insertMany")
+      .mockImplementation(async (entries) => entries);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("post", () => {
+    it("writes a balanced journal under one id in the caller's session", async () => {
+      const session = {};
+      const entries = await ledgerService.post({
+        reference: "TRF-1",
+        category: "transfer",
+        legs: [
+          { account: accountOf("Account"), direction: "debit", amount: "10.50", currency: "usd" },
+          { account: accountOf("Account"), direction: "credit", amount: "10.5", currency: "USD" },
+        ],
+        session,
+      });
+
+      expect(insertMany).toHaveBeenCalledWith(expect.any(Array), { session });
+      expect(entries).toHaveLength(2);
+      expect(entries[0].journal).toEqual(entries[1].journal);
+      expect(entries.map((entry) => entry.currency)).toEqual(["USD", "USD"]);
+      expect(entries[0].amount).toBeInstanceOf(mongoose.Types.Decimal128);
+    });
+
+    it("rejects legs that don't balance", async () => {
+      await expect(
+        ledgerService.post({
+          reference: "TRF-2",
+          category: "transfer",
+          legs: [
+            { account: accountOf("Account"), direction: "debit", amount: "10", currency: "USD" },
+            { account: accountOf("Account"), direction: "credit", amount: "9.99", currency: "USD" },
+          ],
+        })
+      ).rejects.toMatchObject({ errorCode: "LEDGER_UNBALANCED" });
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+
+    it("balances each currency on its own", async () => {
+      await expect(
+        ledgerService.post({
+          reference: "TRF-3",
+          category: "transfer",
+          legs: [
+            { account: accountOf("Wallet"), direction: "debit", amount: "100", currency: "USD" },
+            { account: accountOf("Wallet"), direction: "credit", amount: "100", currency: "EUR" },
+          ],
+        })
+      ).rejects.toThrow("does not balance in USD, EUR");
+    });
+
+    it("rejects negative legs", async () => {
+      await expect(
+        ledgerService.post({
+          reference: "TRF-4",
+          category: "transfer",
+          legs: [
+            { account: accountOf("Account"), direction: "debit", amount: "-5", currency: "USD" },
+            { account: accountOf("Account"), direction: "credit", amount: "-5", currency: "USD" },
+          ],
+        })
+      ).rejects.toMatchObject({ errorCode: "LEDGER_INVALID_AMOUNT" });
+    });
+
+    it("drops zero legs and writes nothing when none are left", async () => {
+      await expect(
+        ledgerService.post({
+          reference: "TRF-5",
+          category: "transfer",
+          legs: [
+            { account: accountOf("Account"), direction: "debit", amount: "0", currency: "USD" },
+            { account: "fees", direction: "credit", amount: 0, currency: "USD" },
+          ],
+        })
+      ).resolves.toEqual([]);
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("postMovement", () => {
+    it("takes the fee into the fees account", async () => {
+      const from = accountOf("Account");
+      const to = accountOf("Card");
+
+      const entries = await ledgerService.postMovement({
+        reference: "TRF-6",
+        category: "transfer",
+        from,
+        to,
+        amount: "100",
+        currency: "USD",
+        fee: "1.25",
+      });
+
+      expect(totalsOf(entries)).toEqual({ USD: "0" });
+      expect(
+        entries.map(({ accountType, systemAccount, direction, amount }) => [
+          systemAccount || accountType,
+          direction,
+          amount.toString(),
+        ])
+      ).toEqual([
+        ["Account", "debit", "100"],
+        ["fees", "credit", "1.25"],
+        ["Card", "credit", "98.75"],
+      ]);
+      expect(entries[0].account).toEqual(from.entity._id);
+      expect(entries[0].user).toEqual(from.entity.user);
+    });
+
+    it("clears a conversion through fx_clearing in both currencies", async () => {
+      const entries = await ledgerService.postMovement({
+        reference: "TRF-7",
+        category: "transfer",
+        from: accountOf("Wallet"),
+        to: accountOf("Wallet"),
+        amount: "101",
+        currency: "USD",
+        fee: "1",
+        convertedAmount: "92.50",
+        destinationCurrency: "EUR",
+      });
+
+      expect(totalsOf(entries)).toEqual({ USD: "0", EUR: "0" });
+      expect(
+        entries
+          .filter((entry) => entry.systemAccount === "fx_clearing")
+          .map(({ direction, amount, currency }) => [
+            direction,
+            amount.toString(),
+            currency,
+          ])
+      ).toEqual([
+        ["credit", "100", "USD"],
+        ["debit", "92.5", "EUR"],
+      ]);
+    });
+  });
+
+  describe("reverseMovement", () => {
+    it("posts the same legs in the opposite direction", async () => {
+      const movement = {
+        from: accountOf("Account"),
+        to: accountOf("Wallet"),
+        amount: "50",
+        currency: "USD",
+        fee: "0.50",
+        convertedAmount: "7500",
+        destinationCurrency: "JPY",
+      };
+
+      const original = await ledgerService.postMovement({
+        reference: "TRF-8",
+        category: "transfer",
+        ...movement,
+      });
+      const reversal = await ledgerService.reverseMovement({
+        reference: "REV-TRF-8",
+        category: "reversal",
+        ...movement,
+      });
+
+      expect(totalsOf(reversal)).toEqual({ USD: "0", JPY: "0" });
+      expect(totalsOf([...original, ...reversal])).toEqual({
+        USD: "0",
+        JPY: "0",
+      });
+      reversal.forEach((entry, index) => {
+        expect(entry.amount.toString()).toBe(original[index].amount.toString());
+        expect(entry.direction).not.toBe(original[index].direction);
+      });
+    });
+  });
+});
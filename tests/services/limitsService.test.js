@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+const LimitCounter = require("../../models/LimitCounter");
+const exchangeRateService = require("../../services/exchangeRateService");
+const limitsService = require("../../services/limitsService");
+
+const RATES = {
+  "USD:JPY": 150,
+  "JPY:USD": 0.0066,
+};
+
+describe("limitsService", () => {
+  const user = { _id: new mongoose.Types.ObjectId(), kycTier: "basic" };
+
+  beforeEach(() => {
+    jest
+      .spyOn(exchangeRateService, "getRate")
+      .mockImplementation(async (from, to) => ({
+        rate: from === to ? 1 : RATES[`${from}:${to}`],
+        snapshotId: null,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("channelOf", () => {
+    it("maps a transfer to the channel its limits count against", () => {
+      expect(limitsService.channelOf("Account", "Card")).toBe("account");
+      expect(limitsService.channelOf("Card", "Account")).toBe("card");
+      expect(limitsService.channelOf("Wallet", "Wallet")).toBe("wallet_transfer");
+      expect(limitsService.channelOf("Wallet", "Account")).toBe(
+        "wallet_withdrawal"
+      );
+      expect(limitsService.channelOf("Investment", "Wallet")).toBeNull();
+    });
+  });
+
+  describe("clamp", () => {
+    it("lowers windows above the tier's caps", async () => {
+      const result = await limitsService.clamp(user, "account", {
+        perTransaction: 6000,
+        daily: 8000,
+        monthly: undefined,
+      });
+
+      expect(result).toEqual({
+        limits: { perTransaction: 5000, daily: 8000 },
+        clamped: ["perTransaction"],
+      });
+    });
+
+    it("treats users without a known tier as unverified", async () => {
+      const result = await limitsService.clamp(
+        { kycTier: "unknown" },
+        "account",
+        { daily: 600 }
+      );
+
+      expect(result).toEqual({ limits: { daily: 500 }, clamped: ["daily"] });
+    });
+
+    it("compares against the caps in the document's currency", async () => {
+      // The basic tier's 2,000 USD per wallet transfer is 300,000 JPY
+      const result = await limitsService.clamp(
+        user,
+        "wallet_transfer",
+        { perTransaction: 250000, daily: 1000000 },
+        "JPY"
+      );
+
+      expect(result).toEqual({
+        limits: { perTransaction: 250000, daily: 750000 },
+        clamped: ["daily"],
+      });
+    });
+  });
+
+  describe("enforce", () => {
+    let claim;
+
+    beforeEach(() => {
+      claim = jest.spyOn(LimitCounter, "updateOne");
+    });
+
+    it("rejects amounts above the tier's per-transaction cap in USD", async () => {
+      await expect(
+        limitsService.enforce({
+          user,
+          sourceType: "Account",
+          source: { _id: new mongoose.Types.ObjectId() },
+          destinationType: "Account",
+          amount: "5000.01",
+          currency: "USD",
+        })
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        errorCode: "TRANSACTION_LIMIT_EXCEEDED",
+        message:
+          "Amount exceeds the basic tier's per-transaction limit of 5000.00 USD",
+      });
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it("checks the document's own limit in its own currency", async () => {
+      // 20,000 JPY is about 132 USD, well inside the tier cap
+      await expect(
+        limitsService.enforce({
+          user,
+          sourceType: "Wallet",
+          source: {
+            _id: new mongoose.Types.ObjectId(),
+            limits: { maxTransferPerTransaction: 15000 },
+          },
+          destinationType: "Wallet",
+          amount: "20000",
+          currency: "JPY",
+        })
+      ).rejects.toMatchObject({
+        errorCode: "TRANSACTION_LIMIT_EXCEEDED",
+        message:
+          "Amount exceeds this wallet's per-transaction limit of 15000 JPY",
+      });
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it("skips transfers outside any channel", async () => {
+      await expect(
+        limitsService.enforce({
+          user,
+          sourceType: "Investment",
+          source: { _id: new mongoose.Types.ObjectId() },
+          destinationType: "Wallet",
+          amount: "1000000",
+          currency: "USD",
+        })
+      ).resolves.toBeUndefined();
+      expect(claim).not.toHaveBeenCalled();
+    });
+  });
+});
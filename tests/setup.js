@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+// Configuration the modules under test read when they are first required
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.FIELD_ENCRYPTION_KEYS = `k1:${crypto
+  .randomBytes(32)
+  .toString("base64")}`;
+process.env.FIELD_ENCRYPTION_KEY_ID = "k1";
+process.env.FIELD_BLIND_INDEX_KEY = crypto.randomBytes(32).toString("base64");
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+
+const newKey = () => crypto.randomBytes(32).toString("base64");
+
+/**
+ * Load fieldEncryption with its own keys; it reads them once
+ * @param {Object} env - FIELD_ENCRYPTION_* values
+ * @returns {Object} - The module
+ */
+const loadWithKeys = (env) => {
+  let fieldEncryption;
+
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    fieldEncryption = require("../../utils/fieldEncryption");
+  });
+
+  return fieldEncryption;
+};
+
+describe("fieldEncryption", () => {
+  const originalEnv = { ...process.env };
+  const k1 = newKey();
+  const k2 = newKey();
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("with one key", () => {
+    let fieldEncryption;
+
+    beforeEach(() => {
+      fieldEncryption = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+        FIELD_ENCRYPTION_KEY_ID: "k1",
+      });
+    });
+
+    it("round-trips a value", () => {
+      const stored = fieldEncryption.encrypt("123-45-6789");
+
+      expect(stored).toMatch(/^enc:v1:k1:/);
+      expect(stored).not.toContain("123-45-6789");
+      expect(fieldEncryption.decrypt(stored)).toBe("123-45-6789");
+    });
+
+    it("uses a fresh IV for every value", () => {
+      expect(fieldEncryption.encrypt("4111111111111111")).not.toBe(
+        fieldEncryption.encrypt("4111111111111111")
+      );
+    });
+
+    it("reads legacy plaintext back unchanged", () => {
+      expect(fieldEncryption.isEncrypted("plain")).toBe(false);
+      expect(fieldEncryption.decrypt("plain")).toBe("plain");
+      expect(fieldEncryption.keyIdOf("plain")).toBeNull();
+    });
+
+    it("rejects a value that was tampered with", () => {
+      const parts = fieldEncryption.encrypt("secret").split(":");
+      const ciphertext = Buffer.from(parts[5], "base64");
+      ciphertext[0] ^= 1;
+      parts[5] = ciphertext.toString("base64");
+
+      expect(() => fieldEncryption.decrypt(parts.join(":"))).toThrow();
+    });
+
+    it("gives equal values the same blind index, per field", () => {
+      const index = fieldEncryption.blindIndex("card.number", "4111");
+
+      expect(fieldEncryption.blindIndex("card.number", "4111")).toBe(index);
+      expect(fieldEncryption.blindIndex("card.number", "4112")).not.toBe(index);
+      expect(fieldEncryption.blindIndex("user.ssn", "4111")).not.toBe(index);
+    });
+  });
+
+  describe("key rotation", () => {
+    it("decrypts values under the old key and flags them for rotation", () => {
+      const before = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+        FIELD_ENCRYPTION_KEY_ID: "k1",
+      });
+      const stored = before.encrypt("0xprivatekey");
+
+      const after = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${k1},k2:${k2}`,
+        FIELD_ENCRYPTION_KEY_ID: "k2",
+      });
+
+      expect(after.needsRotation(stored)).toBe(true);
+      expect(after.decrypt(stored)).toBe("0xprivatekey");
+
+      const rotated = after.encrypt(after.decrypt(stored));
+      expect(after.keyIdOf(rotated)).toBe("k2");
+      expect(after.needsRotation(rotated)).toBe(false);
+      expect(after.decrypt(rotated)).toBe("0xprivatekey");
+    });
+
+    it("can't read values once their key is dropped", () => {
+      const stored = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+        FIELD_ENCRYPTION_KEY_ID: "k1",
+      }).encrypt("secret");
+
+      const withoutK1 = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k2:${k2}`,
+        FIELD_ENCRYPTION_KEY_ID: "k2",
+      });
+
+      expect(() => withoutK1.decrypt(stored)).toThrow(
+        'Unknown field encryption key "k1"'
+      );
+    });
+  });
+
+  describe("validateConfig", () => {
+    it("rejects keys that aren't 32 bytes", () => {
+      const fieldEncryption = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${crypto.randomBytes(16).toString("base64")}`,
+        FIELD_ENCRYPTION_KEY_ID: "k1",
+      });
+
+      expect(() => fieldEncryption.validateConfig()).toThrow("must be 32 bytes");
+    });
+
+    it("requires at least one key", () => {
+      const fieldEncryption = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: "",
+        FIELD_ENCRYPTION_KEY_ID: "k1",
+      });
+
+      expect(() => fieldEncryption.validateConfig()).toThrow(
+        "FIELD_ENCRYPTION_KEYS is not configured"
+      );
+    });
+
+    it("requires the active key to be listed", () => {
+      const fieldEncryption = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+        FIELD_ENCRYPTION_KEY_ID: "k2",
+      });
+
+      expect(() => fieldEncryption.validateConfig()).toThrow(
+        "FIELD_ENCRYPTION_KEY_ID must name one of FIELD_ENCRYPTION_KEYS"
+      );
+    });
+
+    it("requires a blind index key", () => {
+      const fieldEncryption = loadWithKeys({
+        FIELD_ENCRYPTION_KEYS: `k1:${k1}`,
+        FIELD_ENCRYPTION_KEY_ID: "k1",
+        FIELD_BLIND_INDEX_KEY: "",
+      });
+
+      expect(() => fieldEncryption.validateConfig()).toThrow(
+        "FIELD_BLIND_INDEX_KEY is not configured"
+      );
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const money = require("../../utils/money");
+
+describe("money", () => {
+  describe("round", () => {
+    it("rounds to each currency's precision", () => {
+      expect(money.round("10.005", "USD")).toBe("10.01");
+      expect(money.round("1234.5", "JPY")).toBe("1235");
+      expect(money.round("0.123456789", "BTC")).toBe("0.12345679");
+      expect(money.round("1.2345675", "USDT")).toBe("1.234568");
+    });
+
+    it("pads to the currency's places", () => {
+      expect(money.round(3, "USD")).toBe("3.00");
+      expect(money.round("0.1", "ETH")).toBe("0.10000000");
+    });
+
+    it("honours the rounding mode", () => {
+      expect(money.round("1.005", "USD", money.ROUNDING.HALF_EVEN)).toBe("1.00");
+      expect(money.round("1.015", "USD", money.ROUNDING.HALF_EVEN)).toBe("1.02");
+      expect(money.round("1.009", "USD", money.ROUNDING.DOWN)).toBe("1.00");
+      expect(money.round("1.001", "USD", money.ROUNDING.UP)).toBe("1.01");
+      expect(money.round("-1.005", "USD")).toBe("-1.01");
+    });
+
+    it("falls back to two places for unknown currencies", () => {
+      expect(money.precision("XYZ")).toBe(2);
+      expect(money.round("2.345", "XYZ")).toBe("2.35");
+    });
+  });
+
+  describe("arithmetic", () => {
+    it("adds and subtracts without floating point error", () => {
+      expect(money.add("0.1", "0.2")).toBe("0.3");
+      expect(money.add(0.1, 0.2, 0.3)).toBe("0.6");
+      expect(money.subtract("1", "0.9")).toBe("0.1");
+      expect(money.subtract("0", "5.25")).toBe("-5.25");
+    });
+
+    it("rounds products and quotients once", () => {
+      expect(money.multiply("19.99", 3, { currency: "USD" })).toBe("59.97");
+      expect(money.multiply("100", "0.0725", { currency: "USD" })).toBe("7.25");
+      expect(money.divide(10, 3, { currency: "USD" })).toBe("3.33");
+      expect(money.divide(2, 3, { places: 4 })).toBe("0.6667");
+      expect(money.percentage("250", 1.5, { currency: "USD" })).toBe("3.75");
+    });
+
+    it("refuses to divide by zero", () => {
+      expect(() => money.divide(1, 0)).toThrow("Division by zero");
+    });
+
+    it("compares amounts written differently", () => {
+      expect(money.compare("1", "1.000")).toBe(0);
+      expect(money.compare(6000, "5000")).toBe(1);
+      expect(money.compare("-1", 0)).toBe(-1);
+      expect(money.max("1", "3", "2")).toBe("3");
+      expect(money.min("1", "3", "-2")).toBe("-2");
+    });
+
+    it("rejects values that aren't amounts", () => {
+      expect(() => money.add("abc")).toThrow("Invalid amount");
+      expect(() => money.add(Infinity)).toThrow("Invalid amount");
+      expect(money.add(null, undefined)).toBe("0");
+    });
+  });
+
+  describe("hasValidPrecision", () => {
+    it("allows no more places than the currency has", () => {
+      expect(money.hasValidPrecision("10.25", "USD")).toBe(true);
+      expect(money.hasValidPrecision("10.255", "USD")).toBe(false);
+      expect(money.hasValidPrecision("100", "JPY")).toBe(true);
+      expect(money.hasValidPrecision("100.5", "JPY")).toBe(false);
+      expect(money.hasValidPrecision("0.00000001", "BTC")).toBe(true);
+    });
+  });
+
+  describe("Decimal128", () => {
+    it("round-trips stored amounts exactly", () => {
+      const stored = money.toDecimal128("1234567.89", "USD");
+
+      expect(stored).toBeInstanceOf(mongoose.Types.Decimal128);
+      expect(stored.toString()).toBe("1234567.89");
+      expect(money.add(stored, "0.11")).toBe("1234568");
+      expect(money.format(stored)).toBe("1234567.89");
+    });
+
+    it("rounds to the currency before storing", () => {
+      expect(money.toDecimal128("0.123456789", "BTC").toString()).toBe(
+        "0.12345679"
+      );
+      expect(money.toDecimal128("10.005", "USD").toString()).toBe("10.01");
+    });
+
+    it("keeps every digit when no currency is given", () => {
+      expect(money.toDecimal128("0.000000000000000001").toString()).toBe(
+        "1E-18"
+      );
+    });
+
+    it("converts to a number only for display", () => {
+      expect(money.toNumber(money.toDecimal128("42.50", "USD"))).toBe(42.5);
+    });
+  });
+});
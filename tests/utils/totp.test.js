@@ -0,0 +1,97 @@
+const totp = require("../../utils/totp");
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890" and its 8-digit codes.
+// With 6 digits a code is the last six of those.
+const RFC_SECRET = totp.base32Encode(Buffer.from("12345678901234567890"));
+const RFC_VECTORS = [
+  { time: 59, code: "94287082" },
+  { time: 1111111109, code: "07081804" },
+  { time: 1111111111, code: "14050471" },
+  { time: 1234567890, code: "89005924" },
+  { time: 2000000000, code: "69279037" },
+  { time: 20000000000, code: "65353130" },
+];
+
+describe("totp", () => {
+  describe("base32", () => {
+    it("encodes as RFC 4648 without padding", () => {
+      expect(totp.base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+      expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    });
+
+    it("decodes what it encodes, ignoring case, spaces and padding", () => {
+      const bytes = Buffer.from("any bytes at all");
+      const encoded = totp.base32Encode(bytes);
+
+      expect(totp.base32Decode(encoded)).toEqual(bytes);
+      expect(totp.base32Decode("mzxw 6ytb oi======")).toEqual(
+        Buffer.from("foobar")
+      );
+    });
+
+    it("rejects characters outside the alphabet", () => {
+      expect(() => totp.base32Decode("ABC1")).toThrow(
+        "Invalid base32 character"
+      );
+    });
+  });
+
+  describe("generateTotp", () => {
+    it.each(RFC_VECTORS)("matches the RFC 6238 code at $time", ({ time, code }) => {
+      expect(totp.generateTotp(RFC_SECRET, time * 1000)).toBe(code.slice(-6));
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const timestamp = 1111111111 * 1000;
+
+    it("returns the matching time step", () => {
+      expect(totp.verifyTotp(RFC_SECRET, "050471", { timestamp })).toBe(
+        totp.getTimeStep(timestamp)
+      );
+    });
+
+    it("accepts codes within the drift window only", () => {
+      const previous = totp.generateTotp(RFC_SECRET, timestamp - 30 * 1000);
+      const stale = totp.generateTotp(RFC_SECRET, timestamp - 90 * 1000);
+
+      expect(
+        totp.verifyTotp(RFC_SECRET, previous, { timestamp, window: 1 })
+      ).toBe(totp.getTimeStep(timestamp) - 1);
+      expect(
+        totp.verifyTotp(RFC_SECRET, stale, { timestamp, window: 1 })
+      ).toBeNull();
+    });
+
+    it("rejects malformed codes and missing secrets", () => {
+      expect(totp.verifyTotp(RFC_SECRET, "12345a", { timestamp })).toBeNull();
+      expect(totp.verifyTotp(RFC_SECRET, 50471, { timestamp })).toBeNull();
+      expect(totp.verifyTotp(null, "050471", { timestamp })).toBeNull();
+    });
+  });
+
+  describe("recovery codes", () => {
+    it("generates distinct codes in XXXXX-XXXXX form", () => {
+      const codes = totp.generateRecoveryCodes(10);
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+    });
+
+    it("hashes codes regardless of case and separators", () => {
+      expect(totp.hashRecoveryCode("abcde-fghij")).toBe(
+        totp.hashRecoveryCode("ABCDEFGHIJ")
+      );
+    });
+  });
+
+  it("builds an otpauth URI for authenticator apps", () => {
+    const uri = new URL(totp.buildOtpauthUri(RFC_SECRET, "jane@example.com"));
+
+    expect(uri.protocol).toBe("otpauth:");
+    expect(uri.searchParams.get("secret")).toBe(RFC_SECRET);
+    expect(uri.searchParams.get("digits")).toBe("6");
+    expect(uri.searchParams.get("period")).toBe("30");
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * CSV serialization (RFC 4180)
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Quote a value for a CSV cell
+ * Text that a spreadsheet would treat as a formula is prefixed with a quote;
+ * plain numbers (including negative ones) are left alone.
+ * @param {*} value - Cell value (null and undefined are empty)
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<Array>} rows - Rows of cell values, the header row included
+ * @returns {string} - CRLF-separated lines
+ */
+const toCsv = (rows) =>
+  rows.map((row) => row.map(formatCell).join(",")).join("\r\n") + "\r\n";
+
+module.exports = {
+  toCsv,
+};
@@ -1,33 +1,55 @@
 const crypto = require("crypto");
+const User = require("../models/User");
+const { verifyPasscode } = require("../middlewares/authMiddleware");
+const challengeTokenService = require("../services/challengeTokenService");
+const config = require("../config/config");
 const { logger } = require("../config/logger");
 const apiResponse = require("../utils/apiResponse");
 
-// In-memory store for challenge tokens (use Redis in production)
-const challengeTokens = new Map();
+// Fields the client adds to a challenged request; not part of its payload
+const CHALLENGE_FIELDS = ["challengeToken", "passcodeVerification"];
 
-// Configuration
-const TOKEN_EXPIRY = 5 * 60 * 1000; // 5 minutes in milliseconds
+// What the client is told when a token can't be used
+const CHALLENGE_REJECTIONS = {
+  expired_token: "Challenge token has expired",
+  action_mismatch: "Challenge token was issued for a different action",
+  payload_mismatch: "Challenge token was issued for a different request",
+};
+
+/**
+ * What a challenged request does: its route parameters and its body without the
+ * challenge fields
+ * @param {Object} req - Express request object
+ * @returns {Object}
+ */
+const challengePayload = (req) => ({
+  ...req.params,
+  ...Object.fromEntries(
+    Object.entries(req.body || {}).filter(
+      ([key]) => !CHALLENGE_FIELDS.includes(key)
+    )
+  ),
+});
 
 // Generate and store a challenge token
+// The body carries the `action` and `payload`, the body of the request the token
+// will be used on (with its route parameters); the token is only accepted with
+// exactly that body.
 const generateChallengeToken = async (req, res) => {
   try {
     const userId = req.user._id.toString();
-    const { action } = req.body;
+    const { action, payload } = req.body;
 
     if (!action) {
       return apiResponse.badRequest(res, "Action is required");
     }
 
-    // Generate a random challenge token
-    const challengeToken = crypto.randomBytes(32).toString("hex");
+    if (!payload || typeof payload !== "object") {
+      return apiResponse.badRequest(res, "Payload is required");
+    }
 
-    // Store token with expiration
-    challengeTokens.set(challengeToken, {
-      userId,
-      action,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + TOKEN_EXPIRY,
-    });
+    const { token: challengeToken, expiresAt } =
+      await challengeTokenService.issue({ userId, action, payload });
 
     logger.info("Challenge token generated", {
       userId,
@@ -38,6 +60,7 @@ const generateChallengeToken = async (req, res) => {
 
     return apiResponse.success(res, 200, "Challenge token generated", {
       challengeToken,
+      expiresAt,
     });
   } catch (error) {
     logger.error("Error generating challenge token", {
@@ -51,36 +74,23 @@ const generateChallengeToken = async (req, res) => {
   }
 };
 
-// Verify and consume a challenge token
-const validateChallengeToken = (token, userId) => {
-  const challenge = challengeTokens.get(token);
-
-  // Check if token exists
-  if (!challenge) {
-    return { valid: false, reason: "invalid_token" };
-  }
-
-  // Check if token is expired
-  if (challenge.expires < Date.now()) {
-    // Clean up expired token
-    challengeTokens.delete(token);
-    return { valid: false, reason: "expired_token" };
-  }
-
-  // Check if token belongs to user
-  if (challenge.userId !== userId.toString()) {
-    return { valid: false, reason: "unauthorized_token" };
-  }
-
-  // Token is valid - consume it so it can't be reused
-  challengeTokens.delete(token);
-
-  return { valid: true, action: challenge.action };
-};
-
-const verifyPasscodeChallenge = async (req, res, next) => {
+/**
+ * Verify and consume a challenge token
+ * @param {string} token - Token from the client
+ * @param {string} userId - User presenting it
+ * @param {Object} options - `{ action, payload }` the token must have been issued for
+ * @returns {Promise<{ valid: boolean, reason?: string, action?: string }>}
+ */
+const validateChallengeToken = (token, userId, { action, payload }) =>
+  challengeTokenService.consume(token, { userId, action, payload });
+
+/**
+ * Check a passcode challenge, then hand over to the next middleware
+ * Clients still sending the passcode header go through `verifyPasscode` instead.
+ * @param {string} action - Action the token must have been issued for
+ */
+const checkPasscodeChallenge = async (action, req, res, next) => {
   try {
-    console.log("mmmmm", req.headers["x-passcode-auth"]);
     // Extract verification data from body
     const { challengeToken, passcodeVerification } = req.body;
     const userId = req.user._id.toString();
@@ -108,7 +118,7 @@ const verifyPasscodeChallenge = async (req, res, next) => {
         });
 
         // Continue with legacy verification
-        return next();
+        return verifyPasscode(req, res, next);
       }
 
       return apiResponse.badRequest(
@@ -117,32 +127,28 @@ const verifyPasscodeChallenge = async (req, res, next) => {
       );
     }
 
-    // Get challenge from store
-    const challenge = challengeTokens.get(challengeToken);
+    // Use the token up before checking the passcode, so each token gets one try
+    const challenge = await validateChallengeToken(challengeToken, userId, {
+      action,
+      payload: challengePayload(req),
+    });
 
-    // Validate challenge exists and isn't expired
-    if (!challenge) {
-      logger.warn("Invalid or unknown challenge token", {
+    if (!challenge.valid) {
+      logger.warn("Challenge token rejected", {
         userId,
+        reason: challenge.reason,
         requestId: req.id,
       });
-      return apiResponse.badRequest(res, "Invalid or expired challenge token");
-    }
 
-    if (challenge.expiresAt < Date.now()) {
-      // Clean up expired token
-      challengeTokens.delete(challengeToken);
-      logger.warn("Expired challenge token", { userId, requestId: req.id });
-      return apiResponse.badRequest(res, "Challenge token has expired");
-    }
+      if (challenge.reason === "unauthorized_token") {
+        return apiResponse.unauthorized(res, "Unauthorized challenge token");
+      }
 
-    if (challenge.userId !== userId) {
-      logger.warn("Unauthorized challenge token", {
-        tokenUserId: challenge.userId,
-        requestUserId: userId,
-        requestId: req.id,
-      });
-      return apiResponse.unauthorized(res, "Unauthorized challenge token");
+      return apiResponse.badRequest(
+        res,
+        CHALLENGE_REJECTIONS[challenge.reason] ||
+          "Invalid or expired challenge token"
+      );
     }
 
     // Get user with passcode hash
@@ -199,9 +205,6 @@ const verifyPasscodeChallenge = async (req, res, next) => {
       );
     }
 
-    // Consume the token to prevent reuse
-    challengeTokens.delete(challengeToken);
-
     // Reset attempts on successful verification
     user.passcodeAttemptLeft = config.security.passcodeMaxAttempts;
     await user.save();
@@ -233,8 +236,34 @@ const verifyPasscodeChallenge = async (req, res, next) => {
   }
 };
 
+/**
+ * Build middleware that checks a passcode challenge before the handler runs
+ * The token must have been issued for `action` and for this request. Mount it before
+ * `validate`, which strips the challenge fields, and after `idempotency`, so a retry
+ * replays the stored response instead of presenting a used-up token again.
+ * @param {string} action - Action the token must have been issued for
+ * @returns {Function} - Express middleware
+ */
+const passcodeChallenge = (action) => {
+  if (!action) {
+    throw new Error("A passcode challenge needs the action it protects");
+  }
+
+  return (req, res, next) => {
+    // A rejected challenge ran nothing, so its Idempotency-Key must not replay it
+    res.locals.releaseIdempotencyKey = true;
+
+    return checkPasscodeChallenge(action, req, res, (...args) => {
+      res.locals.releaseIdempotencyKey = false;
+      next(...args);
+    });
+  };
+};
+
 module.exports = {
+  CHALLENGE_FIELDS,
+  challengePayload,
   generateChallengeToken,
   validateChallengeToken,
-  verifyPasscodeChallenge,
+  passcodeChallenge,
 };
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+
+/**
+ * AES-256-GCM encryption for individual document fields
+ *
+ * Values are stored as `enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>` (base64 parts),
+ * so each value names the key that encrypted it and keys can be rotated. Values
+ * without the prefix are legacy plaintext and are read back unchanged.
+ */
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+let keyring = null;
+
+/**
+ * Parse the configured keys once
+ * @returns {{ keys: Map<string, Buffer>, activeKeyId: string }}
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const { keys: rawKeys, activeKeyId } = config.fieldEncryption;
+  const keys = new Map();
+
+  for (const entry of (rawKeys || "").split(",")) {
+    if (!entry.trim()) continue;
+
+    const [keyId, encoded] = entry.trim().split(":");
+    const key = Buffer.from(encoded || "", "base64");
+
+    if (!keyId || key.length !== KEY_BYTES) {
+      throw new Error(
+        `Field encryption key "${keyId}" must be ${KEY_BYTES} bytes, base64-encoded`
+      );
+    }
+
+    keys.set(keyId, key);
+  }
+
+  if (keys.size === 0) {
+    throw new Error(
+      'FIELD_ENCRYPTION_KEYS is not configured (comma-separated "keyId:base64Key" pairs)'
+    );
+  }
+
+  if (!keys.has(activeKeyId)) {
+    throw new Error(
+      "FIELD_ENCRYPTION_KEY_ID must name one of FIELD_ENCRYPTION_KEYS"
+    );
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+/**
+ * The id of the key a stored value was encrypted with
+ * @param {string} value - Stored value
+ * @returns {string|null} - Key id, or null for plaintext
+ */
+const keyIdOf = (value) =>
+  isEncrypted(value) ? value.slice(PREFIX.length).split(":")[0] : null;
+
+/**
+ * Encrypt a value with the active key
+ * @param {string} value - Plaintext
+ * @returns {string} - Stored form
+ */
+const encrypt = (value) => {
+  const { keys, activeKeyId } = getKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return (
+    PREFIX +
+    [
+      activeKeyId,
+      iv.toString("base64"),
+      cipher.getAuthTag().toString("base64"),
+      ciphertext.toString("base64"),
+    ].join(":")
+  );
+};
+
+/**
+ * Decrypt a stored value; plaintext is returned as is
+ * @param {string} value - Stored form
+ * @returns {string} - Plaintext
+ * @throws {Error} - When the key is unknown or the value was tampered with
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, authTag, ciphertext] = value
+    .slice(PREFIX.length)
+    .split(":");
+  const key = getKeyring().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Unknown field encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+/**
+ * Whether a stored value still needs encrypting with the active key
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+const needsRotation = (value) =>
+  typeof value === "string" &&
+  value !== "" &&
+  keyIdOf(value) !== getKeyring().activeKeyId;
+
+/**
+ * Keyed hash of a value, so equal values can be found without decrypting
+ * @param {string} path - Field the value belongs to; hashes differ per field
+ * @param {string} value - Plaintext
+ * @returns {string} - Hex digest
+ */
+const blindIndex = (path, value) => {
+  const key = config.fieldEncryption.blindIndexKey;
+
+  if (!key) {
+    throw new Error("FIELD_BLIND_INDEX_KEY is not configured");
+  }
+
+  return crypto
+    .createHmac("sha256", key)
+    .update(`${path}:${value}`)
+    .digest("hex");
+};
+
+/**
+ * Check the keys and blind index key are usable, so a bad configuration stops
+ * startup instead of failing the first request that touches an encrypted field
+ * @throws {Error} - When a key is malformed or missing
+ */
+const validateConfig = () => {
+  getKeyring();
+
+  if (!config.fieldEncryption.blindIndexKey) {
+    throw new Error("FIELD_BLIND_INDEX_KEY is not configured");
+  }
+};
+
+module.exports = {
+  validateConfig,
+  encrypt,
+  decrypt,
+  isEncrypted,
+  keyIdOf,
+  needsRotation,
+  blindIndex,
+};
@@ -0,0 +1,331 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+/**
+ * Decimal-safe money arithmetic
+ *
+ * Amounts are parsed from strings, numbers or Decimal128 into BigInt counts of 10^-18
+ * units, so sums and differences are exact and products and quotients round only
+ * where a rounding mode says so. Results are returned as decimal strings; use
+ * `toDecimal128()` to store them.
+ */
+
+const SCALE = 18;
+
+const ROUNDING = Object.freeze({
+  // Half away from zero (1.005 -> 1.01)
+  HALF_UP: "HALF_UP",
+  // Half to the nearest even digit, i.e. banker's rounding (1.005 -> 1.00)
+  HALF_EVEN: "HALF_EVEN",
+  // Towards zero (truncate)
+  DOWN: "DOWN",
+  // Away from zero
+  UP: "UP",
+});
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+const absUnits = (units) => (units < 0n ? -units : units);
+
+/**
+ * Divide two BigInts, rounding the quotient
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator
+ * @param {string} rounding - ROUNDING mode
+ * @returns {bigint} - Rounded quotient
+ */
+const divideRounded = (numerator, denominator, rounding) => {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const step = numerator < 0n !== denominator < 0n ? -1n : 1n;
+  const twiceRemainder = absUnits(remainder) * 2n;
+  const divisor = absUnits(denominator);
+
+  switch (rounding) {
+    case ROUNDING.DOWN:
+      return quotient;
+    case ROUNDING.UP:
+      return quotient + step;
+    case ROUNDING.HALF_EVEN:
+      if (
+        twiceRemainder > divisor ||
+        (twiceRemainder === divisor && quotient % 2n !== 0n)
+      ) {
+        return quotient + step;
+      }
+      return quotient;
+    case ROUNDING.HALF_UP:
+      return twiceRemainder >= divisor ? quotient + step : quotient;
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+};
+
+/**
+ * Parse an amount into 10^-18 units
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount (null and undefined are 0)
+ * @returns {bigint} - Units
+ * @throws {Error} - When the value is not a finite decimal
+ */
+const toUnits = (value) => {
+  if (value === null || value === undefined) {
+    return 0n;
+  }
+
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const match = DECIMAL_PATTERN.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole = "", fraction = "", exponent = "0"] = match;
+  const digits = BigInt(`${whole}${fraction}` || "0");
+  const shift = SCALE + parseInt(exponent, 10) - fraction.length;
+
+  const units =
+    shift >= 0
+      ? digits * 10n ** BigInt(shift)
+      : divideRounded(digits, 10n ** BigInt(-shift), ROUNDING.HALF_UP);
+
+  return sign === "-" ? -units : units;
+};
+
+/**
+ * Format units as a decimal string with a fixed number of places
+ * @param {bigint} units - 10^-18 units, already rounded to `places`
+ * @param {number} places - Decimal places to show
+ * @returns {string}
+ */
+const formatUnits = (units, places) => {
+  const scaled = units / 10n ** BigInt(SCALE - places);
+  const digits = absUnits(scaled)
+    .toString()
+    .padStart(places + 1, "0");
+  const sign = scaled < 0n ? "-" : "";
+
+  if (places === 0) {
+    return `${sign}${digits}`;
+  }
+
+  return `${sign}${digits.slice(0, -places)}.${digits.slice(-places)}`;
+};
+
+/**
+ * Format units without trailing zeros
+ * @param {bigint} units - 10^-18 units
+ * @returns {string}
+ */
+const normalizeUnits = (units) => {
+  const fixed = formatUnits(units, SCALE);
+  return fixed.includes(".") ? fixed.replace(/\.?0+$/, "") : fixed;
+};
+
+/**
+ * Round units to a number of decimal places
+ * @param {bigint} units - 10^-18 units
+ * @param {number} places - Decimal places
+ * @param {string} rounding - ROUNDING mode
+ * @returns {bigint} - Rounded units
+ */
+const roundUnits = (units, places, rounding) => {
+  const step = 10n ** BigInt(SCALE - places);
+  return divideRounded(units, step, rounding) * step;
+};
+
+/**
+ * Decimal places used for a currency
+ * @param {string} currency - Currency code
+ * @returns {number}
+ */
+const precision = (currency) => {
+  const code = currency ? currency.toUpperCase() : "";
+  return config.money.precision[code] ?? config.money.defaultPrecision;
+};
+
+/**
+ * Round an amount to a currency's precision
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {string} currency - Currency code
+ * @param {string} rounding - ROUNDING mode (defaults to HALF_UP)
+ * @returns {string} - Amount with exactly the currency's decimal places
+ */
+const round = (value, currency, rounding = ROUNDING.HALF_UP) => {
+  const places = precision(currency);
+  return formatUnits(roundUnits(toUnits(value), places, rounding), places);
+};
+
+/**
+ * Resolve the places an operation's result is rounded to
+ * @param {Object} options - `{ currency, places, rounding }`
+ * @returns {{ places: number, rounding: string }}
+ */
+const resultPrecision = ({ currency, places, rounding } = {}) => ({
+  places: currency ? precision(currency) : places ?? SCALE,
+  rounding: rounding || ROUNDING.HALF_UP,
+});
+
+/**
+ * Add amounts exactly
+ * @param {...(number|string|mongoose.Types.Decimal128)} values - Amounts
+ * @returns {string}
+ */
+const add = (...values) =>
+  normalizeUnits(values.reduce((sum, value) => sum + toUnits(value), 0n));
+
+/**
+ * Subtract `b` from `a` exactly
+ * @param {number|string|mongoose.Types.Decimal128} a - Amount
+ * @param {number|string|mongoose.Types.Decimal128} b - Amount to take away
+ * @returns {string}
+ */
+const subtract = (a, b) => normalizeUnits(toUnits(a) - toUnits(b));
+
+/**
+ * Multiply an amount by a factor (a rate, a percentage / 100, a quantity)
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {number|string|mongoose.Types.Decimal128} factor - Factor
+ * @param {Object} options - Round the result to `currency` or `places` with `rounding`
+ * @returns {string}
+ */
+const multiply = (value, factor, options) => {
+  const { places, rounding } = resultPrecision(options);
+  // The exact product has 2 * SCALE places; round it once to the result's places
+  const product = divideRounded(
+    toUnits(value) * toUnits(factor),
+    10n ** BigInt(2 * SCALE - places),
+    rounding
+  );
+  return normalizeUnits(product * 10n ** BigInt(SCALE - places));
+};
+
+/**
+ * Divide an amount by a divisor
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {number|string|mongoose.Types.Decimal128} divisor - Divisor (not zero)
+ * @param {Object} options - Round the result to `currency` or `places` with `rounding`
+ * @returns {string}
+ */
+const divide = (value, divisor, options) => {
+  const { places, rounding } = resultPrecision(options);
+  const divisorUnits = toUnits(divisor);
+
+  if (divisorUnits === 0n) {
+    throw new Error("Division by zero");
+  }
+
+  const quotient = divideRounded(
+    toUnits(value) * 10n ** BigInt(places),
+    divisorUnits,
+    rounding
+  );
+  return normalizeUnits(quotient * 10n ** BigInt(SCALE - places));
+};
+
+/**
+ * Take a percentage of an amount
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {number|string} percent - Percentage (1.5 for 1.5%)
+ * @param {Object} options - Round the result to `currency` or `places` with `rounding`
+ * @returns {string}
+ */
+const percentage = (value, percent, options) =>
+  multiply(value, divide(percent, 100), options);
+
+/**
+ * Compare two amounts
+ * @returns {number} - -1, 0 or 1
+ */
+const compare = (a, b) => {
+  const difference = toUnits(a) - toUnits(b);
+  if (difference === 0n) {
+    return 0;
+  }
+  return difference > 0n ? 1 : -1;
+};
+
+const isZero = (value) => toUnits(value) === 0n;
+
+const isPositive = (value) => toUnits(value) > 0n;
+
+const isNegative = (value) => toUnits(value) < 0n;
+
+const abs = (value) => normalizeUnits(absUnits(toUnits(value)));
+
+const min = (...values) =>
+  values.reduce((lowest, value) =>
+    compare(value, lowest) < 0 ? value : lowest
+  );
+
+const max = (...values) =>
+  values.reduce((highest, value) =>
+    compare(value, highest) > 0 ? value : highest
+  );
+
+/**
+ * Whether an amount has no more decimal places than its currency allows
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {string} currency - Currency code
+ * @returns {boolean}
+ */
+const hasValidPrecision = (value, currency) => {
+  const units = toUnits(value);
+  return roundUnits(units, precision(currency), ROUNDING.DOWN) === units;
+};
+
+/**
+ * Convert an amount to Decimal128 for storage
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @param {string} currency - Round to this currency's precision (omit to store as is)
+ * @param {string} rounding - ROUNDING mode (defaults to HALF_UP)
+ * @returns {mongoose.Types.Decimal128}
+ */
+const toDecimal128 = (value, currency, rounding) =>
+  mongoose.Types.Decimal128.fromString(
+    currency ? round(value, currency, rounding) : normalizeUnits(toUnits(value))
+  );
+
+/**
+ * Convert an amount to a JS number
+ * Only for display, logging and ratios; never for arithmetic on balances.
+ * @param {number|string|mongoose.Types.Decimal128} value - Amount
+ * @returns {number}
+ */
+const toNumber = (value) => Number(normalizeUnits(toUnits(value)));
+
+/**
+ * Format a stored amount for API responses (schema getter)
+ * @param {mongoose.Types.Decimal128} value - Stored amount
+ * @returns {string|undefined}
+ */
+const format = (value) =>
+  value === null || value === undefined ? value : value.toString();
+
+module.exports = {
+  ROUNDING,
+  precision,
+  round,
+  add,
+  subtract,
+  multiply,
+  divide,
+  percentage,
+  compare,
+  isZero,
+  isPositive,
+  isNegative,
+  abs,
+  min,
+  max,
+  hasValidPrecision,
+  toDecimal128,
+  toNumber,
+  format,
+};
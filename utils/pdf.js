@@ -0,0 +1,183 @@
+/**
+ * Minimal PDF writer
+ *
+ * Produces self-contained PDF 1.4 documents with text and lines, using the standard
+ * Helvetica and Courier fonts every PDF reader ships with, so nothing is embedded and
+ * no external service or library is needed. Coordinates are in points from the top
+ * left corner of the page.
+ */
+
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  LETTER: [612, 792],
+};
+
+// Font resource names and the standard fonts they map to
+const FONTS = {
+  regular: { name: "F1", baseFont: "Helvetica" },
+  bold: { name: "F2", baseFont: "Helvetica-Bold" },
+  mono: { name: "F3", baseFont: "Courier" },
+};
+
+// Every Courier glyph is 600/1000 em wide
+const MONO_CHAR_WIDTH = 0.6;
+
+/**
+ * Make text safe for a PDF string literal
+ * Characters outside WinAnsi are replaced, since the standard fonts can't draw them.
+ * @param {string} text - Text to draw
+ * @returns {string}
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+  /**
+   * @param {Object} options - Document options
+   * @param {string} options.size - Page size ("A4" or "LETTER")
+   * @param {string} options.title - Document title shown by readers
+   */
+  constructor({ size = "A4", title } = {}) {
+    [this.width, this.height] = PAGE_SIZES[size];
+    this.title = title;
+    this.pages = [];
+    this.current = null;
+  }
+
+  /**
+   * Start a new page and draw on it from now on
+   * @returns {PdfDocument}
+   */
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Draw on an earlier page, e.g. to add "page x of y" footers once all pages exist
+   * @param {number} index - Zero-based page index
+   * @returns {PdfDocument}
+   */
+  switchToPage(index) {
+    this.current = this.pages[index];
+    return this;
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} options - `{ font: "regular" | "bold" | "mono", size }`
+   * @returns {PdfDocument}
+   */
+  text(text, x, y, { font = "regular", size = 10 } = {}) {
+    this.current.push(
+      `BT /${FONTS[font].name} ${formatNumber(size)} Tf ${formatNumber(x)} ` +
+        `${formatNumber(this.height - y)} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw monospaced text ending at `right`
+   * @param {string} text - Text
+   * @param {number} right - Right edge
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} options - `{ size }`
+   * @returns {PdfDocument}
+   */
+  textRight(text, right, y, { size = 10 } = {}) {
+    const width = String(text).length * MONO_CHAR_WIDTH * size;
+    return this.text(text, right - width, y, { font: "mono", size });
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y, from the top of the page
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y, from the top of the page
+   * @param {Object} options - `{ width }` in points
+   * @returns {PdfDocument}
+   */
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(
+      `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(
+        this.height - y1
+      )} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = addObject(null);
+    const pages = addObject(null);
+    const fontRefs = Object.values(FONTS).map(
+      ({ name, baseFont }) =>
+        `/${name} ${addObject(
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`
+        )} 0 R`
+    );
+    const info = addObject(`<< /Title (${escapeText(this.title || "")}) >>`);
+
+    const pageRefs = this.pages.map((operations) => {
+      const content = operations.join("\n");
+      const contents = addObject(
+        `<< /Length ${Buffer.byteLength(content, "latin1")} >>\n` +
+          `stream\n${content}\nendstream`
+      );
+      return addObject(
+        `<< /Type /Page /Parent ${pages} 0 R ` +
+          `/MediaBox [0 0 ${this.width} ${this.height}] ` +
+          `/Resources << /Font << ${fontRefs.join(" ")} >> >> ` +
+          `/Contents ${contents} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+    objects[pages - 1] = `<< /Type /Pages /Kids [${pageRefs
+      .map((ref) => `${ref} 0 R`)
+      .join(" ")}] /Count ${pageRefs.length} >>`;
+
+    // The cross-reference table needs the byte offset of every object
+    let output = "%PDF-1.4\n";
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, "latin1");
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, "latin1");
+    output +=
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets
+        .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+        .join("") +
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R ` +
+      `/Info ${info} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  }
+}
+
+module.exports = PdfDocument;
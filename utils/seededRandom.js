@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+
+/**
+ * Reproducible pseudo-random numbers
+ *
+ * The same seed and stream always give the same sequence, on any machine, so
+ * anything generated from them can be recomputed later. Not for secrets; use
+ * `crypto` for those.
+ */
+
+/**
+ * Create a random number generator (sfc32) from a seed
+ * @param {string} seed - Seed, e.g. stored alongside what it generated
+ * @param {string} [stream] - Name for an independent sequence from the same seed
+ * @returns {Function} - Returns the next number in [0, 1) on each call
+ */
+const createRandom = (seed, stream = "") => {
+  const state = crypto
+    .createHash("sha256")
+    .update(`${seed}:${stream}`)
+    .digest();
+  let a = state.readUInt32LE(0);
+  let b = state.readUInt32LE(4);
+  let c = state.readUInt32LE(8);
+  let d = state.readUInt32LE(12);
+
+  return () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = ((c << 21) | (c >>> 11)) >>> 0;
+    c = (c + t) >>> 0;
+    return t / 4294967296;
+  };
+};
+
+/**
+ * Draw from the standard normal distribution (Box-Muller)
+ * @param {Function} random - Generator from `createRandom()`
+ * @returns {number}
+ */
+const standardNormal = (random) => {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = random();
+  while (v === 0) v = random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+};
+
+module.exports = {
+  createRandom,
+  standardNormal,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal User-Agent parsing for session and device listings
+ *
+ * Only tells apart the common browsers, operating systems and device classes; it
+ * is meant for labels a user can recognise, not for feature detection.
+ */
+
+// Checked in order: several browsers also claim to be Chrome or Safari
+const BROWSERS = [
+  { name: "Edge", pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: "Opera", pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /Version\/([\d.]+).*Safari/ },
+  { name: "Expo", pattern: /Expo(?:Client)?\/([\d.]+)/ },
+  { name: "Mobile App", pattern: /(?:okhttp|CFNetwork)\/([\d.]+)/ },
+];
+
+// Windows 11 still reports NT 10.0
+const WINDOWS_VERSIONS = {
+  "10.0": "10/11",
+  6.3: "8.1",
+  6.2: "8",
+  6.1: "7",
+};
+
+// iPads also say "CPU OS", so they are checked before iPhones
+const OPERATING_SYSTEMS = [
+  {
+    name: "Windows",
+    pattern: /Windows NT ([\d.]+)/,
+    version: (raw) => WINDOWS_VERSIONS[raw],
+  },
+  { name: "iPadOS", pattern: /iPad.*OS ([\d_]+)/ },
+  { name: "iOS", pattern: /(?:iPhone|CPU) OS ([\d_]+)/ },
+  { name: "macOS", pattern: /Mac OS X ([\d_.]+)/ },
+  { name: "Android", pattern: /Android ([\d.]+)/ },
+  { name: "ChromeOS", pattern: /CrOS/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+const majorVersion = (version) => version && version.split(".")[0];
+
+/**
+ * Find the first entry whose pattern matches
+ * @param {Array} entries - Candidates with `name`, `pattern` and optional `version`
+ * @param {string} userAgent - User-Agent header
+ * @returns {{ name: string, version: string|null }|null}
+ */
+const matchFirst = (entries, userAgent) => {
+  for (const { name, pattern, version } of entries) {
+    const match = pattern.exec(userAgent);
+    if (match) {
+      const raw = match[1] ? match[1].replace(/_/g, ".") : null;
+      return { name, version: (version ? version(raw) : raw) || null };
+    }
+  }
+  return null;
+};
+
+const deviceTypeOf = (userAgent) => {
+  if (/iPad|Tablet/i.test(userAgent)) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|Android/i.test(userAgent)) {
+    return "mobile";
+  }
+  return "desktop";
+};
+
+/**
+ * Parse a User-Agent header
+ * @param {string} userAgent - User-Agent header
+ * @returns {{ browser: string|null, os: string|null, deviceType: string, name: string }}
+ */
+const parseUserAgent = (userAgent) => {
+  if (!userAgent || userAgent === "unknown") {
+    return {
+      browser: null,
+      os: null,
+      deviceType: "unknown",
+      name: "Unknown device",
+    };
+  }
+
+  const browser = matchFirst(BROWSERS, userAgent);
+  const os = matchFirst(OPERATING_SYSTEMS, userAgent);
+
+  const browserLabel = browser
+    ? [browser.name, majorVersion(browser.version)].filter(Boolean).join(" ")
+    : null;
+  const osLabel = os ? [os.name, os.version].filter(Boolean).join(" ") : null;
+
+  return {
+    browser: browserLabel,
+    os: osLabel,
+    deviceType: deviceTypeOf(userAgent),
+    name:
+      [browser && browser.name, os && os.name].filter(Boolean).join(" on ") ||
+      "Unknown device",
+  };
+};
+
+/**
+ * Stable identifier for the device a User-Agent belongs to
+ * Browser and OS versions are left out so updates don't look like a new device.
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - 16 hex characters
+ */
+const deviceFingerprint = (userAgent) => {
+  const browser = matchFirst(BROWSERS, userAgent || "");
+  const os = matchFirst(OPERATING_SYSTEMS, userAgent || "");
+
+  return crypto
+    .createHash("sha256")
+    .update(
+      [browser && browser.name, os && os.name, deviceTypeOf(userAgent || "")]
+        .map((part) => part || "unknown")
+        .join("|")
+    )
+    .digest("hex")
+    .slice(0, 16);
+};
+
+module.exports = {
+  parseUserAgent,
+  deviceFingerprint,
+};